@@ -50,6 +50,35 @@ function setupIpcHandlers(ipcMain, managers, mainWindow) {
     sendToMainWindow('tunnel:statusChanged', payload);
   });
 
+  project?.setProjectStatusEmitter?.((payload) => {
+    sendToMainWindow('project:statusChanged', payload);
+  });
+
+  project?.setManifestChangeEmitter?.((payload) => {
+    sendToMainWindow('project:manifestChanged', payload);
+  });
+
+  project?.setParkedSitesChangeEmitter?.((payload) => {
+    sendToMainWindow('project:parkedSitesChanged', payload);
+  });
+
+  service?.on?.('serviceCrashed', ({ service: serviceName, version, message, willRestart }) => {
+    sendToMainWindow('service:statusChanged', {
+      service: serviceName,
+      version,
+      status: willRestart ? 'restarting' : 'stopped',
+      error: message,
+    });
+  });
+
+  service?.on?.('serviceRestarted', ({ service: serviceName, version }) => {
+    sendToMainWindow('service:statusChanged', {
+      service: serviceName,
+      version,
+      status: 'running',
+    });
+  });
+
   // ============ PROJECT HANDLERS ============
   ipcMain.handle('projects:getAll', async () => {
     return project.getAllProjects();
@@ -89,7 +118,7 @@ function setupIpcHandlers(ipcMain, managers, mainWindow) {
   });
 
   ipcMain.handle('projects:registerExisting', async (event, config) => {
-    return project.registerExistingProject(config);
+    return project.registerExistingProject(config, getLiveMainWindow());
   });
 
   ipcMain.handle('projects:detectType', async (event, folderPath) => {
@@ -220,10 +249,147 @@ function setupIpcHandlers(ipcMain, managers, mainWindow) {
     return project.exportProjectConfig(id, getLiveMainWindow());
   });
 
+  ipcMain.handle('projects:getManifestStatus', async (event, id) => {
+    return project.getProjectManifestStatus(id);
+  });
+
+  ipcMain.handle('projects:getPhpFpmSupport', async (event, id) => {
+    return project.getPhpFpmSupport(id);
+  });
+
+  ipcMain.handle('projects:getPhpIniSettings', async (event, id) => {
+    return project.getProjectPhpIniSettings(id);
+  });
+
+  ipcMain.handle('projects:getVhostSnippets', async (event, id) => {
+    return project.getProjectVhostSnippets(id);
+  });
+
+  ipcMain.handle('projects:saveVhostSnippets', async (event, id, snippets) => {
+    return project.saveProjectVhostSnippets(id, snippets);
+  });
+
+  ipcMain.handle('projects:getRoutes', async (event, id) => {
+    return project.getProjectRoutes(id);
+  });
+
+  ipcMain.handle('projects:saveRoutes', async (event, id, routes) => {
+    return project.saveProjectRoutes(id, routes);
+  });
+
+  ipcMain.handle('projects:getHealth', async (event, id) => {
+    return project.getProjectHealth(id);
+  });
+
+  ipcMain.handle('projects:checkHealth', async (event, id) => {
+    return project.runProjectHealthCheck(id);
+  });
+
+  ipcMain.handle('projects:getHooks', async (event, id) => {
+    return project.getProjectHooks(id);
+  });
+
+  ipcMain.handle('projects:saveHooks', async (event, id, hooks) => {
+    return project.saveProjectHooks(id, hooks);
+  });
+
+  ipcMain.handle('projects:getTemplates', async () => {
+    return project.getProjectTemplates();
+  });
+
+  ipcMain.handle('projects:saveAsTemplate', async (event, id, name, description) => {
+    return project.saveProjectAsTemplate(id, name, description);
+  });
+
+  ipcMain.handle('projects:deleteTemplate', async (event, templateId) => {
+    return project.deleteProjectTemplate(templateId);
+  });
+
+  ipcMain.handle('projects:exportTemplate', async (event, templateId, filePath) => {
+    return project.exportProjectTemplate(templateId, filePath);
+  });
+
+  ipcMain.handle('projects:importTemplate', async (event, filePath) => {
+    return project.importProjectTemplate(filePath);
+  });
+
+  ipcMain.handle('projects:acceptTemplateCommands', async (event, templateId) => {
+    return project.acceptProjectTemplateCommands(templateId);
+  });
+
+  ipcMain.handle('projects:applyManifest', async (event, id) => {
+    return project.applyProjectManifest(id);
+  });
+
   ipcMain.handle('projects:move', async (event, id, newPath) => {
     return project.moveProject(id, newPath);
   });
 
+  ipcMain.handle('projects:duplicate', async (event, id, options) => {
+    return project.duplicateProject(id, options, getLiveMainWindow());
+  });
+
+  ipcMain.handle('projects:getSnapshots', async (event, id) => {
+    return project.getProjectSnapshots(id);
+  });
+
+  ipcMain.handle('projects:createSnapshot', async (event, id, options) => {
+    return project.createProjectSnapshot(id, options);
+  });
+
+  ipcMain.handle('projects:diffSnapshot', async (event, id, snapshotId) => {
+    return project.diffProjectSnapshot(id, snapshotId);
+  });
+
+  ipcMain.handle('projects:restoreSnapshot', async (event, id, snapshotId) => {
+    return project.restoreProjectSnapshot(id, snapshotId);
+  });
+
+  ipcMain.handle('projects:deleteSnapshot', async (event, id, snapshotId) => {
+    return project.deleteProjectSnapshot(id, snapshotId);
+  });
+
+  ipcMain.handle('projects:getGroups', async () => {
+    return project.getProjectGroups();
+  });
+
+  ipcMain.handle('projects:createGroup', async (event, group) => {
+    return project.createProjectGroup(group);
+  });
+
+  ipcMain.handle('projects:updateGroup', async (event, groupId, group) => {
+    return project.updateProjectGroup(groupId, group);
+  });
+
+  ipcMain.handle('projects:deleteGroup', async (event, groupId) => {
+    return project.deleteProjectGroup(groupId);
+  });
+
+  ipcMain.handle('projects:startGroup', async (event, groupId) => {
+    return project.startProjectGroup(groupId);
+  });
+
+  ipcMain.handle('projects:stopGroup', async (event, groupId) => {
+    return project.stopProjectGroup(groupId);
+  });
+
+  ipcMain.handle('projects:getParkedDirectories', async () => {
+    return project.getParkedDirectories();
+  });
+
+  ipcMain.handle('projects:getParkedSites', async () => {
+    // Rescan so folders that only became servable after they were created show up
+    return project.refreshParkedSites();
+  });
+
+  ipcMain.handle('projects:parkDirectory', async (event, directory) => {
+    return project.addParkedDirectory(directory);
+  });
+
+  ipcMain.handle('projects:unparkDirectory', async (event, directory) => {
+    return project.removeParkedDirectory(directory);
+  });
+
   ipcMain.handle('projects:switchWebServer', async (event, id, webServer, webServerVersion) => {
     const result = await project.switchWebServer(id, webServer, webServerVersion);
     sendToMainWindow('project:webServerChanged', {
@@ -329,6 +495,23 @@ function setupIpcHandlers(ipcMain, managers, mainWindow) {
     return service.getResourceUsage();
   });
 
+  ipcMain.handle('services:getResourceHistory', async () => {
+    return service.getResourceHistory();
+  });
+
+  ipcMain.handle('services:getConfigOverride', async (event, serviceName, version) => {
+    return service.getServiceConfigOverride(serviceName, version);
+  });
+
+  ipcMain.handle('services:saveConfigOverride', async (event, serviceName, version, content) => {
+    return service.saveServiceConfigOverride(serviceName, version, content);
+  });
+
+  // Check a per-version port from Settings against other versions and whatever is listening on it
+  ipcMain.handle('services:checkPort', async (event, port, serviceName, version, servicePorts) => {
+    return service.checkServicePort(port, serviceName, version, servicePorts || null);
+  });
+
   // Get actual web server ports for a specific web server type and version
   ipcMain.handle('services:getWebServerPorts', async (event, webServerType, version) => {
     const ports = service?.getServicePorts(webServerType, version || null);
@@ -574,6 +757,7 @@ function setupIpcHandlers(ipcMain, managers, mainWindow) {
   });
 
   ipcMain.handle('settings:set', async (event, key, value) => {
+    const previousServicePorts = key === 'settings.servicePorts' ? config.get(key) : undefined;
     const result = config.set(key, value);
 
     // Handle launch on system startup setting
@@ -589,6 +773,11 @@ function setupIpcHandlers(ipcMain, managers, mainWindow) {
       }
     }
 
+    // Settings saves every key; only rewrite the files that embed ports when these changed
+    if (key === 'settings.servicePorts' && JSON.stringify(previousServicePorts || {}) !== JSON.stringify(value || {})) {
+      await service?.applyServicePortChanges?.(previousServicePorts);
+    }
+
     return result;
   });
 
@@ -1729,7 +1918,7 @@ function setupIpcHandlers(ipcMain, managers, mainWindow) {
         clearInterval(resourceInterval);
         return;
       }
-      const usage = await service.getResourceUsage();
+      const usage = await service.recordResourceUsage();
       currentWindow.webContents.send('resource:update', usage);
     } catch (error) {
       // Silently ignore errors during shutdown
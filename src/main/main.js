@@ -4,7 +4,7 @@ const util = require('util');
 if (!util.isObject) util.isObject = (arg) => arg !== null && typeof arg === 'object';
 if (!util.isFunction) util.isFunction = (arg) => typeof arg === 'function';
 
-const { app, BrowserWindow, ipcMain, Menu, Tray, nativeTheme, dialog, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, Tray, nativeTheme, dialog, nativeImage, Notification } = require('electron');
 const path = require('path');
 
 // Disable hardware acceleration to save 40-80MB of RAM since we don't need intense GPU rendering
@@ -264,6 +264,86 @@ async function ensureMainWindow(options = {}) {
   return pendingMainWindowPromise;
 }
 
+function runProjectGroupFromTray(group, action) {
+  const operation = action === 'start'
+    ? managers.project.startProjectGroup(group.id)
+    : managers.project.stopProjectGroup(group.id);
+
+  operation.catch((error) => {
+    managers.log?.systemError(`Failed to ${action} project group from tray`, { group: group.name, error: error.message });
+    dialog.showErrorBox(`Could not ${action} ${group.name}`, error.message);
+  });
+}
+
+function notifyServiceCrash({ service, version, message, willRestart, attempt, maxAttempts }) {
+  if (!Notification.isSupported()) {
+    return;
+  }
+
+  const label = `${managers.service?.serviceConfigs?.[service]?.name || service}${version ? ` ${version}` : ''}`;
+  const body = willRestart
+    ? `${message}\nRestarting (attempt ${attempt} of ${maxAttempts}).`
+    : message;
+
+  const notification = new Notification({ title: `${label} crashed`, body });
+  notification.on('click', () => {
+    void ensureMainWindow({ focusExisting: true });
+  });
+  notification.show();
+}
+
+function updateTrayMenu() {
+  if (!tray) {
+    return;
+  }
+
+  const groups = managers.project?.getProjectGroups() || [];
+  const groupItems = groups.length > 0
+    ? [
+      {
+        label: 'Project Groups',
+        submenu: groups.map((group) => ({
+          label: group.name,
+          submenu: [
+            { label: 'Start Group', click: () => runProjectGroupFromTray(group, 'start') },
+            { label: 'Stop Group', click: () => runProjectGroupFromTray(group, 'stop') },
+          ],
+        })),
+      },
+      { type: 'separator' },
+    ]
+    : [];
+
+  const contextMenu = Menu.buildFromTemplate([
+    {
+      label: 'Open DevBox Pro',
+      click: () => {
+        void ensureMainWindow({ focusExisting: true });
+      },
+    },
+    { type: 'separator' },
+    {
+      label: 'Start All Services',
+      click: () => managers.service?.startAllServices(),
+    },
+    {
+      label: 'Stop All Services',
+      click: () => managers.service?.stopAllServices(),
+    },
+    { type: 'separator' },
+    ...groupItems,
+    {
+      label: 'Quit',
+      click: () => {
+        app.isQuitting = true;
+        app.quit();
+      },
+    },
+  ]);
+
+  tray.setContextMenu(contextMenu);
+}
+
 function createTray() {
   try {
     const fs = require('fs');
@@ -314,34 +394,9 @@ function createTray() {
 
     tray = new Tray(icon);
 
-    const contextMenu = Menu.buildFromTemplate([
-      {
-        label: 'Open DevBox Pro',
-        click: () => {
-          void ensureMainWindow({ focusExisting: true });
-        },
-      },
-      { type: 'separator' },
-      {
-        label: 'Start All Services',
-        click: () => managers.service?.startAllServices(),
-      },
-      {
-        label: 'Stop All Services',
-        click: () => managers.service?.stopAllServices(),
-      },
-      { type: 'separator' },
-      {
-        label: 'Quit',
-        click: () => {
-          app.isQuitting = true;
-          app.quit();
-        },
-      },
-    ]);
-
     tray.setToolTip('DevBox Pro');
-    tray.setContextMenu(contextMenu);
+    updateTrayMenu();
+    managers.project?.setProjectGroupsChangeEmitter(() => updateTrayMenu());
 
     tray.on('double-click', () => {
       void ensureMainWindow({ focusExisting: true });
@@ -424,6 +479,7 @@ async function startup() {
     // Register IPC handlers before loading the renderer so initial data requests
     // cannot beat handler setup during installer-launched startup.
     setupIpcHandlers(ipcMain, managers, () => mainWindow);
+    managers.service.on('serviceCrashed', notifyServiceCrash);
 
     // Create main window immediately so user sees the app
     await ensureMainWindow();
@@ -492,6 +548,13 @@ async function startup() {
       } catch (err) {
         managers.log?.systemError('Error auto-starting projects', { error: err.message });
       }
+
+      // Stopped on-demand projects get their activation vhost and web server back
+      try {
+        await managers.project.initializeOnDemandProjects();
+      } catch (err) {
+        managers.log?.systemError('Error preparing on-demand projects', { error: err.message });
+      }
     });
   } catch (error) {
     managers.log?.systemError('Startup failed', { error: error.message, stack: error.stack });
@@ -597,6 +660,9 @@ async function gracefulShutdown() {
     // Stop all running projects first
     if (managers.project) {
       await managers.project.stopAllProjects();
+      await managers.project.stopActivationServer();
+      managers.project.unwatchAllProjectManifests();
+      managers.project.unwatchAllParkedDirectories();
     }
 
     if (managers.tunnel) {
@@ -20,11 +20,55 @@ contextBridge.exposeInMainWorld('devbox', {
     openInBrowser: (id) => ipcRenderer.invoke('projects:openInBrowser', id),
     openFolder: (id) => ipcRenderer.invoke('projects:openFolder', id),
     move: (id, newPath) => ipcRenderer.invoke('projects:move', id, newPath),
+    duplicate: (id, options) => ipcRenderer.invoke('projects:duplicate', id, options),
+    getSnapshots: (id) => ipcRenderer.invoke('projects:getSnapshots', id),
+    createSnapshot: (id, options) => ipcRenderer.invoke('projects:createSnapshot', id, options),
+    diffSnapshot: (id, snapshotId) => ipcRenderer.invoke('projects:diffSnapshot', id, snapshotId),
+    restoreSnapshot: (id, snapshotId) => ipcRenderer.invoke('projects:restoreSnapshot', id, snapshotId),
+    deleteSnapshot: (id, snapshotId) => ipcRenderer.invoke('projects:deleteSnapshot', id, snapshotId),
+    getGroups: () => ipcRenderer.invoke('projects:getGroups'),
+    createGroup: (group) => ipcRenderer.invoke('projects:createGroup', group),
+    updateGroup: (groupId, group) => ipcRenderer.invoke('projects:updateGroup', groupId, group),
+    deleteGroup: (groupId) => ipcRenderer.invoke('projects:deleteGroup', groupId),
+    startGroup: (groupId) => ipcRenderer.invoke('projects:startGroup', groupId),
+    stopGroup: (groupId) => ipcRenderer.invoke('projects:stopGroup', groupId),
+    getParkedDirectories: () => ipcRenderer.invoke('projects:getParkedDirectories'),
+    getParkedSites: () => ipcRenderer.invoke('projects:getParkedSites'),
+    parkDirectory: (directory) => ipcRenderer.invoke('projects:parkDirectory', directory),
+    unparkDirectory: (directory) => ipcRenderer.invoke('projects:unparkDirectory', directory),
+    onParkedSitesChanged: (callback) => {
+      const handler = (event, data) => callback(data);
+      ipcRenderer.on('project:parkedSitesChanged', handler);
+      return () => ipcRenderer.removeListener('project:parkedSitesChanged', handler);
+    },
     switchWebServer: (id, webServer, webServerVersion) => ipcRenderer.invoke('projects:switchWebServer', id, webServer, webServerVersion),
     scanUnregistered: () => ipcRenderer.invoke('projects:scanUnregistered'),
     registerExisting: (config) => ipcRenderer.invoke('projects:registerExisting', config),
     detectType: (folderPath) => ipcRenderer.invoke('projects:detectType', folderPath),
     exportConfig: (id) => ipcRenderer.invoke('projects:exportConfig', id),
+    getManifestStatus: (id) => ipcRenderer.invoke('projects:getManifestStatus', id),
+    getPhpFpmSupport: (id) => ipcRenderer.invoke('projects:getPhpFpmSupport', id),
+    getPhpIniSettings: (id) => ipcRenderer.invoke('projects:getPhpIniSettings', id),
+    getVhostSnippets: (id) => ipcRenderer.invoke('projects:getVhostSnippets', id),
+    saveVhostSnippets: (id, snippets) => ipcRenderer.invoke('projects:saveVhostSnippets', id, snippets),
+    getRoutes: (id) => ipcRenderer.invoke('projects:getRoutes', id),
+    saveRoutes: (id, routes) => ipcRenderer.invoke('projects:saveRoutes', id, routes),
+    getHealth: (id) => ipcRenderer.invoke('projects:getHealth', id),
+    checkHealth: (id) => ipcRenderer.invoke('projects:checkHealth', id),
+    getHooks: (id) => ipcRenderer.invoke('projects:getHooks', id),
+    saveHooks: (id, hooks) => ipcRenderer.invoke('projects:saveHooks', id, hooks),
+    getTemplates: () => ipcRenderer.invoke('projects:getTemplates'),
+    saveAsTemplate: (id, name, description) => ipcRenderer.invoke('projects:saveAsTemplate', id, name, description),
+    deleteTemplate: (templateId) => ipcRenderer.invoke('projects:deleteTemplate', templateId),
+    exportTemplate: (templateId, filePath) => ipcRenderer.invoke('projects:exportTemplate', templateId, filePath),
+    importTemplate: (filePath) => ipcRenderer.invoke('projects:importTemplate', filePath),
+    acceptTemplateCommands: (templateId) => ipcRenderer.invoke('projects:acceptTemplateCommands', templateId),
+    applyManifest: (id) => ipcRenderer.invoke('projects:applyManifest', id),
+    onManifestChanged: (callback) => {
+      const handler = (event, data) => callback(data);
+      ipcRenderer.on('project:manifestChanged', handler);
+      return () => ipcRenderer.removeListener('project:manifestChanged', handler);
+    },
     checkCompatibility: (config) => ipcRenderer.invoke('projects:checkCompatibility', config),
     // Environment operations
     readEnv: (id) => ipcRenderer.invoke('projects:readEnv', id),
@@ -56,6 +100,10 @@ contextBridge.exposeInMainWorld('devbox', {
     startAll: () => ipcRenderer.invoke('services:startAll'),
     stopAll: () => ipcRenderer.invoke('services:stopAll'),
     getResourceUsage: () => ipcRenderer.invoke('services:getResourceUsage'),
+    getResourceHistory: () => ipcRenderer.invoke('services:getResourceHistory'),
+    getConfigOverride: (serviceName, version) => ipcRenderer.invoke('services:getConfigOverride', serviceName, version),
+    saveConfigOverride: (serviceName, version, content) => ipcRenderer.invoke('services:saveConfigOverride', serviceName, version, content),
+    checkPort: (port, serviceName, version, servicePorts) => ipcRenderer.invoke('services:checkPort', port, serviceName, version, servicePorts),
     getRunningVersions: (service) => ipcRenderer.invoke('services:getRunningVersions', service),
     isVersionRunning: (service, version) => ipcRenderer.invoke('services:isVersionRunning', service, version),
     getWebServerPorts: (webServerType, version) => ipcRenderer.invoke('services:getWebServerPorts', webServerType, version),
@@ -1,17 +1,34 @@
 const path = require('path');
 const fs = require('fs-extra');
 const CompatibilityManager = require('./CompatibilityManager');
+const { normalizeProxyUpstreamUrl } = require('../utils/ProjectTypeUtils');
+const projectActivation = require('./project/activation');
 const projectCatalog = require('./project/catalog');
+const projectCommands = require('./project/commands');
 const projectDiscovery = require('./project/discovery');
+const projectDuplicate = require('./project/duplicate');
 const projectEnvironment = require('./project/environment');
+const projectErrorPage = require('./project/errorPage');
+const projectGroups = require('./project/groups');
+const projectHealth = require('./project/health');
 const projectHelpers = require('./project/helpers');
+const projectHooks = require('./project/hooks');
 const projectHosts = require('./project/hosts');
 const projectInstallation = require('./project/installation');
 const projectLifecycle = require('./project/lifecycle');
+const projectManifest = require('./project/manifest');
+const projectParked = require('./project/parked');
+const projectPhpCgiSupervisor = require('./project/phpCgiSupervisor');
+const projectPhpFpm = require('./project/phpFpm');
+const projectPhpIni = require('./project/phpIni');
 const projectServiceDeps = require('./project/serviceDeps');
+const projectSnapshots = require('./project/snapshots');
+const projectTemplates = require('./project/templates');
 const projectVhostApache = require('./project/vhostApache');
 const projectVhostNginx = require('./project/vhostNginx');
 const projectVhostOrchestration = require('./project/vhostOrchestration');
+const projectVhostRoutes = require('./project/vhostRoutes');
+const projectVhostSnippets = require('./project/vhostSnippets');
 
 class ProjectManager {
   constructor(configStore, managers) {
@@ -24,6 +41,17 @@ class ProjectManager {
     this.compatibilityManager = new CompatibilityManager();
     this.pendingServiceStops = new Map();
     this.networkPort80Owner = null;
+    this.manifestWatchers = new Map();
+    this.manifestChangeEmitter = null;
+    this.projectStatusEmitter = null;
+    this.projectGroupsChangeEmitter = null;
+    this.parkedSites = new Map();
+    this.parkedWatchers = new Map();
+    this.parkedSitesChangeEmitter = null;
+    this.activationServer = null;
+    this.activationPort = null;
+    this.activatingProjects = new Map();
+    this.activationFailures = new Map();
   }
 
   shouldRestartProjectForUpdates(updates = {}) {
@@ -34,6 +62,17 @@ class ProjectManager {
       'tunnelProvider',
       'tunnelAutoStart',
       'updatedAt',
+      'manifestHash',
+      'vhostSnippets',
+      'routes',
+      'proxyUrl',
+      'spaFallback',
+      'buildCommand',
+      'hooks',
+      'healthCheckPath',
+      'snapshotRetention',
+      'onDemand',
+      'idleTimeoutMinutes',
     ]);
 
     return Object.keys(updates).some((key) => !nonRestartKeys.has(key));
@@ -51,6 +90,18 @@ class ProjectManager {
       updates.domain = updates.domains[0];
     }
 
+    if ('proxyUrl' in updates) {
+      updates.proxyUrl = normalizeProxyUpstreamUrl(updates.proxyUrl);
+    }
+
+    if ('healthCheckPath' in updates) {
+      updates.healthCheckPath = this.normalizeHealthCheckPath(updates.healthCheckPath);
+    }
+
+    if ('idleTimeoutMinutes' in updates) {
+      updates.idleTimeoutMinutes = this.normalizeIdleTimeoutMinutes(updates.idleTimeoutMinutes);
+    }
+
     const oldProject = { ...projects[index] };
     const nextProject = {
       ...projects[index],
@@ -83,7 +134,7 @@ class ProjectManager {
 
     await this.syncCliProjectsFile();
 
-    if (updates.environment && updatedProject.type === 'laravel') {
+    if (updates.environment && this.projectUsesEnvFile(updatedProject)) {
       try {
         await this.syncEnvFile(updatedProject);
       } catch (error) {
@@ -129,7 +180,11 @@ class ProjectManager {
 
     if (vhostConfigChanged) {
       try {
-        await this.createVirtualHost(updatedProject, null, nextWebServerVersion);
+        if (!this.runningProjects.has(id) && this.isOnDemandProject(updatedProject)) {
+          await this.parkOnDemandProject(updatedProject);
+        } else {
+          await this.createVirtualHost(updatedProject, null, nextWebServerVersion);
+        }
       } catch (error) {
         const reason = webServerTargetChanged
           ? 'web server change'
@@ -140,6 +195,18 @@ class ProjectManager {
       }
     }
 
+    if ('onDemand' in updates && Boolean(oldProject.onDemand) !== Boolean(updatedProject.onDemand)) {
+      try {
+        await this.syncOnDemandProject(updatedProject);
+      } catch (error) {
+        this.managers.log?.systemWarn('Could not update on-demand start for project', { project: updatedProject.name, error: error.message });
+      }
+    }
+
+    if ('idleTimeoutMinutes' in updates && this.runningProjects.has(id)) {
+      this.startProjectIdleMonitor(id);
+    }
+
     if (shouldRestart) {
       await this.startProject(id);
     }
@@ -183,6 +250,8 @@ class ProjectManager {
       await this.stopProject(id);
     }
 
+    this.unwatchProjectManifest(id);
+
     try {
       await this.removeVirtualHost(project);
     } catch (error) {
@@ -204,12 +273,29 @@ class ProjectManager {
       }
     }
 
+    try {
+      await this.deleteAllProjectSnapshots(id);
+    } catch (error) {
+      this.managers.log?.systemWarn('Error removing project snapshots', { project: project.name, error: error.message });
+    }
+
+    this.removeProjectFromGroups(id);
+
     const projects = this.configStore.get('projects', []);
     const filteredProjects = projects.filter((currentProject) => currentProject.id !== id);
     this.configStore.set('projects', filteredProjects);
 
     await this.syncCliProjectsFile();
 
+    // A folder inside a parked directory goes back to being served as a parked site
+    if (!deleteFiles) {
+      try {
+        await this.refreshParkedSites();
+      } catch (error) {
+        this.managers.log?.systemWarn('Could not refresh parked sites', { error: error.message });
+      }
+    }
+
     return { success: true, filesDeleted: deleteFiles };
   }
 
@@ -277,6 +363,8 @@ class ProjectManager {
       this.managers.log?.systemWarn('Error creating new virtual host', { project: project.name, error: error.message });
     }
 
+    this.watchProjectManifest(this.getProject(id));
+
     await this.syncCliProjectsFile();
     this.managers.log?.project(id, `Project moved successfully to ${newPath}`);
 
@@ -307,17 +395,33 @@ class ProjectManager {
 
 Object.assign(
   ProjectManager.prototype,
+  projectActivation,
   projectCatalog,
+  projectCommands,
   projectDiscovery,
+  projectDuplicate,
   projectEnvironment,
+  projectErrorPage,
+  projectGroups,
+  projectHealth,
   projectHelpers,
+  projectHooks,
   projectHosts,
   projectInstallation,
   projectLifecycle,
+  projectManifest,
+  projectParked,
+  projectPhpCgiSupervisor,
+  projectPhpFpm,
+  projectPhpIni,
   projectServiceDeps,
+  projectSnapshots,
+  projectTemplates,
   projectVhostOrchestration,
   projectVhostNginx,
   projectVhostApache,
+  projectVhostSnippets,
+  projectVhostRoutes,
 );
 
 module.exports = { ProjectManager };
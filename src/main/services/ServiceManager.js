@@ -11,7 +11,7 @@
  *   service/health.js    – waitForService, checkPortOpen, per-service health checks, status/port getters
  *   service/processes.js – killProcess, killOrphan*, getRunningVersions, getAllServicesStatus, getVersionPort
  *   service/nginx.js     – startNginx, reloadNginx, testNginxConfig, createNginxConfig
- *   service/apache.js    – startApache, reloadApache, createApacheConfig
+ *   service/apache.js    – startApache, reloadApache, testApacheConfig, createApacheConfig
  *   service/mysql.js     – startMySQL, startMySQLDirect, initializeMySQLData, createMySQLConfig,
  *                          createCredentialsInitFile, syncCredentials, getTimezoneOffset
  *   service/mariadb.js   – startMariaDB, startMariaDBDirect, initializeMariaDBData, createMariaDBConfig
@@ -19,6 +19,9 @@
  *   service/mailpit.js   – startMailpit
  *   service/phpmyadmin.js – startPhpMyAdmin, updatePhpMyAdminConfig
  *   service/extras.js    – startPostgreSQL, startMongoDB, startMemcached, startMinIO
+ *   service/watchdog.js  – watchServiceProcess, handleServiceExit, restartCrashedService
+ *   service/configOverrides.js – per-version extra config, rollback to the last working config
+ *   service/ports.js     – per-version ports from settings, checkServicePort, applyServicePortChanges
  */
 
 'use strict';
@@ -39,6 +42,9 @@ const redisMixin      = require('./service/redis');
 const mailpitMixin    = require('./service/mailpit');
 const phpmyadminMixin = require('./service/phpmyadmin');
 const extrasMixin     = require('./service/extras');
+const watchdogMixin   = require('./service/watchdog');
+const configOverridesMixin = require('./service/configOverrides');
+const portsMixin      = require('./service/ports');
 
 // ─────────────────────────────────────────────────────────────────────────────
 
@@ -56,6 +62,13 @@ class ServiceManager extends EventEmitter {
     this.runningVersions  = new Map(); // serviceName → Map<version, { port, startedAt }>
     this.pendingStarts    = new Map();
     this.webServerStartQueue = Promise.resolve();
+    this.processCpuSamples = new Map(); // monitored process key → last CPU sample
+    this.resourceHistory  = []; // samples of the last hour
+
+    // Crash watchdog
+    this.serviceCrashes          = new Map(); // process key → { attempts, restartedAt, restartTimer }
+    this.watchedServiceProcesses = new WeakSet();
+    this.stoppedServiceProcesses = new WeakSet(); // killed on purpose, their exit is not a crash
 
     // Standard-port ownership (first web server to start gets 80/443)
     this.standardPortOwner        = null;
@@ -79,7 +92,7 @@ class ServiceManager extends EventEmitter {
         sslPort: 443,
         alternatePort: 8081,
         alternateSslPort: 8443,
-        get healthCheck() { return () => this._sm.checkNginxHealth(); },
+        get healthCheck() { return (version) => this._sm.checkNginxHealth(version); },
         versioned: true,
       },
       apache: {
@@ -88,63 +101,63 @@ class ServiceManager extends EventEmitter {
         sslPort: 443,
         alternatePort: 8084,
         alternateSslPort: 8446,
-        get healthCheck() { return () => this._sm.checkApacheHealth(); },
+        get healthCheck() { return (version) => this._sm.checkApacheHealth(version); },
         versioned: true,
       },
       mysql: {
         name: 'MySQL',
         defaultPort: DEFAULT_PORTS.mysql || 3306,
-        get healthCheck() { return () => this._sm.checkMySqlHealth(); },
+        get healthCheck() { return (version) => this._sm.checkMySqlHealth(version); },
         versioned: true,
       },
       mariadb: {
         name: 'MariaDB',
         defaultPort: DEFAULT_PORTS.mariadb || 3306,
-        get healthCheck() { return () => this._sm.checkMariaDbHealth(); },
+        get healthCheck() { return (version) => this._sm.checkMariaDbHealth(version); },
         versioned: true,
       },
       redis: {
         name: 'Redis',
         defaultPort: DEFAULT_PORTS.redis || 6379,
-        get healthCheck() { return () => this._sm.checkRedisHealth(); },
+        get healthCheck() { return (version) => this._sm.checkRedisHealth(version); },
         versioned: true,
       },
       mailpit: {
         name: 'Mailpit',
         defaultPort: DEFAULT_PORTS.mailpit || 8025,
         smtpPort: DEFAULT_PORTS.mailpitSmtp || 1025,
-        get healthCheck() { return () => this._sm.checkMailpitHealth(); },
+        get healthCheck() { return (version) => this._sm.checkMailpitHealth(version); },
         versioned: false,
       },
       phpmyadmin: {
         name: 'phpMyAdmin',
         defaultPort: DEFAULT_PORTS.phpmyadmin || 8080,
-        get healthCheck() { return () => this._sm.checkPhpMyAdminHealth(); },
+        get healthCheck() { return (version) => this._sm.checkPhpMyAdminHealth(version); },
         versioned: false,
       },
       postgresql: {
         name: 'PostgreSQL',
         defaultPort: DEFAULT_PORTS.postgresql || 5432,
-        get healthCheck() { return () => this._sm.checkPostgresqlHealth(); },
+        get healthCheck() { return (version) => this._sm.checkPostgresqlHealth(version); },
         versioned: true,
       },
       mongodb: {
         name: 'MongoDB',
         defaultPort: DEFAULT_PORTS.mongodb || 27017,
-        get healthCheck() { return () => this._sm.checkMongodbHealth(); },
+        get healthCheck() { return (version) => this._sm.checkMongodbHealth(version); },
         versioned: true,
       },
       memcached: {
         name: 'Memcached',
         defaultPort: DEFAULT_PORTS.memcached || 11211,
-        get healthCheck() { return () => this._sm.checkMemcachedHealth(); },
+        get healthCheck() { return (version) => this._sm.checkMemcachedHealth(version); },
         versioned: true,
       },
       minio: {
         name: 'MinIO',
         defaultPort: DEFAULT_PORTS.minio || 9000,
         consolePort: DEFAULT_PORTS.minioConsole || 9001,
-        get healthCheck() { return () => this._sm.checkMinioHealth(); },
+        get healthCheck() { return (version) => this._sm.checkMinioHealth(version); },
         versioned: false,
       },
     };
@@ -169,6 +182,9 @@ Object.assign(
   mailpitMixin,
   phpmyadminMixin,
   extrasMixin,
+  watchdogMixin,
+  configOverridesMixin,
+  portsMixin,
 );
 
 module.exports = { ServiceManager };
@@ -58,6 +58,11 @@ module.exports = {
       env.PATH = `${path.dirname(phpPath)}${path.delimiter}${env.PATH}`;
     }
 
+    // Appended so the compiled-in scan dir (empty entry) and any user value still load
+    if (this.hasProjectPhpIniOverrides?.(project)) {
+      env.PHP_INI_SCAN_DIR = `${env.PHP_INI_SCAN_DIR || ''}${path.delimiter}${this.getProjectPhpIniDir(project)}`;
+    }
+
     if (project.services?.nodejs) {
       const nodeVersion = project.services.nodejsVersion || this.getFirstInstalledNodeVersion();
       const nodePath = this.getNodePath(nodeVersion);
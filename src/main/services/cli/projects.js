@@ -1,6 +1,7 @@
 const path = require('path');
 const fs = require('fs-extra');
 const { spawn } = require('child_process');
+const { normalizePhpIniOverrides, buildPhpIniOverrideContent } = require('../../utils/PhpIniUtils');
 
 module.exports = {
   getProjectsFilePath() {
@@ -25,6 +26,53 @@ module.exports = {
     return this.getActiveMysqlInfo();
   },
 
+  // Port the project's MySQL/MariaDB version listens on, including ports set per version in Settings
+  getProjectMysqlPort(dbInfo) {
+    const serviceManager = this.managers?.service;
+    const defaultPort = serviceManager?.serviceConfigs?.[dbInfo.dbType]?.defaultPort;
+    if (!serviceManager?.getVersionPort || !defaultPort) {
+      return null;
+    }
+
+    return serviceManager.runningVersions?.get(dbInfo.dbType)?.get(dbInfo.version)?.port
+      || serviceManager.getVersionPort(dbInfo.dbType, dbInfo.version, defaultPort);
+  },
+
+  getProjectPhpIniDir(project) {
+    return path.join(this.getCliPath(), 'php-ini', project.id);
+  },
+
+  hasProjectPhpIniOverrides(project) {
+    return Object.keys(normalizePhpIniOverrides(project?.phpIniOverrides)).length > 0;
+  },
+
+  async syncProjectPhpIniFiles(projects) {
+    const iniRoot = path.join(this.getCliPath(), 'php-ini');
+    const activeIds = new Set();
+
+    for (const project of projects) {
+      if (!project?.id || !this.hasProjectPhpIniOverrides(project)) {
+        continue;
+      }
+
+      const iniDir = this.getProjectPhpIniDir(project);
+      await fs.ensureDir(iniDir);
+      await fs.writeFile(path.join(iniDir, 'devbox-project.ini'), buildPhpIniOverrideContent(project.phpIniOverrides), 'utf8');
+      activeIds.add(project.id);
+    }
+
+    // Drop scan dirs for projects that were deleted or cleared their overrides
+    if (await fs.pathExists(iniRoot)) {
+      for (const entry of await fs.readdir(iniRoot)) {
+        if (!activeIds.has(entry)) {
+          await fs.remove(path.join(iniRoot, entry));
+        }
+      }
+    }
+
+    return activeIds;
+  },
+
   async syncProjectsFile() {
     const cliPath = this.getCliPath();
     await fs.ensureDir(cliPath);
@@ -32,6 +80,7 @@ module.exports = {
     const projects = this.configStore.get('projects', []);
     const projectMappings = {};
     const defaultNodeVersion = this.getFirstInstalledNodeVersion();
+    const projectsWithIniOverrides = await this.syncProjectPhpIniFiles(projects);
 
     for (const project of projects) {
       const normalizedPath = path.normalize(project.path);
@@ -40,9 +89,11 @@ module.exports = {
         id: project.id,
         name: project.name,
         phpVersion: project.phpVersion || '8.3',
+        phpIniScanDir: projectsWithIniOverrides.has(project.id) ? this.getProjectPhpIniDir(project) : null,
         nodejsVersion: project.services?.nodejs ? (project.services.nodejsVersion || defaultNodeVersion) : null,
         mysqlType: dbInfo.dbType,
         mysqlVersion: dbInfo.version,
+        mysqlPort: this.getProjectMysqlPort(dbInfo),
         services: project.services?.python
           ? {
             pythonVersion: project.services.pythonVersion || '3.13',
@@ -159,6 +210,10 @@ module.exports = {
         if (binPath) {
           executable = binPath;
         }
+        const mysqlPort = this.getProjectMysqlPort(dbInfo);
+        if (mysqlPort) {
+          env.MYSQL_TCP_PORT = String(mysqlPort);
+        }
         break;
       }
     }
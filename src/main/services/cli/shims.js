@@ -84,13 +84,24 @@ echo     if($pp.Length -gt $bestLen){ $best = $prop.Value; $bestLen = $pp.Length
 echo   } >> "%TEMP_PS%"
 echo } >> "%TEMP_PS%"
 echo if($best -and $best.phpVersion){ $best.phpVersion } >> "%TEMP_PS%"
+echo if($best -and $best.phpIniScanDir){ 'INI^|' + $best.phpIniScanDir } >> "%TEMP_PS%"
 
 set "PHP_VERSION="
+set "PROJECT_PHP_INI_DIR="
 for /f "tokens=*" %%a in ('powershell -NoProfile -ExecutionPolicy Bypass -File "%TEMP_PS%" 2^>nul') do (
-    if not "%%a"=="" set "PHP_VERSION=%%a"
+    set "LOOKUP_LINE=%%a"
+    if "!LOOKUP_LINE:~0,4!"=="INI|" (
+        set "PROJECT_PHP_INI_DIR=!LOOKUP_LINE:~4!"
+    ) else if not "%%a"=="" (
+        set "PHP_VERSION=%%a"
+    )
 )
 del "%TEMP_PS%" 2>nul
 
+REM Layer the project's php.ini overrides on top of the per-version php.ini
+REM The leading ";" keeps the compiled-in scan dir when nothing was set before
+if not "%PROJECT_PHP_INI_DIR%"=="" if exist "%PROJECT_PHP_INI_DIR%" set "PHP_INI_SCAN_DIR=%PHP_INI_SCAN_DIR%;%PROJECT_PHP_INI_DIR%"
+
 REM Use project version or default
 if "%PHP_VERSION%"=="" set "PHP_VERSION=%DEFAULT_PHP%"
 
@@ -288,13 +299,24 @@ echo     if($pp.Length -gt $bestLen){ $best = $prop.Value; $bestLen = $pp.Length
 echo   } >> "%TEMP_PS%"
 echo } >> "%TEMP_PS%"
 echo if($best -and $best.phpVersion){ $best.phpVersion } >> "%TEMP_PS%"
+echo if($best -and $best.phpIniScanDir){ 'INI^|' + $best.phpIniScanDir } >> "%TEMP_PS%"
 
 set "PHP_VERSION="
+set "PROJECT_PHP_INI_DIR="
 for /f "tokens=*" %%a in ('powershell -NoProfile -ExecutionPolicy Bypass -File "%TEMP_PS%" 2^>nul') do (
-    if not "%%a"=="" set "PHP_VERSION=%%a"
+    set "LOOKUP_LINE=%%a"
+    if "!LOOKUP_LINE:~0,4!"=="INI|" (
+        set "PROJECT_PHP_INI_DIR=!LOOKUP_LINE:~4!"
+    ) else if not "%%a"=="" (
+        set "PHP_VERSION=%%a"
+    )
 )
 del "%TEMP_PS%" 2>nul
 
+REM Layer the project's php.ini overrides on top of the per-version php.ini
+REM The leading ";" keeps the compiled-in scan dir when nothing was set before
+if not "%PROJECT_PHP_INI_DIR%"=="" if exist "%PROJECT_PHP_INI_DIR%" set "PHP_INI_SCAN_DIR=%PHP_INI_SCAN_DIR%;%PROJECT_PHP_INI_DIR%"
+
 REM Use project version or default
 if "%PHP_VERSION%"=="" set "PHP_VERSION=%DEFAULT_PHP%"
 
@@ -340,14 +362,15 @@ echo } >> "%TEMP_PS%"
 echo if($best){ >> "%TEMP_PS%"
 echo   $t = if($best.mysqlType){ $best.mysqlType } else { '${defaultMysqlType}' } >> "%TEMP_PS%"
 echo   $v = if($best.mysqlVersion){ $best.mysqlVersion } else { '${defaultMysqlVersion}' } >> "%TEMP_PS%"
-echo   Write-Output "$t|$v" >> "%TEMP_PS%"
+echo   Write-Output "$t|$v|$($best.mysqlPort)" >> "%TEMP_PS%"
 echo } >> "%TEMP_PS%"
 
 set "MYSQL_TYPE="
 set "MYSQL_VERSION="
-for /f "tokens=1,2 delims=|" %%a in ('powershell -NoProfile -ExecutionPolicy Bypass -File "%TEMP_PS%" 2^>nul') do (
+for /f "tokens=1,2,3 delims=|" %%a in ('powershell -NoProfile -ExecutionPolicy Bypass -File "%TEMP_PS%" 2^>nul') do (
     if not "%%a"=="" set "MYSQL_TYPE=%%a"
     if not "%%b"=="" set "MYSQL_VERSION=%%b"
+    if not "%%c"=="" set "MYSQL_TCP_PORT=%%c"
 )
 del "%TEMP_PS%" 2>nul
 
@@ -391,14 +414,15 @@ echo } >> "%TEMP_PS%"
 echo if($best){ >> "%TEMP_PS%"
 echo   $t = if($best.mysqlType){ $best.mysqlType } else { '${defaultMysqlType}' } >> "%TEMP_PS%"
 echo   $v = if($best.mysqlVersion){ $best.mysqlVersion } else { '${defaultMysqlVersion}' } >> "%TEMP_PS%"
-echo   Write-Output "$t|$v" >> "%TEMP_PS%"
+echo   Write-Output "$t|$v|$($best.mysqlPort)" >> "%TEMP_PS%"
 echo } >> "%TEMP_PS%"
 
 set "MYSQL_TYPE="
 set "MYSQL_VERSION="
-for /f "tokens=1,2 delims=|" %%a in ('powershell -NoProfile -ExecutionPolicy Bypass -File "%TEMP_PS%" 2^>nul') do (
+for /f "tokens=1,2,3 delims=|" %%a in ('powershell -NoProfile -ExecutionPolicy Bypass -File "%TEMP_PS%" 2^>nul') do (
     if not "%%a"=="" set "MYSQL_TYPE=%%a"
     if not "%%b"=="" set "MYSQL_VERSION=%%b"
+    if not "%%c"=="" set "MYSQL_TCP_PORT=%%c"
 )
 del "%TEMP_PS%" 2>nul
 
@@ -567,7 +591,7 @@ try:
     current = '$CURRENT_DIR'.lower()
     for path, config in projects.items():
         if current.startswith(path.lower()) or current == path.lower():
-            print('FOUND|' + (config.get('phpVersion') or '8.3'))
+            print('FOUND|' + (config.get('phpVersion') or '8.3') + '|' + (config.get('phpIniScanDir') or ''))
             sys.exit(0)
 except:
     pass
@@ -575,12 +599,20 @@ print('NOTFOUND|')
 " 2>/dev/null)
     
     if [[ "$RESULT" == FOUND* ]]; then
-        PHP_VERSION="\${RESULT#FOUND|}"
+        RESULT="\${RESULT#FOUND|}"
+        PHP_VERSION="\${RESULT%%|*}"
+        PROJECT_PHP_INI_DIR="\${RESULT#*|}"
     fi
 fi
 
 [ -z "$PHP_VERSION" ] && PHP_VERSION="$DEFAULT_PHP"
 
+# Layer the project's php.ini overrides on top of the per-version php.ini
+# The leading ":" keeps the compiled-in scan dir when nothing was set before
+if [ -n "$PROJECT_PHP_INI_DIR" ] && [ -d "$PROJECT_PHP_INI_DIR" ]; then
+    export PHP_INI_SCAN_DIR="$PHP_INI_SCAN_DIR:$PROJECT_PHP_INI_DIR"
+fi
+
 PHP_PATH="$DEVBOX_RESOURCES/php/$PHP_VERSION/${platform}"
 SYSTEM_PHP=""
 
@@ -737,16 +769,19 @@ try:
         if current.startswith(path.lower()) or current == path.lower():
             mt = config.get('mysqlType') or '$DEFAULT_MYSQL_TYPE'
             mv = config.get('mysqlVersion') or '$DEFAULT_MYSQL_VERSION'
-            print(f'FOUND|{mt}|{mv}')
+            mp = config.get('mysqlPort') or ''
+            print(f'FOUND|{mt}|{mv}|{mp}')
             sys.exit(0)
 except:
     pass
-print('NOTFOUND||')
+print('NOTFOUND|||')
 " 2>/dev/null)
 
     if [[ "$RESULT" == FOUND* ]]; then
         MYSQL_TYPE=$(echo "$RESULT" | cut -d'|' -f2)
         MYSQL_VERSION=$(echo "$RESULT" | cut -d'|' -f3)
+        MYSQL_PORT=$(echo "$RESULT" | cut -d'|' -f4)
+        [ -n "$MYSQL_PORT" ] && export MYSQL_TCP_PORT="$MYSQL_PORT"
     fi
 fi
 
@@ -790,16 +825,19 @@ try:
         if current.startswith(path.lower()) or current == path.lower():
             mt = config.get('mysqlType') or '$DEFAULT_MYSQL_TYPE'
             mv = config.get('mysqlVersion') or '$DEFAULT_MYSQL_VERSION'
-            print(f'FOUND|{mt}|{mv}')
+            mp = config.get('mysqlPort') or ''
+            print(f'FOUND|{mt}|{mv}|{mp}')
             sys.exit(0)
 except:
     pass
-print('NOTFOUND||')
+print('NOTFOUND|||')
 " 2>/dev/null)
 
     if [[ "$RESULT" == FOUND* ]]; then
         MYSQL_TYPE=$(echo "$RESULT" | cut -d'|' -f2)
         MYSQL_VERSION=$(echo "$RESULT" | cut -d'|' -f3)
+        MYSQL_PORT=$(echo "$RESULT" | cut -d'|' -f4)
+        [ -n "$MYSQL_PORT" ] && export MYSQL_TCP_PORT="$MYSQL_PORT"
     fi
 fi
 
@@ -105,6 +105,10 @@ module.exports = {
 
       const serviceConfig = this.managers.service.serviceConfigs[dbType];
       const basePort = serviceConfig?.defaultPort || 3306;
+      if (this.managers.service.getVersionPort) {
+        return this.managers.service.getVersionPort(dbType, version, basePort);
+      }
+
       const portOffset = this.managers.service.versionPortOffsets[dbType]?.[version] || 0;
       return basePort + portOffset;
     }
@@ -1,3 +1,5 @@
+const os = require('os');
+const path = require('path');
 const fs = require('fs-extra');
 const { spawn } = require('child_process');
 const zlib = require('zlib');
@@ -880,4 +882,26 @@ module.exports = {
       });
     });
   },
-};
\ No newline at end of file
+
+  // Copies a database through a temporary dump so it works for every supported engine
+  async cloneDatabase(sourceName, targetName, progressCallback = null) {
+    const tempPath = path.join(os.tmpdir(), `devbox-clone-${uuidv4()}.sql.gz`);
+
+    try {
+      const exportResult = await this.exportDatabase(sourceName, tempPath, progressCallback);
+      if (!exportResult?.success) {
+        throw new Error(`Export of '${sourceName}' was cancelled`);
+      }
+
+      await this.createDatabase(targetName);
+      const importResult = await this.importDatabase(targetName, exportResult.path, progressCallback, 'clean');
+      if (importResult?.success === false) {
+        throw new Error(`Import into '${targetName}' was cancelled`);
+      }
+
+      return { success: true, name: this.sanitizeName(targetName) };
+    } finally {
+      await fs.remove(tempPath).catch(() => {});
+    }
+  },
+};
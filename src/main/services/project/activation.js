@@ -0,0 +1,315 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+const { escapeHtml, renderDevBoxPage } = require('../../utils/DevBoxPageUtils');
+const { DEVBOX_HANDLER_PATH } = require('../../utils/VhostErrorPageUtils');
+
+const ACTIVATION_REFRESH_SECONDS = 2;
+const IDLE_CHECK_INTERVAL_MS = 60000;
+const MAX_IDLE_TIMEOUT_MINUTES = 24 * 60;
+const ACCESS_LOG_READ_LIMIT_BYTES = 64 * 1024;
+// Requests from the health monitor must not keep an idle project alive
+const HEALTH_CHECK_USER_AGENT = 'DevBoxPro-HealthCheck';
+const ACCESS_LOG_NAMES = ['access', 'ssl-access', 'proxy-access', 'proxy-ssl-access'];
+
+function renderActivationPage(title, message, refresh) {
+  return renderDevBoxPage({
+    title,
+    body: `    <p>${escapeHtml(message)}</p>`,
+    refreshSeconds: refresh ? ACTIVATION_REFRESH_SECONDS : 0,
+  });
+}
+
+// Null for a malformed percent-encoding, which decodeURIComponent throws on
+function decodeProjectId(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+async function readLogTail(logPath, start, end) {
+  const length = end - start;
+  const buffer = Buffer.alloc(length);
+  const handle = await fs.promises.open(logPath, 'r');
+  try {
+    await handle.read(buffer, 0, length, start);
+  } finally {
+    await handle.close();
+  }
+  return buffer.toString('utf8');
+}
+
+module.exports = {
+  isOnDemandProject(project) {
+    return project?.onDemand === true && !project.parked;
+  },
+
+  normalizeIdleTimeoutMinutes(value) {
+    if (value === null || value === undefined || value === '') {
+      return 0;
+    }
+
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_IDLE_TIMEOUT_MINUTES) {
+      throw new Error(`Invalid idle timeout "${value}". Use a whole number of minutes up to ${MAX_IDLE_TIMEOUT_MINUTES}, or 0 to disable it.`);
+    }
+    return minutes;
+  },
+
+  // One handler serves every stopped on-demand project and the error pages of all vhosts,
+  // the vhost tells it which project was requested
+  async ensureActivationServer() {
+    if (this.activationServer) {
+      return this.activationPort;
+    }
+
+    const server = http.createServer((request, response) => this.handleActivationRequest(request, response));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', resolve);
+    });
+    server.unref();
+
+    this.activationServer = server;
+    this.activationPort = server.address().port;
+    return this.activationPort;
+  },
+
+  async stopActivationServer() {
+    if (!this.activationServer) {
+      return;
+    }
+
+    const server = this.activationServer;
+    this.activationServer = null;
+    this.activationPort = null;
+    await new Promise((resolve) => server.close(() => resolve()));
+  },
+
+  handleActivationRequest(request, response) {
+    const requestPath = request.url || '/';
+    if (requestPath.startsWith(DEVBOX_HANDLER_PATH)) {
+      const [id = '', action = ''] = requestPath.slice(DEVBOX_HANDLER_PATH.length).split(/[?#]/)[0].split('/');
+      // A malformed id is passed on as no id, which the error page answers as an unknown site
+      void this.handleProjectErrorPageRequest(request, response, decodeProjectId(id), action);
+      return;
+    }
+
+    const send = (statusCode, body, headers = {}) => {
+      response.writeHead(statusCode, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers,
+      });
+      response.end(body);
+    };
+
+    const id = decodeProjectId(requestPath.split(/[/?#]/)[1] || '');
+    if (id === null) {
+      send(400, renderActivationPage('Bad request', 'The address of this request is not valid.', false));
+      return;
+    }
+
+    const project = id ? this.getProject(id) : null;
+
+    if (!project || !this.isOnDemandProject(project)) {
+      send(404, renderActivationPage('Site not found', 'This site is not managed by DevBox Pro.', false));
+      return;
+    }
+
+    const failure = this.activationFailures.get(id);
+    if (failure && !this.activatingProjects.has(id)) {
+      // Show the error once, reloading the page tries again
+      this.activationFailures.delete(id);
+      send(502, renderActivationPage(`${project.name} could not be started`, failure, false));
+      return;
+    }
+
+    void this.activateProject(id);
+    send(503, renderActivationPage(`Starting ${project.name}…`, 'DevBox Pro is starting this project. The page will reload when it is ready.', true), {
+      'Retry-After': String(ACTIVATION_REFRESH_SECONDS),
+    });
+  },
+
+  activateProject(id) {
+    const pending = this.activatingProjects.get(id);
+    if (pending) {
+      return pending;
+    }
+
+    if (this.runningProjects.has(id) || this.startingProjects?.has(id)) {
+      return Promise.resolve();
+    }
+
+    this.managers.log?.project(id, 'Site requested while stopped, starting it on demand');
+    const activation = this.startProject(id)
+      .catch((error) => {
+        this.activationFailures.set(id, error.message);
+      })
+      .finally(() => {
+        this.activatingProjects.delete(id);
+      });
+    this.activatingProjects.set(id, activation);
+    return activation;
+  },
+
+  /**
+   * Point a stopped on-demand project's vhost at the activation handler so its URL keeps working.
+   * The first request starts the project, which then replaces this vhost with the real one.
+   */
+  async parkOnDemandProject(project) {
+    const port = await this.ensureActivationServer();
+    await this.createVirtualHost({
+      ...project,
+      type: 'proxy',
+      proxyUrl: `http://127.0.0.1:${port}/${encodeURIComponent(project.id)}`,
+      routes: [],
+    }, null, this.getEffectiveWebServerVersion(project, this.getEffectiveWebServer(project)));
+  },
+
+  // Stopped projects that turned on-demand on or off need their vhost swapped
+  async syncOnDemandProject(project) {
+    if (this.runningProjects.has(project.id)) {
+      return;
+    }
+
+    if (this.isOnDemandProject(project)) {
+      await this.parkOnDemandProject(project);
+      await this.ensureOnDemandWebServer(project);
+    } else {
+      await this.createVirtualHost(project, null, this.getEffectiveWebServerVersion(project, this.getEffectiveWebServer(project)));
+    }
+  },
+
+  async ensureOnDemandWebServer(project) {
+    const webServer = this.getEffectiveWebServer(project);
+    const version = this.getEffectiveWebServerVersion(project, webServer);
+    if (this.managers.service?.isVersionRunning(webServer, version)) {
+      return;
+    }
+
+    await this.managers.service?.startService(webServer, version);
+  },
+
+  isServiceNeededForActivation(service) {
+    if (service?.name !== 'nginx' && service?.name !== 'apache') {
+      return false;
+    }
+
+    return this.configStore.get('projects', [])
+      .filter((project) => this.isOnDemandProject(project))
+      .some((project) => {
+        const webServer = this.getEffectiveWebServer(project);
+        return webServer === service.name
+          && (!service.version || this.getEffectiveWebServerVersion(project, webServer) === service.version);
+      });
+  },
+
+  async initializeOnDemandProjects() {
+    const projects = this.configStore.get('projects', [])
+      .filter((project) => this.isOnDemandProject(project) && !this.runningProjects.has(project.id));
+
+    for (const project of projects) {
+      try {
+        await this.parkOnDemandProject(project);
+        await this.ensureOnDemandWebServer(project);
+      } catch (error) {
+        this.managers.log?.systemWarn(`Could not prepare on-demand start for ${project.name}`, { error: error.message });
+      }
+    }
+  },
+
+  getProjectAccessLogPaths(project) {
+    const dataPath = this.getDataPath();
+    return ['nginx', 'apache'].flatMap((webServer) => ACCESS_LOG_NAMES
+      .map((name) => path.join(dataPath, webServer, 'logs', `${project.id}-${name}.log`)));
+  },
+
+  // Reads what the web servers appended to the project's access logs since the last check
+  async hasProjectTraffic(project, running) {
+    const firstCheck = !running.accessLogSizes;
+    running.accessLogSizes = running.accessLogSizes || new Map();
+    let sawTraffic = false;
+
+    for (const logPath of this.getProjectAccessLogPaths(project)) {
+      let size;
+      try {
+        size = (await fs.stat(logPath)).size;
+      } catch {
+        continue;
+      }
+
+      const previousSize = running.accessLogSizes.get(logPath) || 0;
+      running.accessLogSizes.set(logPath, size);
+      if (firstCheck || sawTraffic || size === previousSize) {
+        continue;
+      }
+
+      // A smaller file was rotated or truncated, so all of it is new
+      const start = size < previousSize ? 0 : Math.max(previousSize, size - ACCESS_LOG_READ_LIMIT_BYTES);
+      try {
+        const lines = (await readLogTail(logPath, start, size)).split('\n').filter((line) => line.trim());
+        sawTraffic = lines.some((line) => !line.includes(HEALTH_CHECK_USER_AGENT));
+      } catch {
+        sawTraffic = true;
+      }
+    }
+
+    return sawTraffic;
+  },
+
+  async checkProjectIdle(id) {
+    const running = this.runningProjects.get(id);
+    const project = this.getProject(id);
+    const idleMinutes = Number(project?.idleTimeoutMinutes) || 0;
+    if (!running || running.stopping || !project || idleMinutes <= 0) {
+      return false;
+    }
+
+    const now = Date.now();
+    if (await this.hasProjectTraffic(project, running)) {
+      running.lastRequestAt = now;
+      return false;
+    }
+
+    if (this.runningProjects.get(id) !== running || now - running.lastRequestAt < idleMinutes * 60000) {
+      return false;
+    }
+
+    this.managers.log?.project(id, `No requests for ${idleMinutes} minute(s), stopping idle project`);
+    await this.stopProject(id);
+    return true;
+  },
+
+  startProjectIdleMonitor(id) {
+    const running = this.runningProjects.get(id);
+    if (!running) {
+      return;
+    }
+
+    this.stopProjectIdleMonitor(running);
+    if (!(Number(this.getProject(id)?.idleTimeoutMinutes) > 0)) {
+      return;
+    }
+
+    running.lastRequestAt = Date.now();
+    running.accessLogSizes = null;
+    running.idleTimer = setInterval(() => {
+      this.checkProjectIdle(id).catch((error) => {
+        this.managers.log?.systemWarn('Could not check project for idle timeout', { id, error: error.message });
+      });
+    }, IDLE_CHECK_INTERVAL_MS);
+    running.idleTimer.unref?.();
+    // Records the current log sizes so only requests from now on count
+    void this.hasProjectTraffic(this.getProject(id), running).catch(() => {});
+  },
+
+  stopProjectIdleMonitor(running) {
+    if (running?.idleTimer) {
+      clearInterval(running.idleTimer);
+      running.idleTimer = null;
+    }
+  },
+};
@@ -1,19 +1,26 @@
 const path = require('path');
 const fs = require('fs-extra');
+const { PHP_FRAMEWORK_PRESETS, detectPhpFrameworkFromComposer } = require('../../utils/PhpFrameworkPresets');
 
 module.exports = {
   getAllProjects() {
     return this.configStore.get('projects', []).map((project) => ({
       ...project,
       isRunning: this.runningProjects.has(project.id),
+      ...(this.isProjectDegraded(project.id) && { status: 'degraded' }),
+      ...(this.runningProjects.get(project.id)?.health && { health: this.runningProjects.get(project.id).health }),
     }));
   },
 
   getProject(id) {
     const projects = this.configStore.get('projects', []);
-    const project = projects.find((entry) => entry.id === id);
+    // Parked sites are served without being registered, so lifecycle methods resolve them here too
+    const project = projects.find((entry) => entry.id === id) || this.parkedSites?.get(id);
     if (project) {
       project.isRunning = this.runningProjects.has(id);
+      if (this.isProjectDegraded(id)) {
+        project.status = 'degraded';
+      }
     }
     return project;
   },
@@ -53,23 +60,20 @@ module.exports = {
       }
 
       const { app } = require('electron');
+      const manifest = this.buildProjectManifest(project, phpExtensions);
       const exportData = {
-        name: project.name,
-        type: project.type,
-        phpVersion: project.phpVersion,
-        nodeVersion: project.nodeVersion,
-        webServer: project.webServer,
-        webServerVersion: project.webServerVersion,
-        services: project.services || {},
-        supervisor: project.supervisor || { processes: [] },
-        phpExtensions,
+        ...manifest,
         exportedAt: new Date().toISOString(),
         devboxVersion: app.getVersion(),
       };
 
-      const devboxJsonPath = path.join(project.path, 'devbox.json');
+      const devboxJsonPath = this.getProjectManifestPath(project.path);
       await fs.writeJson(devboxJsonPath, exportData, { spaces: 2 });
 
+      // The exported file now matches this project, so the watcher should not offer to reapply it
+      const { isRunning, ...storedProject } = project;
+      this.updateProjectInStore({ ...storedProject, manifestHash: this.getManifestHash(manifest) });
+
       this.managers.log?.project(id, 'Successfully exported project configuration to devbox.json');
       if (mainWindow) {
         const { dialog } = require('electron');
@@ -92,6 +96,11 @@ module.exports = {
       const composerPath = path.join(projectPath, 'composer.json');
       if (await fs.pathExists(composerPath)) {
         const composer = await fs.readJson(composerPath);
+        // Checked first because some presets are built on Laravel or Symfony
+        const presetType = detectPhpFrameworkFromComposer(composer);
+        if (presetType) {
+          return presetType;
+        }
         if (composer.require?.['laravel/framework']) {
           return 'laravel';
         }
@@ -107,6 +116,26 @@ module.exports = {
         return 'wordpress';
       }
 
+      for (const [type, preset] of Object.entries(PHP_FRAMEWORK_PRESETS)) {
+        for (const markerFile of preset.markerFiles) {
+          if (await fs.pathExists(path.join(projectPath, markerFile))) {
+            return type;
+          }
+        }
+      }
+
+      if (await fs.pathExists(path.join(projectPath, 'manage.py'))) {
+        return 'python';
+      }
+      const hasPythonDependencies = await fs.pathExists(path.join(projectPath, 'requirements.txt'))
+        || await fs.pathExists(path.join(projectPath, 'pyproject.toml'));
+      if (hasPythonDependencies && !await this.looksLikePhpProject(projectPath)) {
+        return 'python';
+      }
+      if (await fs.pathExists(path.join(projectPath, 'index.html')) && !await this.looksLikePhpProject(projectPath)) {
+        return 'static';
+      }
+
       return 'custom';
     } catch (error) {
       return 'custom';
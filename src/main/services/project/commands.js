@@ -0,0 +1,69 @@
+const { spawn } = require('child_process');
+const treeKill = require('tree-kill');
+
+const PROJECT_COMMAND_TIMEOUT_MS = 10 * 60 * 1000;
+
+module.exports = {
+  // One-off commands resolve node/npm/php/python to the project's managed runtimes like supervisor processes do
+  async runProjectCommand(project, command, { name = 'command', timeoutMs = PROJECT_COMMAND_TIMEOUT_MS } = {}) {
+    const supervisor = this.managers.supervisor;
+    if (!supervisor) {
+      throw new Error('Supervisor is not available to run project commands');
+    }
+
+    const resolved = await supervisor.resolveProcessCommand(project, { name, command });
+    this.managers.log?.project(project.id, `[${name}] $ ${command}`);
+
+    const proc = supervisor.spawnHidden(resolved.command, resolved.args, {
+      cwd: project.path,
+      env: resolved.env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    await this.waitForProjectCommand(project, proc, command, { name, timeoutMs });
+  },
+
+  // Shell commands may chain (&&, ||) and branch, so they get the terminal PATH of the project instead
+  async runProjectShellCommand(project, command, { name = 'command', timeoutMs = PROJECT_COMMAND_TIMEOUT_MS } = {}) {
+    const env = this.managers.cli?.buildProjectEnv(project) || { ...process.env };
+    this.managers.log?.project(project.id, `[${name}] $ ${command}`);
+
+    const proc = spawn(command, {
+      cwd: project.path,
+      env,
+      shell: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+      detached: process.platform !== 'win32',
+    });
+    await this.waitForProjectCommand(project, proc, command, { name, timeoutMs });
+  },
+
+  waitForProjectCommand(project, proc, command, { name, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        treeKill(proc.pid, 'SIGKILL', () => {});
+        reject(new Error(`"${command}" did not finish within ${Math.round(timeoutMs / 1000)}s`));
+      }, timeoutMs);
+
+      proc.stdout?.on('data', (data) => {
+        this.managers.log?.project(project.id, `[${name}] ${data.toString()}`);
+      });
+      proc.stderr?.on('data', (data) => {
+        this.managers.log?.project(project.id, `[${name}] ${data.toString()}`);
+      });
+
+      proc.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`"${command}" could not be started: ${error.message}`));
+      });
+      proc.on('exit', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`"${command}" exited with code ${code}`));
+        }
+      });
+    });
+  },
+};
@@ -11,7 +11,7 @@ module.exports = {
       return [];
     }
 
-    const registeredPaths = this.getAllProjects().map((project) =>
+    const registeredPaths = this.getAllProjects().filter((project) => project.path).map((project) =>
       path.normalize(project.path).toLowerCase()
     );
 
@@ -71,7 +71,7 @@ module.exports = {
     }
   },
 
-  async registerExistingProject(config) {
+  async registerExistingProject(config, mainWindow = null) {
     const id = uuidv4();
     const settings = this.configStore.get('settings', {});
     const existingProjects = this.configStore.get('projects', []);
@@ -95,6 +95,12 @@ module.exports = {
       throw new Error(`A project with the name "${config.name}" already exists.\n\nPlease choose a different name.`);
     }
 
+    try {
+      await this.releaseParkedSite(config.path);
+    } catch (error) {
+      this.managers.log?.systemWarn('Could not release parked site before registering it', { path: config.path, error: error.message });
+    }
+
     const usedPorts = existingProjects.map((project) => project.port);
     let port = settings.portRangeStart || 8000;
     while (usedPorts.includes(port)) {
@@ -108,6 +114,16 @@ module.exports = {
     }
 
     const projectType = config.type || (await this.detectProjectType(config.path));
+    let pythonPort = config.pythonPort || 8000;
+    if (projectType === 'python') {
+      const usedBackendPorts = existingProjects.flatMap((project) => [project.nodePort, project.pythonPort]).filter(Boolean);
+      while (usedBackendPorts.includes(pythonPort)) {
+        pythonPort += 1;
+      }
+    }
+    const pythonFramework = projectType === 'python'
+      ? (config.pythonFramework ?? await this.detectPythonFramework(config.path))
+      : '';
     const defaultTld = settings.defaultTld || 'test';
     const domainName = config.domain || `${config.name.toLowerCase().replace(/[^a-z0-9]/g, '-')}.${defaultTld}`;
     const webServer = config.webServer || settings.webServer || 'nginx';
@@ -141,21 +157,12 @@ module.exports = {
         postgresqlVersion: projectServices.postgresqlVersion || '17',
         mongodb: projectServices.mongodb || false,
         mongodbVersion: projectServices.mongodbVersion || '8.0',
-        python: projectServices.python || false,
+        python: projectType === 'python' ? true : (projectServices.python || false),
         pythonVersion: projectServices.pythonVersion || '3.13',
         memcached: projectServices.memcached || false,
         memcachedVersion: projectServices.memcachedVersion || '1.6',
         minio: projectServices.minio || false,
       },
-      environment: this.getDefaultEnvironment(projectType, config.name, port, {
-        services: {
-          mysql: projectServices.mysql || config.database === 'mysql',
-          mysqlVersion: projectServices.mysqlVersion || '8.4',
-          mariadb: projectServices.mariadb || config.database === 'mariadb',
-          mariadbVersion: projectServices.mariadbVersion || '11.4',
-        },
-        database: config.database,
-      }),
       supervisor: {
         workers: 1,
         processes: [],
@@ -164,10 +171,35 @@ module.exports = {
       nodePort: projectType === 'nodejs' ? (config.nodePort || 3000) : undefined,
       nodeStartCommand: projectType === 'nodejs' ? (config.nodeStartCommand || 'npm start') : undefined,
       nodeFramework: projectType === 'nodejs' ? (config.nodeFramework || '') : undefined,
+      pythonPort: projectType === 'python' ? pythonPort : undefined,
+      pythonStartCommand: projectType === 'python'
+        ? (config.pythonStartCommand || this.getPythonStartCommand(pythonFramework, pythonPort))
+        : undefined,
+      pythonFramework: projectType === 'python' ? pythonFramework : undefined,
       createdAt: new Date().toISOString(),
       lastStarted: null,
     };
 
+    // devbox.json is applied the same way as applyProjectManifest; supervisor processes are merged below
+    const manifest = await this.readProjectManifest(config.path);
+    if (manifest) {
+      const { domains, supervisor, ...manifestUpdates } = this.getProjectUpdatesFromManifest(project, manifest);
+      Object.assign(project, manifestUpdates);
+      if (manifestUpdates.webServer && !manifestUpdates.webServerVersion) {
+        project.webServerVersion = this.getDefaultWebServerVersion(project.webServer);
+      }
+      if (domains) {
+        project.domains = [...new Set([project.domain, ...domains])];
+      }
+      project.manifestHash = this.getManifestHash(manifest);
+    }
+
+    // Built after the manifest so its database and Redis choices end up in .env
+    project.environment = this.getDefaultEnvironment(projectType, config.name, port, {
+      services: project.services,
+      database: config.database,
+    });
+
     this.assertProjectDomainsAvailable(project);
 
     if (project.services.mysql || project.services.mariadb) {
@@ -244,11 +276,53 @@ module.exports = {
       });
     }
 
+    if (project.type === 'python') {
+      project.supervisor.processes.push({
+        name: 'python-app',
+        command: project.pythonStartCommand,
+        autostart: true,
+        autorestart: true,
+        numprocs: 1,
+        environment: {
+          PORT: String(project.pythonPort),
+        },
+      });
+    }
+
+    if (Array.isArray(manifest?.supervisor?.processes)) {
+      project.supervisor.processes = this.mergeManifestSupervisorProcesses(
+        project.supervisor.processes,
+        manifest.supervisor.processes
+      );
+    }
+
     existingProjects.push(project);
     this.configStore.set('projects', existingProjects);
 
+    if (manifest) {
+      const warnings = [
+        ...await this.applyManifestPhpExtensions(project.phpVersion, manifest.phpExtensions),
+        ...await this.createManifestDatabases(project, manifest.databases),
+      ];
+      for (const warning of warnings) {
+        this.managers.log?.project(project.id, warning, 'warning');
+      }
+    }
+
+    this.watchProjectManifest(project);
+
     await this.ensureCliInstalled();
 
+    // Awaited so the project cannot be started before its .venv exists; the folder's own files are never replaced
+    if (project.type === 'python') {
+      try {
+        await this.installPythonFramework(project, mainWindow, { scaffold: false });
+      } catch (error) {
+        this.managers.log?.project(project.id, `Could not set up the Python virtualenv: ${error.message}`, 'error');
+        throw new Error(`${project.name} was imported, but its Python virtualenv could not be set up: ${error.message}`);
+      }
+    }
+
     return project;
   },
 };
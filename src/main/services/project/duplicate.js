@@ -0,0 +1,347 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+// Reinstalled in the copy; .venv also hardcodes the source project's absolute path
+const DEPENDENCY_DIRS = new Set(['node_modules', 'vendor', '.venv']);
+
+// State of the source project that must not carry over to its copy
+const SOURCE_ONLY_KEYS = [
+  'installing',
+  'installError',
+  'needsManualSetup',
+  'cloneConfig',
+  'lastStarted',
+  'manifestHash',
+  'shareOnInternet',
+  'tunnelAutoStart',
+  'updatedAt',
+];
+
+const WP_DB_NAME_PATTERN = /define\(\s*(['"])DB_NAME\1\s*,\s*(['"])([^'"]*)\2\s*\)/;
+
+// Replace whole occurrences only, so `app.test` does not match inside `myapp.test`
+function replaceToken(value, from, to) {
+  if (typeof value !== 'string' || !from || from === to) {
+    return value;
+  }
+
+  const escaped = String(from).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const leading = /^\w/.test(from) ? '(?<![\\w-])' : '';
+  return value.replace(new RegExp(`${leading}${escaped}(?![\\w-])`, 'g'), to);
+}
+
+function nextFreePort(start, usedPorts) {
+  let port = start;
+  while (usedPorts.includes(port)) {
+    port++;
+  }
+  return port;
+}
+
+module.exports = {
+  getProjectDatabaseTarget(project) {
+    const services = project?.services || {};
+    if (services.mariadb) {
+      return { type: 'mariadb', version: services.mariadbVersion || '11.4' };
+    }
+    if (services.mysql) {
+      return { type: 'mysql', version: services.mysqlVersion || '8.4' };
+    }
+    if (services.postgresql) {
+      return { type: 'postgresql', version: services.postgresqlVersion || '17' };
+    }
+    return null;
+  },
+
+  /**
+   * Run database manager calls against the project's database, which they take from the active database.
+   * The active database is a setting of the Databases page, so the user's choice is put back afterwards.
+   * @param {{type: string, version: string}} database - From getProjectDatabaseTarget
+   * @param {Function} task - Async work to run while the project's database is active
+   */
+  async withProjectDatabase(database, task) {
+    const databaseManager = this.managers.database;
+    const previousType = databaseManager.getActiveDatabaseType();
+    const previousVersion = databaseManager.getActiveDatabaseVersion();
+
+    await databaseManager.setActiveDatabaseType(database.type, database.version);
+    try {
+      return await task();
+    } finally {
+      await databaseManager.setActiveDatabaseType(previousType, previousVersion);
+    }
+  },
+
+  async getProjectDatabaseName(project) {
+    if (project.type === 'wordpress') {
+      try {
+        const wpConfig = await fs.readFile(path.join(project.path, 'wp-config.php'), 'utf-8');
+        const match = wpConfig.match(WP_DB_NAME_PATTERN);
+        if (match?.[3]) {
+          return match[3];
+        }
+      } catch {
+        // Fall back to the name DevBox Pro created the database with
+      }
+    }
+
+    return project.environment?.DB_DATABASE || this.sanitizeDatabaseName(project.name);
+  },
+
+  async duplicateProject(id, options = {}, mainWindow = null) {
+    const divider = '-'.repeat(64);
+    const sendOutput = (text, type) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('terminal:output', {
+          projectId: 'duplication',
+          text,
+          type,
+        });
+      }
+    };
+
+    const source = this.getProject(id);
+    if (!source) {
+      throw new Error('Project not found');
+    }
+
+    const name = typeof options.name === 'string' ? options.name.trim() : '';
+    if (!name) {
+      throw new Error('Project name is required.');
+    }
+
+    const targetPath = typeof options.path === 'string' ? options.path.trim() : '';
+    if (!targetPath) {
+      throw new Error('Project path is required.');
+    }
+
+    const projects = this.configStore.get('projects', []);
+    if (this.findProjectByName(projects, name)) {
+      throw new Error(`A project with the name "${name}" already exists.\n\nPlease choose a different name.`);
+    }
+
+    if (this.findProjectByPath(projects, targetPath) || await fs.pathExists(targetPath)) {
+      throw new Error(`Destination path already exists: ${targetPath}`);
+    }
+
+    if (!source.path || !await fs.pathExists(source.path)) {
+      throw new Error(`Source path does not exist: ${source.path}`);
+    }
+
+    const defaultTld = this.configStore.get('settings.defaultTld', 'test');
+    const domain = (options.domain || `${name.toLowerCase().replace(/[^a-z0-9]/g, '-')}.${defaultTld}`).trim().toLowerCase();
+    if (!this.validateDomainName(domain)) {
+      throw new Error(`Invalid domain name: ${domain}`);
+    }
+
+    const settings = this.configStore.get('settings', {});
+    const usedBackendPorts = projects.flatMap((project) => [project.nodePort, project.pythonPort]).filter(Boolean);
+    const project = {
+      ...JSON.parse(JSON.stringify(source)),
+      id: uuidv4(),
+      name,
+      path: targetPath,
+      port: nextFreePort(settings.portRangeStart || 8000, projects.map((entry) => entry.port)),
+      sslPort: nextFreePort(443, projects.map((entry) => entry.sslPort).filter(Boolean)),
+      domain,
+      domains: [domain],
+      autoStart: false,
+      duplicatedFrom: source.id,
+      createdAt: new Date().toISOString(),
+    };
+    for (const key of SOURCE_ONLY_KEYS) {
+      delete project[key];
+    }
+
+    this.assertProjectDomainsAvailable(project);
+
+    // Node.js and Python apps listen on their own port, which is baked into their start commands
+    const backendPortChanges = [];
+    for (const portKey of ['nodePort', 'pythonPort']) {
+      if (source[portKey]) {
+        project[portKey] = nextFreePort(source[portKey] + 1, usedBackendPorts);
+        usedBackendPorts.push(project[portKey]);
+        backendPortChanges.push([String(source[portKey]), String(project[portKey])]);
+      }
+    }
+    for (const commandKey of ['nodeStartCommand', 'pythonStartCommand']) {
+      for (const [from, to] of backendPortChanges) {
+        project[commandKey] = replaceToken(project[commandKey], from, to);
+      }
+    }
+    for (const proc of project.supervisor?.processes || []) {
+      for (const [from, to] of backendPortChanges) {
+        proc.command = replaceToken(proc.command, from, to);
+        if (proc.environment?.PORT) {
+          proc.environment.PORT = replaceToken(proc.environment.PORT, from, to);
+        }
+      }
+    }
+
+    const database = options.cloneDatabase === false ? null : this.getProjectDatabaseTarget(source);
+    const sourceDatabaseName = database ? await this.getProjectDatabaseName(source) : null;
+    const targetDatabaseName = database ? this.sanitizeDatabaseName(name) : null;
+
+    const environment = {};
+    for (const [key, value] of Object.entries(project.environment || {})) {
+      let nextValue = replaceToken(value, source.domain, domain);
+      nextValue = replaceToken(nextValue, sourceDatabaseName, targetDatabaseName);
+      for (const [from, to] of [[`:${source.port}`, `:${project.port}`], ...backendPortChanges]) {
+        nextValue = replaceToken(nextValue, from, to);
+      }
+      environment[key] = nextValue;
+    }
+    if ('APP_NAME' in environment) {
+      environment.APP_NAME = name;
+    }
+    project.environment = environment;
+
+    sendOutput(`Duplicating "${source.name}" as "${name}"...`, 'info');
+
+    // Until the copy is registered, a failure removes what was already created so a retry can start over
+    let databaseCloned = false;
+    let registered = false;
+    try {
+      sendOutput(divider, 'info');
+      sendOutput('Step 1/4: Copying project files...', 'info');
+      sendOutput(`$ copy ${source.path} ${targetPath}`, 'command');
+      try {
+        await fs.ensureDir(path.dirname(targetPath));
+        await fs.copy(source.path, targetPath, {
+          errorOnExist: true,
+          filter: (file) => !options.skipDependencies || !DEPENDENCY_DIRS.has(path.relative(source.path, file)),
+        });
+      } catch (error) {
+        await fs.remove(targetPath).catch(() => {});
+        throw new Error(`Failed to copy project files: ${error.message}`);
+      }
+      sendOutput('Project files copied', 'success');
+      if (options.skipDependencies) {
+        sendOutput('Dependency folders (node_modules, vendor, .venv) were skipped. Reinstall them in the copy.', 'warning');
+      }
+
+      sendOutput(divider, 'info');
+      if (database) {
+        sendOutput(`Step 2/4: Cloning database ${sourceDatabaseName} to ${targetDatabaseName}...`, 'info');
+        try {
+          await this.withProjectDatabase(database, () => this.managers.database.cloneDatabase(sourceDatabaseName, targetDatabaseName, (progress) => {
+            if (progress?.message) {
+              sendOutput(`   ${progress.message}`, 'stdout');
+            }
+          }));
+          databaseCloned = true;
+          sendOutput('Database cloned', 'success');
+        } catch (error) {
+          this.managers.log?.systemWarn('Could not clone database while duplicating project', {
+            project: source.name,
+            database: sourceDatabaseName,
+            error: error.message,
+          });
+          sendOutput(`Warning: Could not clone database: ${error.message}`, 'warning');
+          sendOutput('The copy still points at its own database name. Import a backup into it from the Databases page.', 'info');
+        }
+      } else {
+        sendOutput('Step 2/4: No database to clone, skipping', 'info');
+      }
+
+      sendOutput(divider, 'info');
+      sendOutput('Step 3/4: Updating project configuration...', 'info');
+      if (project.type === 'wordpress') {
+        const rewriteConfig = () => this.rewriteDuplicatedWordPressConfig(project, source, targetDatabaseName);
+        // The site URL is updated with a query on the cloned database
+        await (database ? this.withProjectDatabase(database, rewriteConfig) : rewriteConfig());
+        sendOutput('wp-config.php updated', 'success');
+      } else if (await fs.pathExists(path.join(targetPath, '.env'))) {
+        await this.syncEnvFile(project);
+        sendOutput('.env updated', 'success');
+      }
+
+      sendOutput(divider, 'info');
+      sendOutput(`Step 4/4: Registering ${domain}...`, 'info');
+      if (project.ssl) {
+        try {
+          await this.managers.ssl?.createCertificate(project.domains);
+          sendOutput(`SSL certificate created for ${domain}`, 'success');
+        } catch (error) {
+          this.managers.log?.systemWarn('SSL certificate creation failed for duplicated project — disabling SSL', { project: name, error: error.message });
+          sendOutput(`Warning: Could not create SSL certificate, HTTPS is disabled: ${error.message}`, 'warning');
+          project.ssl = false;
+        }
+      }
+
+      const projectsToSave = this.configStore.get('projects', []);
+      projectsToSave.push(project);
+      this.configStore.set('projects', projectsToSave);
+      registered = true;
+
+      const hostsResult = await this.updateHostsFile(project);
+      if (hostsResult?.success === false) {
+        sendOutput(`Warning: Could not add ${domain} to the hosts file: ${hostsResult.error}`, 'warning');
+      }
+
+      try {
+        await this.createVirtualHost(project);
+      } catch (error) {
+        this.managers.log?.systemWarn('Could not create virtual host for duplicated project', { project: name, error: error.message });
+      }
+
+      this.watchProjectManifest(project);
+      await this.syncCliProjectsFile();
+      this.managers.log?.project(project.id, `Duplicated from ${source.name}`);
+
+      sendOutput(divider, 'info');
+      sendOutput(`"${name}" is ready at ${project.ssl ? 'https' : 'http'}://${domain}`, 'success');
+      sendOutput('', 'complete');
+      return project;
+    } catch (error) {
+      this.managers.log?.systemError('Failed to duplicate project', { project: source.name, error: error.message });
+      if (!registered) {
+        await fs.remove(targetPath).catch(() => {});
+        if (databaseCloned) {
+          try {
+            await this.withProjectDatabase(database, () => this.managers.database.deleteDatabase(targetDatabaseName));
+          } catch (cleanupError) {
+            this.managers.log?.systemWarn('Could not drop the cloned database of a failed duplication', {
+              database: targetDatabaseName,
+              error: cleanupError.message,
+            });
+          }
+        }
+      }
+      sendOutput(`Duplication failed: ${error.message}`, 'error');
+      sendOutput('', 'complete');
+      throw error;
+    }
+  },
+
+  async rewriteDuplicatedWordPressConfig(project, source, databaseName) {
+    const wpConfigPath = path.join(project.path, 'wp-config.php');
+    if (!await fs.pathExists(wpConfigPath)) {
+      return;
+    }
+
+    let wpConfig = await fs.readFile(wpConfigPath, 'utf-8');
+    if (databaseName) {
+      wpConfig = wpConfig.replace(WP_DB_NAME_PATTERN, `define( 'DB_NAME', '${databaseName}' )`);
+    }
+    // Covers WP_HOME / WP_SITEURL when they are pinned in wp-config.php
+    wpConfig = replaceToken(wpConfig, source.domain, project.domain);
+    await fs.writeFile(wpConfigPath, wpConfig);
+
+    if (!databaseName) {
+      return;
+    }
+
+    // WordPress redirects to the siteurl/home options stored in the cloned database
+    const tablePrefix = wpConfig.match(/\$table_prefix\s*=\s*['"](\w+)['"]/)?.[1] || 'wp_';
+    try {
+      await this.managers.database?.runQuery(
+        databaseName,
+        `UPDATE \`${tablePrefix}options\` SET option_value = REPLACE(option_value, '${source.domain}', '${project.domain}') WHERE option_name IN ('siteurl', 'home')`
+      );
+    } catch (error) {
+      this.managers.log?.systemWarn('Could not update WordPress site URL in duplicated database', { project: project.name, error: error.message });
+    }
+  },
+};
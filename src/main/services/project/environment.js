@@ -1,6 +1,32 @@
 const path = require('path');
 const fs = require('fs-extra');
 
+// Project types whose framework reads settings from a .env file in the project root
+const ENV_FILE_PROJECT_TYPES = ['laravel', 'statamic', 'drupal', 'codeigniter4', 'cakephp', 'yii2', 'craftcms', 'slim'];
+// Environment keys getDefaultEnvironment fills with a service port
+const DATABASE_PORT_ENV_KEYS = ['DB_PORT', 'MYSQL_PORT', 'CRAFT_DB_PORT', 'database.default.port'];
+const DATABASE_URL_ENV_KEYS = ['DATABASE_URL', 'DB_DSN'];
+const REDIS_PORT_ENV_KEYS = ['REDIS_PORT'];
+
+// Replaces the port in values that still hold the previous one, so ports edited by hand stay
+function getPortEnvUpdates(environment, change, portKeys, urlKeys = []) {
+  const updates = {};
+  for (const key of portKeys) {
+    if (environment[key] === String(change.previousPort)) {
+      updates[key] = String(change.port);
+    }
+  }
+
+  const urlPortPattern = new RegExp(`(:|port=)${change.previousPort}(?=[/;]|$)`);
+  for (const key of urlKeys) {
+    const value = environment[key];
+    if (typeof value === 'string' && urlPortPattern.test(value)) {
+      updates[key] = value.replace(urlPortPattern, `$1${change.port}`);
+    }
+  }
+  return updates;
+}
+
 module.exports = {
   async initialize() {
     if (!this.configStore.get('projects')) {
@@ -8,7 +34,15 @@ module.exports = {
     }
 
     await this.compatibilityManager.initialize();
+    try {
+      // Started before any vhost is written so every vhost gets the DevBox error page
+      await this.ensureActivationServer();
+    } catch (error) {
+      this.managers.log?.systemWarn('Could not start the DevBox error page handler', { error: error.message });
+    }
     await this.cleanupOrphanedConfigs();
+    this.watchAllProjectManifests();
+    await this.initializeParkedSites();
   },
 
   async cleanupOrphanedConfigs() {
@@ -112,6 +146,10 @@ module.exports = {
     }
   },
 
+  projectUsesEnvFile(project) {
+    return ENV_FILE_PROJECT_TYPES.includes(project?.type);
+  },
+
   async syncEnvFile(project) {
     if (!project.path || !project.environment) {
       return;
@@ -126,7 +164,8 @@ module.exports = {
     let envContent = await fs.readFile(envPath, 'utf-8');
 
     for (const [key, value] of Object.entries(project.environment)) {
-      const regex = new RegExp(`^${key}=.*$`, 'm');
+      // CodeIgniter keys contain dots, so the key is matched literally
+      const regex = new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}=.*$`, 'm');
       const newLine = `${key}=${value}`;
 
       if (regex.test(envContent)) {
@@ -139,6 +178,55 @@ module.exports = {
     await fs.writeFile(envPath, envContent);
   },
 
+  /**
+   * Point project environments and .env files at service versions that moved to another port
+   * @param {Array<{service: string, version: string, previousPort: number, port: number}>} changes
+   * @returns {Promise<string[]>} - Names of the projects that were updated
+   */
+  async syncProjectServicePorts(changes) {
+    const projects = this.configStore.get('projects', []);
+    const updatedProjects = [];
+
+    for (const project of projects) {
+      if (!project.environment) {
+        continue;
+      }
+
+      const database = this.getProjectDatabaseSelection(project);
+      const redisVersion = project.services?.redisVersion || '7.4';
+      let updates = {};
+      for (const change of changes) {
+        if (change.service === database.type && change.version === database.version) {
+          updates = { ...updates, ...getPortEnvUpdates(project.environment, change, DATABASE_PORT_ENV_KEYS, DATABASE_URL_ENV_KEYS) };
+        } else if (change.service === 'redis' && change.version === redisVersion) {
+          updates = { ...updates, ...getPortEnvUpdates(project.environment, change, REDIS_PORT_ENV_KEYS) };
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        continue;
+      }
+
+      project.environment = { ...project.environment, ...updates };
+      updatedProjects.push(project.name);
+
+      if (this.projectUsesEnvFile(project)) {
+        try {
+          // Only the port keys, the rest of .env may have been edited since
+          await this.syncEnvFile({ ...project, environment: updates });
+        } catch (error) {
+          this.managers.log?.systemWarn(`Could not update the ports in the .env file of ${project.name}`, { error: error.message });
+        }
+      }
+    }
+
+    if (updatedProjects.length > 0) {
+      this.configStore.set('projects', projects);
+      this.managers.log?.systemInfo(`Updated service ports in the environment of ${updatedProjects.join(', ')}`);
+    }
+    return updatedProjects;
+  },
+
   async readEnvFile(projectId) {
     const project = this.getProject(projectId);
     if (!project || !project.path) {
@@ -208,6 +296,11 @@ module.exports = {
     return environment;
   },
 
+  getProjectRedisPort(projectConfig = {}) {
+    const redisVersion = projectConfig.services?.redisVersion || '7.4';
+    return this.managers?.service?.getVersionPort?.('redis', redisVersion, 6379) || 6379;
+  },
+
   getDefaultEnvironment(projectType, projectName, port, projectConfig = {}) {
     const baseEnv = {
       APP_ENV: 'local',
@@ -215,7 +308,9 @@ module.exports = {
     };
 
     switch (projectType) {
-      case 'laravel': {
+      // Statamic is a Laravel application and reads the same variables
+      case 'laravel':
+      case 'statamic': {
         const dbConfig = this.getProjectDatabaseConfig({
           name: projectName,
           ...projectConfig,
@@ -236,7 +331,7 @@ module.exports = {
           QUEUE_CONNECTION: 'redis',
           SESSION_DRIVER: 'redis',
           REDIS_HOST: '127.0.0.1',
-          REDIS_PORT: '6379',
+          REDIS_PORT: String(this.getProjectRedisPort(projectConfig)),
           MAIL_MAILER: 'smtp',
           MAIL_HOST: '127.0.0.1',
           MAIL_PORT: '1025',
@@ -262,6 +357,98 @@ module.exports = {
           WP_DEBUG: 'true',
         };
 
+      case 'drupal': {
+        const dbConfig = this.getProjectDatabaseConfig({ name: projectName, ...projectConfig });
+
+        // Variable names used by drupal-composer/drupal-project's .env
+        return {
+          ...baseEnv,
+          MYSQL_HOSTNAME: dbConfig.host,
+          MYSQL_PORT: String(dbConfig.port),
+          MYSQL_DATABASE: dbConfig.database,
+          MYSQL_USER: dbConfig.user,
+          MYSQL_PASSWORD: dbConfig.password,
+          DRUPAL_ENV: 'development',
+        };
+      }
+
+      case 'magento2':
+        return {
+          ...baseEnv,
+          MAGE_MODE: 'developer',
+        };
+
+      case 'codeigniter4': {
+        const dbConfig = this.getProjectDatabaseConfig({ name: projectName, ...projectConfig });
+
+        return {
+          ...baseEnv,
+          CI_ENVIRONMENT: 'development',
+          'app.baseURL': `http://localhost:${port}/`,
+          'database.default.hostname': dbConfig.host,
+          'database.default.port': String(dbConfig.port),
+          'database.default.database': dbConfig.database,
+          'database.default.username': dbConfig.user,
+          'database.default.password': dbConfig.password,
+          'database.default.DBDriver': 'MySQLi',
+        };
+      }
+
+      case 'cakephp': {
+        const dbConfig = this.getProjectDatabaseConfig({ name: projectName, ...projectConfig });
+
+        return {
+          ...baseEnv,
+          APP_NAME: projectName,
+          DEBUG: 'true',
+          DATABASE_URL: `mysql://${encodeURIComponent(dbConfig.user)}:${encodeURIComponent(dbConfig.password)}@${dbConfig.host}:${dbConfig.port}/${encodeURIComponent(dbConfig.database)}`,
+        };
+      }
+
+      case 'yii2': {
+        const dbConfig = this.getProjectDatabaseConfig({ name: projectName, ...projectConfig });
+
+        return {
+          ...baseEnv,
+          YII_DEBUG: 'true',
+          YII_ENV: 'dev',
+          DB_DSN: `mysql:host=${dbConfig.host};port=${dbConfig.port};dbname=${dbConfig.database}`,
+          DB_USERNAME: dbConfig.user,
+          DB_PASSWORD: dbConfig.password,
+        };
+      }
+
+      case 'craftcms': {
+        const dbConfig = this.getProjectDatabaseConfig({ name: projectName, ...projectConfig });
+
+        return {
+          ...baseEnv,
+          CRAFT_ENVIRONMENT: 'dev',
+          CRAFT_DEV_MODE: 'true',
+          CRAFT_SECURITY_KEY: '',
+          CRAFT_DB_DRIVER: 'mysql',
+          CRAFT_DB_SERVER: dbConfig.host,
+          CRAFT_DB_PORT: String(dbConfig.port),
+          CRAFT_DB_DATABASE: dbConfig.database,
+          CRAFT_DB_USER: dbConfig.user,
+          CRAFT_DB_PASSWORD: dbConfig.password,
+          PRIMARY_SITE_URL: `http://localhost:${port}`,
+        };
+      }
+
+      case 'slim': {
+        const dbConfig = this.getProjectDatabaseConfig({ name: projectName, ...projectConfig });
+
+        return {
+          ...baseEnv,
+          DB_HOST: dbConfig.host,
+          DB_PORT: String(dbConfig.port),
+          DB_DATABASE: dbConfig.database,
+          DB_USERNAME: dbConfig.user,
+          DB_PASSWORD: dbConfig.password,
+        };
+      }
+
       default:
         return baseEnv;
     }
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { escapeHtml, renderDevBoxPage } = require('../../utils/DevBoxPageUtils');
+const { DEVBOX_HANDLER_PATH } = require('../../utils/VhostErrorPageUtils');
+
+const ERROR_PAGE_LOG_LINES = 20;
+const ERROR_PAGE_REFRESH_SECONDS = 3;
+const ERROR_PAGE_FORM_LIMIT = 4096;
+// Set by tunnel clients and DevBox's own tunnel proxy with the public visitor, not the web server's client
+const TUNNEL_CLIENT_HEADERS = ['x-forwarded-host', 'cf-connecting-ip', 'true-client-ip', 'forwarded'];
+
+function sendPage(response, statusCode, html) {
+  response.writeHead(statusCode, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  response.end(html);
+}
+
+// Back to the page the visitor was on, which only the browser still knows
+function getReturnPath(request) {
+  try {
+    const referer = new URL(request.headers.referer);
+    return `${referer.pathname}${referer.search}`;
+  } catch {
+    return '/';
+  }
+}
+
+function isLoopbackAddress(address) {
+  const normalized = String(address || '').trim().replace(/^::ffff:/i, '');
+  return normalized === '::1' || /^127\.\d+\.\d+\.\d+$/.test(normalized);
+}
+
+// Only a browser on this machine may see the project log and start or restart the project.
+// The web server appends the client it saw to X-Forwarded-For, so a LAN visitor never passes,
+// and tunnel visitors arrive from loopback but carry the headers of the tunnel client.
+function isLocalRequest(request) {
+  if (!isLoopbackAddress(request.socket?.remoteAddress)) {
+    return false;
+  }
+
+  if (TUNNEL_CLIENT_HEADERS.some((header) => request.headers[header])) {
+    return false;
+  }
+
+  const forwardedFor = request.headers['x-forwarded-for'];
+  return !forwardedFor || forwardedFor.split(',').every(isLoopbackAddress);
+}
+
+function getRequestHostname(value) {
+  try {
+    return new URL(value).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// Oversized bodies are drained and treated as an empty form
+function readFormBody(request) {
+  return new Promise((resolve) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      if (body.length <= ERROR_PAGE_FORM_LIMIT) {
+        body += chunk;
+      }
+    });
+    request.on('end', () => resolve(new URLSearchParams(body.length > ERROR_PAGE_FORM_LIMIT ? '' : body)));
+    request.on('error', () => resolve(new URLSearchParams()));
+  });
+}
+
+module.exports = {
+  /**
+   * Why the web server could not reach the project backend
+   * @returns {'starting'|'stopped'|'restarting'|'crashed'}
+   */
+  getProjectBackendState(id) {
+    if (this.startingProjects?.has(id) || this.activatingProjects?.has(id)) {
+      return 'starting';
+    }
+
+    const running = this.runningProjects.get(id);
+    if (!running) {
+      return 'stopped';
+    }
+
+    return running.phpCgiStatus === 'restarting' ? 'restarting' : 'crashed';
+  },
+
+  // New every app start, so a form from an earlier session or another site cannot post back
+  getErrorPageToken() {
+    if (!this.errorPageToken) {
+      this.errorPageToken = crypto.randomBytes(24).toString('hex');
+    }
+    return this.errorPageToken;
+  },
+
+  isErrorPageTokenValid(token) {
+    const expected = Buffer.from(this.getErrorPageToken());
+    const actual = Buffer.from(String(token || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  },
+
+  // The button posts from one of the project's own domains, anything else is cross-site
+  isErrorPageOriginAllowed(request, project) {
+    const hostname = getRequestHostname(request.headers.origin) || getRequestHostname(request.headers.referer);
+    const allowed = ['localhost', '127.0.0.1', ...this.getProjectDomains(project).map((domain) => domain.toLowerCase())];
+    return Boolean(hostname) && allowed.includes(hostname);
+  },
+
+  /**
+   * @param {Object} project - Project config
+   * @param {Object} [options]
+   * @param {boolean} [options.local=true] - Whether the visitor is on this machine and may see the log and button
+   */
+  async renderProjectErrorPage(project, { local = true } = {}) {
+    const state = this.getProjectBackendState(project.id);
+    const name = escapeHtml(project.name);
+    const descriptions = {
+      starting: `${name} is starting. This page reloads until it is ready.`,
+      stopped: `${name} is stopped.`,
+      restarting: `The PHP worker of ${name} crashed and is being restarted.`,
+      crashed: `${name} is running, but its backend is not answering. It may have crashed.`,
+    };
+    const logLines = local ? await this.managers.log?.getProjectLogs(project.id, ERROR_PAGE_LOG_LINES) || [] : [];
+    const logs = logLines.length > 0
+      ? `\n    <h2>Recent project log</h2>\n    <pre>${escapeHtml(logLines.join('\n'))}</pre>`
+      : '';
+    const action = state === 'stopped' ? 'Start' : 'Restart';
+    const token = escapeHtml(this.getErrorPageToken());
+    const button = state === 'starting' || !local
+      ? ''
+      : `\n    <form method="post" action="${DEVBOX_HANDLER_PATH}start"><input type="hidden" name="token" value="${token}"><button type="submit">${action} ${name}</button></form>`;
+
+    return renderDevBoxPage({
+      title: state === 'starting' ? `Starting ${project.name}…` : `${project.name} is not available`,
+      body: `    <p>${descriptions[state]}</p>${button}${logs}`,
+      refreshSeconds: state === 'starting' || state === 'restarting' ? ERROR_PAGE_REFRESH_SECONDS : 0,
+    });
+  },
+
+  // The error page of a vhost and the start/restart button on it
+  async handleProjectErrorPageRequest(request, response, id, action) {
+    const project = id ? this.getProject(id) : null;
+    if (!project) {
+      sendPage(response, 404, renderDevBoxPage({ title: 'Site not found', body: '    <p>This site is not managed by DevBox Pro.</p>' }));
+      return;
+    }
+
+    const local = isLocalRequest(request);
+
+    if (action === 'start' && request.method === 'POST') {
+      const form = await readFormBody(request);
+      if (!local || !this.isErrorPageOriginAllowed(request, project) || !this.isErrorPageTokenValid(form.get('token'))) {
+        sendPage(response, 403, renderDevBoxPage({
+          title: `${project.name} was not started`,
+          body: '    <p>Projects can only be started from the DevBox error page on the computer running DevBox Pro.</p>',
+        }));
+        return;
+      }
+
+      void this.restartProjectFromErrorPage(project);
+      response.writeHead(303, { Location: getReturnPath(request), 'Cache-Control': 'no-store' });
+      response.end();
+      return;
+    }
+
+    try {
+      sendPage(response, 200, await this.renderProjectErrorPage(project, { local }));
+    } catch (error) {
+      sendPage(response, 500, renderDevBoxPage({ title: `${project.name} is not available`, body: `    <p>${escapeHtml(error.message)}</p>` }));
+    }
+  },
+
+  // Tracked like an on-demand activation so the page reports it as starting until it is done
+  restartProjectFromErrorPage(project) {
+    const id = project.id;
+    if (this.getProjectBackendState(id) === 'starting') {
+      return this.activatingProjects.get(id) || Promise.resolve();
+    }
+
+    const restart = (async () => {
+      if (this.runningProjects.has(id)) {
+        this.managers.log?.project(id, 'Restarting from the error page of the site');
+        await this.stopProject(id);
+      } else {
+        this.managers.log?.project(id, 'Starting from the error page of the site');
+      }
+      await this.startProject(id);
+    })()
+      .catch((error) => {
+        this.managers.log?.project(id, `Could not start from the error page: ${error.message}`, 'error');
+      })
+      .finally(() => {
+        this.activatingProjects.delete(id);
+      });
+    this.activatingProjects.set(id, restart);
+    return restart;
+  },
+};
@@ -0,0 +1,198 @@
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_GROUP_HEALTH_TIMEOUT_SECONDS = 60;
+const GROUP_HEALTH_POLL_INTERVAL_MS = 1000;
+
+module.exports = {
+  getProjectGroups() {
+    return this.configStore.get('projectGroups', []);
+  },
+
+  getProjectGroup(groupId) {
+    return this.getProjectGroups().find((group) => group.id === groupId) || null;
+  },
+
+  normalizeProjectGroup(input = {}, existingId = null) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      throw new Error('Group name is required.');
+    }
+
+    if (this.getProjectGroups().some((group) => group.id !== existingId && group.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`A group named "${name}" already exists.`);
+    }
+
+    const seen = new Set();
+    const members = [];
+    for (const member of Array.isArray(input.members) ? input.members : []) {
+      const projectId = typeof member === 'string' ? member : member?.projectId;
+      if (!projectId || seen.has(projectId)) {
+        continue;
+      }
+      if (!this.getProject(projectId)) {
+        throw new Error(`Project not found: ${projectId}`);
+      }
+
+      seen.add(projectId);
+      members.push({ projectId, waitUntilHealthy: member?.waitUntilHealthy === true });
+    }
+
+    if (members.length === 0) {
+      throw new Error('A group needs at least one project.');
+    }
+
+    const healthTimeout = Number.parseInt(input.healthTimeout, 10);
+
+    return {
+      name,
+      members,
+      healthTimeout: healthTimeout > 0 ? healthTimeout : DEFAULT_GROUP_HEALTH_TIMEOUT_SECONDS,
+    };
+  },
+
+  createProjectGroup(input) {
+    const group = {
+      id: uuidv4(),
+      ...this.normalizeProjectGroup(input),
+      createdAt: new Date().toISOString(),
+    };
+
+    this.configStore.set('projectGroups', [...this.getProjectGroups(), group]);
+    this.emitProjectGroupsChanged();
+    return group;
+  },
+
+  updateProjectGroup(groupId, input) {
+    const groups = this.getProjectGroups();
+    const index = groups.findIndex((group) => group.id === groupId);
+    if (index === -1) {
+      throw new Error('Group not found');
+    }
+
+    groups[index] = {
+      ...groups[index],
+      ...this.normalizeProjectGroup({ ...groups[index], ...input }, groupId),
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.configStore.set('projectGroups', groups);
+    this.emitProjectGroupsChanged();
+    return groups[index];
+  },
+
+  deleteProjectGroup(groupId) {
+    const groups = this.getProjectGroups();
+    if (!groups.some((group) => group.id === groupId)) {
+      throw new Error('Group not found');
+    }
+
+    this.configStore.set('projectGroups', groups.filter((group) => group.id !== groupId));
+    this.emitProjectGroupsChanged();
+    return { success: true };
+  },
+
+  removeProjectFromGroups(projectId) {
+    const groups = this.getProjectGroups();
+    if (!groups.some((group) => group.members.some((member) => member.projectId === projectId))) {
+      return;
+    }
+
+    this.configStore.set('projectGroups', groups
+      .map((group) => ({ ...group, members: group.members.filter((member) => member.projectId !== projectId) }))
+      .filter((group) => group.members.length > 0));
+    this.emitProjectGroupsChanged();
+  },
+
+  setProjectGroupsChangeEmitter(callback) {
+    this.projectGroupsChangeEmitter = typeof callback === 'function' ? callback : null;
+  },
+
+  emitProjectGroupsChanged() {
+    if (typeof this.projectGroupsChangeEmitter === 'function') {
+      this.projectGroupsChangeEmitter(this.getProjectGroups());
+    }
+  },
+
+  async waitForProjectHealthy(projectId, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (this.runningProjects.has(projectId)) {
+      const project = this.getProject(projectId);
+      if (project && await this.checkProjectHealth(project)) {
+        return true;
+      }
+
+      if (Date.now() >= deadline) {
+        return false;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, GROUP_HEALTH_POLL_INTERVAL_MS));
+    }
+
+    return false;
+  },
+
+  async startProjectGroup(groupId) {
+    const group = this.getProjectGroup(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    this.managers.log?.systemInfo(`Starting project group "${group.name}"`);
+    const results = [];
+
+    for (const [index, member] of group.members.entries()) {
+      const project = this.getProject(member.projectId);
+      if (!project) {
+        continue;
+      }
+
+      this.emitProjectStatus({ id: project.id, status: 'starting' });
+      try {
+        await this.startProject(project.id);
+        this.emitProjectStatus({ id: project.id, status: 'running', isRunning: true });
+      } catch (error) {
+        this.emitProjectStatus({ id: project.id, status: 'stopped', isRunning: false });
+        this.managers.log?.systemError('Failed to start project group member', { group: group.name, project: project.name, error: error.message });
+        throw new Error(`Failed to start "${project.name}" in group "${group.name}": ${error.message}`);
+      }
+
+      // Later members depend on this one, so there is nothing to wait for after the last
+      if (member.waitUntilHealthy && index < group.members.length - 1) {
+        this.managers.log?.project(project.id, `Waiting for ${project.name} to become healthy before starting the rest of "${group.name}"`);
+        const healthy = await this.waitForProjectHealthy(project.id, group.healthTimeout * 1000);
+        if (!healthy) {
+          throw new Error(`"${project.name}" did not become healthy within ${group.healthTimeout}s, so the rest of group "${group.name}" was not started.`);
+        }
+      }
+
+      results.push({ id: project.id, success: true });
+    }
+
+    return { success: true, results };
+  },
+
+  async stopProjectGroup(groupId) {
+    const group = this.getProjectGroup(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    this.managers.log?.systemInfo(`Stopping project group "${group.name}"`);
+    const results = [];
+
+    // Reverse start order; stopProject still keeps services that other projects use warm
+    for (const member of [...group.members].reverse()) {
+      try {
+        await this.stopProject(member.projectId);
+        this.emitProjectStatus({ id: member.projectId, status: 'stopped', isRunning: false });
+        results.push({ id: member.projectId, success: true });
+      } catch (error) {
+        this.managers.log?.systemError('Failed to stop project group member', { group: group.name, id: member.projectId, error: error.message });
+        results.push({ id: member.projectId, success: false, error: error.message });
+      }
+    }
+
+    return { success: results.every((result) => result.success), results };
+  },
+};
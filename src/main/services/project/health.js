@@ -0,0 +1,144 @@
+const http = require('http');
+
+const DEFAULT_HEALTH_CHECK_PATH = '/';
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const HEALTH_SNIPPET_LENGTH = 200;
+const HEALTH_BODY_LIMIT_BYTES = 16 * 1024;
+
+// Error pages are mostly markup, the text is what says what went wrong
+function toResponseSnippet(body) {
+  return body
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, HEALTH_SNIPPET_LENGTH);
+}
+
+module.exports = {
+  normalizeHealthCheckPath(value) {
+    const healthPath = typeof value === 'string' ? value.trim() : '';
+    if (!healthPath) {
+      return DEFAULT_HEALTH_CHECK_PATH;
+    }
+    if (!healthPath.startsWith('/') || /\s/.test(healthPath)) {
+      throw new Error(`Invalid health check URL "${healthPath}". Use a path such as /health.`);
+    }
+    return healthPath;
+  },
+
+  /**
+   * Request the project's health URL through its web server, like a browser would.
+   * Anything short of a 5xx counts as healthy, since the request reached the app.
+   * @returns {Promise<{status: string, statusCode: number|null, latencyMs: number, path: string, checkedAt: string, snippet?: string, error?: string}>}
+   */
+  probeProjectHealth(project) {
+    const httpPort = this.getProjectLocalAccessPorts(project)?.httpPort || 80;
+    const healthPath = project.healthCheckPath || DEFAULT_HEALTH_CHECK_PATH;
+    const startedAt = Date.now();
+
+    return new Promise((resolve) => {
+      const finish = (result) => resolve({
+        path: healthPath,
+        latencyMs: Date.now() - startedAt,
+        checkedAt: new Date().toISOString(),
+        ...result,
+      });
+
+      const request = http.get({
+        host: '127.0.0.1',
+        port: httpPort,
+        path: healthPath,
+        headers: {
+          Host: this.getProjectPrimaryDomain(project),
+          'User-Agent': 'DevBoxPro-HealthCheck',
+        },
+      }, (response) => {
+        const statusCode = response.statusCode || 0;
+        if (statusCode > 0 && statusCode < 500) {
+          response.resume();
+          finish({ status: 'healthy', statusCode });
+          return;
+        }
+
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          if (body.length < HEALTH_BODY_LIMIT_BYTES) {
+            body += chunk;
+          }
+        });
+        response.on('end', () => finish({ status: 'unhealthy', statusCode, snippet: toResponseSnippet(body) }));
+        response.on('error', () => finish({ status: 'unhealthy', statusCode, snippet: toResponseSnippet(body) }));
+      });
+
+      request.setTimeout(HEALTH_CHECK_TIMEOUT_MS, () => {
+        request.destroy(new Error(`No response within ${HEALTH_CHECK_TIMEOUT_MS / 1000}s`));
+      });
+      request.on('error', (error) => finish({ status: 'unhealthy', statusCode: null, error: error.message }));
+    });
+  },
+
+  async checkProjectHealth(project) {
+    return (await this.probeProjectHealth(project)).status === 'healthy';
+  },
+
+  getProjectHealth(id) {
+    return this.runningProjects.get(id)?.health || null;
+  },
+
+  async runProjectHealthCheck(id) {
+    const running = this.runningProjects.get(id);
+    const project = this.getProject(id);
+    if (!running || running.stopping || !project) {
+      return null;
+    }
+
+    const health = await this.probeProjectHealth(project);
+    // The project may have been stopped or restarted while the request was in flight
+    if (this.runningProjects.get(id) !== running) {
+      return health;
+    }
+
+    const previousStatus = running.health?.status;
+    running.health = health;
+
+    if (health.status !== previousStatus) {
+      if (health.status === 'unhealthy') {
+        const detail = health.statusCode ? `HTTP ${health.statusCode}` : health.error;
+        this.managers.log?.project(
+          id,
+          `Health check ${health.path} failed: ${detail}${health.snippet ? ` - ${health.snippet}` : ''}`,
+          'error'
+        );
+      } else {
+        this.managers.log?.project(id, `Health check ${health.path} passed: HTTP ${health.statusCode} in ${health.latencyMs}ms`);
+      }
+    }
+
+    this.emitProjectStatus({ id, health });
+    return health;
+  },
+
+  startProjectHealthMonitor(id) {
+    const running = this.runningProjects.get(id);
+    if (!running) {
+      return;
+    }
+
+    this.stopProjectHealthMonitor(running);
+    running.healthTimer = setInterval(() => {
+      void this.runProjectHealthCheck(id);
+    }, HEALTH_CHECK_INTERVAL_MS);
+    running.healthTimer.unref?.();
+    void this.runProjectHealthCheck(id);
+  },
+
+  stopProjectHealthMonitor(running) {
+    if (running?.healthTimer) {
+      clearInterval(running.healthTimer);
+      running.healthTimer = null;
+    }
+  },
+};
@@ -1,6 +1,9 @@
 const path = require('path');
 const fs = require('fs-extra');
 const { getDefaultVersion } = require('../../../shared/serviceConfig');
+const { normalizeVhostSnippets } = require('../../utils/VhostSnippetUtils');
+const { normalizeVhostRoutes } = require('../../utils/VhostRouteUtils');
+const { getPhpFrameworkPreset } = require('../../utils/PhpFrameworkPresets');
 
 const DEFAULT_DATABASE_VERSIONS = {
   mysql: '8.4',
@@ -388,8 +391,13 @@ module.exports = {
       type: project?.type || '',
       port: project?.port || null,
       nodePort: project?.nodePort || null,
+      pythonPort: project?.pythonPort || null,
+      proxyUrl: project?.proxyUrl || '',
+      spaFallback: Boolean(project?.spaFallback),
       webServer,
       webServerVersion: this.getEffectiveWebServerVersion(project, webServer),
+      vhostSnippets: normalizeVhostSnippets(project?.vhostSnippets),
+      routes: normalizeVhostRoutes(project?.routes),
     });
   },
 
@@ -427,6 +435,12 @@ module.exports = {
       id,
       name: project?.name,
       isRunning: !!running,
+      status: running ? (running.phpCgiStatus === 'degraded' ? 'degraded' : 'running') : 'stopped',
+      phpCgi: running?.phpCgiProcess || running?.phpCgiStatus ? {
+        status: running.phpCgiStatus || 'running',
+        restarts: running.phpCgiRestarts || 0,
+        lastExitCode: running.phpCgiLastExitCode ?? null,
+      } : null,
       port: project?.port,
       uptime: running ? Date.now() - running.startedAt.getTime() : null,
       domains: project?.domains,
@@ -464,7 +478,22 @@ module.exports = {
         return path.join(project.path, 'public');
       case 'wordpress':
         return project.path;
+      case 'static': {
+        // Common build output folders, otherwise the project root holds the site
+        const outputDir = ['dist', 'build', 'out'].map((dir) => path.join(project.path, dir)).find((dir) => fs.existsSync(dir));
+        return outputDir || project.path;
+      }
       default: {
+        const preset = getPhpFrameworkPreset(project.type);
+        if (preset) {
+          const presetRoot = path.join(project.path, preset.documentRoot);
+          // Tarball installs (e.g. Drupal without composer) keep index.php in the project root
+          if (preset.documentRoot && !fs.existsSync(presetRoot) && fs.existsSync(path.join(project.path, 'index.php'))) {
+            return project.path;
+          }
+          return presetRoot;
+        }
+
         const publicPath = path.join(project.path, 'public');
         const wwwPath = path.join(project.path, 'www');
         const webPath = path.join(project.path, 'web');
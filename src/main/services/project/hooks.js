@@ -0,0 +1,45 @@
+const { normalizeProjectHooks, getProjectHooksForEvent } = require('../../utils/ProjectHookUtils');
+
+module.exports = {
+  getProjectHooks(id) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    return normalizeProjectHooks(project.hooks);
+  },
+
+  async saveProjectHooks(id, hookInput) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    return this.updateProject(id, { hooks: normalizeProjectHooks(hookInput) });
+  },
+
+  /**
+   * Run the hooks of one lifecycle event in order.
+   * A failing hook only stops the sequence, and fails the caller, when it is marked failOnError.
+   */
+  async runProjectHooks(project, event) {
+    const hooks = getProjectHooksForEvent(project, event);
+    if (hooks.length === 0 || !project.path) {
+      return;
+    }
+
+    this.managers.log?.project(project.id, `Running ${hooks.length} ${event} hook(s)`);
+    for (const hook of hooks) {
+      try {
+        await this.runProjectShellCommand(project, hook.command, { name: event });
+      } catch (error) {
+        if (hook.failOnError) {
+          this.managers.log?.project(project.id, `${event} hook failed: ${error.message}`, 'error');
+          throw new Error(`${event} hook failed: ${error.message}`);
+        }
+        this.managers.log?.project(project.id, `${event} hook failed, continuing: ${error.message}`, 'warning');
+      }
+    }
+  },
+};
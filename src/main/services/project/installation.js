@@ -3,6 +3,7 @@ const installationFlow = require('./installation/flow');
 const installationLaravel = require('./installation/laravel');
 const installationNodeFramework = require('./installation/nodeFramework');
 const installationPostClone = require('./installation/postClone');
+const installationPythonFramework = require('./installation/pythonFramework');
 const installationSymfony = require('./installation/symfony');
 const installationWordPress = require('./installation/wordpress');
 
@@ -13,6 +14,7 @@ module.exports = Object.assign(
   installationLaravel,
   installationNodeFramework,
   installationPostClone,
+  installationPythonFramework,
   installationSymfony,
   installationWordPress,
 );
\ No newline at end of file
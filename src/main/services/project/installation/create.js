@@ -1,13 +1,25 @@
 const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
+const {
+  isBackendProxyProject,
+  isExternalProxyProject,
+  isStaticSiteProject,
+  normalizeProxyUpstreamUrl,
+} = require('../../../utils/ProjectTypeUtils');
+const { normalizeProjectHooks } = require('../../../utils/ProjectHookUtils');
 
 module.exports = {
-  async createProject(config, mainWindow = null) {
+  async createProject(projectConfig, mainWindow = null) {
+    const { config, template } = projectConfig?.templateId
+      ? this.resolveTemplateProjectConfig(projectConfig)
+      : { config: projectConfig, template: null };
     const settings = this.configStore.get('settings', {});
     const existingProjects = this.configStore.get('projects', []);
+    // Reverse proxies only forward to an app that runs elsewhere, so they have no folder of their own
+    const isExternalProxy = isExternalProxyProject(config);
 
-    if (!config.path || typeof config.path !== 'string' || !config.path.trim()) {
+    if (!isExternalProxy && (!config.path || typeof config.path !== 'string' || !config.path.trim())) {
       throw new Error('Project path is required. Please go back to the Details step and enter a valid project path.');
     }
 
@@ -15,6 +27,8 @@ module.exports = {
       throw new Error('Project name is required.');
     }
 
+    const proxyUrl = isExternalProxy ? normalizeProxyUpstreamUrl(config.proxyUrl) : undefined;
+
     const existingProject = this.findProjectByPath(existingProjects, config.path);
     if (existingProject) {
       if (existingProject.installing || existingProject.installError) {
@@ -54,12 +68,19 @@ module.exports = {
     const resourcePath = this.getResourcesPath();
     const platform = process.platform === 'win32' ? 'win' : process.platform === 'darwin' ? 'mac' : 'linux';
 
-    if (projectType !== 'nodejs') {
+    const isPlaywright = process.env.PLAYWRIGHT_TEST === 'true';
+    if (projectType === 'python') {
+      const pythonVersion = config.services?.pythonVersion || '3.13';
+      const pythonExe = platform === 'win' ? 'python.exe' : path.join('bin', 'python3');
+
+      if (!isPlaywright && !await fs.pathExists(path.join(resourcePath, 'python', pythonVersion, platform, pythonExe))) {
+        throw new Error(`Python ${pythonVersion} is not installed. Please download it from the Binary Manager before creating a project.`);
+      }
+    } else if (!isBackendProxyProject({ type: projectType }) && !isStaticSiteProject({ type: projectType })) {
       const phpVersion = config.phpVersion || '8.3';
       const phpDir = path.join(resourcePath, 'php', phpVersion, platform);
       const phpExe = platform === 'win' ? 'php.exe' : 'php';
       const phpCgiExe = platform === 'win' ? 'php-cgi.exe' : 'php-cgi';
-      const isPlaywright = process.env.PLAYWRIGHT_TEST === 'true';
 
       if (!isPlaywright && (!await fs.pathExists(path.join(phpDir, phpExe)) || !await fs.pathExists(path.join(phpDir, phpCgiExe)))) {
         throw new Error(`PHP ${phpVersion} is not installed. Please download it from the Binary Manager before creating a project.`);
@@ -87,6 +108,17 @@ module.exports = {
       }
     }
 
+    let pythonPort = config.pythonPort || 8000;
+    if (projectType === 'python') {
+      const usedBackendPorts = currentProjects.flatMap((project) => [project.nodePort, project.pythonPort]).filter(Boolean);
+      while (usedBackendPorts.includes(pythonPort)) {
+        pythonPort++;
+      }
+    }
+    const pythonFramework = projectType === 'python'
+      ? (config.pythonFramework ?? await this.detectPythonFramework(config.path))
+      : '';
+
     const webServer = config.webServer || settings.webServer || 'nginx';
     let defaultWebServerVersion = this.getDefaultWebServerVersion(webServer);
     const webServerDir = path.join(resourcePath, webServer);
@@ -115,17 +147,23 @@ module.exports = {
       postgresqlVersion: config.services?.postgresqlVersion || '17',
       mongodb: config.services?.mongodb || false,
       mongodbVersion: config.services?.mongodbVersion || '8.0',
-      python: config.services?.python || false,
+      python: projectType === 'python' ? true : (config.services?.python || false),
       pythonVersion: config.services?.pythonVersion || '3.13',
       memcached: config.services?.memcached || false,
       memcachedVersion: config.services?.memcachedVersion || '1.6',
       minio: config.services?.minio || false,
     };
+    if (isExternalProxy) {
+      // Only the web server runs for a reverse proxy
+      for (const [key, value] of Object.entries(projectServices)) {
+        if (typeof value === 'boolean') projectServices[key] = false;
+      }
+    }
 
     const project = {
       id,
       name: config.name,
-      path: config.path,
+      path: isExternalProxy ? '' : config.path,
       type: projectType,
       phpVersion: config.phpVersion || '8.3',
       webServer,
@@ -145,6 +183,15 @@ module.exports = {
       nodePort: projectType === 'nodejs' ? nodePort : undefined,
       nodeStartCommand: projectType === 'nodejs' ? (config.nodeStartCommand || 'npm start') : undefined,
       nodeFramework: projectType === 'nodejs' ? (config.nodeFramework || '') : undefined,
+      pythonPort: projectType === 'python' ? pythonPort : undefined,
+      pythonStartCommand: projectType === 'python'
+        ? (config.pythonStartCommand || this.getPythonStartCommand(pythonFramework, pythonPort))
+        : undefined,
+      pythonFramework: projectType === 'python' ? pythonFramework : undefined,
+      proxyUrl,
+      spaFallback: projectType === 'static' ? config.spaFallback === true : undefined,
+      buildCommand: projectType === 'static' ? (config.buildCommand || '').trim() : undefined,
+      hooks: normalizeProjectHooks(config.hooks),
       createdAt: new Date().toISOString(),
       lastStarted: null,
       compatibilityWarningsAcknowledged: config.compatibilityWarningsAcknowledged || false,
@@ -248,7 +295,27 @@ module.exports = {
       });
     }
 
-    const shouldInstall = config.installFresh || config.projectSource === 'clone' || projectType === 'nodejs';
+    if (project.type === 'python') {
+      project.supervisor.processes.push({
+        name: 'python-app',
+        command: project.pythonStartCommand,
+        autostart: true,
+        autorestart: true,
+        numprocs: 1,
+        environment: {
+          PORT: String(project.pythonPort),
+        },
+      });
+    }
+
+    if (template) {
+      this.applyProjectTemplate(project, template);
+    }
+
+    // Python projects always need their virtualenv and dependencies set up
+    const shouldInstall = config.installFresh
+      || config.projectSource === 'clone'
+      || (isBackendProxyProject(project) && !isExternalProxy);
     if (shouldInstall) {
       project.installing = true;
       project.cloneConfig = config.projectSource === 'clone'
@@ -270,6 +337,11 @@ module.exports = {
       this.runInstallation(project, mainWindow).catch((error) => {
         this.managers.log?.systemError('Background installation failed', { project: project.name, error: error.message });
       });
+    } else {
+      // Installations run these themselves once the project files exist
+      this.runProjectHooks(project, 'post-create').catch((error) => {
+        this.managers.log?.systemWarn('Post-create hooks failed', { project: project.name, error: error.message });
+      });
     }
 
     return project;
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const { spawn } = require('child_process');
 const path = require('path');
+const { getProjectHooksForEvent } = require('../../../utils/ProjectHookUtils');
 
 module.exports = {
   async runInstallation(project, mainWindow) {
@@ -50,6 +51,9 @@ module.exports = {
           await this.runPostCloneLaravelSetup(project, mainWindow);
         } else if (project.type === 'nodejs') {
           await this.runPostCloneNodeSetup(project, mainWindow);
+        } else if (project.type === 'python') {
+          await this.applyDetectedPythonFramework(project);
+          await this.installPythonFramework(project, mainWindow);
         }
       } else if (project.type === 'laravel') {
         if (await fs.pathExists(project.path)) {
@@ -84,6 +88,8 @@ module.exports = {
         await this.installSymfony(project, mainWindow);
       } else if (project.type === 'nodejs') {
         await this.installNodeFramework(project, mainWindow);
+      } else if (project.type === 'python') {
+        await this.installPythonFramework(project, mainWindow);
       }
 
       try {
@@ -131,6 +137,12 @@ module.exports = {
         }
       }
 
+      if (getProjectHooksForEvent(project, 'post-create').length > 0) {
+        sendOutput('Running post-create hooks (output in the project log)...', 'info');
+        await this.runProjectHooks(project, 'post-create');
+        sendOutput('Post-create hooks finished', 'success');
+      }
+
       project.installing = false;
       this.updateProjectInStore(project);
 
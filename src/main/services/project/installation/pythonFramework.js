@@ -0,0 +1,255 @@
+const path = require('path');
+const fs = require('fs-extra');
+const childProcess = require('child_process');
+
+const PYTHON_FRAMEWORKS = {
+  django: { name: 'Django', packages: ['django'] },
+  flask: { name: 'Flask', packages: ['flask'] },
+  fastapi: { name: 'FastAPI', packages: ['fastapi', 'uvicorn[standard]'] },
+};
+
+module.exports = {
+  getPythonFrameworkPreset(framework) {
+    const preset = PYTHON_FRAMEWORKS[framework];
+    if (!preset) {
+      return null;
+    }
+
+    // gunicorn does not run on Windows, so Flask falls back to its own dev server there
+    const packages = framework === 'flask' && process.platform !== 'win32'
+      ? [...preset.packages, 'gunicorn']
+      : preset.packages;
+
+    return { id: framework, name: preset.name, packages };
+  },
+
+  getPythonStartCommand(framework, port) {
+    switch (framework) {
+      case 'django':
+        return `python manage.py runserver 127.0.0.1:${port}`;
+      case 'fastapi':
+        return `python -m uvicorn main:app --host 127.0.0.1 --port ${port} --reload`;
+      case 'flask':
+        return process.platform === 'win32'
+          ? `python -m flask --app app run --host 127.0.0.1 --port ${port} --debug`
+          : `python -m gunicorn --bind 127.0.0.1:${port} --reload app:app`;
+      default:
+        return 'python app.py';
+    }
+  },
+
+  async detectPythonFramework(projectPath) {
+    if (await fs.pathExists(path.join(projectPath, 'manage.py'))) {
+      return 'django';
+    }
+
+    let dependencies = '';
+    for (const file of ['requirements.txt', 'pyproject.toml']) {
+      const filePath = path.join(projectPath, file);
+      if (await fs.pathExists(filePath)) {
+        dependencies += `${await fs.readFile(filePath, 'utf8')}\n`;
+      }
+    }
+
+    const normalized = dependencies.toLowerCase();
+    for (const framework of ['django', 'fastapi', 'flask']) {
+      if (new RegExp(`(^|[^a-z0-9_-])${framework}([^a-z0-9_-]|$)`, 'm').test(normalized)) {
+        return framework;
+      }
+    }
+
+    return '';
+  },
+
+  // Cloned repositories are only readable after project creation, so the framework is detected afterwards
+  async applyDetectedPythonFramework(project) {
+    if (project.pythonFramework) {
+      return;
+    }
+
+    const framework = await this.detectPythonFramework(project.path);
+    if (!framework) {
+      return;
+    }
+
+    const defaultCommand = this.getPythonStartCommand('', project.pythonPort);
+    project.pythonFramework = framework;
+    if (project.pythonStartCommand === defaultCommand) {
+      project.pythonStartCommand = this.getPythonStartCommand(framework, project.pythonPort);
+      const appProcess = project.supervisor?.processes?.find((proc) => proc.name === 'python-app');
+      if (appProcess) {
+        appProcess.command = project.pythonStartCommand;
+      }
+    }
+  },
+
+  getProjectVenvDir(project) {
+    return path.join(project.path, '.venv');
+  },
+
+  getProjectVenvPythonPath(project) {
+    const venvDir = this.getProjectVenvDir(project);
+    return process.platform === 'win32'
+      ? path.join(venvDir, 'Scripts', 'python.exe')
+      : path.join(venvDir, 'bin', 'python');
+  },
+
+  /**
+   * @param {Object} project - Project config
+   * @param {Object} [mainWindow] - Window that gets the installation output
+   * @param {Object} [options]
+   * @param {boolean} [options.scaffold=true] - Create a starter app in a folder without one; off for imported folders
+   */
+  async installPythonFramework(project, mainWindow = null, { scaffold: allowScaffold = true } = {}) {
+    const divider = '-'.repeat(64);
+    const projectPath = project.path;
+    const pythonVersion = project.services?.pythonVersion || '3.13';
+    const platform = process.platform === 'win32' ? 'win' : process.platform === 'darwin' ? 'mac' : 'linux';
+    const pythonDir = path.join(this.getResourcesPath(), 'python', pythonVersion, platform);
+    const pythonPath = process.platform === 'win32'
+      ? path.join(pythonDir, 'python.exe')
+      : path.join(pythonDir, 'bin', 'python3');
+    const venvDir = this.getProjectVenvDir(project);
+    const venvPython = this.getProjectVenvPythonPath(project);
+    const preset = this.getPythonFrameworkPreset(project.pythonFramework);
+
+    const onOutput = (text, type) => {
+      const cleanText = text.toString().replace(/\r\n/g, '\n').trim();
+      if (!cleanText) {
+        return;
+      }
+
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        try {
+          mainWindow.webContents.send('terminal:output', {
+            projectId: 'installation',
+            text: cleanText,
+            type,
+          });
+        } catch (err) {
+          // Ignore send errors.
+        }
+      }
+    };
+
+    const runCmd = (command, args, label) => new Promise((resolve, reject) => {
+      onOutput(`$ ${label || [command, ...args].join(' ')}`, 'command');
+      const proc = childProcess.spawn(command, args, {
+        cwd: projectPath,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: true,
+        env: { ...process.env, PYTHONUNBUFFERED: '1' },
+      });
+      proc.stdout.on('data', (data) => onOutput(data.toString(), 'stdout'));
+      proc.stderr.on('data', (data) => onOutput(data.toString(), 'stderr'));
+      proc.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Command exited with code ${code}`));
+        }
+      });
+      proc.on('error', (err) => reject(err));
+    });
+
+    if (!await fs.pathExists(pythonPath)) {
+      throw new Error(`Python ${pythonVersion} is not installed. Please download it from the Binary Manager.`);
+    }
+
+    await fs.ensureDir(projectPath);
+
+    onOutput(divider, 'info');
+    onOutput(`Setting up ${preset?.name || 'Python'} project with Python ${pythonVersion}...`, 'info');
+    onOutput(divider, 'info');
+
+    try {
+      if (!await fs.pathExists(venvPython)) {
+        try {
+          await runCmd(pythonPath, ['-m', 'venv', venvDir], 'python -m venv .venv');
+        } catch {
+          // Embeddable Python builds ship without the venv module
+          onOutput('The venv module is unavailable, falling back to virtualenv', 'warning');
+          await runCmd(pythonPath, ['-m', 'pip', 'install', 'virtualenv'], 'pip install virtualenv');
+          await runCmd(pythonPath, ['-m', 'virtualenv', venvDir], 'python -m virtualenv .venv');
+        }
+      }
+
+      const requirementsPath = path.join(projectPath, 'requirements.txt');
+      const hasRequirements = await fs.pathExists(requirementsPath);
+      const hasPyproject = await fs.pathExists(path.join(projectPath, 'pyproject.toml'));
+      let hasEntryPoint = false;
+      for (const entryPoint of ['manage.py', 'app.py', 'main.py']) {
+        hasEntryPoint = hasEntryPoint || await fs.pathExists(path.join(projectPath, entryPoint));
+      }
+      const scaffold = allowScaffold && !hasRequirements && !hasPyproject && !hasEntryPoint;
+      if (!allowScaffold && !hasRequirements && !hasPyproject) {
+        onOutput('No requirements.txt or pyproject.toml found, install the dependencies into .venv yourself', 'warning');
+      }
+
+      if (scaffold && preset) {
+        await fs.writeFile(requirementsPath, `${preset.packages.join('\n')}\n`);
+        onOutput(`Created requirements.txt for ${preset.name}`, 'success');
+      }
+
+      if (hasRequirements || (scaffold && preset)) {
+        await runCmd(venvPython, ['-m', 'pip', 'install', '-r', 'requirements.txt'], 'pip install -r requirements.txt');
+      } else if (hasPyproject) {
+        await runCmd(venvPython, ['-m', 'pip', 'install', '-e', '.'], 'pip install -e .');
+      }
+
+      if (scaffold) {
+        await this.scaffoldPythonFramework(project, venvPython, runCmd);
+        onOutput(`${preset?.name || 'Python'} project scaffolded successfully!`, 'success');
+      }
+
+      onOutput('Python environment ready', 'success');
+    } catch (error) {
+      this.managers.log?.systemError('[installPythonFramework] Python setup error', { framework: project.pythonFramework, error: error.message });
+      onOutput(`Python setup error: ${error.message}`, 'error');
+      throw error;
+    }
+  },
+
+  async scaffoldPythonFramework(project, venvPython, runCmd) {
+    switch (project.pythonFramework) {
+      case 'django': {
+        await runCmd(venvPython, ['-m', 'django', 'startproject', 'config', '.'], 'python -m django startproject config .');
+
+        // Django rejects proxied requests for hosts it does not know about
+        const settingsPath = path.join(project.path, 'config', 'settings.py');
+        if (await fs.pathExists(settingsPath)) {
+          const domains = project.domains?.length ? project.domains : [project.domain];
+          const hosts = [...domains, 'localhost', '127.0.0.1'].map((host) => `'${host}'`).join(', ');
+          const origins = domains.flatMap((domain) => [`'http://${domain}'`, `'https://${domain}'`]).join(', ');
+          const settings = await fs.readFile(settingsPath, 'utf8');
+          await fs.writeFile(
+            settingsPath,
+            settings.replace(/^ALLOWED_HOSTS = \[\]$/m, `ALLOWED_HOSTS = [${hosts}]\n\nCSRF_TRUSTED_ORIGINS = [${origins}]`)
+          );
+        }
+        break;
+      }
+
+      case 'flask':
+        await fs.writeFile(
+          path.join(project.path, 'app.py'),
+          `from flask import Flask\n\napp = Flask(__name__)\n\n\n@app.route('/')\ndef index():\n    return 'Hello from Flask!'\n`
+        );
+        break;
+
+      case 'fastapi':
+        await fs.writeFile(
+          path.join(project.path, 'main.py'),
+          `from fastapi import FastAPI\n\napp = FastAPI()\n\n\n@app.get('/')\ndef index():\n    return {'message': 'Hello from FastAPI!'}\n`
+        );
+        break;
+
+      default:
+        await fs.writeFile(
+          path.join(project.path, 'app.py'),
+          `import os\nfrom http.server import BaseHTTPRequestHandler, HTTPServer\n\n\nclass Handler(BaseHTTPRequestHandler):\n    def do_GET(self):\n        self.send_response(200)\n        self.send_header('Content-Type', 'text/plain')\n        self.end_headers()\n        self.wfile.write(b'Hello from Python!')\n\n\nHTTPServer(('127.0.0.1', int(os.environ.get('PORT', 8000))), Handler).serve_forever()\n`
+        );
+        break;
+    }
+  },
+};
@@ -2,6 +2,7 @@ const path = require('path');
 const fs = require('fs-extra');
 const { spawn } = require('child_process');
 const { isPortAvailable, findAvailablePort } = require('../../utils/PortUtils');
+const { isBackendProxyProject, isStaticSiteProject, getProjectBackendTarget } = require('../../utils/ProjectTypeUtils');
 
 const SERVICE_STOP_GRACE_PERIOD_MS = 15000;
 
@@ -60,10 +61,17 @@ module.exports = {
         elysia: 'Elysia',
       };
       this.managers.log?.project(id, `Type: nodejs, Node.js: v${project.services?.nodejsVersion || '20'}${project.nodeFramework ? `, Framework: ${frameworkNames[project.nodeFramework] || project.nodeFramework}` : ''}, Web Server: ${project.webServer}`);
+    } else if (project.type === 'python') {
+      const frameworkName = this.getPythonFrameworkPreset(project.pythonFramework)?.name;
+      this.managers.log?.project(id, `Type: python, Python: ${project.services?.pythonVersion || '3.13'}${frameworkName ? `, Framework: ${frameworkName}` : ''}, Web Server: ${project.webServer}`);
+    } else if (project.type === 'proxy') {
+      this.managers.log?.project(id, `Type: proxy, Upstream: ${project.proxyUrl}, Web Server: ${project.webServer}`);
+    } else if (project.type === 'static') {
+      this.managers.log?.project(id, `Type: static, SPA fallback: ${project.spaFallback ? 'on' : 'off'}, Web Server: ${project.webServer}`);
     } else {
       this.managers.log?.project(id, `Type: ${project.type}, PHP: ${project.phpVersion}, Web Server: ${project.webServer}`);
     }
-    this.managers.log?.project(id, `Domain: ${project.domain}, Path: ${project.path}`);
+    this.managers.log?.project(id, `Domain: ${project.domain}, Path: ${project.path || '(none)'}`);
 
     let registeredRunningProjectEarly = false;
     let deferFrontDoorProxySync = false;
@@ -91,15 +99,26 @@ module.exports = {
         throw new Error(missingErrorMsg);
       }
 
-      const phpFpmPort = project.type !== 'nodejs' ? this.getPhpFpmPort(project) : 0;
-      const nodeBackendPort = project.nodePort || 3000;
+      await this.runProjectHooks(project, 'pre-start');
+
+      // Built before the vhost is written so the output folder exists when it is resolved
+      if (isStaticSiteProject(project) && project.buildCommand?.trim()) {
+        this.managers.log?.project(id, 'Building static site');
+        await this.runProjectCommand(project, project.buildCommand.trim(), { name: 'build' });
+      }
+
+      const usesBackendProxy = isBackendProxyProject(project);
+      const usesPhp = !usesBackendProxy && !isStaticSiteProject(project);
+      const phpFpmPort = usesPhp ? this.getPhpFpmPort(project) : 0;
+      const usesPhpFpm = usesPhp && Boolean(await this.getPhpFpmBinaryPath(project.phpVersion || '8.3'));
+      const backendTarget = getProjectBackendTarget(project);
       const targetVersion = webServerVersion;
       const webServerAlreadyRunning = this.managers.service?.isVersionRunning(webServer, webServerVersion);
 
       if (webServerAlreadyRunning) {
         if (webServer === 'nginx') {
-          if (project.type === 'nodejs') {
-            await this.createProxyNginxVhost(project, nodeBackendPort, targetVersion);
+          if (usesBackendProxy) {
+            await this.createProxyNginxVhost(project, backendTarget, targetVersion);
           } else {
             await this.createNginxVhost(project, phpFpmPort || undefined, targetVersion);
           }
@@ -110,8 +129,8 @@ module.exports = {
             this.managers.log?.systemWarn('Could not reload/restart nginx', { error: error.message });
           }
         } else if (webServer === 'apache') {
-          const vhostResult = project.type === 'nodejs'
-            ? await this.createProxyApacheVhost(project, nodeBackendPort, targetVersion)
+          const vhostResult = usesBackendProxy
+            ? await this.createProxyApacheVhost(project, backendTarget, targetVersion)
             : await this.createApacheVhost(project, targetVersion);
           await this.regenerateAllApacheVhosts(id, webServerVersion);
           await this.ensureApacheListenConfig(project, vhostResult, targetVersion);
@@ -146,15 +165,15 @@ module.exports = {
         this.managers.log?.project(id, `Web server started on ports HTTP=${actualPorts?.httpPort}, HTTPS=${actualPorts?.sslPort}. Creating vhost config.`);
 
         if (webServer === 'nginx') {
-          if (project.type === 'nodejs') {
-            await this.createProxyNginxVhost(project, nodeBackendPort, targetVersion);
+          if (usesBackendProxy) {
+            await this.createProxyNginxVhost(project, backendTarget, targetVersion);
           } else {
             await this.createNginxVhost(project, phpFpmPort || undefined, targetVersion);
           }
           await this.regenerateAllNginxVhosts(id, webServerVersion);
         } else if (webServer === 'apache') {
-          if (project.type === 'nodejs') {
-            await this.createProxyApacheVhost(project, nodeBackendPort, targetVersion);
+          if (usesBackendProxy) {
+            await this.createProxyApacheVhost(project, backendTarget, targetVersion);
           } else {
             await this.createApacheVhost(project, targetVersion);
           }
@@ -207,7 +226,8 @@ module.exports = {
       let phpCgiProcess = null;
       let actualPhpFpmPort = phpFpmPort;
 
-      if (webServer === 'nginx' && project.type !== 'nodejs') {
+      // Apache runs PHP through CGI actions unless a PHP-FPM pool can serve it over FastCGI
+      if (usesPhp && (webServer === 'nginx' || usesPhpFpm)) {
         const phpCgiResult = await this.startPhpCgi(project, phpFpmPort);
         phpCgiProcess = phpCgiResult.process;
         actualPhpFpmPort = phpCgiResult.port;
@@ -218,7 +238,11 @@ module.exports = {
           if (webServerAlreadyRunning) {
             this.managers.log?.project(id, `Reloading ${webServer} after PHP-CGI moved to port ${actualPhpFpmPort}`);
             try {
-              await this.managers.service?.reloadNginx(targetVersion);
+              if (webServer === 'apache') {
+                await this.managers.service?.reloadApache(targetVersion);
+              } else {
+                await this.managers.service?.reloadNginx(targetVersion);
+              }
             } catch (error) {
               this.managers.log?.systemWarn(`Could not reload ${webServer} after PHP-CGI port update`, { error: error.message });
             }
@@ -265,6 +289,14 @@ module.exports = {
 
       await this.updateHostsFile(project);
 
+      try {
+        await this.runProjectHooks(project, 'post-start');
+      } catch (error) {
+        // The project is fully up by now, so a required hook has to take it down again
+        await this.stopProject(id);
+        throw error;
+      }
+
       const projects = this.configStore.get('projects', []);
       const index = projects.findIndex((entry) => entry.id === id);
       if (index !== -1) {
@@ -273,8 +305,16 @@ module.exports = {
       }
 
       this.managers.log?.project(id, `Project ${project.name} started successfully`);
+      this.startProjectHealthMonitor(id);
+      this.startProjectIdleMonitor(id);
       if (project.type === 'nodejs') {
         this.managers.log?.project(id, `Node.js app proxied via port ${project.nodePort || 3000}`);
+      } else if (project.type === 'python') {
+        this.managers.log?.project(id, `Python app proxied via port ${backendTarget}`);
+      } else if (project.type === 'proxy') {
+        this.managers.log?.project(id, `Proxying to ${backendTarget}`);
+      } else if (project.type === 'static') {
+        this.managers.log?.project(id, `Serving static files from ${this.getDocumentRoot(project)}`);
       } else if (actualPhpFpmPort) {
         this.managers.log?.project(id, `PHP-CGI running on port ${actualPhpFpmPort}`);
       }
@@ -300,14 +340,29 @@ module.exports = {
     const resourcePath = this.getResourcesPath();
     const platform = process.platform === 'win32' ? 'win' : process.platform === 'darwin' ? 'mac' : 'linux';
 
-    const phpVersion = project.phpVersion || '8.3';
-    const phpExe = platform === 'win' ? 'php.exe' : 'php';
-    const phpCgiExe = platform === 'win' ? 'php-cgi.exe' : 'php-cgi';
-    const phpPath = path.join(resourcePath, 'php', phpVersion, platform);
-    const phpExists = await fs.pathExists(path.join(phpPath, phpExe));
-    const phpCgiExists = await fs.pathExists(path.join(phpPath, phpCgiExe));
-    if (!phpExists || !phpCgiExists) {
-      missing.push(`PHP ${phpVersion}`);
+    if (project.type === 'python') {
+      const pythonVersion = project.services?.pythonVersion || '3.13';
+      const pythonExe = platform === 'win' ? 'python.exe' : path.join('bin', 'python3');
+      if (!await fs.pathExists(path.join(resourcePath, 'python', pythonVersion, platform, pythonExe))) {
+        missing.push(`Python ${pythonVersion}`);
+      }
+    } else if (project.type === 'static') {
+      // Only the build step needs a runtime
+      const nodejsVersion = project.services?.nodejsVersion || '20';
+      if (project.buildCommand?.trim() && !await fs.pathExists(path.join(resourcePath, 'nodejs', nodejsVersion, platform))) {
+        missing.push(`Node.js ${nodejsVersion}`);
+      }
+    } else if (project.type !== 'proxy') {
+      const phpVersion = project.phpVersion || '8.3';
+      const phpExe = platform === 'win' ? 'php.exe' : 'php';
+      const phpCgiExe = platform === 'win' ? 'php-cgi.exe' : 'php-cgi';
+      const phpPath = path.join(resourcePath, 'php', phpVersion, platform);
+      const phpExists = await fs.pathExists(path.join(phpPath, phpExe));
+      const phpCgiExists = await fs.pathExists(path.join(phpPath, phpCgiExe))
+        || Boolean(await this.getPhpFpmBinaryPath(phpVersion));
+      if (!phpExists || !phpCgiExists) {
+        missing.push(`PHP ${phpVersion}`);
+      }
     }
 
     const webServer = project.webServer || 'nginx';
@@ -388,7 +443,8 @@ module.exports = {
       throw new Error(`PHP ${phpVersion} is not installed at:\n${phpPath}\n\nPlease install PHP ${phpVersion} from the Binary Manager.`);
     }
 
-    if (!await fs.pathExists(phpCgiPath)) {
+    const phpFpmPath = await this.getPhpFpmBinaryPath(phpVersion);
+    if (!phpFpmPath && !await fs.pathExists(phpCgiPath)) {
       throw new Error(`PHP-CGI not found for PHP ${phpVersion} at:\n${phpCgiPath}\n\nThe PHP installation may be incomplete. Please reinstall PHP ${phpVersion} from the Binary Manager.`);
     }
 
@@ -400,31 +456,47 @@ module.exports = {
       }
     }
 
-    const phpCgiProcess = spawnHidden(phpCgiPath, ['-b', `127.0.0.1:${actualPort}`], {
-      cwd: project.path,
-      env: {
-        ...process.env,
-        ...project.environment,
-        PHP_FCGI_MAX_REQUESTS: '0',
-        PHP_FCGI_CHILDREN: '4',
-      },
-      stdio: ['ignore', 'pipe', 'pipe'],
-    });
+    // Project php.ini overrides are layered on top of the per-version php.ini
+    const phpIniArgs = this.getPhpIniOverrideArgs(project);
+    let phpCgiProcess;
+    if (phpFpmPath) {
+      const fpmConfigPath = await this.writePhpFpmConfig(project, actualPort);
+      phpCgiProcess = spawnHidden(phpFpmPath, ['--nodaemonize', '--fpm-config', fpmConfigPath, '-c', phpDir, ...phpIniArgs], {
+        cwd: project.path,
+        env: {
+          ...process.env,
+          ...project.environment,
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+    } else {
+      phpCgiProcess = spawnHidden(phpCgiPath, ['-b', `127.0.0.1:${actualPort}`, ...phpIniArgs], {
+        cwd: project.path,
+        env: {
+          ...process.env,
+          ...project.environment,
+          PHP_FCGI_MAX_REQUESTS: '0',
+          PHP_FCGI_CHILDREN: '4',
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+    }
 
+    const logPrefix = phpFpmPath ? '[php-fpm]' : '[php-cgi]';
     phpCgiProcess.stdout?.on('data', (data) => {
-      this.managers.log?.project(project.id, `[php-cgi] ${data.toString()}`);
+      this.managers.log?.project(project.id, `${logPrefix} ${data.toString()}`);
     });
 
     phpCgiProcess.stderr?.on('data', (data) => {
-      this.managers.log?.project(project.id, `[php-cgi] ${data.toString()}`);
+      this.managers.log?.project(project.id, `${logPrefix} ${data.toString()}`);
     });
 
     phpCgiProcess.on('error', (error) => {
       this.managers.log?.systemError(`PHP-CGI error for ${project.name}`, { error: error.message });
     });
 
-    phpCgiProcess.on('exit', () => {
-      // Process exited.
+    phpCgiProcess.on('exit', (code, signal) => {
+      this.handlePhpCgiExit(project.id, phpCgiProcess, code, signal);
     });
 
     const maxWait = 5000;
@@ -497,9 +569,23 @@ module.exports = {
     const project = this.getProject(id);
     this.managers.log?.project(id, `Stopping project: ${project?.name || id}`);
 
+    running.stopping = true;
+    this.clearPhpCgiRestart(running);
+    this.stopProjectHealthMonitor(running);
+    this.stopProjectIdleMonitor(running);
+
     const stopPromise = (async () => {
       const kill = require('tree-kill');
 
+      if (project) {
+        try {
+          await this.runProjectHooks(project, 'pre-stop');
+        } catch (error) {
+          // Stopping always goes ahead, failOnError only matters for starts
+          this.managers.log?.project(id, `Stopping anyway: ${error.message}`, 'warning');
+        }
+      }
+
       if (running.phpCgiProcess && running.phpCgiProcess.pid) {
         await new Promise((resolve) => {
           kill(running.phpCgiProcess.pid, 'SIGTERM', (err) => {
@@ -530,6 +616,14 @@ module.exports = {
         this.networkPort80Owner = null;
       }
 
+      if (project && this.isOnDemandProject(project)) {
+        try {
+          await this.parkOnDemandProject(project);
+        } catch (error) {
+          this.managers.log?.systemWarn(`Could not keep ${project.name} available for on-demand start`, { error: error.message });
+        }
+      }
+
       if (project) {
         const serviceResult = await this.stopProjectServices(project);
         if (serviceResult.scheduled?.length > 0) {
@@ -584,7 +678,8 @@ module.exports = {
         );
       });
 
-      if (!isNeededByOther) {
+      // Stopped on-demand projects still need their web server to answer requests
+      if (!isNeededByOther && !this.isServiceNeededForActivation(service)) {
         servicesToStop.push(service);
       }
     }
@@ -696,15 +791,27 @@ module.exports = {
     if (project.services?.mariadb) {
       servicesToStart.push({ name: 'mariadb', version: project.services.mariadbVersion || '11.4', critical: true });
     }
+    if (project.services?.postgresql) {
+      servicesToStart.push({ name: 'postgresql', version: project.services.postgresqlVersion || '17', critical: true });
+    }
+    if (project.services?.mongodb) {
+      servicesToStart.push({ name: 'mongodb', version: project.services.mongodbVersion || '8.0', critical: true });
+    }
     if (project.services?.redis) {
       servicesToStart.push({ name: 'redis', version: project.services.redisVersion || '7.4', critical: true });
     }
+    if (project.services?.memcached) {
+      servicesToStart.push({ name: 'memcached', version: project.services.memcachedVersion || '1.6', critical: true });
+    }
     if (project.services?.mailpit) {
       servicesToStart.push({ name: 'mailpit', critical: true });
     }
     if (project.services?.phpmyadmin && (project.services?.mysql || project.services?.mariadb)) {
       servicesToStart.push({ name: 'phpmyadmin', critical: true });
     }
+    if (project.services?.minio) {
+      servicesToStart.push({ name: 'minio', critical: true });
+    }
 
     const results = {
       success: true,
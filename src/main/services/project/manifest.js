@@ -0,0 +1,320 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const MANIFEST_FILENAME = 'devbox.json';
+const MANIFEST_WATCH_DEBOUNCE_MS = 500;
+
+// Metadata written on export that should not count as a manifest change.
+const MANIFEST_METADATA_KEYS = new Set(['exportedAt', 'devboxVersion']);
+
+module.exports = {
+  setManifestChangeEmitter(callback) {
+    this.manifestChangeEmitter = typeof callback === 'function' ? callback : null;
+  },
+
+  getProjectManifestPath(projectPath) {
+    return path.join(projectPath, MANIFEST_FILENAME);
+  },
+
+  async readProjectManifest(projectPath) {
+    if (!projectPath) {
+      return null;
+    }
+
+    const manifestPath = this.getProjectManifestPath(projectPath);
+    if (!await fs.pathExists(manifestPath)) {
+      return null;
+    }
+
+    try {
+      const manifest = await fs.readJson(manifestPath);
+      return manifest && typeof manifest === 'object' && !Array.isArray(manifest) ? manifest : null;
+    } catch (error) {
+      this.managers.log?.systemWarn('Could not parse devbox.json', { path: manifestPath, error: error.message });
+      return null;
+    }
+  },
+
+  getManifestHash(manifest) {
+    const comparable = Object.keys(manifest || {})
+      .filter((key) => !MANIFEST_METADATA_KEYS.has(key))
+      .sort()
+      .reduce((result, key) => {
+        result[key] = manifest[key];
+        return result;
+      }, {});
+
+    return crypto.createHash('sha1').update(JSON.stringify(comparable)).digest('hex');
+  },
+
+  buildProjectManifest(project, phpExtensions = []) {
+    return {
+      name: project.name,
+      type: project.type,
+      phpVersion: project.phpVersion,
+      nodeVersion: project.services?.nodejsVersion || project.nodeVersion,
+      webServer: project.webServer,
+      webServerVersion: project.webServerVersion,
+      documentRoot: project.documentRoot || '',
+      domains: this.getProjectDomains(project),
+      ssl: Boolean(project.ssl),
+      services: project.services || {},
+      databases: project.environment?.DB_DATABASE ? [project.environment.DB_DATABASE] : [],
+      supervisor: project.supervisor || { processes: [] },
+      phpExtensions,
+    };
+  },
+
+  mergeManifestSupervisorProcesses(currentProcesses = [], manifestProcesses = []) {
+    const merged = [...currentProcesses];
+
+    for (const manifestProcess of manifestProcesses) {
+      if (!manifestProcess?.name || !manifestProcess.command) {
+        continue;
+      }
+
+      const index = merged.findIndex((entry) => entry.name === manifestProcess.name);
+      if (index === -1) {
+        merged.push({ ...manifestProcess });
+      } else {
+        merged[index] = { ...merged[index], ...manifestProcess };
+      }
+    }
+
+    return merged;
+  },
+
+  getProjectUpdatesFromManifest(project, manifest = {}) {
+    const updates = {};
+
+    for (const key of ['phpVersion', 'webServer', 'webServerVersion']) {
+      if (typeof manifest[key] === 'string' && manifest[key] && manifest[key] !== project[key]) {
+        updates[key] = manifest[key];
+      }
+    }
+
+    if (typeof manifest.documentRoot === 'string' && manifest.documentRoot !== (project.documentRoot || '')) {
+      updates.documentRoot = manifest.documentRoot;
+    }
+
+    if (typeof manifest.ssl === 'boolean' && manifest.ssl !== Boolean(project.ssl)) {
+      updates.ssl = manifest.ssl;
+    }
+
+    if (Array.isArray(manifest.domains)) {
+      const domains = [...new Set(manifest.domains
+        .map((domain) => (typeof domain === 'string' ? domain.trim().toLowerCase() : ''))
+        .filter(Boolean))];
+
+      if (domains.length > 0 && JSON.stringify(domains) !== JSON.stringify(this.getProjectDomains(project))) {
+        updates.domains = domains;
+      }
+    }
+
+    // Node.js runs on services.nodejsVersion; the manifest names it nodeVersion next to phpVersion.
+    const hasNodeVersion = typeof manifest.nodeVersion === 'string' && Boolean(manifest.nodeVersion);
+    if ((manifest.services && typeof manifest.services === 'object') || hasNodeVersion) {
+      const services = { ...(project.services || {}), ...(manifest.services || {}) };
+      if (hasNodeVersion) {
+        services.nodejsVersion = manifest.nodeVersion;
+      }
+      if (JSON.stringify(services) !== JSON.stringify(project.services || {})) {
+        updates.services = services;
+      }
+    }
+
+    if (Array.isArray(manifest.supervisor?.processes)) {
+      const currentProcesses = project.supervisor?.processes || [];
+      const processes = this.mergeManifestSupervisorProcesses(currentProcesses, manifest.supervisor.processes);
+      if (JSON.stringify(processes) !== JSON.stringify(currentProcesses)) {
+        updates.supervisor = { ...(project.supervisor || {}), processes };
+      }
+    }
+
+    return updates;
+  },
+
+  async applyManifestPhpExtensions(phpVersion, extensions = []) {
+    const warnings = [];
+    const php = this.managers.php;
+    if (!php || !phpVersion || !Array.isArray(extensions) || extensions.length === 0) {
+      return warnings;
+    }
+
+    let current = {};
+    try {
+      current = (await php.getExtensions(phpVersion)) || {};
+    } catch (error) {
+      warnings.push(`Could not read PHP ${phpVersion} extensions: ${error.message}`);
+      return warnings;
+    }
+
+    for (const extension of extensions) {
+      if (current[extension] === true) {
+        continue;
+      }
+
+      try {
+        await php.toggleExtension(phpVersion, extension, true);
+      } catch (error) {
+        warnings.push(`Could not enable PHP extension ${extension}: ${error.message}`);
+      }
+    }
+
+    return warnings;
+  },
+
+  async createManifestDatabases(project, databases = []) {
+    const warnings = [];
+    if (!this.managers.database || !Array.isArray(databases) || databases.length === 0) {
+      return warnings;
+    }
+
+    const { version } = this.getProjectDatabaseSelection(project);
+    for (const name of databases) {
+      if (typeof name !== 'string' || !name.trim()) {
+        continue;
+      }
+
+      try {
+        await this.managers.database.createDatabase(name.trim(), version);
+      } catch (error) {
+        warnings.push(`Could not create database ${name}: ${error.message}`);
+      }
+    }
+
+    return warnings;
+  },
+
+  async applyProjectManifest(id) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const manifest = await this.readProjectManifest(project.path);
+    if (!manifest) {
+      throw new Error(`No valid ${MANIFEST_FILENAME} found in ${project.path}`);
+    }
+
+    const updates = this.getProjectUpdatesFromManifest(project, manifest);
+    const updatedProject = await this.updateProject(id, {
+      ...updates,
+      manifestHash: this.getManifestHash(manifest),
+    });
+
+    const warnings = [
+      ...await this.applyManifestPhpExtensions(updatedProject.phpVersion, manifest.phpExtensions),
+      ...await this.createManifestDatabases(updatedProject, manifest.databases),
+    ];
+
+    for (const warning of warnings) {
+      this.managers.log?.project(id, warning, 'warning');
+    }
+
+    const applied = Object.keys(updates);
+    this.managers.log?.project(id, applied.length > 0
+      ? `Applied ${MANIFEST_FILENAME}: ${applied.join(', ')}`
+      : `Applied ${MANIFEST_FILENAME}: project settings already up to date`);
+
+    return { success: true, applied, warnings, project: updatedProject };
+  },
+
+  async getProjectManifestStatus(id) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const manifest = await this.readProjectManifest(project.path);
+    if (!manifest) {
+      return { exists: false, changed: false };
+    }
+
+    return {
+      exists: true,
+      path: this.getProjectManifestPath(project.path),
+      changed: this.getManifestHash(manifest) !== project.manifestHash,
+    };
+  },
+
+  watchProjectManifest(project) {
+    if (!project?.id || !project.path || process.env.PLAYWRIGHT_TEST === 'true') {
+      return;
+    }
+
+    this.unwatchProjectManifest(project.id);
+
+    let watcher;
+    try {
+      // Watch the folder rather than the file so editor and git rename-swaps are picked up
+      watcher = fs.watch(project.path, (eventType, filename) => {
+        if (filename && filename.toString() !== MANIFEST_FILENAME) {
+          return;
+        }
+
+        const entry = this.manifestWatchers.get(project.id);
+        if (!entry) {
+          return;
+        }
+
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+          void this.notifyManifestChanged(project.id);
+        }, MANIFEST_WATCH_DEBOUNCE_MS);
+      });
+    } catch (error) {
+      this.managers.log?.systemWarn('Could not watch devbox.json', { project: project.name, error: error.message });
+      return;
+    }
+
+    watcher.on('error', () => this.unwatchProjectManifest(project.id));
+    this.manifestWatchers.set(project.id, { watcher, timer: null });
+  },
+
+  unwatchProjectManifest(id) {
+    const entry = this.manifestWatchers.get(id);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    try {
+      entry.watcher.close();
+    } catch {
+      // Watcher may already be closed
+    }
+    this.manifestWatchers.delete(id);
+  },
+
+  watchAllProjectManifests() {
+    for (const project of this.configStore.get('projects', [])) {
+      this.watchProjectManifest(project);
+    }
+  },
+
+  unwatchAllProjectManifests() {
+    for (const id of [...this.manifestWatchers.keys()]) {
+      this.unwatchProjectManifest(id);
+    }
+  },
+
+  async notifyManifestChanged(id) {
+    try {
+      const status = await this.getProjectManifestStatus(id);
+      if (!status.changed || typeof this.manifestChangeEmitter !== 'function') {
+        return;
+      }
+
+      const project = this.getProject(id);
+      this.manifestChangeEmitter({
+        projectId: id,
+        projectName: project?.name,
+        path: status.path,
+      });
+    } catch (error) {
+      // Project may have been removed while the change was debounced
+    }
+  },
+};
@@ -0,0 +1,247 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const PARKED_WATCH_DEBOUNCE_MS = 500;
+
+// Node.js and Python apps need a start command and port, so they have to be registered
+const UNPARKABLE_TYPES = new Set(['nodejs', 'python']);
+
+function normalizeParkedPath(folderPath) {
+  return path.normalize(folderPath).replace(/[\\/]+$/, '').toLowerCase();
+}
+
+function getParkedSiteId(folderPath) {
+  return `parked-${crypto.createHash('sha1').update(normalizeParkedPath(folderPath)).digest('hex').slice(0, 12)}`;
+}
+
+module.exports = {
+  getParkedDirectories() {
+    return this.configStore.get('parkedDirectories', []);
+  },
+
+  async addParkedDirectory(directory) {
+    const folderPath = typeof directory === 'string' ? directory.trim() : '';
+    if (!folderPath) {
+      throw new Error('Directory is required.');
+    }
+
+    if (!await fs.pathExists(folderPath) || !(await fs.stat(folderPath)).isDirectory()) {
+      throw new Error(`Directory does not exist: ${folderPath}`);
+    }
+
+    const directories = this.getParkedDirectories();
+    if (directories.some((entry) => normalizeParkedPath(entry) === normalizeParkedPath(folderPath))) {
+      throw new Error(`This directory is already parked: ${folderPath}`);
+    }
+
+    this.configStore.set('parkedDirectories', [...directories, folderPath]);
+    this.watchParkedDirectory(folderPath);
+    await this.refreshParkedSites();
+    return this.getParkedSites();
+  },
+
+  async removeParkedDirectory(directory) {
+    const directories = this.getParkedDirectories();
+    const remaining = directories.filter((entry) => normalizeParkedPath(entry) !== normalizeParkedPath(directory));
+    if (remaining.length === directories.length) {
+      throw new Error('Directory is not parked');
+    }
+
+    this.configStore.set('parkedDirectories', remaining);
+    this.unwatchParkedDirectory(directory);
+    await this.refreshParkedSites();
+    return this.getParkedSites();
+  },
+
+  getParkedSites() {
+    return Array.from(this.parkedSites.values()).map((site) => ({
+      ...site,
+      isRunning: this.runningProjects.has(site.id),
+    }));
+  },
+
+  // Called before a parked folder is registered so its lazy vhost does not clash with the real one
+  async releaseParkedSite(folderPath) {
+    const id = getParkedSiteId(folderPath);
+    const site = this.parkedSites.get(id);
+    if (!site) {
+      return false;
+    }
+
+    if (this.runningProjects.has(id)) {
+      await this.stopProject(id);
+    }
+    await this.removeVirtualHost(site, { reloadIfRunning: true });
+    this.parkedSites.delete(id);
+    return true;
+  },
+
+  async buildParkedSite(folderPath) {
+    const type = await this.detectProjectType(folderPath);
+    if (UNPARKABLE_TYPES.has(type)) {
+      return null;
+    }
+
+    if (!await this.looksLikePhpProject(folderPath) && !await fs.pathExists(path.join(folderPath, 'index.html'))) {
+      return null;
+    }
+
+    const settings = this.configStore.get('settings', {});
+    const name = path.basename(folderPath);
+    const domain = `${name.toLowerCase().replace(/[^a-z0-9-]/g, '-')}.${settings.defaultTld || 'test'}`;
+    const webServer = settings.webServer || 'nginx';
+
+    return {
+      id: getParkedSiteId(folderPath),
+      name,
+      path: folderPath,
+      type,
+      parked: true,
+      phpVersion: settings.defaultPhpVersion || '8.3',
+      webServer,
+      webServerVersion: this.getDefaultWebServerVersion(webServer),
+      port: null,
+      domain,
+      domains: [domain],
+      ssl: false,
+      autoStart: false,
+      services: {},
+      environment: {},
+      supervisor: { workers: 1, processes: [] },
+      documentRoot: '',
+    };
+  },
+
+  async refreshParkedSites() {
+    const projects = this.configStore.get('projects', []);
+    const registeredPaths = new Set(projects.filter((project) => project.path).map((project) => normalizeParkedPath(project.path)));
+    const registeredDomains = new Set(projects.flatMap((project) => this.getReservedProjectDomains(project)));
+    const usedPorts = new Set([
+      ...projects.map((project) => project.port),
+      ...[...this.parkedSites.values()].filter((site) => this.runningProjects.has(site.id)).map((site) => site.port),
+    ]);
+    let nextPort = this.configStore.get('settings', {}).portRangeStart || 8000;
+    const sites = new Map();
+
+    for (const directory of this.getParkedDirectories()) {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        this.managers.log?.systemWarn('Could not read parked directory', { directory, error: error.message });
+        continue;
+      }
+
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+
+        const folderPath = path.join(directory, entry.name);
+        if (registeredPaths.has(normalizeParkedPath(folderPath))) continue;
+
+        // A running site keeps its config so the vhost it was started with stays valid
+        const existing = this.parkedSites.get(getParkedSiteId(folderPath));
+        const site = existing && this.runningProjects.has(existing.id)
+          ? existing
+          : await this.buildParkedSite(folderPath);
+        if (!site || registeredDomains.has(site.domain) || [...sites.values()].some((other) => other.domain === site.domain)) {
+          continue;
+        }
+
+        if (!site.port) {
+          while (usedPorts.has(nextPort)) {
+            nextPort += 1;
+          }
+          site.port = nextPort;
+          usedPorts.add(nextPort);
+        }
+        sites.set(site.id, site);
+      }
+    }
+
+    // Sites whose folder was removed, unparked or registered stop being served
+    for (const [id, site] of this.parkedSites) {
+      if (!sites.has(id) && this.runningProjects.has(id)) {
+        try {
+          await this.stopProject(id);
+          await this.removeVirtualHost(site, { reloadIfRunning: true });
+        } catch (error) {
+          this.managers.log?.systemWarn('Could not stop parked site', { site: site.name, error: error.message });
+        }
+      }
+    }
+
+    const changed = JSON.stringify([...this.parkedSites.keys()]) !== JSON.stringify([...sites.keys()]);
+    this.parkedSites = sites;
+    if (changed && typeof this.parkedSitesChangeEmitter === 'function') {
+      this.parkedSitesChangeEmitter(this.getParkedSites());
+    }
+
+    return this.getParkedSites();
+  },
+
+  setParkedSitesChangeEmitter(callback) {
+    this.parkedSitesChangeEmitter = typeof callback === 'function' ? callback : null;
+  },
+
+  watchParkedDirectory(directory) {
+    if (process.env.PLAYWRIGHT_TEST === 'true') {
+      return;
+    }
+
+    const key = normalizeParkedPath(directory);
+    this.unwatchParkedDirectory(directory);
+
+    let watcher;
+    try {
+      // Only top-level changes matter: a folder appearing or disappearing
+      watcher = fs.watch(directory, () => {
+        const entry = this.parkedWatchers.get(key);
+        if (!entry) {
+          return;
+        }
+
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+          void this.refreshParkedSites();
+        }, PARKED_WATCH_DEBOUNCE_MS);
+      });
+    } catch (error) {
+      this.managers.log?.systemWarn('Could not watch parked directory', { directory, error: error.message });
+      return;
+    }
+
+    watcher.on('error', () => this.unwatchParkedDirectory(directory));
+    this.parkedWatchers.set(key, { watcher, timer: null });
+  },
+
+  unwatchParkedDirectory(directory) {
+    const key = normalizeParkedPath(directory);
+    const entry = this.parkedWatchers.get(key);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    try {
+      entry.watcher.close();
+    } catch {
+      // Watcher may already be closed
+    }
+    this.parkedWatchers.delete(key);
+  },
+
+  unwatchAllParkedDirectories() {
+    // Keys are already normalized paths, which normalize to themselves
+    for (const key of [...this.parkedWatchers.keys()]) {
+      this.unwatchParkedDirectory(key);
+    }
+  },
+
+  async initializeParkedSites() {
+    for (const directory of this.getParkedDirectories()) {
+      this.watchParkedDirectory(directory);
+    }
+    await this.refreshParkedSites();
+  },
+};
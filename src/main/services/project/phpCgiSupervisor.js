@@ -0,0 +1,121 @@
+const PHP_CGI_RESTART_BASE_DELAY_MS = 1000;
+const PHP_CGI_RESTART_MAX_DELAY_MS = 30000;
+const PHP_CGI_MAX_RESTARTS_PER_MINUTE = 5;
+const PHP_CGI_CRASH_WINDOW_MS = 60000;
+
+module.exports = {
+  setProjectStatusEmitter(callback) {
+    this.projectStatusEmitter = typeof callback === 'function' ? callback : null;
+  },
+
+  emitProjectStatus(payload) {
+    if (!payload || typeof this.projectStatusEmitter !== 'function') {
+      return;
+    }
+
+    this.projectStatusEmitter(payload);
+  },
+
+  isProjectDegraded(id) {
+    return this.runningProjects.get(id)?.phpCgiStatus === 'degraded';
+  },
+
+  getPhpCgiRestartDelay(attempt) {
+    return Math.min(PHP_CGI_RESTART_BASE_DELAY_MS * (2 ** Math.max(attempt - 1, 0)), PHP_CGI_RESTART_MAX_DELAY_MS);
+  },
+
+  clearPhpCgiRestart(running) {
+    if (running?.phpCgiRestartTimer) {
+      clearTimeout(running.phpCgiRestartTimer);
+      running.phpCgiRestartTimer = null;
+    }
+  },
+
+  handlePhpCgiExit(projectId, proc, code, signal) {
+    const running = this.runningProjects.get(projectId);
+
+    // Exits during stopProject, or from a worker that was already replaced, are expected
+    if (!running || running.stopping || running.phpCgiProcess !== proc) {
+      return;
+    }
+
+    running.phpCgiProcess = null;
+    const exitDetail = signal ? `signal ${signal}` : `exit code ${code}`;
+    this.managers.log?.project(projectId, `PHP-CGI exited unexpectedly (${exitDetail})`, 'error');
+    this.recordPhpCgiCrash(projectId, code ?? signal ?? null);
+  },
+
+  recordPhpCgiCrash(projectId, exitCode) {
+    const running = this.runningProjects.get(projectId);
+    if (!running) {
+      return;
+    }
+
+    const now = Date.now();
+    running.phpCgiCrashes = (running.phpCgiCrashes || []).filter((timestamp) => now - timestamp < PHP_CGI_CRASH_WINDOW_MS);
+    running.phpCgiCrashes.push(now);
+    running.phpCgiLastExitCode = exitCode;
+
+    if (running.phpCgiCrashes.length > PHP_CGI_MAX_RESTARTS_PER_MINUTE) {
+      running.phpCgiStatus = 'degraded';
+      const project = this.getProject(projectId);
+      this.managers.log?.project(
+        projectId,
+        `PHP-CGI crashed ${running.phpCgiCrashes.length} times within a minute; automatic restarts stopped. Restart the project to recover.`,
+        'error'
+      );
+      this.managers.log?.systemError(`PHP-CGI restarts exhausted for ${project?.name || projectId}`, { exitCode });
+      this.emitProjectStatus({ id: projectId, status: 'degraded' });
+      return;
+    }
+
+    const delay = this.getPhpCgiRestartDelay(running.phpCgiCrashes.length);
+    running.phpCgiStatus = 'restarting';
+    this.managers.log?.project(projectId, `Restarting PHP-CGI in ${Math.round(delay / 1000)}s`, 'warning');
+
+    this.clearPhpCgiRestart(running);
+    running.phpCgiRestartTimer = setTimeout(() => {
+      running.phpCgiRestartTimer = null;
+      void this.restartPhpCgi(projectId);
+    }, delay);
+  },
+
+  async restartPhpCgi(projectId) {
+    const running = this.runningProjects.get(projectId);
+    const project = this.getProject(projectId);
+    if (!running || running.stopping || !project) {
+      return;
+    }
+
+    try {
+      const previousPort = running.phpFpmPort;
+      const result = await this.startPhpCgi(project, previousPort);
+
+      // The project may have been stopped while the worker was booting
+      if (this.runningProjects.get(projectId) !== running || running.stopping) {
+        if (result.process?.pid) {
+          require('tree-kill')(result.process.pid, 'SIGTERM', () => {});
+        }
+        return;
+      }
+
+      running.phpCgiProcess = result.process;
+      running.phpFpmPort = result.port;
+      running.phpCgiStatus = 'running';
+      running.phpCgiRestarts = (running.phpCgiRestarts || 0) + 1;
+
+      if (result.port !== previousPort) {
+        // Apache projects reach the worker through proxy:fcgi, so their vhost needs the new port too
+        const webServer = this.getEffectiveWebServer(project);
+        const webServerVersion = this.getEffectiveWebServerVersion(project, webServer);
+        await this.createVirtualHost(project, result.port, webServerVersion);
+        await this.reloadWebServerConfigIfRunning(webServer, webServerVersion);
+      }
+
+      this.managers.log?.project(projectId, `PHP-CGI restarted on port ${result.port}`);
+    } catch (error) {
+      this.managers.log?.project(projectId, `PHP-CGI restart failed: ${error.message}`, 'error');
+      this.recordPhpCgiCrash(projectId, null);
+    }
+  },
+};
@@ -0,0 +1,122 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { isBackendProxyProject } = require('../../utils/ProjectTypeUtils');
+
+const PHP_FPM_PM_MODES = ['dynamic', 'static', 'ondemand'];
+const PHP_FPM_MAX_CHILDREN_LIMIT = 256;
+const DEFAULT_PHP_FPM_POOL = {
+  pm: 'dynamic',
+  maxChildren: 5,
+  requestTerminateTimeout: 300,
+  slowlogTimeout: 0,
+};
+
+function toBoundedInteger(value, fallback, min, max) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) {
+    return fallback;
+  }
+
+  return Math.min(Math.max(parsed, min), max);
+}
+
+module.exports = {
+  getPhpFpmPoolSettings(project) {
+    const pool = project?.phpFpm || {};
+
+    return {
+      pm: PHP_FPM_PM_MODES.includes(pool.pm) ? pool.pm : DEFAULT_PHP_FPM_POOL.pm,
+      maxChildren: toBoundedInteger(pool.maxChildren, DEFAULT_PHP_FPM_POOL.maxChildren, 1, PHP_FPM_MAX_CHILDREN_LIMIT),
+      requestTerminateTimeout: toBoundedInteger(pool.requestTerminateTimeout, DEFAULT_PHP_FPM_POOL.requestTerminateTimeout, 0, 86400),
+      slowlogTimeout: toBoundedInteger(pool.slowlogTimeout, DEFAULT_PHP_FPM_POOL.slowlogTimeout, 0, 3600),
+    };
+  },
+
+  async getPhpFpmBinaryPath(phpVersion) {
+    // Windows PHP builds do not ship php-fpm, so php-cgi stays the only option there
+    if (process.platform === 'win32' || process.env.PLAYWRIGHT_TEST === 'true') {
+      return null;
+    }
+
+    const platform = process.platform === 'darwin' ? 'mac' : 'linux';
+    const phpDir = path.join(this.getResourcesPath(), 'php', phpVersion || '8.3', platform);
+    for (const candidate of [path.join(phpDir, 'php-fpm'), path.join(phpDir, 'sbin', 'php-fpm')]) {
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  },
+
+  async getPhpFpmSupport(id) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const binaryPath = isBackendProxyProject(project) ? null : await this.getPhpFpmBinaryPath(project.phpVersion);
+    return {
+      supported: Boolean(binaryPath),
+      pool: this.getPhpFpmPoolSettings(project),
+    };
+  },
+
+  buildPhpFpmConfig(project, port) {
+    const pool = this.getPhpFpmPoolSettings(project);
+    const dataPath = this.getDataPath();
+    const logsDir = path.join(dataPath, 'php-fpm', 'logs');
+    const lines = [
+      `; DevBox Pro - ${project.name}`,
+      '; NOTE: Auto-generated file. It is regenerated every time the project starts.',
+      '[global]',
+      `pid = ${path.join(dataPath, 'php-fpm', 'run', `${project.id}.pid`)}`,
+      `error_log = ${path.join(logsDir, `${project.id}-error.log`)}`,
+      'daemonize = no',
+      '',
+      `[${project.id}]`,
+      `listen = 127.0.0.1:${port}`,
+      `pm = ${pool.pm}`,
+      `pm.max_children = ${pool.maxChildren}`,
+    ];
+
+    if (pool.pm === 'dynamic') {
+      const startServers = Math.min(2, pool.maxChildren);
+      lines.push(
+        `pm.start_servers = ${startServers}`,
+        'pm.min_spare_servers = 1',
+        `pm.max_spare_servers = ${Math.max(startServers, Math.ceil(pool.maxChildren / 2))}`
+      );
+    } else if (pool.pm === 'ondemand') {
+      lines.push('pm.process_idle_timeout = 10s');
+    }
+
+    lines.push(
+      `request_terminate_timeout = ${pool.requestTerminateTimeout}s`,
+      `slowlog = ${path.join(logsDir, `${project.id}-slow.log`)}`,
+      `request_slowlog_timeout = ${pool.slowlogTimeout}s`,
+      'catch_workers_output = yes',
+      'clear_env = no'
+    );
+
+    for (const [key, value] of Object.entries(project.environment || {})) {
+      if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && value !== undefined && value !== null && !/[\r\n]/.test(String(value))) {
+        lines.push(`env[${key}] = "${String(value).replace(/"/g, '\\"')}"`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  },
+
+  async writePhpFpmConfig(project, port) {
+    const dataPath = this.getDataPath();
+    const configPath = path.join(dataPath, 'php-fpm', 'pools', `${project.id}.conf`);
+
+    await fs.ensureDir(path.dirname(configPath));
+    await fs.ensureDir(path.join(dataPath, 'php-fpm', 'run'));
+    await fs.ensureDir(path.join(dataPath, 'php-fpm', 'logs'));
+    await fs.writeFile(configPath, this.buildPhpFpmConfig(project, port));
+
+    return configPath;
+  },
+};
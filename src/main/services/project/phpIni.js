@@ -0,0 +1,67 @@
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  PHP_INI_DEFAULTS,
+  normalizePhpIniOverrides,
+  parsePhpIniValues,
+  buildPhpIniOverrideArgs,
+} = require('../../utils/PhpIniUtils');
+
+module.exports = {
+  getPhpIniOverrideArgs(project) {
+    return buildPhpIniOverrideArgs(project?.phpIniOverrides);
+  },
+
+  async readPhpVersionIniValues(phpVersion) {
+    const platform = process.platform === 'win32' ? 'win' : process.platform === 'darwin' ? 'mac' : 'linux';
+    const iniPath = path.join(this.getResourcesPath(), 'php', phpVersion, platform, 'php.ini');
+
+    try {
+      if (!await fs.pathExists(iniPath)) {
+        return {};
+      }
+      return parsePhpIniValues(await fs.readFile(iniPath, 'utf8'));
+    } catch (error) {
+      this.managers.log?.systemWarn(`Could not read php.ini for PHP ${phpVersion}`, { error: error.message });
+      return {};
+    }
+  },
+
+  async getProjectPhpIniSettings(id) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const phpVersion = project.phpVersion || '8.3';
+    const overrides = normalizePhpIniOverrides(project.phpIniOverrides);
+    const versionValues = await this.readPhpVersionIniValues(phpVersion);
+    const keys = [...new Set([...Object.keys(PHP_INI_DEFAULTS), ...Object.keys(overrides)])];
+
+    const settings = keys.map((key) => {
+      const versionValue = versionValues[key] ?? null;
+      const defaultValue = PHP_INI_DEFAULTS[key] ?? null;
+      let source = 'default';
+      let value = defaultValue;
+
+      if (key in overrides) {
+        source = 'project';
+        value = overrides[key];
+      } else if (versionValue !== null) {
+        source = 'version';
+        value = versionValue;
+      }
+
+      return {
+        key,
+        value,
+        source,
+        projectValue: overrides[key] ?? null,
+        versionValue,
+        defaultValue,
+      };
+    });
+
+    return { phpVersion, settings };
+  },
+};
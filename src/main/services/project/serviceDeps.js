@@ -1,5 +1,5 @@
 const SERVICE_STOP_GRACE_PERIOD_MS = 15000;
-const WARM_RESTART_SERVICE_NAMES = new Set(['nginx', 'apache', 'mysql', 'mariadb']);
+const WARM_RESTART_SERVICE_NAMES = new Set(['nginx', 'apache', 'mysql', 'mariadb', 'postgresql', 'mongodb']);
 
 module.exports = {
   getServiceDependencyKey(service) {
@@ -118,15 +118,27 @@ module.exports = {
     if (project.services?.mariadb) {
       services.push({ name: 'mariadb', version: project.services.mariadbVersion || '11.4' });
     }
+    if (project.services?.postgresql) {
+      services.push({ name: 'postgresql', version: project.services.postgresqlVersion || '17' });
+    }
+    if (project.services?.mongodb) {
+      services.push({ name: 'mongodb', version: project.services.mongodbVersion || '8.0' });
+    }
     if (project.services?.redis) {
       services.push({ name: 'redis', version: project.services.redisVersion || '7.4' });
     }
+    if (project.services?.memcached) {
+      services.push({ name: 'memcached', version: project.services.memcachedVersion || '1.6' });
+    }
     if (project.services?.mailpit) {
       services.push({ name: 'mailpit', version: null });
     }
     if (project.services?.phpmyadmin) {
       services.push({ name: 'phpmyadmin', version: null });
     }
+    if (project.services?.minio) {
+      services.push({ name: 'minio', version: null });
+    }
 
     return services;
   },
@@ -0,0 +1,315 @@
+const path = require('path');
+const fs = require('fs-extra');
+const tar = require('tar');
+
+const DEFAULT_SNAPSHOT_RETENTION = 5;
+const SNAPSHOT_DATABASE_FILE = 'database.sql.gz';
+const SNAPSHOT_FILES_ARCHIVE = 'files.tar.gz';
+const SNAPSHOT_METADATA_FILE = 'snapshot.json';
+
+// User content worth restoring; code is expected to live in version control
+const DEFAULT_SNAPSHOT_FOLDERS = {
+  laravel: ['storage'],
+  statamic: ['storage', 'content'],
+  wordpress: ['wp-content/uploads'],
+  drupal: ['web/sites/default/files'],
+  magento2: ['pub/media'],
+  craftcms: ['web/uploads'],
+  joomla: ['images'],
+};
+
+// Caches and logs that are regenerated and must survive a restore untouched
+const SNAPSHOT_EXCLUDED_PATHS = ['storage/framework', 'storage/logs'];
+
+function normalizeSnapshotPath(relativePath) {
+  return relativePath.replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '');
+}
+
+function isExcludedSnapshotPath(relativePath) {
+  const normalized = normalizeSnapshotPath(relativePath);
+  return SNAPSHOT_EXCLUDED_PATHS.some((excluded) => normalized === excluded || normalized.startsWith(`${excluded}/`));
+}
+
+module.exports = {
+  getProjectSnapshotsDir(projectId) {
+    return path.join(this.getDataPath(), 'snapshots', projectId);
+  },
+
+  getDefaultSnapshotFolders(project) {
+    return DEFAULT_SNAPSHOT_FOLDERS[project?.type] || [];
+  },
+
+  validateSnapshotFolders(folders) {
+    return [...new Set((folders || []).map((folder) => normalizeSnapshotPath(String(folder).trim())).filter(Boolean))]
+      .map((folder) => {
+        if (path.isAbsolute(folder) || /^[a-z]:/i.test(folder) || folder.split('/').includes('..')) {
+          throw new Error(`Snapshot folders must be relative to the project: ${folder}`);
+        }
+        return folder;
+      });
+  },
+
+  // { 'storage/app/avatar.png': [size, mtime in seconds] } — tar stores whole-second mtimes
+  async collectSnapshotFiles(projectPath, folders) {
+    const files = {};
+
+    const walk = async (relativeDir) => {
+      const entries = await fs.readdir(path.join(projectPath, relativeDir), { withFileTypes: true });
+      for (const entry of entries) {
+        const relativePath = `${relativeDir}/${entry.name}`;
+        if (isExcludedSnapshotPath(relativePath)) {
+          continue;
+        }
+
+        if (entry.isDirectory()) {
+          await walk(relativePath);
+        } else if (entry.isFile()) {
+          const stat = await fs.stat(path.join(projectPath, relativePath));
+          files[relativePath] = [stat.size, Math.floor(stat.mtimeMs / 1000)];
+        }
+      }
+    };
+
+    for (const folder of folders) {
+      if (await fs.pathExists(path.join(projectPath, folder))) {
+        await walk(folder);
+      }
+    }
+
+    return files;
+  },
+
+  async listProjectSnapshots(projectId) {
+    const snapshotsDir = this.getProjectSnapshotsDir(projectId);
+    if (!await fs.pathExists(snapshotsDir)) {
+      return [];
+    }
+
+    const snapshots = [];
+    for (const entry of await fs.readdir(snapshotsDir)) {
+      try {
+        const { files, ...snapshot } = await fs.readJson(path.join(snapshotsDir, entry, SNAPSHOT_METADATA_FILE));
+        snapshots.push({ ...snapshot, fileCount: Object.keys(files || {}).length });
+      } catch {
+        // Ignore half-written or foreign folders
+      }
+    }
+
+    return snapshots.sort((left, right) => right.createdAt.localeCompare(left.createdAt));
+  },
+
+  async getProjectSnapshots(projectId) {
+    const project = this.getProject(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    return {
+      snapshots: await this.listProjectSnapshots(projectId),
+      defaultFolders: this.getDefaultSnapshotFolders(project),
+      retention: project.snapshotRetention || DEFAULT_SNAPSHOT_RETENTION,
+    };
+  },
+
+  async readProjectSnapshot(projectId, snapshotId) {
+    const metadataPath = path.join(this.getProjectSnapshotsDir(projectId), path.basename(snapshotId), SNAPSHOT_METADATA_FILE);
+    if (!await fs.pathExists(metadataPath)) {
+      throw new Error('Snapshot not found');
+    }
+
+    return fs.readJson(metadataPath);
+  },
+
+  async createProjectSnapshot(projectId, options = {}) {
+    const project = this.getProject(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const requestedFolders = this.validateSnapshotFolders(options.folders ?? this.getDefaultSnapshotFolders(project));
+    const folders = [];
+    for (const folder of requestedFolders) {
+      if (await fs.pathExists(path.join(project.path, folder))) {
+        folders.push(folder);
+      }
+    }
+
+    const database = options.includeDatabase === false ? null : this.getProjectDatabaseTarget(project);
+    if (!database && folders.length === 0) {
+      throw new Error('Nothing to snapshot: this project has no database and none of the selected folders exist.');
+    }
+
+    const createdAt = new Date().toISOString();
+    const id = createdAt.replace(/[:.]/g, '-');
+    const snapshotDir = path.join(this.getProjectSnapshotsDir(projectId), id);
+    const snapshot = {
+      id,
+      projectId,
+      label: typeof options.label === 'string' ? options.label.trim() : '',
+      createdAt,
+      database: null,
+      folders,
+      archiveSize: 0,
+      files: {},
+    };
+
+    await fs.ensureDir(snapshotDir);
+    this.managers.log?.project(projectId, `Creating snapshot ${id}`);
+
+    try {
+      if (database) {
+        const databaseName = await this.getProjectDatabaseName(project);
+        const exportResult = await this.withProjectDatabase(database, async () => {
+          if (!await this.managers.database.ensureServiceRunning(database.type, database.version)) {
+            throw new Error(`${database.type} ${database.version} must be running to snapshot the database.`);
+          }
+
+          return this.managers.database.exportDatabase(databaseName, path.join(snapshotDir, SNAPSHOT_DATABASE_FILE));
+        });
+        if (!exportResult?.success) {
+          throw new Error('Database export was cancelled');
+        }
+
+        snapshot.database = {
+          ...database,
+          name: databaseName,
+          file: path.basename(exportResult.path),
+          size: (await fs.stat(exportResult.path)).size,
+        };
+      }
+
+      if (folders.length > 0) {
+        const archivePath = path.join(snapshotDir, SNAPSHOT_FILES_ARCHIVE);
+        await tar.c({
+          gzip: true,
+          file: archivePath,
+          cwd: project.path,
+          portable: true,
+          filter: (entryPath) => !isExcludedSnapshotPath(entryPath),
+        }, folders);
+        snapshot.archiveSize = (await fs.stat(archivePath)).size;
+        snapshot.files = await this.collectSnapshotFiles(project.path, folders);
+      }
+
+      await fs.writeJson(path.join(snapshotDir, SNAPSHOT_METADATA_FILE), snapshot, { spaces: 2 });
+    } catch (error) {
+      await fs.remove(snapshotDir).catch(() => {});
+      this.managers.log?.systemError('Failed to create project snapshot', { project: project.name, error: error.message });
+      throw new Error(`Failed to create snapshot: ${error.message}`);
+    }
+
+    await this.pruneProjectSnapshots(projectId, project.snapshotRetention || DEFAULT_SNAPSHOT_RETENTION);
+
+    const { files, ...summary } = snapshot;
+    return { ...summary, fileCount: Object.keys(files).length };
+  },
+
+  async pruneProjectSnapshots(projectId, retention = DEFAULT_SNAPSHOT_RETENTION) {
+    const snapshots = await this.listProjectSnapshots(projectId);
+    const expired = snapshots.slice(Math.max(1, retention));
+
+    for (const snapshot of expired) {
+      await fs.remove(path.join(this.getProjectSnapshotsDir(projectId), snapshot.id));
+      this.managers.log?.project(projectId, `Removed snapshot ${snapshot.id} (retention limit ${retention})`);
+    }
+
+    return expired.map((snapshot) => snapshot.id);
+  },
+
+  async deleteProjectSnapshot(projectId, snapshotId) {
+    await this.readProjectSnapshot(projectId, snapshotId);
+    await fs.remove(path.join(this.getProjectSnapshotsDir(projectId), path.basename(snapshotId)));
+    return { success: true };
+  },
+
+  async diffProjectSnapshot(projectId, snapshotId) {
+    const project = this.getProject(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const snapshot = await this.readProjectSnapshot(projectId, snapshotId);
+    const currentFiles = await this.collectSnapshotFiles(project.path, snapshot.folders || []);
+    const snapshotFiles = snapshot.files || {};
+    const diff = { added: [], removed: [], modified: [] };
+
+    for (const [file, [size, mtime]] of Object.entries(currentFiles)) {
+      const previous = snapshotFiles[file];
+      if (!previous) {
+        diff.added.push(file);
+      } else if (previous[0] !== size || previous[1] !== mtime) {
+        diff.modified.push(file);
+      }
+    }
+    for (const file of Object.keys(snapshotFiles)) {
+      if (!currentFiles[file]) {
+        diff.removed.push(file);
+      }
+    }
+
+    return {
+      ...diff,
+      unchanged: Object.keys(snapshotFiles).length - diff.removed.length - diff.modified.length,
+      database: snapshot.database,
+    };
+  },
+
+  async restoreProjectSnapshot(projectId, snapshotId) {
+    const project = this.getProject(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const snapshot = await this.readProjectSnapshot(projectId, snapshotId);
+    const snapshotDir = path.join(this.getProjectSnapshotsDir(projectId), snapshot.id);
+    const wasRunning = this.runningProjects.has(projectId);
+
+    if (wasRunning) {
+      this.managers.log?.project(projectId, `Stopping project to restore snapshot ${snapshot.id}`);
+      await this.stopProject(projectId);
+    }
+
+    try {
+      if (snapshot.database) {
+        const { type, version, name, file } = snapshot.database;
+        const importResult = await this.withProjectDatabase({ type, version }, async () => {
+          // Recreates the database if it was dropped and starts the service when needed
+          await this.managers.database.createDatabase(name, version);
+          return this.managers.database.importDatabase(name, path.join(snapshotDir, file), null, 'clean');
+        });
+        if (importResult?.success === false) {
+          throw new Error('Database import was cancelled');
+        }
+      }
+
+      if (snapshot.folders?.length) {
+        // Files created after the snapshot would otherwise survive the extraction
+        const currentFiles = await this.collectSnapshotFiles(project.path, snapshot.folders);
+        for (const file of Object.keys(currentFiles)) {
+          if (!snapshot.files?.[file]) {
+            await fs.remove(path.join(project.path, file));
+          }
+        }
+
+        await tar.x({ file: path.join(snapshotDir, SNAPSHOT_FILES_ARCHIVE), cwd: project.path });
+      }
+
+      this.managers.log?.project(projectId, `Restored snapshot ${snapshot.id}`);
+    } catch (error) {
+      this.managers.log?.systemError('Failed to restore project snapshot', { project: project.name, snapshot: snapshot.id, error: error.message });
+      throw new Error(`Failed to restore snapshot: ${error.message}`);
+    } finally {
+      if (wasRunning) {
+        await this.startProject(projectId).catch((error) => {
+          this.managers.log?.systemWarn('Could not restart project after snapshot restore', { project: project.name, error: error.message });
+        });
+      }
+    }
+
+    return { success: true, restarted: wasRunning };
+  },
+
+  async deleteAllProjectSnapshots(projectId) {
+    await fs.remove(this.getProjectSnapshotsDir(projectId));
+  },
+};
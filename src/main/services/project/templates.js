@@ -0,0 +1,283 @@
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+const TEMPLATE_FORMAT = 'devbox-project-template';
+const TEMPLATE_FORMAT_VERSION = 1;
+
+// Project settings a template carries over to new projects
+const TEMPLATE_CONFIG_KEYS = [
+  'type',
+  'phpVersion',
+  'webServer',
+  'webServerVersion',
+  'documentRoot',
+  'ssl',
+  'networkAccess',
+  'services',
+  'supervisor',
+  'environment',
+  'nodePort',
+  'nodeStartCommand',
+  'nodeFramework',
+  'pythonPort',
+  'pythonFramework',
+  'pythonStartCommand',
+  'spaFallback',
+  'buildCommand',
+  'phpIniOverrides',
+  'phpFpm',
+  'vhostSnippets',
+  'routes',
+  'hooks',
+];
+
+// Regenerated for every project from its own name, port and database
+const PROJECT_SPECIFIC_ENV_KEYS = new Set([
+  'APP_NAME',
+  'APP_KEY',
+  'APP_URL',
+  'DB_DATABASE',
+  'DB_DSN',
+  'DATABASE_URL',
+  'MYSQL_DATABASE',
+  'CRAFT_DB_DATABASE',
+  'CRAFT_SECURITY_KEY',
+  'PRIMARY_SITE_URL',
+  'app.baseURL',
+  'database.default.database',
+]);
+
+// Created by createProject itself from the project type and services
+const GENERATED_PROCESS_NAMES = new Set(['queue-worker', 'nodejs-app', 'python-app']);
+
+const hasCommand = (entry) => typeof entry?.command === 'string' && entry.command.trim() !== '';
+
+/**
+ * Take the shell commands out of an imported template config. Hooks and supervisor
+ * processes from a file only run once the user has read and accepted them.
+ * @param {Object} config - Template config, modified in place
+ * @returns {{hooks: Array, processes: Array}|null} - The commands held back, or null when there are none
+ */
+function holdBackTemplateCommands(config) {
+  const hooks = Array.isArray(config.hooks) ? config.hooks.filter(hasCommand) : [];
+  const processes = (config.supervisor?.processes || []).filter((proc) => proc?.name && hasCommand(proc));
+
+  delete config.hooks;
+  if (config.supervisor) {
+    config.supervisor = { ...config.supervisor, processes: [] };
+  }
+
+  return hooks.length > 0 || processes.length > 0 ? { hooks, processes } : null;
+}
+
+module.exports = {
+  getProjectTemplates() {
+    return this.configStore.get('projectTemplates', []);
+  },
+
+  getProjectTemplate(templateId) {
+    return this.getProjectTemplates().find((template) => template.id === templateId) || null;
+  },
+
+  buildProjectTemplateConfig(project) {
+    const config = {};
+    for (const key of TEMPLATE_CONFIG_KEYS) {
+      if (project[key] !== undefined) {
+        config[key] = JSON.parse(JSON.stringify(project[key]));
+      }
+    }
+
+    if (config.environment) {
+      config.environment = Object.fromEntries(
+        Object.entries(config.environment).filter(([key]) => !PROJECT_SPECIFIC_ENV_KEYS.has(key))
+      );
+    }
+
+    if (config.supervisor) {
+      config.supervisor = {
+        workers: config.supervisor.workers || 1,
+        processes: (config.supervisor.processes || []).filter((proc) => !GENERATED_PROCESS_NAMES.has(proc.name)),
+      };
+    }
+
+    return config;
+  },
+
+  saveProjectAsTemplate(projectId, name, description = '') {
+    const project = this.getProject(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const templateName = typeof name === 'string' ? name.trim() : '';
+    if (!templateName) {
+      throw new Error('Template name is required.');
+    }
+
+    const templates = this.getProjectTemplates();
+    if (templates.some((template) => template.name.toLowerCase() === templateName.toLowerCase())) {
+      throw new Error(`A template named "${templateName}" already exists.`);
+    }
+
+    const template = {
+      id: uuidv4(),
+      name: templateName,
+      description: description || '',
+      sourceProject: project.name,
+      createdAt: new Date().toISOString(),
+      config: this.buildProjectTemplateConfig(project),
+    };
+
+    this.configStore.set('projectTemplates', [...templates, template]);
+    this.managers.log?.project(projectId, `Saved project configuration as template "${templateName}"`);
+    return template;
+  },
+
+  deleteProjectTemplate(templateId) {
+    const templates = this.getProjectTemplates();
+    if (!templates.some((template) => template.id === templateId)) {
+      throw new Error('Template not found');
+    }
+
+    this.configStore.set('projectTemplates', templates.filter((template) => template.id !== templateId));
+    return { success: true };
+  },
+
+  async exportProjectTemplate(templateId, filePath) {
+    const template = this.getProjectTemplate(templateId);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    const { id, ...portableTemplate } = template;
+    await fs.writeJson(filePath, {
+      format: TEMPLATE_FORMAT,
+      formatVersion: TEMPLATE_FORMAT_VERSION,
+      ...portableTemplate,
+    }, { spaces: 2 });
+
+    return { success: true, path: filePath };
+  },
+
+  async importProjectTemplate(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      throw new Error('Template file not found');
+    }
+
+    let data;
+    try {
+      data = await fs.readJson(filePath);
+    } catch (error) {
+      throw new Error(`Could not read template file: ${error.message}`);
+    }
+
+    if (data?.format !== TEMPLATE_FORMAT || !data.name || !data.config || typeof data.config !== 'object') {
+      throw new Error('Invalid template file format');
+    }
+
+    const templates = this.getProjectTemplates();
+    const takenNames = new Set(templates.map((template) => template.name.toLowerCase()));
+    let name = String(data.name).trim();
+    for (let copy = 2; takenNames.has(name.toLowerCase()); copy++) {
+      name = `${String(data.name).trim()} (${copy})`;
+    }
+
+    const config = {};
+    for (const key of TEMPLATE_CONFIG_KEYS) {
+      if (data.config[key] !== undefined) {
+        config[key] = data.config[key];
+      }
+    }
+
+    const templateConfig = this.buildProjectTemplateConfig(config);
+    const pendingCommands = holdBackTemplateCommands(templateConfig);
+    const template = {
+      id: uuidv4(),
+      name,
+      description: data.description || '',
+      sourceProject: data.sourceProject || null,
+      createdAt: data.createdAt || new Date().toISOString(),
+      importedAt: new Date().toISOString(),
+      config: templateConfig,
+      ...(pendingCommands ? { pendingCommands } : {}),
+    };
+
+    this.configStore.set('projectTemplates', [...templates, template]);
+    return template;
+  },
+
+  // Moves the hooks and processes held back on import into the template, once the user accepted them
+  acceptProjectTemplateCommands(templateId) {
+    const templates = this.getProjectTemplates();
+    const template = templates.find((entry) => entry.id === templateId);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+    if (!template.pendingCommands) {
+      return template;
+    }
+
+    const { pendingCommands, ...accepted } = template;
+    const config = { ...template.config };
+    if (pendingCommands.hooks.length > 0) {
+      config.hooks = pendingCommands.hooks;
+    }
+    if (pendingCommands.processes.length > 0) {
+      config.supervisor = {
+        workers: config.supervisor?.workers || 1,
+        processes: [...(config.supervisor?.processes || []), ...pendingCommands.processes],
+      };
+    }
+    accepted.config = config;
+
+    this.configStore.set('projectTemplates', templates.map((entry) => (entry.id === templateId ? accepted : entry)));
+    return accepted;
+  },
+
+  // Explicit create options win over the template; services are merged key by key
+  resolveTemplateProjectConfig(config) {
+    if (!config?.templateId) {
+      return { config, template: null };
+    }
+
+    const template = this.getProjectTemplate(config.templateId);
+    if (!template) {
+      throw new Error('Project template not found. It may have been deleted.');
+    }
+
+    const defined = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+    return {
+      template,
+      config: {
+        ...template.config,
+        ...defined,
+        services: { ...(template.config.services || {}), ...(config.services || {}) },
+      },
+    };
+  },
+
+  applyProjectTemplate(project, template) {
+    const templateConfig = template.config;
+
+    project.environment = { ...project.environment, ...(templateConfig.environment || {}) };
+
+    for (const key of ['phpIniOverrides', 'phpFpm', 'vhostSnippets', 'routes', 'hooks']) {
+      if (templateConfig[key] !== undefined) {
+        project[key] = JSON.parse(JSON.stringify(templateConfig[key]));
+      }
+    }
+    if (templateConfig.networkAccess !== undefined) {
+      project.networkAccess = templateConfig.networkAccess;
+    }
+
+    const existingNames = new Set(project.supervisor.processes.map((proc) => proc.name));
+    for (const proc of templateConfig.supervisor?.processes || []) {
+      if (proc?.name && proc.command && !existingNames.has(proc.name)) {
+        project.supervisor.processes.push({ ...proc });
+      }
+    }
+
+    project.templateId = template.id;
+    return project;
+  },
+};
@@ -1,9 +1,14 @@
 const path = require('path');
 const fs = require('fs-extra');
 const { isPortAvailable } = require('../../utils/PortUtils');
+const { formatVhostSnippet } = require('../../utils/VhostSnippetUtils');
+const { getApacheFrameworkRules } = require('../../utils/PhpFrameworkPresets');
+const { formatApacheRoutes } = require('../../utils/VhostRouteUtils');
+const { formatApacheErrorPage } = require('../../utils/VhostErrorPageUtils');
+const { isBackendProxyProject, isStaticSiteProject, getProxyUpstreamUrl } = require('../../utils/ProjectTypeUtils');
 
 module.exports = {
-  async createApacheVhost(project, targetApacheVersion = null) {
+  async createApacheVhost(project, targetApacheVersion = null, overridePhpFpmPort = null) {
     const dataPath = this.getDataPath();
     const vhostsDir = path.join(dataPath, 'apache', 'vhosts');
     const sslDir = path.join(dataPath, 'ssl', project.domain).replace(/\\/g, '/');
@@ -65,6 +70,44 @@ module.exports = {
     const platform = process.platform === 'win32' ? 'win' : process.platform === 'darwin' ? 'mac' : 'linux';
     const resourcesPath = this.getResourcesPath();
     const phpCgiPath = path.join(resourcesPath, 'php', phpVersion, platform, 'php-cgi.exe').replace(/\\/g, '/');
+    const phpCgiDir = path.dirname(phpCgiPath).replace(/\\/g, '/');
+    const phpFpmPoolPort = overridePhpFpmPort || this.runningProjects?.get(project.id)?.phpFpmPort || phpFpmPortStr;
+    const isStaticSite = isStaticSiteProject(project);
+    const phpHandlerConfig = isStaticSite
+      ? '    # Static site: PHP is not executed'
+      : await this.getPhpFpmBinaryPath(phpVersion)
+        ? `    # PHP Configuration using the project's PHP-FPM pool
+    <FilesMatch "\\.php$">
+        SetHandler "proxy:fcgi://127.0.0.1:${phpFpmPoolPort}"
+    </FilesMatch>`
+        : `    # PHP Configuration using Action/AddHandler
+    ScriptAlias /php-cgi/ "${phpCgiDir}/"
+    <Directory "${phpCgiDir}">
+        AllowOverride None
+        Options None
+        Require all granted
+    </Directory>
+    
+    Action application/x-httpd-php "/php-cgi/php-cgi.exe"
+    AddHandler application/x-httpd-php .php`;
+
+    const phpLocationSnippet = formatVhostSnippet(project, 'apache', 'phpLocation', '        ');
+    const phpSnippetConfig = phpLocationSnippet && !isStaticSite
+      ? `\n\n    <FilesMatch "\\.php$">${phpLocationSnippet}\n    </FilesMatch>`
+      : '';
+    const serverSnippet = formatVhostSnippet(project, 'apache', 'server');
+    const sslServerSnippet = formatVhostSnippet(project, 'apache', 'sslServer');
+    const frameworkRewriteRules = getApacheFrameworkRules(project);
+    const routeRules = formatApacheRoutes(project);
+    const errorPageRules = formatApacheErrorPage(project, this.activationPort);
+    const directoryIndex = isStaticSite ? 'index.html index.htm' : 'index.php index.html';
+    // Static sites either fall back to index.html for client-side routing or 404 on missing files
+    const frontControllerRules = isStaticSite && !project.spaFallback
+      ? ''
+      : `            RewriteCond %{REQUEST_FILENAME} !-f
+            RewriteCond %{REQUEST_FILENAME} !-d
+            RewriteRule ${isStaticSite ? '^ index.html [L]' : '^(.*)$ index.php?$1 [L,QSA]'}
+`;
 
     let config = `
 # DevBox Pro - ${project.name}
@@ -83,7 +126,7 @@ module.exports = {
 
     SetEnvIf X-Forwarded-Proto "^https$" HTTPS=on
     SetEnvIf X-Forwarded-Proto "^https$" REQUEST_SCHEME=https
-    SetEnvIf X-Forwarded-Port "^([0-9]+)$" SERVER_PORT=$1
+    SetEnvIf X-Forwarded-Port "^([0-9]+)$" SERVER_PORT=$1${errorPageRules}${routeRules}
     
     <Directory "${documentRoot}">
         Options Indexes FollowSymLinks MultiViews ExecCGI
@@ -94,24 +137,12 @@ module.exports = {
         <IfModule mod_rewrite.c>
             RewriteEngine On
             RewriteBase /
-            RewriteCond %{REQUEST_FILENAME} !-f
-            RewriteCond %{REQUEST_FILENAME} !-d
-            RewriteRule ^(.*)$ index.php?$1 [L,QSA]
-        </IfModule>
+${frameworkRewriteRules}${frontControllerRules}        </IfModule>
     </Directory>
 
-    # PHP Configuration using Action/AddHandler
-    ScriptAlias /php-cgi/ "${path.dirname(phpCgiPath).replace(/\\/g, '/')}/"
-    <Directory "${path.dirname(phpCgiPath).replace(/\\/g, '/')}">
-        AllowOverride None
-        Options None
-        Require all granted
-    </Directory>
-    
-    Action application/x-httpd-php "/php-cgi/php-cgi.exe"
-    AddHandler application/x-httpd-php .php
+${phpHandlerConfig}${phpSnippetConfig}
 
-    DirectoryIndex index.php index.html
+    DirectoryIndex ${directoryIndex}${serverSnippet}
 
     ErrorLog "${dataPath}/apache/logs/${project.id}-error.log"
     CustomLog "${dataPath}/apache/logs/${project.id}-access.log" combined
@@ -135,7 +166,7 @@ module.exports = {
 
     SetEnvIf X-Forwarded-Proto "^https$" HTTPS=on
     SetEnvIf X-Forwarded-Proto "^https$" REQUEST_SCHEME=https
-    SetEnvIf X-Forwarded-Port "^([0-9]+)$" SERVER_PORT=$1
+    SetEnvIf X-Forwarded-Port "^([0-9]+)$" SERVER_PORT=$1${errorPageRules}${routeRules}
     
     # SSL Configuration
     SSLEngine on
@@ -160,24 +191,12 @@ module.exports = {
         <IfModule mod_rewrite.c>
             RewriteEngine On
             RewriteBase /
-            RewriteCond %{REQUEST_FILENAME} !-f
-            RewriteCond %{REQUEST_FILENAME} !-d
-            RewriteRule ^(.*)$ index.php?$1 [L,QSA]
-        </IfModule>
+${frameworkRewriteRules}${frontControllerRules}        </IfModule>
     </Directory>
 
-    # PHP Configuration using Action/AddHandler
-    ScriptAlias /php-cgi/ "${path.dirname(phpCgiPath).replace(/\\/g, '/')}/"
-    <Directory "${path.dirname(phpCgiPath).replace(/\\/g, '/')}">
-        AllowOverride None
-        Options None
-        Require all granted
-    </Directory>
-    
-    Action application/x-httpd-php "/php-cgi/php-cgi.exe"
-    AddHandler application/x-httpd-php .php
+${phpHandlerConfig}${phpSnippetConfig}
 
-    DirectoryIndex index.php index.html
+    DirectoryIndex ${directoryIndex}${serverSnippet}${sslServerSnippet}
 
     ErrorLog "${dataPath}/apache/logs/${project.id}-ssl-error.log"
     CustomLog "${dataPath}/apache/logs/${project.id}-ssl-access.log" combined
@@ -192,7 +211,7 @@ module.exports = {
     return { configPath, finalHttpPort, httpPort, networkAccess };
   },
 
-  async createProxyApacheVhost(project, backendHttpPort, targetApacheVersion = null) {
+  async createProxyApacheVhost(project, backendTarget, targetApacheVersion = null) {
     const dataPath = this.getDataPath();
     const vhostsDir = path.join(dataPath, 'apache', 'vhosts');
     const sslDir = path.join(dataPath, 'ssl', project.domain).replace(/\\/g, '/');
@@ -204,6 +223,18 @@ module.exports = {
     const frontDoorPorts = this.managers.service?.getServicePorts('apache', effectiveVersion);
     const httpPort = frontDoorPorts?.httpPort || 80;
     const httpsPort = frontDoorPorts?.sslPort || 443;
+    // Exclusions and proxied routes have to come before the catch-all ProxyPass
+    const routeRules = formatApacheRoutes(project, {
+      phpHandled: false,
+      phpBackendPort: isBackendProxyProject(project) ? null : backendTarget,
+      preserveHost: false,
+    });
+    const errorPageRules = formatApacheErrorPage(project, this.activationPort);
+    const upstream = getProxyUpstreamUrl(backendTarget);
+    // Local HTTPS upstreams usually run on self-signed certificates
+    const upstreamSslConfig = upstream.startsWith('https:')
+      ? '    SSLProxyEngine on\n    SSLProxyVerify none\n    SSLProxyCheckPeerName off\n    SSLProxyCheckPeerExpire off\n'
+      : '';
 
     await fs.ensureDir(vhostsDir);
     const certsExist = await this.ensureProjectSslCertificates(project, sslDir);
@@ -214,15 +245,15 @@ module.exports = {
 # Generated: ${new Date().toISOString()}
   # NOTE: Auto-generated file. Manual edits are not recommended.
   # This file is regenerated when DevBox starts, stops, or reloads the project/service.
-# Front Door: apache -> ${this.getEffectiveWebServer(project)}:${backendHttpPort}
+# Front Door: apache -> ${typeof backendTarget === 'string' ? upstream : `${this.getEffectiveWebServer(project)}:${backendTarget}`}
 
 <VirtualHost *:${httpPort}>
     ServerName ${primaryDomain}
 ${serverAliases ? `    ServerAlias ${serverAliases}` : ''}
 
-    ProxyPreserveHost On
-    ProxyPass / http://127.0.0.1:${backendHttpPort}/ retry=0
-    ProxyPassReverse / http://127.0.0.1:${backendHttpPort}/
+${upstreamSslConfig}    ProxyPreserveHost On${errorPageRules}${routeRules && `${routeRules}\n`}
+    ProxyPass / ${upstream}/ retry=0
+    ProxyPassReverse / ${upstream}/
     RequestHeader set X-Forwarded-Proto "http"
   RequestHeader set X-Forwarded-Port "${httpPort}"
 
@@ -241,9 +272,9 @@ ${serverAliases ? `    ServerAlias ${serverAliases}` : ''}
     SSLCertificateFile "${sslDir}/cert.pem"
     SSLCertificateKeyFile "${sslDir}/key.pem"
 
-    ProxyPreserveHost On
-    ProxyPass / http://127.0.0.1:${backendHttpPort}/ retry=0
-    ProxyPassReverse / http://127.0.0.1:${backendHttpPort}/
+${upstreamSslConfig}    ProxyPreserveHost On${errorPageRules}${routeRules && `${routeRules}\n`}
+    ProxyPass / ${upstream}/ retry=0
+    ProxyPassReverse / ${upstream}/
     RequestHeader set X-Forwarded-Proto "https"
     RequestHeader set X-Forwarded-Port "${httpsPort}"
 
@@ -1,6 +1,11 @@
 const path = require('path');
 const fs = require('fs-extra');
 const { isPortAvailable } = require('../../utils/PortUtils');
+const { formatVhostSnippet } = require('../../utils/VhostSnippetUtils');
+const { getNginxFrameworkRules } = require('../../utils/PhpFrameworkPresets');
+const { formatNginxRoutes } = require('../../utils/VhostRouteUtils');
+const { formatNginxErrorPage } = require('../../utils/VhostErrorPageUtils');
+const { isBackendProxyProject, isStaticSiteProject, getProxyUpstreamUrl } = require('../../utils/ProjectTypeUtils');
 
 module.exports = {
   async createNginxVhost(project, overridePhpFpmPort = null, targetNginxVersion = null) {
@@ -86,35 +91,19 @@ module.exports = {
       allNginxDomains.push('_');
     }
     const serverName = allNginxDomains.join(' ');
-
-    let config = `
-# DevBox Pro - ${project.name}
-# Domain: ${project.domain}
-# Generated: ${new Date().toISOString()}
-    # NOTE: Auto-generated file. Manual edits are not recommended.
-    # This file is regenerated when DevBox starts, stops, or reloads the project/service.
-# Ports: HTTP=${finalHttpPort}, HTTPS=${httpsPort}${networkAccess ? '\n# Network Access: ENABLED - accessible from local network' : ''}${canUsePort80 ? '\n# Port 80 (first-come-first-served)' : ''}
-
-# HTTP Server
-server {
-    listen ${listenDirective};
-    server_name ${serverName};
-    root "${documentRoot.replace(/\\/g, '/')}";
-    index index.php index.html index.htm;
-
-    charset utf-8;
-    client_max_body_size 128M;
-
-    # Security headers
-    add_header X-Frame-Options "SAMEORIGIN" always;
-    add_header X-Content-Type-Options "nosniff" always;
-
-    location / {
-        try_files $uri $uri/ /index.php?$query_string;
-    }
-
-    location = /favicon.ico { access_log off; log_not_found off; }
-    location = /robots.txt  { access_log off; log_not_found off; }
+    const serverSnippet = formatVhostSnippet(project, 'nginx', 'server');
+    const phpLocationSnippet = formatVhostSnippet(project, 'nginx', 'phpLocation', '        ');
+    const sslServerSnippet = formatVhostSnippet(project, 'nginx', 'sslServer');
+    const frameworkRules = getNginxFrameworkRules(project);
+    const routeRules = formatNginxRoutes(project, { phpFpmPort, fastcgiParamsPath });
+    const errorPageRules = formatNginxErrorPage(project, this.activationPort);
+    const isStaticSite = isStaticSiteProject(project);
+    const indexFiles = isStaticSite ? 'index.html index.htm' : 'index.php index.html index.htm';
+    const tryFiles = isStaticSite
+      ? `$uri $uri/ ${project.spaFallback ? '/index.html' : '=404'}`
+      : frameworkRules.tryFiles;
+    // Static sites have no PHP worker to hand requests to
+    const phpHandler = isStaticSite ? '' : `
 
     error_page 404 /index.php;
 
@@ -142,12 +131,41 @@ server {
         fastcgi_param HTTP_X_FORWARDED_PROTO $devbox_forwarded_proto;
         fastcgi_param HTTP_X_FORWARDED_PORT $devbox_server_port;
         fastcgi_hide_header X-Powered-By;
-        fastcgi_read_timeout 300;
+        fastcgi_read_timeout 300;${phpLocationSnippet}
+    }`;
+
+    let config = `
+# DevBox Pro - ${project.name}
+# Domain: ${project.domain}
+# Generated: ${new Date().toISOString()}
+    # NOTE: Auto-generated file. Manual edits are not recommended.
+    # This file is regenerated when DevBox starts, stops, or reloads the project/service.
+# Ports: HTTP=${finalHttpPort}, HTTPS=${httpsPort}${networkAccess ? '\n# Network Access: ENABLED - accessible from local network' : ''}${canUsePort80 ? '\n# Port 80 (first-come-first-served)' : ''}
+
+# HTTP Server
+server {
+    listen ${listenDirective};
+    server_name ${serverName};
+    root "${documentRoot.replace(/\\/g, '/')}";
+    index ${indexFiles};
+
+    charset utf-8;
+    client_max_body_size 128M;
+
+    # Security headers
+    add_header X-Frame-Options "SAMEORIGIN" always;
+    add_header X-Content-Type-Options "nosniff" always;${errorPageRules}${routeRules}
+
+    location / {
+        try_files ${tryFiles};
     }
 
+    location = /favicon.ico { access_log off; log_not_found off; }
+    location = /robots.txt  { access_log off; log_not_found off; }${phpHandler}
+
     location ~ /\\.(?!well-known).* {
         deny all;
-    }
+    }${frameworkRules.rules}${serverSnippet}
 
     access_log "${dataPath.replace(/\\/g, '/')}/nginx/logs/${project.id}-access.log";
     error_log "${dataPath.replace(/\\/g, '/')}/nginx/logs/${project.id}-error.log";
@@ -167,7 +185,7 @@ server {
     listen ${listenDirectiveSsl};${http2Directive}
     server_name ${serverName};
     root "${documentRoot.replace(/\\/g, '/')}";
-    index index.php index.html index.htm;
+    index ${indexFiles};
 
     # SSL Configuration
     ssl_certificate "${sslDir.replace(/\\/g, '/')}/cert.pem";
@@ -184,47 +202,18 @@ server {
     # Security headers
     add_header X-Frame-Options "SAMEORIGIN" always;
     add_header X-Content-Type-Options "nosniff" always;
-    add_header Strict-Transport-Security "max-age=31536000; includeSubDomains" always;
+    add_header Strict-Transport-Security "max-age=31536000; includeSubDomains" always;${errorPageRules}${routeRules}
 
     location / {
-        try_files $uri $uri/ /index.php?$query_string;
+        try_files ${tryFiles};
     }
 
     location = /favicon.ico { access_log off; log_not_found off; }
-    location = /robots.txt  { access_log off; log_not_found off; }
-
-    error_page 404 /index.php;
-
-    location ~ \\.php$ {
-        try_files $uri /index.php?$query_string;
-        set $devbox_request_scheme $scheme;
-        set $devbox_https $https;
-        set $devbox_server_port $server_port;
-        set $devbox_forwarded_proto $scheme;
-      if ($http_x_forwarded_port != "") {
-        set $devbox_server_port $http_x_forwarded_port;
-      }
-        if ($http_x_forwarded_proto = "https") {
-            set $devbox_request_scheme https;
-            set $devbox_https on;
-            set $devbox_forwarded_proto https;
-        }
-        fastcgi_pass 127.0.0.1:${phpFpmPort};
-        fastcgi_index index.php;
-      include "${fastcgiParamsPath}";
-        fastcgi_param SCRIPT_FILENAME $realpath_root$fastcgi_script_name;
-        fastcgi_param HTTPS $devbox_https;
-        fastcgi_param REQUEST_SCHEME $devbox_request_scheme;
-        fastcgi_param SERVER_PORT $devbox_server_port;
-        fastcgi_param HTTP_X_FORWARDED_PROTO $devbox_forwarded_proto;
-        fastcgi_param HTTP_X_FORWARDED_PORT $devbox_server_port;
-        fastcgi_hide_header X-Powered-By;
-        fastcgi_read_timeout 300;
-    }
+    location = /robots.txt  { access_log off; log_not_found off; }${phpHandler}
 
     location ~ /\\.(?!well-known).* {
         deny all;
-    }
+    }${frameworkRules.rules}${serverSnippet}${sslServerSnippet}
 
     access_log "${dataPath.replace(/\\/g, '/')}/nginx/logs/${project.id}-ssl-access.log";
     error_log "${dataPath.replace(/\\/g, '/')}/nginx/logs/${project.id}-ssl-error.log";
@@ -239,7 +228,7 @@ server {
     return { configPath, finalHttpPort, httpPort, networkAccess };
   },
 
-  async createProxyNginxVhost(project, backendHttpPort, targetNginxVersion = null) {
+  async createProxyNginxVhost(project, backendTarget, targetNginxVersion = null) {
     const dataPath = this.getDataPath();
     const sslDir = path.join(dataPath, 'ssl', project.domain);
     const effectiveVersion = targetNginxVersion || this.managers.service?.standardPortOwnerVersion || this.getDefaultWebServerVersion('nginx');
@@ -248,6 +237,16 @@ server {
     const frontDoorPorts = this.managers.service?.getServicePorts('nginx', effectiveVersion);
     const httpPort = frontDoorPorts?.httpPort || 80;
     const httpsPort = frontDoorPorts?.sslPort || 443;
+    // PHP routes of a PHP project are served by its own web server behind this front door
+    const phpBackendPort = isBackendProxyProject(project) ? null : backendTarget;
+    const upstream = getProxyUpstreamUrl(backendTarget);
+    const upstreamUrl = new URL(upstream);
+    // An upstream with a path needs the trailing slash so /x maps to <path>/x
+    const proxyPassTarget = upstreamUrl.pathname === '/' ? upstream : `${upstream}/`;
+    const errorPageRules = formatNginxErrorPage(project, this.activationPort);
+    const upstreamSslConfig = upstreamUrl.protocol === 'https:'
+      ? '\n        proxy_ssl_server_name on;\n        proxy_ssl_verify off;'
+      : '';
 
     await fs.ensureDir(sitesDir);
     const certsExist = await this.ensureProjectSslCertificates(project, sslDir);
@@ -258,16 +257,16 @@ server {
 # Generated: ${new Date().toISOString()}
   # NOTE: Auto-generated file. Manual edits are not recommended.
   # This file is regenerated when DevBox starts, stops, or reloads the project/service.
-# Front Door: nginx -> ${this.getEffectiveWebServer(project)}:${backendHttpPort}
+# Front Door: nginx -> ${typeof backendTarget === 'string' ? upstream : `${this.getEffectiveWebServer(project)}:${backendTarget}`}
 
 server {
   listen ${httpPort};
     server_name ${serverName};
 
-    client_max_body_size 128M;
+    client_max_body_size 128M;${errorPageRules}${formatNginxRoutes(project, { phpBackendPort })}
 
     location / {
-        proxy_pass http://127.0.0.1:${backendHttpPort};
+        proxy_pass ${proxyPassTarget};${upstreamSslConfig}
         proxy_http_version 1.1;
         proxy_set_header Host $host;
         proxy_set_header X-Real-IP $remote_addr;
@@ -299,10 +298,10 @@ server {
     ssl_session_cache shared:SSL:10m;
     ssl_session_timeout 1d;
 
-    client_max_body_size 128M;
+    client_max_body_size 128M;${errorPageRules}${formatNginxRoutes(project, { phpBackendPort, forwardedProto: 'https', forwardedPort: httpsPort })}
 
     location / {
-        proxy_pass http://127.0.0.1:${backendHttpPort};
+        proxy_pass ${proxyPassTarget};${upstreamSslConfig}
         proxy_http_version 1.1;
         proxy_set_header Host $host;
         proxy_set_header X-Real-IP $remote_addr;
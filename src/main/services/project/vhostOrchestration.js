@@ -1,14 +1,15 @@
 const path = require('path');
 const fs = require('fs-extra');
+const { isBackendProxyProject, getProjectBackendTarget } = require('../../utils/ProjectTypeUtils');
 
 module.exports = {
   async createVirtualHost(project, phpFpmPort = null, targetVersion = null) {
     const webServer = project.webServer || this.configStore.get('settings.webServer', 'nginx');
-    const nodeBackendPort = project.nodePort || 3000;
+    const backendTarget = getProjectBackendTarget(project);
 
     if (webServer === 'nginx') {
-      if (project.type === 'nodejs') {
-        await this.createProxyNginxVhost(project, nodeBackendPort, targetVersion);
+      if (isBackendProxyProject(project)) {
+        await this.createProxyNginxVhost(project, backendTarget, targetVersion);
       } else {
         await this.createNginxVhost(project, phpFpmPort, targetVersion);
       }
@@ -35,9 +36,9 @@ module.exports = {
       return;
     }
 
-    const result = project.type === 'nodejs'
-      ? await this.createProxyApacheVhost(project, nodeBackendPort, targetVersion)
-      : await this.createApacheVhost(project, targetVersion);
+    const result = isBackendProxyProject(project)
+      ? await this.createProxyApacheVhost(project, backendTarget, targetVersion)
+      : await this.createApacheVhost(project, targetVersion, phpFpmPort);
     const proxied = await this.syncProjectLocalProxy(project);
     await this.ensureApacheListenConfig(project, result, targetVersion);
 
@@ -84,8 +85,8 @@ module.exports = {
 
       try {
         if (shouldCreateDirectApache) {
-          if (proj.type === 'nodejs') {
-            await this.createProxyApacheVhost(proj, proj.nodePort || 3000, targetApacheVersion);
+          if (isBackendProxyProject(proj)) {
+            await this.createProxyApacheVhost(proj, getProjectBackendTarget(proj), targetApacheVersion);
           } else {
             await this.createApacheVhost(proj, targetApacheVersion);
           }
@@ -128,8 +129,8 @@ module.exports = {
 
       try {
         if (shouldCreateDirectNginx) {
-          if (proj.type === 'nodejs') {
-            await this.createProxyNginxVhost(proj, proj.nodePort || 3000, targetNginxVersion);
+          if (isBackendProxyProject(proj)) {
+            await this.createProxyNginxVhost(proj, getProjectBackendTarget(proj), targetNginxVersion);
           } else {
             const running = this.runningProjects.get(proj.id);
             const phpFpmPort = running?.phpFpmPort || null;
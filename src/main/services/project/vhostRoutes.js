@@ -0,0 +1,35 @@
+const { normalizeVhostRoutes } = require('../../utils/VhostRouteUtils');
+const { isBackendProxyProject, isStaticSiteProject } = require('../../utils/ProjectTypeUtils');
+
+module.exports = {
+  getProjectRoutes(id) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    return normalizeVhostRoutes(project.routes);
+  },
+
+  async saveProjectRoutes(id, routeInput) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const routes = normalizeVhostRoutes(routeInput);
+    // App server and static site projects have no PHP-FPM pool for a PHP route to use
+    if ((isBackendProxyProject(project) || isStaticSiteProject(project)) && routes.some((route) => route.type === 'php')) {
+      throw new Error('PHP routes need a PHP project. Serve the PHP app as its own project and proxy to it instead.');
+    }
+
+    const result = await this.testProjectVhostConfig({ ...project, routes });
+    if (!result.success) {
+      const webServerName = this.getEffectiveWebServer(project) === 'apache' ? 'Apache' : 'Nginx';
+      this.managers.log?.project(id, `Rejected path routes: ${result.error}`, 'error');
+      throw new Error(`${webServerName} rejected the path routes:\n${result.error}`);
+    }
+
+    return this.updateProject(id, { routes });
+  },
+};
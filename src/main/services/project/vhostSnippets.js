@@ -0,0 +1,94 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { normalizeVhostSnippets } = require('../../utils/VhostSnippetUtils');
+const { isBackendProxyProject, getProjectBackendTarget } = require('../../utils/ProjectTypeUtils');
+
+module.exports = {
+  getProjectVhostSnippets(id) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    return normalizeVhostSnippets(project.vhostSnippets);
+  },
+
+  async testProjectVhostConfig(project) {
+    const webServer = this.getEffectiveWebServer(project);
+    const version = this.getEffectiveWebServerVersion(project, webServer);
+    const dataPath = this.getDataPath();
+    const mainConfigPath = webServer === 'apache'
+      ? path.join(dataPath, 'apache', 'httpd.conf')
+      : path.join(dataPath, 'nginx', version, 'nginx.conf');
+
+    // Without a generated main config there is nothing to include the vhost from yet;
+    // the snippets are validated by the next reload instead.
+    if (!await fs.pathExists(mainConfigPath)) {
+      return { success: true, skipped: true };
+    }
+
+    const configPath = webServer === 'apache'
+      ? path.join(dataPath, 'apache', 'vhosts', `${project.id}.conf`)
+      : path.join(dataPath, 'nginx', version, 'sites', `${project.id}.conf`);
+    const previousConfig = await fs.pathExists(configPath) ? await fs.readFile(configPath, 'utf8') : null;
+    const phpFpmPort = this.runningProjects.get(project.id)?.phpFpmPort || null;
+
+    // App server and proxy projects get the proxy vhost, which renders their routes too
+    const usesBackendProxy = isBackendProxyProject(project);
+
+    let result;
+    try {
+      if (webServer === 'apache') {
+        if (usesBackendProxy) {
+          await this.createProxyApacheVhost(project, getProjectBackendTarget(project), version);
+        } else {
+          await this.createApacheVhost(project, version, phpFpmPort);
+        }
+        result = await this.managers.service?.testApacheConfig(version);
+      } else {
+        if (usesBackendProxy) {
+          await this.createProxyNginxVhost(project, getProjectBackendTarget(project), version);
+        } else {
+          await this.createNginxVhost(project, phpFpmPort, version);
+        }
+        result = await this.managers.service?.testNginxConfig(version);
+      }
+    } finally {
+      // Leave the live vhost untouched; updateProject regenerates it once the snippets are saved
+      if (previousConfig === null) {
+        await fs.remove(configPath);
+      } else {
+        await fs.writeFile(configPath, previousConfig);
+      }
+    }
+
+    if (!result || /binary not found/i.test(result.error || '')) {
+      return { success: true, skipped: true };
+    }
+
+    return result;
+  },
+
+  async saveProjectVhostSnippets(id, snippets) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const vhostSnippets = normalizeVhostSnippets(snippets);
+    // The proxy vhost of app server and proxy projects has no snippet slots, so they would never be applied
+    const hasSnippets = Object.values(vhostSnippets).some((slots) => Object.keys(slots).length > 0);
+    if (isBackendProxyProject(project) && hasSnippets) {
+      throw new Error('Vhost snippets need a PHP or static site project. Node.js, Python and proxy projects are served through a generated proxy vhost without snippet slots.');
+    }
+
+    const result = await this.testProjectVhostConfig({ ...project, vhostSnippets });
+    if (!result.success) {
+      const webServerName = this.getEffectiveWebServer(project) === 'apache' ? 'Apache' : 'Nginx';
+      this.managers.log?.project(id, `Rejected vhost snippets: ${result.error}`, 'error');
+      throw new Error(`${webServerName} rejected the vhost snippets:\n${result.error}`);
+    }
+
+    return this.updateProject(id, { vhostSnippets });
+  },
+};
@@ -3,6 +3,7 @@ const fs = require('fs-extra');
 const { spawn } = require('child_process');
 const { isPortAvailable, findAvailablePort } = require('../../utils/PortUtils');
 const { spawnSyncSafe } = require('../../utils/SpawnUtils');
+const { WEB_SERVER_HEALTH_PATH } = require('../../utils/ServiceProbeUtils');
 
 function hasStaleStandardPortBindings(content = '', httpPort = 80, httpsPort = 443) {
   const stalePorts = new Set();
@@ -311,7 +312,7 @@ module.exports = {
     this.runningVersions.get('apache').set(version, { port: httpPort, sslPort: httpsPort, startedAt: new Date() });
 
     try {
-      await this.waitForService('apache', 30000);
+      await this.waitForService('apache', 30000, version);
       status.status = 'running';
       status.startedAt = Date.now();
     } catch (error) {
@@ -344,6 +345,36 @@ module.exports = {
     }
   },
 
+  // Test Apache configuration without starting/reloading
+  async testApacheConfig(version = null) {
+    if (!version) {
+      const status = this.serviceStatus.get('apache');
+      version = status?.version || '2.4';
+    }
+
+    const apachePath = this.getApachePath(version);
+    const httpdExe = path.join(apachePath, 'bin', process.platform === 'win32' ? 'httpd.exe' : 'httpd');
+    const confPath = path.join(this.getDataPath(), 'apache', 'httpd.conf');
+
+    if (!await fs.pathExists(httpdExe)) {
+      return { success: false, error: 'Apache binary not found' };
+    }
+
+    const result = spawnSyncSafe(httpdExe, ['-t', '-f', confPath], {
+      cwd: apachePath,
+      windowsHide: true,
+      timeout: 10000,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    if (result.status === 0 && !result.error) {
+      return { success: true };
+    }
+
+    const message = result.error?.message || `Process exited with status ${result.status}`;
+    return { success: false, error: `${result.stderr} ${result.stdout} ${message}`.trim() };
+  },
+
   async reloadApache(version = null) {
     if (!version) {
       const status = this.serviceStatus.get('apache');
@@ -565,6 +596,11 @@ DocumentRoot "${dataPath.replace(/\\/g, '/')}/www"
 
 ErrorLog "${logsPath.replace(/\\/g, '/')}/error.log"
 CustomLog "${logsPath.replace(/\\/g, '/')}/access.log" combined
+
+# Health checks: answered with 410 on every vhost before any project proxies or rewrites the path,
+# so unmatched hosts still reach the first project vhost while a failing or sleeping project is never hit
+ProxyPass "${WEB_SERVER_HEALTH_PATH}" "!"
+Redirect gone "${WEB_SERVER_HEALTH_PATH}"
 ${sslCatchAll}
 IncludeOptional "${dataPath.replace(/\\/g, '/')}/apache/vhosts/*.conf"
 `;
@@ -0,0 +1,111 @@
+const {
+  SERVICE_CONFIG_OVERRIDE_SERVICES,
+  normalizeServiceConfigOverride,
+  validateServiceConfigOverride,
+  mergeServiceConfigOverride,
+  buildPostgresOverrideArgs,
+} = require('../../utils/ServiceConfigOverrideUtils');
+
+/**
+ * Per-version extra config merged into the generated config files.
+ * Stored as `serviceConfigOverrides[service][version]`:
+ *   { content, lastWorkingContent, rejected: { content, error } | null }
+ * `lastWorkingContent` is what the service last started with, so a change that keeps
+ * the service from starting can be rolled back.
+ */
+module.exports = {
+  getServiceConfigOverride(serviceName, version) {
+    const entry = this.configStore.get('serviceConfigOverrides', {})?.[serviceName]?.[version] || {};
+    const content = entry.content || '';
+    return {
+      content,
+      lastWorkingContent: entry.lastWorkingContent ?? content,
+      rejected: entry.rejected || null,
+    };
+  },
+
+  storeServiceConfigOverride(serviceName, version, entry) {
+    const overrides = this.configStore.get('serviceConfigOverrides', {}) || {};
+    this.configStore.set('serviceConfigOverrides', {
+      ...overrides,
+      [serviceName]: { ...overrides[serviceName], [version]: entry },
+    });
+  },
+
+  async saveServiceConfigOverride(serviceName, version, content) {
+    if (!SERVICE_CONFIG_OVERRIDE_SERVICES.includes(serviceName)) {
+      throw new Error(`Custom config is not supported for ${serviceName}`);
+    }
+
+    const label = `${this.serviceConfigs[serviceName].name} ${version}`;
+    const normalized = normalizeServiceConfigOverride(content);
+    const errors = validateServiceConfigOverride(serviceName, normalized);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${label} config:\n${errors.join('\n')}`);
+    }
+
+    const previous = this.getServiceConfigOverride(serviceName, version);
+    this.storeServiceConfigOverride(serviceName, version, {
+      content: normalized,
+      lastWorkingContent: previous.lastWorkingContent,
+      rejected: null,
+    });
+    this.managers.log?.service(serviceName, `Custom config for ${label} updated`);
+
+    // Stopped versions pick the config up, and roll it back if needed, on their next start
+    if (!this.runningVersions.get(serviceName)?.has(version)) {
+      return { success: true, applied: false, rolledBack: false };
+    }
+
+    const result = await this.restartService(serviceName, version);
+    return {
+      success: !result?.configRolledBack,
+      applied: true,
+      rolledBack: !!result?.configRolledBack,
+      error: result?.configError || null,
+    };
+  },
+
+  applyServiceConfigOverride(serviceName, version, config) {
+    return mergeServiceConfigOverride(serviceName, config, this.getServiceConfigOverride(serviceName, version).content);
+  },
+
+  getPostgresConfigOverrideArgs(version) {
+    return buildPostgresOverrideArgs(this.getServiceConfigOverride('postgresql', version).content);
+  },
+
+  markServiceConfigOverrideWorking(serviceName, version) {
+    const override = this.getServiceConfigOverride(serviceName, version);
+    if (override.content !== override.lastWorkingContent) {
+      this.storeServiceConfigOverride(serviceName, version, {
+        content: override.content,
+        lastWorkingContent: override.content,
+        rejected: null,
+      });
+    }
+  },
+
+  // Returns true when an untried custom config was replaced with the last working one
+  rollbackServiceConfigOverride(serviceName, version, errorMessage) {
+    if (!SERVICE_CONFIG_OVERRIDE_SERVICES.includes(serviceName) || !version) {
+      return false;
+    }
+
+    const override = this.getServiceConfigOverride(serviceName, version);
+    if (override.content === override.lastWorkingContent) {
+      return false;
+    }
+
+    this.storeServiceConfigOverride(serviceName, version, {
+      content: override.lastWorkingContent,
+      lastWorkingContent: override.lastWorkingContent,
+      rejected: { content: override.content, error: errorMessage },
+    });
+    this.managers.log?.service(
+      serviceName,
+      `${this.serviceConfigs[serviceName].name} ${version} failed to start with its custom config, rolled back to the last working config: ${errorMessage}`,
+      'error'
+    );
+    return true;
+  },
+};
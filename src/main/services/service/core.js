@@ -305,6 +305,8 @@ module.exports = {
           status.startedAt = new Date();
           status.version = version;
           this.emit('serviceStarted', serviceName, version);
+          this.watchServiceProcess?.(serviceName, config.versioned ? version : null);
+          this.markServiceConfigOverrideWorking?.(serviceName, version);
         }
 
         return { success: status.status === 'running', service: serviceName, version, status: status.status };
@@ -338,6 +340,13 @@ module.exports = {
           return runStart(1); // Recursive retry
         }
 
+        // An untried custom config is the likely cause, start once more with the last working one
+        if (retryCount < 2 && this.rollbackServiceConfigOverride?.(serviceName, version, errorMessage)) {
+          await this.cleanupFailedStart(serviceName, version);
+          const result = await runStart(2);
+          return { ...result, configRolledBack: true, configError: errorMessage };
+        }
+
         this.managers.log?.systemError(`Failed to start ${config.name}${versionSuffix}`, { error: error.message });
         if (status) {
           status.status = 'error';
@@ -421,6 +430,7 @@ module.exports = {
     }
 
     const processKey = this.getProcessKey(serviceName, version);
+    this.cancelServiceRestart?.(processKey);
     const versionSuffix = version ? ` ${version}` : '';
     const webServerProcessPath = serviceName === 'nginx'
       ? this.getNginxPath(version || '1.28')
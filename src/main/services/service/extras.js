@@ -109,6 +109,7 @@ module.exports = {
       '-D', dataDir,
       '-p', String(port),
       '-k', dataDir,
+      ...this.getPostgresConfigOverrideArgs(version),
     ], {
       stdio: ['ignore', 'pipe', 'pipe'],
     });
@@ -133,7 +134,7 @@ module.exports = {
     this.runningVersions.get('postgresql').set(version, { port, startedAt: new Date() });
 
     try {
-      await this.waitForService('postgresql', 60000);
+      await this.waitForService('postgresql', 60000, version);
       status.status = 'running';
       status.startedAt = Date.now();
     } catch (error) {
@@ -227,7 +228,7 @@ module.exports = {
     this.runningVersions.get('mongodb').set(version, { port, startedAt: new Date() });
 
     try {
-      await this.waitForService('mongodb', 60000);
+      await this.waitForService('mongodb', 60000, version);
       status.status = 'running';
       status.startedAt = Date.now();
     } catch (error) {
@@ -299,7 +300,7 @@ module.exports = {
     });
 
     try {
-      await this.waitForService('memcached', 20000);
+      await this.waitForService('memcached', 20000, version);
       status.status = 'running';
       status.startedAt = Date.now();
     } catch (error) {
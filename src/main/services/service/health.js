@@ -1,21 +1,34 @@
+const { probeMySql, probeRedis, probePostgres, probeMongo, probeMemcached, probeHttp, WEB_SERVER_HEALTH_PATH } = require('../../utils/ServiceProbeUtils');
+
 module.exports = {
-  async waitForService(serviceName, timeout) {
+  /**
+   * Poll the service's health check until it passes
+   * @param {string} serviceName
+   * @param {number} timeout - Milliseconds
+   * @param {string|null} [version=null] - Running version to probe
+   * @throws {Error} "<Service> failed to start within <timeout>ms: <reason of the last failed check>"
+   */
+  async waitForService(serviceName, timeout, version = null) {
     const config = this.serviceConfigs[serviceName];
     const startTime = Date.now();
+    let lastReason = null;
 
     while (Date.now() - startTime < timeout) {
       try {
-        const healthy = await config.healthCheck();
-        if (healthy) {
+        const result = await config.healthCheck(version);
+        if (result?.healthy) {
           return true;
         }
+        lastReason = result?.reason || lastReason;
       } catch (error) {
         // Service not ready yet
+        lastReason = error.message;
       }
       await new Promise((resolve) => setTimeout(resolve, 500));
     }
 
-    throw new Error(`${config.name} failed to start within ${timeout}ms`);
+    const label = version ? `${config.name} ${version}` : config.name;
+    throw new Error(`${label} failed to start within ${timeout}ms${lastReason ? `: ${lastReason}` : ''}`);
   },
 
   /**
@@ -37,7 +50,7 @@ module.exports = {
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
-        await this.waitForService(serviceName, timeoutMs);
+        await this.waitForService(serviceName, timeoutMs, version);
         return true;
       } catch (error) {
         if (attempt < maxRetries) {
@@ -49,7 +62,8 @@ module.exports = {
 
           if (processStillAlive) {
             this.managers.log?.systemWarn(
-              `${label} not ready after ${timeoutMs}ms (attempt ${attempt + 1}/${maxRetries + 1}), process still alive — extending wait...`
+              `${label} not ready after ${timeoutMs}ms (attempt ${attempt + 1}/${maxRetries + 1}), process still alive — extending wait...`,
+              { reason: error.message }
             );
             continue;
           }
@@ -60,59 +74,69 @@ module.exports = {
     }
   },
 
-  async checkNginxHealth() {
-    const port = this.serviceConfigs.nginx.actualHttpPort || this.serviceConfigs.nginx.defaultPort;
-    return this.checkPortOpen(port);
+  /**
+   * Port a health check should probe: the running version's own port when it is known
+   * @param {string} serviceName
+   * @param {string|null} version
+   * @param {string} [portField='actualPort'] - Unversioned fallback, web servers track actualHttpPort
+   */
+  getHealthCheckPort(serviceName, version = null, portField = 'actualPort') {
+    const config = this.serviceConfigs[serviceName];
+    const versionPort = version ? this.runningVersions.get(serviceName)?.get(version)?.port : null;
+    return versionPort || config[portField] || config.defaultPort;
+  },
+
+  getDatabaseProbeCredentials() {
+    const settings = this.configStore?.get('settings', {}) || {};
+    return {
+      user: settings.dbUser || 'root',
+      password: settings.dbPassword || '',
+    };
+  },
+
+  async checkNginxHealth(version = null) {
+    return probeHttp(this.getHealthCheckPort('nginx', version, 'actualHttpPort'), WEB_SERVER_HEALTH_PATH);
   },
 
-  async checkApacheHealth() {
-    const port = this.serviceConfigs.apache.actualHttpPort || this.serviceConfigs.apache.defaultPort;
-    return this.checkPortOpen(port);
+  async checkApacheHealth(version = null) {
+    return probeHttp(this.getHealthCheckPort('apache', version, 'actualHttpPort'), WEB_SERVER_HEALTH_PATH);
   },
 
-  async checkMySqlHealth() {
-    const port = this.serviceConfigs.mysql.actualPort || this.serviceConfigs.mysql.defaultPort;
-    return this.checkPortOpen(port);
+  async checkMySqlHealth(version = null) {
+    return probeMySql(this.getHealthCheckPort('mysql', version), this.getDatabaseProbeCredentials());
   },
 
-  async checkMariaDbHealth() {
-    const port = this.serviceConfigs.mariadb.actualPort || this.serviceConfigs.mariadb.defaultPort;
-    return this.checkPortOpen(port);
+  async checkMariaDbHealth(version = null) {
+    return probeMySql(this.getHealthCheckPort('mariadb', version), this.getDatabaseProbeCredentials());
   },
 
-  async checkRedisHealth() {
-    const port = this.serviceConfigs.redis.actualPort || this.serviceConfigs.redis.defaultPort;
-    return this.checkPortOpen(port);
+  async checkRedisHealth(version = null) {
+    return probeRedis(this.getHealthCheckPort('redis', version));
   },
 
   async checkMailpitHealth() {
-    const port = this.serviceConfigs.mailpit.actualPort || this.serviceConfigs.mailpit.defaultPort;
-    return this.checkPortOpen(port);
+    return probeHttp(this.getHealthCheckPort('mailpit'));
   },
 
   async checkPhpMyAdminHealth() {
-    const port = this.serviceConfigs.phpmyadmin.actualPort || this.serviceConfigs.phpmyadmin.defaultPort;
-    return this.checkPortOpen(port);
+    return probeHttp(this.getHealthCheckPort('phpmyadmin'));
   },
 
-  async checkPostgresqlHealth() {
-    const port = this.serviceConfigs.postgresql.actualPort || this.serviceConfigs.postgresql.defaultPort;
-    return this.checkPortOpen(port);
+  async checkPostgresqlHealth(version = null) {
+    const settings = this.configStore?.get('settings', {}) || {};
+    return probePostgres(this.getHealthCheckPort('postgresql', version), { user: settings.pgUser || 'postgres' });
   },
 
-  async checkMongodbHealth() {
-    const port = this.serviceConfigs.mongodb.actualPort || this.serviceConfigs.mongodb.defaultPort;
-    return this.checkPortOpen(port);
+  async checkMongodbHealth(version = null) {
+    return probeMongo(this.getHealthCheckPort('mongodb', version));
   },
 
-  async checkMemcachedHealth() {
-    const port = this.serviceConfigs.memcached.actualPort || this.serviceConfigs.memcached.defaultPort;
-    return this.checkPortOpen(port);
+  async checkMemcachedHealth(version = null) {
+    return probeMemcached(this.getHealthCheckPort('memcached', version));
   },
 
   async checkMinioHealth() {
-    const port = this.serviceConfigs.minio.actualPort || this.serviceConfigs.minio.defaultPort;
-    return this.checkPortOpen(port);
+    return probeHttp(this.getHealthCheckPort('minio'), '/minio/health/live');
   },
 
   async checkPortOpen(port) {
@@ -262,7 +262,7 @@ module.exports = {
 
     try {
       await Promise.race([
-        this.waitForService('mariadb', 60000),
+        this.waitForService('mariadb', 60000, version),
         startupFailurePromise,
       ]);
       status.status = 'running';
@@ -342,7 +342,7 @@ module.exports = {
 
     this.runningVersions.get('mariadb').set(version, { port, startedAt: new Date() });
 
-    await this.waitForService('mariadb', 60000);
+    await this.waitForService('mariadb', 60000, version);
     status.status = 'running';
     status.startedAt = Date.now();
   },
@@ -470,7 +470,7 @@ port=${port}
 `;
     }
 
-    await fs.writeFile(configPath, config);
+    await fs.writeFile(configPath, this.applyServiceConfigOverride('mariadb', version, config));
   },
 
   async createMariaDBConfigWithSkipGrant(configPath, dataDir, port, version, mariadbPath, initFile = null) {
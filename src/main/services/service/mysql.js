@@ -262,7 +262,7 @@ module.exports = {
 
     try {
       await Promise.race([
-        this.waitForService('mysql', 60000),
+        this.waitForService('mysql', 60000, version),
         startupFailurePromise,
       ]);
       status.status = 'running';
@@ -407,7 +407,7 @@ module.exports = {
 
     this.runningVersions.get('mysql').set(version, { port, startedAt: new Date() });
 
-    await this.waitForService('mysql', 60000);
+    await this.waitForService('mysql', 60000, version);
     status.status = 'running';
     status.startedAt = Date.now();
   },
@@ -574,7 +574,7 @@ port=${port}
 `;
     }
 
-    await fs.writeFile(configPath, config);
+    await fs.writeFile(configPath, this.applyServiceConfigOverride('mysql', version, config));
   },
 
   async createMySQLConfigWithSkipGrant(configPath, dataDir, port, version = '8.4', initFile = null) {
@@ -386,20 +386,9 @@ module.exports = {
 
     this.runningVersions.get('nginx').set(version, { port: httpPort, sslPort, startedAt: new Date() });
 
-    // Wait for this specific nginx version to be ready on its port
+    // Wait for this specific nginx version to answer HTTP on its port
     try {
-      const startWait = Date.now();
-      let nginxReady = false;
-      while (Date.now() - startWait < 30000) {
-        if (await this.checkPortOpen(httpPort)) {
-          nginxReady = true;
-          break;
-        }
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-      if (!nginxReady) {
-        throw new Error(`Nginx ${version} did not open port ${httpPort} within 30s`);
-      }
+      await this.waitForService('nginx', 30000, version);
       status.status = 'running';
       status.startedAt = Date.now();
     } catch (error) {
@@ -556,7 +545,7 @@ http {
     # Include virtual host configs from sites directory
     include "${sitesPath}/*.conf";
 
-    # Fallback server for unmatched requests
+    # Fallback server for unmatched requests and health checks, which ask for localhost
     server {
         listen ${httpPort};
         server_name localhost;
@@ -575,7 +564,7 @@ http {
     }
 }
 `;
-    await fs.writeFile(confPath, config);
+    await fs.writeFile(confPath, this.applyServiceConfigOverride('nginx', version, config));
   },
 
   async regenerateWebServerVhosts(serviceName, version = null) {
@@ -0,0 +1,187 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { SERVICE_VERSIONS } = require('../../../shared/serviceConfig');
+
+// Versioned services that listen on a single port the user can choose per version
+const CUSTOM_PORT_SERVICES = ['mysql', 'mariadb', 'redis', 'postgresql', 'mongodb', 'memcached'];
+
+function parsePort(value) {
+  const port = Number(value);
+  return Number.isInteger(port) && port > 0 && port <= 65535 ? port : null;
+}
+
+module.exports = {
+  /**
+   * Port the user set for a service version in Settings
+   * @param {string} serviceName - Service name
+   * @param {string} version - Version string
+   * @param {Object} [servicePorts] - Ports to use instead of the saved ones (unsaved Settings edits)
+   * @returns {number|null}
+   */
+  getCustomServicePort(serviceName, version, servicePorts = null) {
+    if (!CUSTOM_PORT_SERVICES.includes(serviceName) || !version) {
+      return null;
+    }
+
+    const ports = servicePorts || this.configStore?.get('settings', {})?.servicePorts || {};
+    return parsePort(ports[serviceName]?.[version]);
+  },
+
+  /**
+   * Check whether a port can be used for a service version
+   * @param {number} port - Port to check
+   * @param {string} serviceName - Service the port is meant for
+   * @param {string} version - Version the port is meant for
+   * @param {Object} [servicePorts] - Unsaved per-version ports to check against
+   * @returns {Promise<{available: boolean, reason: string|null, usedBy: Object|null, owner: Object|null}>}
+   */
+  async checkServicePort(port, serviceName, version, servicePorts = null) {
+    const requestedPort = parsePort(port);
+    if (!requestedPort) {
+      return { available: false, reason: 'Enter a port between 1 and 65535', usedBy: null, owner: null };
+    }
+
+    for (const [otherService, config] of Object.entries(this.serviceConfigs)) {
+      // Web servers move off taken ports on their own, so they never block a choice
+      if (!config.defaultPort || otherService === 'nginx' || otherService === 'apache') {
+        continue;
+      }
+
+      const versions = config.versioned ? (SERVICE_VERSIONS[otherService] || []) : [null];
+      for (const otherVersion of versions) {
+        if (otherService === serviceName && otherVersion === version) {
+          continue;
+        }
+
+        const otherPort = otherVersion
+          ? this.getCustomServicePort(otherService, otherVersion, servicePorts)
+            || config.defaultPort + (this.versionPortOffsets[otherService]?.[otherVersion] || 0)
+          : config.defaultPort;
+        if (otherPort === requestedPort) {
+          const label = otherVersion ? `${config.name} ${otherVersion}` : config.name;
+          return {
+            available: false,
+            reason: `Port ${requestedPort} is assigned to ${label}`,
+            usedBy: { service: otherService, version: otherVersion },
+            owner: null,
+          };
+        }
+      }
+    }
+
+    const { isPortAvailable, getProcessOnPort } = require('../../utils/PortUtils');
+
+    // The version already listening there is not a conflict with itself
+    if (this.runningVersions.get(serviceName)?.get(version)?.port === requestedPort
+      || await isPortAvailable(requestedPort)) {
+      return { available: true, reason: null, usedBy: null, owner: null };
+    }
+
+    const owner = await getProcessOnPort(requestedPort);
+    const name = owner?.pid ? await this.getProcessName(owner.pid) : null;
+    return {
+      available: false,
+      reason: owner?.pid
+        ? `Port ${requestedPort} is in use by ${name || 'another process'} (PID ${owner.pid})`
+        : `Port ${requestedPort} is in use by another process`,
+      usedBy: null,
+      owner: owner?.pid ? { pid: owner.pid, name } : null,
+    };
+  },
+
+  async getProcessName(pid) {
+    const { spawnAsync, getProcessDetailsByPid } = require('../../utils/SpawnUtils');
+    try {
+      if (process.platform === 'win32') {
+        return (await getProcessDetailsByPid(pid))?.name || null;
+      }
+
+      const result = await spawnAsync('ps', ['-p', String(pid), '-o', 'comm='], { timeout: 5000 });
+      return result.code === 0 ? path.basename(result.stdout.trim()) || null : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Service versions whose port differs from the one they had with the previous Settings
+   * @param {Object|null} previousServicePorts - Per-version ports saved before the change
+   * @returns {Array<{service: string, version: string, previousPort: number, port: number}>}
+   */
+  getChangedServicePorts(previousServicePorts) {
+    const changes = [];
+    for (const serviceName of CUSTOM_PORT_SERVICES) {
+      const config = this.serviceConfigs[serviceName];
+      if (!config?.defaultPort) {
+        continue;
+      }
+
+      for (const version of SERVICE_VERSIONS[serviceName] || []) {
+        const basePort = config.defaultPort + (this.versionPortOffsets[serviceName]?.[version] || 0);
+        const previousPort = this.getCustomServicePort(serviceName, version, previousServicePorts || {}) || basePort;
+        const port = this.getVersionPort(serviceName, version, config.defaultPort);
+        if (previousPort !== port) {
+          changes.push({ service: serviceName, version, previousPort, port });
+        }
+      }
+    }
+    return changes;
+  },
+
+  /**
+   * Move running versions to their new ports, then rewrite the files that embed version ports
+   * @param {Object|null} previousServicePorts - Per-version ports saved before the change
+   * @returns {Promise<{restarted: Array, failed: Array}>} Running versions that moved, and those still needing a restart
+   */
+  async applyServicePortChanges(previousServicePorts = null) {
+    const changes = this.getChangedServicePorts(previousServicePorts);
+    const restarted = [];
+    const failed = [];
+
+    // Restart before touching project .env files so they never point at a port nothing listens on yet
+    for (const change of changes) {
+      if (!this.runningVersions.get(change.service)?.has(change.version)) {
+        continue;
+      }
+
+      const label = `${this.serviceConfigs[change.service].name} ${change.version}`;
+      try {
+        const result = await this.restartService(change.service, change.version);
+        if (result?.success === false) {
+          throw new Error(`${label} did not come back up`);
+        }
+        restarted.push(change);
+      } catch (error) {
+        failed.push(change);
+        this.managers.log?.systemWarn(`Could not restart ${label} on port ${change.port}; restart it to move it`, { error: error.message });
+      }
+    }
+
+    if (changes.length > 0) {
+      try {
+        await this.managers.project?.syncProjectServicePorts(changes);
+      } catch (error) {
+        this.managers.log?.systemWarn('Could not update project environments with the new ports', { error: error.message });
+      }
+    }
+
+    const phpmyadminPath = path.join(this.resourcePath, 'phpmyadmin');
+    if (await fs.pathExists(phpmyadminPath)) {
+      try {
+        await this.updatePhpMyAdminConfig(phpmyadminPath);
+      } catch (error) {
+        this.managers.log?.systemWarn('Could not update phpMyAdmin config with the new ports', { error: error.message });
+      }
+    }
+
+    try {
+      await this.managers.cli?.syncProjectsFile();
+    } catch (error) {
+      this.managers.log?.systemWarn('Could not update the CLI projects file with the new ports', { error: error.message });
+    }
+
+    return { restarted, failed };
+  },
+};
+
+module.exports.CUSTOM_PORT_SERVICES = CUSTOM_PORT_SERVICES;
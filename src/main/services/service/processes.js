@@ -1,4 +1,7 @@
 const { exec } = require('child_process');
+const { listProcesses, getProcessTreePids, getProcessMemory, calculateCpuPercent } = require('../../utils/ProcessStatsUtils');
+
+const RESOURCE_HISTORY_WINDOW_MS = 60 * 60 * 1000;
 
 module.exports = {
   async killProcess(proc) {
@@ -10,6 +13,8 @@ module.exports = {
         return;
       }
 
+      // Lets the watchdog tell an intentional stop from a crash
+      this.stoppedServiceProcesses?.add(proc);
       kill(proc.pid, 'SIGTERM', (err) => {
         // Ignore errors - process may already be terminated
         resolve();
@@ -177,6 +182,13 @@ module.exports = {
           sslPort: (config.alternateSslPort || this.webServerPorts.alternate.https) + versionOffset,
         };
       }
+
+      if (config.versioned && config.defaultPort) {
+        return {
+          httpPort: this.getVersionPort(serviceName, version, config.defaultPort),
+          sslPort: null,
+        };
+      }
     }
 
     if (config.actualHttpPort) {
@@ -234,46 +246,153 @@ module.exports = {
   },
 
   /**
-   * Calculate port for a specific version based on offset
+   * Port for a specific version: the one set in Settings, otherwise base port plus offset
    * @param {string} service - Service name
    * @param {string} version - Version string
    * @param {number} defaultPort - Base port
    * @returns {number} - Calculated port
    */
   getVersionPort(service, version, defaultPort) {
+    const customPort = this.getCustomServicePort?.(service, version);
+    if (customPort) {
+      return customPort;
+    }
+
     const offset = this.versionPortOffsets[service]?.[version] || 0;
     return defaultPort + offset;
   },
 
+  // Every process DevBox started: services, PHP-CGI workers and supervisor workers (Node apps run as one)
+  getMonitoredProcesses() {
+    const monitored = [];
+
+    for (const [key, proc] of this.processes) {
+      if (proc?.pid) {
+        monitored.push({ key: `service:${key}`, pid: proc.pid, service: key });
+      }
+    }
+
+    for (const [projectId, running] of this.managers.project?.runningProjects || []) {
+      if (running?.phpCgiProcess?.pid) {
+        monitored.push({ key: `project:${projectId}:php-cgi`, pid: running.phpCgiProcess.pid, projectId, name: 'php-cgi' });
+      }
+    }
+
+    for (const [projectId, projectProcesses] of this.managers.supervisor?.processes || []) {
+      for (const [name, processInfo] of projectProcesses) {
+        for (const instance of processInfo.instances || []) {
+          if (instance.pid) {
+            monitored.push({ key: `project:${projectId}:${instance.name || name}`, pid: instance.pid, projectId, name });
+          }
+        }
+      }
+    }
+
+    return monitored;
+  },
+
+  /**
+   * CPU and resident memory of a process tree, CPU being measured since the previous sample
+   * @param {Map<number, object>} processTable - Result of listProcesses()
+   * @param {string} key - Stable name of the process between samples
+   * @param {number} pid - Root process
+   * @param {number} sampledAt - Time of the sample
+   * @returns {Promise<{cpu: number, memory: number}>}
+   */
+  async getProcessStats(processTable, key, pid, sampledAt) {
+    const pids = getProcessTreePids(processTable, pid);
+    let cpuSeconds = 0;
+    let memory = 0;
+    for (const treePid of pids) {
+      const info = processTable.get(treePid);
+      cpuSeconds += info.cpuSeconds;
+      memory += await getProcessMemory(info);
+    }
+
+    const previous = this.processCpuSamples.get(key);
+    const current = { pid, cpuSeconds, sampledAt };
+    this.processCpuSamples.set(key, current);
+
+    return {
+      cpu: previous?.pid === pid ? calculateCpuPercent(previous, current) : 0,
+      memory,
+    };
+  },
+
   async getResourceUsage() {
+    const sampledAt = Date.now();
     const usage = {
+      timestamp: sampledAt,
       services: {},
+      projects: {},
       total: {
         cpu: 0,
         memory: 0,
       },
     };
 
-    for (const [serviceName, proc] of this.processes) {
-      if (proc && proc.pid) {
-        try {
-          const stats = await this.getProcessStats(proc.pid);
-          usage.services[serviceName] = stats;
-          usage.total.cpu += stats.cpu;
-          usage.total.memory += stats.memory;
-        } catch (error) {
-          usage.services[serviceName] = { cpu: 0, memory: 0 };
-        }
+    const monitored = this.getMonitoredProcesses();
+    if (monitored.length === 0) {
+      this.processCpuSamples.clear();
+      return usage;
+    }
+
+    let processTable;
+    try {
+      processTable = await listProcesses();
+    } catch (error) {
+      this.managers.log?.systemWarn('Could not read process list for resource usage', { error: error.message });
+      return usage;
+    }
+
+    for (const entry of monitored) {
+      let stats;
+      try {
+        stats = await this.getProcessStats(processTable, entry.key, entry.pid, sampledAt);
+      } catch (error) {
+        stats = { cpu: 0, memory: 0 };
+      }
+
+      if (entry.service) {
+        usage.services[entry.service] = stats;
+      } else {
+        const project = usage.projects[entry.projectId] || { cpu: 0, memory: 0, processes: {} };
+        const existing = project.processes[entry.name] || { cpu: 0, memory: 0 };
+        project.processes[entry.name] = { cpu: existing.cpu + stats.cpu, memory: existing.memory + stats.memory };
+        project.cpu += stats.cpu;
+        project.memory += stats.memory;
+        usage.projects[entry.projectId] = project;
+      }
+      usage.total.cpu += stats.cpu;
+      usage.total.memory += stats.memory;
+    }
+
+    // Forget processes that are gone so a reused key starts a fresh CPU measurement
+    const keys = new Set(monitored.map((entry) => entry.key));
+    for (const key of this.processCpuSamples.keys()) {
+      if (!keys.has(key)) {
+        this.processCpuSamples.delete(key);
       }
     }
 
     return usage;
   },
 
-  async getProcessStats(pid) {
-    return {
-      cpu: Math.random() * 5,
-      memory: Math.random() * 100 * 1024 * 1024,
-    };
+  // Samples usage for the rolling history the Services page and the Dashboard chart
+  async recordResourceUsage() {
+    const usage = await this.getResourceUsage();
+    const projects = Object.fromEntries(Object.entries(usage.projects)
+      .map(([id, { cpu, memory }]) => [id, { cpu, memory }]));
+
+    this.resourceHistory.push({ timestamp: usage.timestamp, total: usage.total, services: usage.services, projects });
+    const cutoff = usage.timestamp - RESOURCE_HISTORY_WINDOW_MS;
+    while (this.resourceHistory.length > 0 && this.resourceHistory[0].timestamp < cutoff) {
+      this.resourceHistory.shift();
+    }
+    return usage;
+  },
+
+  getResourceHistory() {
+    return this.resourceHistory.slice();
   },
 };
@@ -130,7 +130,7 @@ module.exports = {
     });
 
     try {
-      await this.waitForService('redis', 20000);
+      await this.waitForService('redis', 20000, version);
       status.status = 'running';
       status.startedAt = Date.now();
     } catch (error) {
@@ -155,6 +155,6 @@ appendonly yes
 appendfilename "appendonly.aof"
 dbfilename dump_${version.replace(/\./g, '')}.rdb
 `;
-    await fs.writeFile(configPath, config);
+    await fs.writeFile(configPath, this.applyServiceConfigOverride('redis', version, config));
   },
 };
@@ -0,0 +1,152 @@
+const path = require('path');
+
+const SERVICE_RESTART_BASE_DELAY_MS = 2000;
+const SERVICE_RESTART_MAX_DELAY_MS = 60000;
+const DEFAULT_SERVICE_WATCHDOG_MAX_ATTEMPTS = 3;
+// A service that stayed up this long after a restart has recovered and gets all attempts back
+const SERVICE_STABLE_AFTER_MS = 5 * 60000;
+
+module.exports = {
+  isServiceWatchdogEnabled() {
+    return this.configStore.get('settings', {}).serviceWatchdog === true;
+  },
+
+  getServiceWatchdogMaxAttempts() {
+    const attempts = Number(this.configStore.get('settings', {}).serviceWatchdogMaxAttempts);
+    return Number.isInteger(attempts) && attempts > 0 ? attempts : DEFAULT_SERVICE_WATCHDOG_MAX_ATTEMPTS;
+  },
+
+  getServiceRestartDelay(attempt) {
+    return Math.min(SERVICE_RESTART_BASE_DELAY_MS * (2 ** Math.max(attempt - 1, 0)), SERVICE_RESTART_MAX_DELAY_MS);
+  },
+
+  // Called once a service is running so an exit of its process is noticed
+  watchServiceProcess(serviceName, version = null) {
+    const processKey = this.getProcessKey(serviceName, version);
+    const proc = this.processes.get(processKey);
+    if (!proc || typeof proc.once !== 'function' || this.watchedServiceProcesses.has(proc)) {
+      return;
+    }
+
+    this.watchedServiceProcesses.add(proc);
+    proc.once('exit', (code, signal) => {
+      this.watchedServiceProcesses.delete(proc);
+      void this.handleServiceExit(serviceName, version, proc, code, signal).catch((error) => {
+        this.managers.log?.systemError(`Service watchdog failed for ${serviceName}`, { error: error.message });
+      });
+    });
+  },
+
+  cancelServiceRestart(processKey) {
+    const crash = this.serviceCrashes.get(processKey);
+    if (crash?.restartTimer) {
+      clearTimeout(crash.restartTimer);
+      crash.restartTimer = null;
+    }
+  },
+
+  async handleServiceExit(serviceName, version, proc, code, signal) {
+    const processKey = this.getProcessKey(serviceName, version);
+
+    // Processes we killed ourselves, or that were already replaced, did not crash
+    if (this.stoppedServiceProcesses.has(proc) || (this.processes.has(processKey) && this.processes.get(processKey) !== proc)) {
+      return;
+    }
+
+    // The service's own exit handler usually ran first, this covers the ones without one
+    this.processes.delete(processKey);
+    this.runningVersions.get(serviceName)?.delete(version);
+
+    const config = this.serviceConfigs[serviceName];
+    const label = version ? `${config.name} ${version}` : config.name;
+    const exitDetail = signal ? `signal ${signal}` : `exit code ${code}`;
+    const failureLine = await this.getServiceCrashDetail(serviceName, version);
+    const message = `${label} exited unexpectedly (${exitDetail})${failureLine ? `: ${failureLine}` : ''}`;
+
+    this.managers.log?.service(serviceName, message, 'error');
+    this.managers.log?.systemError(`${label} crashed`, { exitCode: code, signal, detail: failureLine || null });
+
+    const status = this.serviceStatus.get(serviceName);
+    if (status && (!version || status.version === version)) {
+      status.status = 'stopped';
+      status.error = message;
+    }
+
+    await this.recordServiceCrash(serviceName, version, message);
+  },
+
+  // The line of the database error log that explains the exit, other services log to their own output
+  async getServiceCrashDetail(serviceName, version) {
+    if ((serviceName !== 'mysql' && serviceName !== 'mariadb') || !version) {
+      return '';
+    }
+
+    const dataDir = path.join(this.getDataPath(), serviceName, version, 'data');
+    try {
+      const errorLogTail = await this.getMySQLErrorLogTail(dataDir, 80);
+      return serviceName === 'mysql'
+        ? this.extractMySqlStartupFailureLine(errorLogTail)
+        : this.extractMariaDbStartupFailureLine(errorLogTail);
+    } catch {
+      return '';
+    }
+  },
+
+  async recordServiceCrash(serviceName, version, message) {
+    const processKey = this.getProcessKey(serviceName, version);
+    const config = this.serviceConfigs[serviceName];
+    const label = version ? `${config.name} ${version}` : config.name;
+
+    if (!this.isServiceWatchdogEnabled()) {
+      this.emit('serviceCrashed', { service: serviceName, version, message, willRestart: false });
+      return;
+    }
+
+    const now = Date.now();
+    const crash = this.serviceCrashes.get(processKey) || { attempts: 0, restartedAt: null, restartTimer: null };
+    if (crash.restartedAt && now - crash.restartedAt >= SERVICE_STABLE_AFTER_MS) {
+      crash.attempts = 0;
+    }
+    crash.attempts += 1;
+    this.serviceCrashes.set(processKey, crash);
+
+    const maxAttempts = this.getServiceWatchdogMaxAttempts();
+    if (crash.attempts > maxAttempts) {
+      this.cancelServiceRestart(processKey);
+      this.managers.log?.service(serviceName, `${label} crashed ${maxAttempts + 1} times in a row; automatic restarts stopped. Start it again to recover.`, 'error');
+      this.emit('serviceCrashed', { service: serviceName, version, message, willRestart: false, attempts: crash.attempts - 1, maxAttempts });
+      return;
+    }
+
+    const delay = this.getServiceRestartDelay(crash.attempts);
+    this.managers.log?.service(serviceName, `Restarting ${label} in ${Math.round(delay / 1000)}s (attempt ${crash.attempts} of ${maxAttempts})`, 'warning');
+    this.emit('serviceCrashed', { service: serviceName, version, message, willRestart: true, attempt: crash.attempts, maxAttempts, delayMs: delay });
+
+    this.cancelServiceRestart(processKey);
+    crash.restartTimer = setTimeout(() => {
+      crash.restartTimer = null;
+      void this.restartCrashedService(serviceName, version);
+    }, delay);
+    crash.restartTimer.unref?.();
+  },
+
+  async restartCrashedService(serviceName, version) {
+    const processKey = this.getProcessKey(serviceName, version);
+    // Started by hand in the meantime, or the watchdog was turned off
+    if (this.processes.has(processKey) || !this.isServiceWatchdogEnabled()) {
+      return;
+    }
+
+    try {
+      await this.startService(serviceName, version);
+      const crash = this.serviceCrashes.get(processKey);
+      if (crash) {
+        crash.restartedAt = Date.now();
+      }
+      this.managers.log?.service(serviceName, `${this.serviceConfigs[serviceName].name}${version ? ` ${version}` : ''} restarted by the watchdog`);
+      this.emit('serviceRestarted', { service: serviceName, version });
+    } catch (error) {
+      await this.recordServiceCrash(serviceName, version, `Restart failed: ${error.message}`);
+    }
+  },
+};
@@ -165,6 +165,10 @@ module.exports = {
       process.platform === 'win32' ? '' : 'python3'
     ).replace(/[\\/]$/, '');
     const pythonScriptsDir = process.platform === 'win32' ? path.join(pythonDir, 'Scripts') : path.join(pythonDir, 'bin');
+    // Python projects run inside their own virtualenv once it has been created
+    const venvDir = project.type === 'python' && project.path ? path.join(project.path, '.venv') : null;
+    const venvBinDir = venvDir ? path.join(venvDir, process.platform === 'win32' ? 'Scripts' : 'bin') : null;
+    const venvPythonPath = venvBinDir ? path.join(venvBinDir, process.platform === 'win32' ? 'python.exe' : 'python') : null;
     const composerPhar = path.join(this.resourcePath, 'composer', 'composer.phar');
 
     const envBase = this.getEffectiveProcessEnvironment(project, config, {
@@ -232,6 +236,11 @@ module.exports = {
         args = [npxCli, ...tokens.slice(1)];
       }
       env = this.prependPath(envBase, [platform === 'win' ? nodeDir : path.join(nodeDir, 'bin')]);
+    } else if ((firstToken === 'python' || firstToken === 'python3' || firstToken === 'pip' || firstToken === 'pip3')
+      && venvPythonPath && await fs.pathExists(venvPythonPath)) {
+      command = venvPythonPath;
+      args = firstToken.startsWith('pip') ? ['-m', 'pip', ...tokens.slice(1)] : tokens.slice(1);
+      env = this.prependPath({ ...envBase, VIRTUAL_ENV: venvDir }, [venvBinDir]);
     } else if (firstToken === 'python' || firstToken === 'python3') {
       if (!await fs.pathExists(pythonPath)) {
         throw new Error(`Python ${pythonVersion} is not installed for this project`);
@@ -168,6 +168,8 @@ class ConfigStore {
       settings: {
         autoStartServices: true,
         autoStartOnLaunch: false,
+        serviceWatchdog: false,
+        serviceWatchdogMaxAttempts: 3,
         portRangeStart: 8000,
         sslEnabled: true,
         defaultPhpVersion: null,
@@ -184,6 +186,7 @@ class ConfigStore {
         minioPort: 9000,
         minioConsolePort: 9001,
         memcachedPort: 11211,
+        servicePorts: {}, // { [service]: { [version]: port } }, overrides the version offsets
         activeDatabaseType: 'mysql',
         dbUser: 'root',
         dbPassword: '',
@@ -193,7 +196,11 @@ class ConfigStore {
         defaultProjectsPath, // Platform-specific default
       },
       projects: [],
+      projectTemplates: [],
+      projectGroups: [],
+      parkedDirectories: [],
       phpVersions: {},
+      serviceConfigOverrides: {},
       certificates: {},
       recentProjects: [],
     };
@@ -313,6 +320,18 @@ class ConfigStore {
       this.set('projects', config.projects);
     }
 
+    if (Array.isArray(config.projectTemplates)) {
+      this.set('projectTemplates', config.projectTemplates);
+    }
+
+    if (Array.isArray(config.projectGroups)) {
+      this.set('projectGroups', config.projectGroups);
+    }
+
+    if (Array.isArray(config.parkedDirectories)) {
+      this.set('parkedDirectories', config.parkedDirectories);
+    }
+
     return { success: true };
   }
 
@@ -0,0 +1,51 @@
+/**
+ * Escape text for use inside HTML content and attribute values
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a page DevBox serves in place of a project site, e.g. while it starts or when it is down
+ * @param {Object} page
+ * @param {string} page.title - Heading and document title, escaped here
+ * @param {string} page.body - HTML below the heading, the caller escapes what it interpolates
+ * @param {number} [page.refreshSeconds] - Reload the page after this many seconds
+ * @returns {string}
+ */
+function renderDevBoxPage({ title, body, refreshSeconds = 0 }) {
+  const refresh = refreshSeconds > 0 ? `\n  <meta http-equiv="refresh" content="${refreshSeconds}">` : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">${refresh}
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f8fafc; color: #0f172a; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+    main { max-width: 48rem; padding: 2rem; }
+    p { color: #475569; }
+    pre { background: #0f172a; color: #e2e8f0; padding: 1rem; border-radius: 0.5rem; overflow-x: auto; font-size: 0.8rem; white-space: pre-wrap; }
+    button { background: #2563eb; color: #fff; border: 0; border-radius: 0.375rem; padding: 0.5rem 1rem; font-size: 0.9rem; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  renderDevBoxPage,
+};
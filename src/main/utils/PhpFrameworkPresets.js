@@ -0,0 +1,178 @@
+/**
+ * PHP framework presets beyond the built-in laravel/symfony/wordpress types.
+ * - composerPackages: any of these in composer.json require marks the framework
+ * - markerFiles: any of these relative paths existing marks the framework
+ * - documentRoot: web root relative to the project path ('' = project root)
+ * - nginxTryFiles: replaces the front controller try_files of `location /`
+ * - nginxRules: extra nginx locations for the server block
+ * - apacheRules: extra mod_rewrite rules placed before the front controller rules
+ *
+ * Order matters for detection: Statamic apps also require laravel/framework.
+ */
+const PHP_FRAMEWORK_PRESETS = {
+  statamic: {
+    name: 'Statamic',
+    composerPackages: ['statamic/cms'],
+    markerFiles: ['please'],
+    documentRoot: 'public',
+    // Serve full-measure static cache files before hitting PHP
+    nginxTryFiles: '/static${uri}_${args}.html $uri $uri/ /index.php?$query_string',
+    apacheRules: [
+      'RewriteCond %{DOCUMENT_ROOT}/static/%{REQUEST_URI}_%{QUERY_STRING}\\.html -s',
+      'RewriteCond %{REQUEST_METHOD} GET',
+      'RewriteRule .* static/%{REQUEST_URI}_%{QUERY_STRING}\\.html [L,T=text/html]',
+    ],
+  },
+  drupal: {
+    name: 'Drupal',
+    composerPackages: ['drupal/core', 'drupal/core-recommended'],
+    markerFiles: ['web/core/lib/Drupal.php', 'core/lib/Drupal.php'],
+    documentRoot: 'web',
+    nginxTryFiles: '$uri /index.php?$query_string',
+    nginxRules: [
+      'location ~ ^/sites/.*/private/ {\n        deny all;\n    }',
+      'location ~ ^/sites/[^/]+/files/.*\\.php$ {\n        deny all;\n    }',
+      'location ~ ^/sites/.*/files/styles/ {\n        try_files $uri /index.php?$query_string;\n    }',
+    ],
+    apacheRules: [
+      'RewriteRule ^sites/[^/]+/files/.*\\.php$ - [F]',
+      'RewriteRule ^sites/.*/private/ - [F]',
+    ],
+  },
+  magento2: {
+    name: 'Magento 2',
+    composerPackages: ['magento/product-community-edition', 'magento/product-enterprise-edition', 'magento/magento2-base'],
+    markerFiles: ['bin/magento'],
+    documentRoot: 'pub',
+    nginxRules: [
+      'location /static/ {\n        location ~ ^/static/version\\d*/ {\n            rewrite ^/static/version\\d*/(.*)$ /static/$1 last;\n        }\n        if (!-f $request_filename) {\n            rewrite ^/static/(version\\d*/)?(.*)$ /static.php?resource=$2 last;\n        }\n    }',
+      'location /media/ {\n        try_files $uri $uri/ /get.php$is_args$args;\n    }',
+      'location ~ ^/media/(customer|downloadable|import)/ {\n        deny all;\n    }',
+    ],
+    apacheRules: [
+      'RewriteRule ^static/version\\d+/(.*)$ static/$1 [L]',
+      'RewriteCond %{REQUEST_FILENAME} !-f',
+      'RewriteRule ^static/(.*)$ static.php?resource=$1 [L]',
+      'RewriteCond %{REQUEST_FILENAME} !-f',
+      'RewriteRule ^media/(.*)$ get.php?resource=$1 [L]',
+    ],
+  },
+  codeigniter4: {
+    name: 'CodeIgniter 4',
+    composerPackages: ['codeigniter4/framework', 'codeigniter4/codeigniter4'],
+    markerFiles: ['spark'],
+    documentRoot: 'public',
+  },
+  cakephp: {
+    name: 'CakePHP',
+    composerPackages: ['cakephp/cakephp'],
+    markerFiles: ['bin/cake'],
+    documentRoot: 'webroot',
+  },
+  yii2: {
+    name: 'Yii 2',
+    composerPackages: ['yiisoft/yii2'],
+    markerFiles: ['yii'],
+    documentRoot: 'web',
+    nginxRules: [
+      'location ~ ^/assets/.*\\.php$ {\n        deny all;\n    }',
+    ],
+    apacheRules: [
+      'RewriteRule ^assets/.*\\.php$ - [F]',
+    ],
+  },
+  craftcms: {
+    name: 'Craft CMS',
+    composerPackages: ['craftcms/cms'],
+    markerFiles: ['craft'],
+    documentRoot: 'web',
+    nginxTryFiles: '$uri/index.html $uri $uri/ /index.php?$query_string',
+  },
+  joomla: {
+    name: 'Joomla',
+    composerPackages: [],
+    markerFiles: ['administrator/manifests/files/joomla.xml'],
+    documentRoot: '',
+    nginxTryFiles: '$uri $uri/ /index.php?$args',
+    nginxRules: [
+      'location ~* ^/(images|cache|media|logs|tmp)/.*\\.(php|pl|py|jsp|asp|sh|cgi)$ {\n        return 403;\n    }',
+    ],
+    apacheRules: [
+      'RewriteRule ^(images|cache|media|logs|tmp)/.*\\.(php|pl|py|jsp|asp|sh|cgi)$ - [F]',
+    ],
+  },
+  slim: {
+    name: 'Slim',
+    composerPackages: ['slim/slim'],
+    markerFiles: [],
+    documentRoot: 'public',
+  },
+};
+
+const DEFAULT_NGINX_TRY_FILES = '$uri $uri/ /index.php?$query_string';
+
+/**
+ * Get the preset for a project type
+ * @param {string} projectType - Project type, e.g. 'drupal'
+ * @returns {Object|null} - Preset, or null for types without one
+ */
+function getPhpFrameworkPreset(projectType) {
+  return PHP_FRAMEWORK_PRESETS[projectType] || null;
+}
+
+/**
+ * Find the preset whose composer packages appear in composer.json
+ * @param {Object} composer - Parsed composer.json
+ * @returns {string|null} - Project type, or null when none match
+ */
+function detectPhpFrameworkFromComposer(composer) {
+  const packages = { ...composer?.require, ...composer?.['require-dev'] };
+  for (const [type, preset] of Object.entries(PHP_FRAMEWORK_PRESETS)) {
+    if (preset.composerPackages.some((name) => packages[name])) {
+      return type;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Render the framework's `location /` try_files and extra nginx locations
+ * @param {Object} project - Project config
+ * @returns {{ tryFiles: string, rules: string }} - rules is empty or starts with a blank line
+ */
+function getNginxFrameworkRules(project) {
+  const preset = getPhpFrameworkPreset(project?.type);
+  const rules = preset?.nginxRules?.length
+    ? `\n\n    # ${preset.name} rules\n    ${preset.nginxRules.join('\n\n    ')}`
+    : '';
+
+  return {
+    tryFiles: preset?.nginxTryFiles || DEFAULT_NGINX_TRY_FILES,
+    rules,
+  };
+}
+
+/**
+ * Render the framework's mod_rewrite rules for the <Directory> block
+ * @param {Object} project - Project config
+ * @returns {string} - Empty string or rule lines ending in a newline
+ */
+function getApacheFrameworkRules(project) {
+  const preset = getPhpFrameworkPreset(project?.type);
+  if (!preset?.apacheRules?.length) {
+    return '';
+  }
+
+  return [`# ${preset.name} rules`, ...preset.apacheRules]
+    .map((line) => `            ${line}\n`)
+    .join('');
+}
+
+module.exports = {
+  PHP_FRAMEWORK_PRESETS,
+  getPhpFrameworkPreset,
+  detectPhpFrameworkFromComposer,
+  getNginxFrameworkRules,
+  getApacheFrameworkRules,
+};
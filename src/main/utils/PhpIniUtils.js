@@ -0,0 +1,100 @@
+/**
+ * PHP's compiled-in defaults for the settings projects most commonly override.
+ * Used to show where an effective value comes from when neither the project
+ * nor the per-version php.ini sets it.
+ */
+const PHP_INI_DEFAULTS = {
+  memory_limit: '128M',
+  upload_max_filesize: '2M',
+  post_max_size: '8M',
+  max_execution_time: '30',
+  display_errors: '1',
+  'opcache.enable': '1',
+  'opcache.memory_consumption': '128',
+  'opcache.validate_timestamps': '1',
+  'opcache.revalidate_freq': '2',
+};
+
+const PHP_INI_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+
+/**
+ * Keep only overrides that can be passed safely as `-d key=value` or written to an ini file
+ * @param {Object} overrides - Raw key/value pairs from the project
+ * @returns {Object} - Trimmed string values keyed by valid ini directive names
+ */
+function normalizePhpIniOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return {};
+  }
+
+  const normalized = {};
+  for (const [rawKey, rawValue] of Object.entries(overrides)) {
+    const key = String(rawKey).trim();
+    if (!PHP_INI_KEY_PATTERN.test(key) || rawValue === undefined || rawValue === null) {
+      continue;
+    }
+
+    const value = String(rawValue).trim();
+    if (value === '' || /[\r\n]/.test(value)) {
+      continue;
+    }
+
+    normalized[key] = value;
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse the active directives of a php.ini file (last assignment wins, like PHP itself)
+ * @param {string} content - php.ini content
+ * @returns {Object} - Directive values keyed by name
+ */
+function parsePhpIniValues(content) {
+  const values = {};
+
+  for (const line of String(content || '').split(/\r?\n/)) {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*?)\s*$/);
+    if (!match || match[1] === 'extension' || match[1] === 'zend_extension') {
+      continue;
+    }
+
+    let value = match[2].replace(/\s;.*$/, '').trim();
+    if (/^".*"$/.test(value)) {
+      value = value.slice(1, -1);
+    }
+    values[match[1]] = value;
+  }
+
+  return values;
+}
+
+/**
+ * Build the `-d` arguments that apply overrides to php, php-cgi, or php-fpm
+ * @param {Object} overrides - Project overrides
+ * @returns {string[]}
+ */
+function buildPhpIniOverrideArgs(overrides) {
+  return Object.entries(normalizePhpIniOverrides(overrides))
+    .flatMap(([key, value]) => ['-d', `${key}=${value}`]);
+}
+
+/**
+ * Serialize overrides as an ini file for PHP_INI_SCAN_DIR
+ * @param {Object} overrides - Project overrides
+ * @returns {string}
+ */
+function buildPhpIniOverrideContent(overrides) {
+  const lines = Object.entries(normalizePhpIniOverrides(overrides))
+    .map(([key, value]) => `${key} = ${/^[A-Za-z0-9_.+-]*$/.test(value) ? value : `"${value.replace(/"/g, '\\"')}"`}`);
+
+  return `; DevBox Pro project php.ini overrides\n${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  PHP_INI_DEFAULTS,
+  normalizePhpIniOverrides,
+  parsePhpIniValues,
+  buildPhpIniOverrideArgs,
+  buildPhpIniOverrideContent,
+};
@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const SpawnUtils = require('./SpawnUtils');
+
+// Linux reports CPU time in clock ticks, which is 100 per second on every supported kernel
+const LINUX_CLOCK_TICKS = 100;
+const PROCESS_LIST_TIMEOUT_MS = 10000;
+const WINDOWS_PROCESS_FIELDS = ['ProcessId', 'ParentProcessId', 'WorkingSetSize', 'KernelModeTime', 'UserModeTime'];
+
+// wmic starts far faster than PowerShell, but newer Windows builds no longer ship it
+let wmicAvailable = true;
+
+/**
+ * Parse /proc/[pid]/stat
+ * @param {string} content - File content
+ * @returns {{pid: number, ppid: number, cpuSeconds: number}|null}
+ */
+function parseLinuxProcStat(content) {
+  // The process name is in parentheses and may itself contain spaces or parentheses
+  const nameEnd = content.lastIndexOf(')');
+  if (nameEnd === -1) {
+    return null;
+  }
+
+  const pid = parseInt(content, 10);
+  const fields = content.slice(nameEnd + 2).trim().split(/\s+/);
+  // fields[0] is field 3 (state) of proc(5): ppid is field 4, utime 14 and stime 15
+  const ppid = parseInt(fields[1], 10);
+  const ticks = Number(fields[11]) + Number(fields[12]);
+  if (!Number.isInteger(pid) || !Number.isInteger(ppid) || !Number.isFinite(ticks)) {
+    return null;
+  }
+
+  return { pid, ppid, cpuSeconds: ticks / LINUX_CLOCK_TICKS };
+}
+
+/**
+ * Read the resident memory in bytes from /proc/[pid]/status
+ * @param {string} content - File content
+ * @returns {number}
+ */
+function parseLinuxRss(content) {
+  const match = content.match(/^VmRSS:\s+(\d+)\s+kB/m);
+  return match ? Number(match[1]) * 1024 : 0;
+}
+
+/**
+ * Parse a ps CPU time such as "1:02.50", "01:02:03" or "2-01:02:03"
+ * @param {string} value - CPU time
+ * @returns {number} - Seconds
+ */
+function parseCpuTime(value) {
+  const [days, clock] = value.includes('-') ? value.split('-') : [0, value];
+  const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return Number(days) * 86400 + (Number.isFinite(seconds) ? seconds : 0);
+}
+
+/**
+ * Parse `ps -A -o pid=,ppid=,rss=,time=`
+ * @param {string} output - ps output
+ * @returns {Map<number, object>} - pid -> { pid, ppid, cpuSeconds, memory }
+ */
+function parsePsOutput(output) {
+  const processes = new Map();
+  for (const line of output.split('\n')) {
+    const [pid, ppid, rss, time] = line.trim().split(/\s+/);
+    if (!/^\d+$/.test(pid || '') || !time) {
+      continue;
+    }
+
+    processes.set(Number(pid), {
+      pid: Number(pid),
+      ppid: Number(ppid),
+      cpuSeconds: parseCpuTime(time),
+      memory: Number(rss) * 1024,
+    });
+  }
+  return processes;
+}
+
+/**
+ * Parse the CSV of Win32_Process with ProcessId, ParentProcessId, WorkingSetSize,
+ * KernelModeTime and UserModeTime, where CPU times are in 100ns units.
+ * Accepts both wmic /format:csv and PowerShell ConvertTo-Csv output.
+ * @param {string} output - CSV output
+ * @returns {Map<number, object>} - pid -> { pid, ppid, cpuSeconds, memory }
+ */
+function parseWindowsProcessCsv(output) {
+  const processes = new Map();
+  const [header, ...rows] = output.trim().split(/\r*\n/);
+  const columns = (header || '').split(',').map((column) => column.replace(/"/g, '').trim());
+
+  for (const row of rows) {
+    const values = row.split(',').map((value) => value.replace(/"/g, '').trim());
+    const record = Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+    const pid = Number(record.ProcessId);
+    if (!Number.isInteger(pid) || pid <= 0) {
+      continue;
+    }
+
+    processes.set(pid, {
+      pid,
+      ppid: Number(record.ParentProcessId) || 0,
+      cpuSeconds: ((Number(record.KernelModeTime) || 0) + (Number(record.UserModeTime) || 0)) / 1e7,
+      memory: Number(record.WorkingSetSize) || 0,
+    });
+  }
+  return processes;
+}
+
+async function listLinuxProcesses() {
+  const processes = new Map();
+  const entries = await fs.readdir('/proc');
+
+  await Promise.all(entries.filter((entry) => /^\d+$/.test(entry)).map(async (entry) => {
+    try {
+      const stat = parseLinuxProcStat(await fs.readFile(`/proc/${entry}/stat`, 'utf8'));
+      if (stat) {
+        processes.set(stat.pid, { ...stat, memory: null });
+      }
+    } catch {
+      // The process exited while the list was read
+    }
+  }));
+
+  return processes;
+}
+
+async function listWindowsProcesses() {
+  if (wmicAvailable) {
+    const result = await SpawnUtils.spawnAsync('wmic', [
+      'process', 'get', WINDOWS_PROCESS_FIELDS.join(','), '/format:csv',
+    ], { timeout: PROCESS_LIST_TIMEOUT_MS });
+    if (result.code === 0) {
+      return parseWindowsProcessCsv(result.stdout);
+    }
+    wmicAvailable = false;
+  }
+
+  const { stdout } = await SpawnUtils.spawnAsync('powershell', [
+    '-NoProfile',
+    '-Command',
+    `Get-CimInstance Win32_Process | Select-Object ${WINDOWS_PROCESS_FIELDS.join(',')} | ConvertTo-Csv -NoTypeInformation`,
+  ], { timeout: PROCESS_LIST_TIMEOUT_MS });
+  return parseWindowsProcessCsv(stdout);
+}
+
+/**
+ * List every process with its parent, total CPU time and memory.
+ * On Linux memory is left null and read later only for the processes that are needed.
+ * @returns {Promise<Map<number, object>>} - pid -> { pid, ppid, cpuSeconds, memory }
+ */
+async function listProcesses() {
+  if (process.platform === 'linux') {
+    return listLinuxProcesses();
+  }
+
+  if (process.platform === 'win32') {
+    return listWindowsProcesses();
+  }
+
+  const { stdout } = await SpawnUtils.spawnAsync('ps', ['-A', '-o', 'pid=,ppid=,rss=,time='], { timeout: PROCESS_LIST_TIMEOUT_MS });
+  return parsePsOutput(stdout);
+}
+
+/**
+ * Collect a process and all of its descendants, such as the workers of nginx or php-fpm
+ * @param {Map<number, object>} processes - Result of listProcesses()
+ * @param {number} rootPid - Process to start from
+ * @returns {number[]} - PIDs of the tree that are still alive
+ */
+function getProcessTreePids(processes, rootPid) {
+  if (!processes.has(rootPid)) {
+    return [];
+  }
+
+  const children = new Map();
+  for (const { pid, ppid } of processes.values()) {
+    if (!children.has(ppid)) {
+      children.set(ppid, []);
+    }
+    children.get(ppid).push(pid);
+  }
+
+  const pids = [];
+  const queue = [rootPid];
+  const seen = new Set();
+  while (queue.length > 0) {
+    const pid = queue.shift();
+    if (seen.has(pid)) {
+      continue;
+    }
+    seen.add(pid);
+    pids.push(pid);
+    queue.push(...(children.get(pid) || []));
+  }
+  return pids;
+}
+
+/**
+ * Resident memory of a process, reading it on demand where listProcesses() did not
+ * @param {object} info - Entry of listProcesses()
+ * @returns {Promise<number>} - Bytes
+ */
+async function getProcessMemory(info) {
+  if (info.memory !== null && info.memory !== undefined) {
+    return info.memory;
+  }
+
+  try {
+    info.memory = parseLinuxRss(await fs.readFile(`/proc/${info.pid}/status`, 'utf8'));
+  } catch {
+    info.memory = 0;
+  }
+  return info.memory;
+}
+
+/**
+ * CPU usage between two samples of the same process tree, 100% being one full core
+ * @param {{cpuSeconds: number, sampledAt: number}|undefined} previous - Earlier sample
+ * @param {{cpuSeconds: number, sampledAt: number}} current - Current sample
+ * @returns {number}
+ */
+function calculateCpuPercent(previous, current) {
+  const elapsedSeconds = previous ? (current.sampledAt - previous.sampledAt) / 1000 : 0;
+  if (elapsedSeconds <= 0) {
+    return 0;
+  }
+
+  return Math.max(0, ((current.cpuSeconds - previous.cpuSeconds) / elapsedSeconds) * 100);
+}
+
+module.exports = {
+  parseLinuxProcStat,
+  parseLinuxRss,
+  parseCpuTime,
+  parsePsOutput,
+  parseWindowsProcessCsv,
+  listProcesses,
+  getProcessTreePids,
+  getProcessMemory,
+  calculateCpuPercent,
+};
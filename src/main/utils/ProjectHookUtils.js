@@ -0,0 +1,53 @@
+/**
+ * Moments of a project's life a hook can run at.
+ * - post-create: once, after the project was created (and installed)
+ * - pre-start: before services and the web server are started
+ * - post-start: once the project is serving requests
+ * - pre-stop: before the project's processes are stopped
+ */
+const PROJECT_HOOK_EVENTS = ['post-create', 'pre-start', 'post-start', 'pre-stop'];
+
+/**
+ * Validate and clean the lifecycle hooks of a project
+ * @param {Array} hooks - Raw hooks from the project or renderer
+ * @returns {Array} - `[{ event, command, failOnError }]` in the given order
+ */
+function normalizeProjectHooks(hooks) {
+  if (!Array.isArray(hooks)) {
+    return [];
+  }
+
+  return hooks.map((hook, index) => {
+    if (!PROJECT_HOOK_EVENTS.includes(hook?.event)) {
+      throw new Error(`Unknown event "${hook?.event ?? ''}" for hook ${index + 1}.`);
+    }
+
+    const command = typeof hook.command === 'string' ? hook.command.trim() : '';
+    if (!command) {
+      throw new Error(`Hook ${index + 1} (${hook.event}) needs a command.`);
+    }
+
+    return { event: hook.event, command, failOnError: hook.failOnError === true };
+  });
+}
+
+/**
+ * Hooks of a project that run at the given event, in their configured order
+ * @param {Object} project - Project config
+ * @param {string} event - One of PROJECT_HOOK_EVENTS
+ * @returns {Array}
+ */
+function getProjectHooksForEvent(project, event) {
+  try {
+    return normalizeProjectHooks(project?.hooks).filter((hook) => hook.event === event);
+  } catch {
+    // Hand-edited hooks that no longer validate are skipped rather than blocking the project
+    return [];
+  }
+}
+
+module.exports = {
+  PROJECT_HOOK_EVENTS,
+  normalizeProjectHooks,
+  getProjectHooksForEvent,
+};
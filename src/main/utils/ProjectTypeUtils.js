@@ -0,0 +1,117 @@
+/**
+ * Project types that run their own app server and are reverse-proxied by the
+ * web server instead of being served through PHP. `proxy` projects point at an
+ * app server DevBox does not manage (a Go binary, a container, a Java app...).
+ */
+const BACKEND_PROXY_PROJECT_TYPES = new Set(['nodejs', 'python', 'proxy']);
+
+const DEFAULT_BACKEND_PORTS = {
+  nodejs: 3000,
+  python: 8000,
+};
+
+/**
+ * Whether the project is served by its own app server behind a proxy vhost
+ * @param {Object} project - Project config
+ * @returns {boolean}
+ */
+function isBackendProxyProject(project) {
+  return BACKEND_PROXY_PROJECT_TYPES.has(project?.type);
+}
+
+/**
+ * Port the project's app server listens on
+ * @param {Object} project - Project config
+ * @returns {number}
+ */
+function getProjectBackendPort(project) {
+  if (project?.type === 'proxy') {
+    const upstream = new URL(normalizeProxyUpstreamUrl(project.proxyUrl));
+    return Number(upstream.port) || (upstream.protocol === 'https:' ? 443 : 80);
+  }
+
+  if (project?.type === 'python') {
+    return project.pythonPort || DEFAULT_BACKEND_PORTS.python;
+  }
+
+  return project?.nodePort || DEFAULT_BACKEND_PORTS.nodejs;
+}
+
+/**
+ * Whether the project only forwards to an app server DevBox does not start or install
+ * @param {Object} project - Project config
+ * @returns {boolean}
+ */
+function isExternalProxyProject(project) {
+  return project?.type === 'proxy';
+}
+
+/**
+ * Whether the project is a folder of static files served without PHP
+ * @param {Object} project - Project config
+ * @returns {boolean}
+ */
+function isStaticSiteProject(project) {
+  return project?.type === 'static';
+}
+
+/**
+ * Validate the upstream of a `proxy` project
+ * @param {string} value - URL such as http://127.0.0.1:8080
+ * @returns {string} - The URL without a trailing slash
+ */
+function normalizeProxyUpstreamUrl(value) {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw) {
+    throw new Error('Upstream URL is required, for example http://127.0.0.1:8080');
+  }
+
+  let upstream;
+  try {
+    upstream = new URL(raw);
+  } catch {
+    throw new Error(`Invalid upstream URL "${raw}". Use a URL such as http://127.0.0.1:8080`);
+  }
+
+  if (upstream.protocol !== 'http:' && upstream.protocol !== 'https:') {
+    throw new Error('Upstream URL must start with http:// or https://');
+  }
+  if (upstream.search || upstream.hash || upstream.username || upstream.password) {
+    throw new Error('Upstream URL cannot contain credentials, a query string or a fragment');
+  }
+
+  return `${upstream.protocol}//${upstream.host}${upstream.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * What a proxy vhost forwards to: the upstream URL of a `proxy` project, or the
+ * local port of an app server DevBox runs
+ * @param {Object} project - Project config
+ * @returns {string|number}
+ */
+function getProjectBackendTarget(project) {
+  return isExternalProxyProject(project)
+    ? normalizeProxyUpstreamUrl(project.proxyUrl)
+    : getProjectBackendPort(project);
+}
+
+/**
+ * Turn a backend target into the URL a proxy vhost passes requests to
+ * @param {string|number} target - Upstream URL or local port
+ * @returns {string}
+ */
+function getProxyUpstreamUrl(target) {
+  return typeof target === 'string' ? target : `http://127.0.0.1:${target}`;
+}
+
+module.exports = {
+  BACKEND_PROXY_PROJECT_TYPES,
+  DEFAULT_BACKEND_PORTS,
+  isBackendProxyProject,
+  isExternalProxyProject,
+  isStaticSiteProject,
+  getProjectBackendPort,
+  getProjectBackendTarget,
+  getProxyUpstreamUrl,
+  normalizeProxyUpstreamUrl,
+};
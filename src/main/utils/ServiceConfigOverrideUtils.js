@@ -0,0 +1,417 @@
+/**
+ * Services whose generated config can be extended with user-defined directives.
+ * MySQL and MariaDB take my.cnf lines, Redis redis.conf lines, nginx nginx.conf
+ * directives, and PostgreSQL postgresql.conf settings (passed as `-c` arguments).
+ */
+const SERVICE_CONFIG_OVERRIDE_SERVICES = ['mysql', 'mariadb', 'redis', 'postgresql', 'nginx'];
+
+// Settings DevBox manages itself: changing them breaks port tracking, data paths or health checks
+const PROTECTED_DIRECTIVES = {
+  mysql: ['port', 'datadir', 'basedir', 'socket', 'pid-file', 'log-error', 'init-file'],
+  mariadb: ['port', 'datadir', 'basedir', 'socket', 'pid-file', 'log-error', 'init-file'],
+  redis: ['port', 'dir', 'daemonize'],
+  postgresql: ['port', 'data_directory', 'config_file', 'hba_file', 'ident_file', 'unix_socket_directories'],
+  nginx: ['pid'],
+};
+
+const INI_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_.-]*$/;
+const REDIS_DIRECTIVE_PATTERN = /^[A-Za-z][A-Za-z0-9-]*$/;
+const POSTGRES_SETTING_PATTERN = /^\s*([A-Za-z_][A-Za-z0-9_.]*)\s*=?\s*(.*?)\s*$/;
+const NGINX_DIRECTIVE_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)(\s|;|\{|$)/;
+const NGINX_MERGED_BLOCKS = ['events', 'http'];
+
+// my.cnf treats dashes and underscores in option names the same way
+const normalizeIniKey = (key) => key.toLowerCase().replace(/_/g, '-');
+
+function contentLines(content) {
+  return String(content || '').replace(/\r\n/g, '\n').split('\n');
+}
+
+function isCommentOrBlank(line) {
+  return !line.trim() || /^\s*[#;]/.test(line);
+}
+
+/**
+ * Trim trailing whitespace and blank edges so equal configs compare equal
+ * @param {string} content - Raw editor content
+ * @returns {string}
+ */
+function normalizeServiceConfigOverride(content) {
+  return String(content || '').replace(/\r\n/g, '\n').replace(/[ \t]+$/gm, '').replace(/^\n+|\s+$/g, '');
+}
+
+/**
+ * Parse my.cnf lines, keys before any [section] belong to [mysqld]
+ * @param {string} content - Override content
+ * @returns {{sections: Map<string, Array<{key: string, line: string}>>, errors: string[]}}
+ */
+function parseIniOverride(content) {
+  const sections = new Map();
+  const errors = [];
+  let section = 'mysqld';
+
+  contentLines(content).forEach((rawLine, index) => {
+    if (isCommentOrBlank(rawLine)) {
+      return;
+    }
+
+    const line = rawLine.trim();
+    const header = line.match(/^\[([A-Za-z0-9_.-]+)\]$/);
+    if (header) {
+      section = header[1].toLowerCase();
+      return;
+    }
+
+    const key = line.split('=')[0].trim();
+    if (!INI_KEY_PATTERN.test(key)) {
+      errors.push(`Line ${index + 1}: expected "option=value" or a [section], got "${line}"`);
+      return;
+    }
+
+    if (!sections.has(section)) {
+      sections.set(section, []);
+    }
+    sections.get(section).push({ key: normalizeIniKey(key), line });
+  });
+
+  return { sections, errors };
+}
+
+/**
+ * Parse redis.conf lines
+ * @param {string} content - Override content
+ * @returns {{directives: Array<{name: string, line: string}>, errors: string[]}}
+ */
+function parseRedisOverride(content) {
+  const directives = [];
+  const errors = [];
+
+  contentLines(content).forEach((rawLine, index) => {
+    if (isCommentOrBlank(rawLine)) {
+      return;
+    }
+
+    const line = rawLine.trim();
+    const [name, ...args] = line.split(/\s+/);
+    if (!REDIS_DIRECTIVE_PATTERN.test(name) || args.length === 0) {
+      errors.push(`Line ${index + 1}: expected "directive value", got "${line}"`);
+      return;
+    }
+
+    directives.push({ name: name.toLowerCase(), line });
+  });
+
+  return { directives, errors };
+}
+
+/**
+ * Parse postgresql.conf settings
+ * @param {string} content - Override content
+ * @returns {{settings: Array<{name: string, value: string}>, errors: string[]}}
+ */
+function parsePostgresOverride(content) {
+  const settings = [];
+  const errors = [];
+
+  contentLines(content).forEach((rawLine, index) => {
+    if (isCommentOrBlank(rawLine)) {
+      return;
+    }
+
+    const match = rawLine.replace(/\s#.*$/, '').match(POSTGRES_SETTING_PATTERN);
+    let value = match?.[2] || '';
+    if (/^'.*'$/.test(value)) {
+      value = value.slice(1, -1).replace(/''/g, "'");
+    }
+
+    if (!match || value === '') {
+      errors.push(`Line ${index + 1}: expected "setting = value", got "${rawLine.trim()}"`);
+      return;
+    }
+
+    settings.push({ name: match[1].toLowerCase(), value });
+  });
+
+  return { settings, errors };
+}
+
+/**
+ * Parse nginx directives. Simple directives in `events { }` and `http { }` are merged into
+ * the matching generated block, anything else (server blocks, stream, ...) is added as-is.
+ * @param {string} content - Override content
+ * @returns {{items: Array<{context: string, name: string|null, text: string}>, errors: string[]}}
+ */
+function parseNginxOverride(content) {
+  const items = [];
+  const errors = [];
+  let context = 'main';
+  let rawBlock = null;
+
+  contentLines(content).forEach((rawLine, index) => {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) {
+      return;
+    }
+
+    if (rawBlock) {
+      rawBlock.lines.push(`${'    '.repeat(line.startsWith('}') ? rawBlock.depth - 1 : rawBlock.depth)}${line}`);
+      rawBlock.depth += (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length;
+      if (rawBlock.depth === 0) {
+        items.push({ context: rawBlock.context, name: null, text: rawBlock.lines.join('\n') });
+        rawBlock = null;
+      }
+      return;
+    }
+
+    if (line === '}') {
+      if (context === 'main') {
+        errors.push(`Line ${index + 1}: unexpected "}"`);
+      }
+      context = 'main';
+      return;
+    }
+
+    const mergedBlock = line.match(/^([a-z]+)\s*\{$/);
+    if (mergedBlock && context === 'main' && NGINX_MERGED_BLOCKS.includes(mergedBlock[1])) {
+      context = mergedBlock[1];
+      return;
+    }
+
+    if (/^[A-Za-z_][A-Za-z0-9_]*\b.*\{$/.test(line)) {
+      rawBlock = { context, lines: [line], depth: 1 };
+      return;
+    }
+
+    const directive = line.match(NGINX_DIRECTIVE_PATTERN);
+    if (!directive || !line.endsWith(';')) {
+      errors.push(`Line ${index + 1}: directives must end with ";", got "${line}"`);
+      return;
+    }
+
+    items.push({ context, name: directive[1], text: line });
+  });
+
+  if (rawBlock || context !== 'main') {
+    errors.push('Missing "}" at the end of the config');
+  }
+
+  return { items, errors };
+}
+
+function protectedDirectiveErrors(serviceName, names) {
+  const protectedNames = PROTECTED_DIRECTIVES[serviceName] || [];
+  return [...new Set(names)]
+    .filter((name) => protectedNames.includes(name))
+    .map((name) => `"${name}" is managed by DevBox Pro and cannot be overridden`);
+}
+
+/**
+ * Check that an override can be merged into the generated config
+ * @param {string} serviceName - One of SERVICE_CONFIG_OVERRIDE_SERVICES
+ * @param {string} content - Override content
+ * @returns {string[]} - Problems, empty when the override is usable
+ */
+function validateServiceConfigOverride(serviceName, content) {
+  switch (serviceName) {
+    case 'mysql':
+    case 'mariadb': {
+      const { sections, errors } = parseIniOverride(content);
+      const names = [...sections.values()].flat().map(({ key }) => key);
+      return [...errors, ...protectedDirectiveErrors(serviceName, names)];
+    }
+    case 'redis': {
+      const { directives, errors } = parseRedisOverride(content);
+      return [...errors, ...protectedDirectiveErrors(serviceName, directives.map(({ name }) => name))];
+    }
+    case 'postgresql': {
+      const { settings, errors } = parsePostgresOverride(content);
+      return [...errors, ...protectedDirectiveErrors(serviceName, settings.map(({ name }) => name))];
+    }
+    case 'nginx': {
+      const { items, errors } = parseNginxOverride(content);
+      return [...errors, ...protectedDirectiveErrors(serviceName, items.filter((item) => item.context === 'main').map(({ name }) => name))];
+    }
+    default:
+      return [`Custom config is not supported for ${serviceName}`];
+  }
+}
+
+/**
+ * Merge my.cnf overrides: an option replaces the generated one of the same section,
+ * sections that are not generated are appended
+ * @param {string} config - Generated my.cnf
+ * @param {string} content - Override content
+ * @returns {string}
+ */
+function mergeIniConfig(config, content) {
+  const { sections } = parseIniOverride(content);
+  if (sections.size === 0) {
+    return config;
+  }
+
+  const lines = contentLines(config);
+  const appended = [];
+
+  for (const [section, entries] of sections) {
+    const keys = new Set(entries.map(({ key }) => key));
+    const start = lines.findIndex((line) => line.trim().toLowerCase() === `[${section}]`);
+    const block = ['# Custom config', ...entries.map(({ line }) => line)];
+
+    if (start === -1) {
+      appended.push('', `[${section}]`, ...block);
+      continue;
+    }
+
+    let end = lines.findIndex((line, index) => index > start && /^\s*\[/.test(line));
+    if (end === -1) {
+      end = lines.length;
+    }
+
+    for (let index = end - 1; index > start; index -= 1) {
+      const line = lines[index];
+      if (!isCommentOrBlank(line) && keys.has(normalizeIniKey(line.split('=')[0].trim()))) {
+        lines.splice(index, 1);
+        end -= 1;
+      }
+    }
+
+    while (end - 1 > start && !lines[end - 1].trim()) {
+      end -= 1;
+    }
+    lines.splice(end, 0, ...block);
+  }
+
+  return `${lines.join('\n').replace(/\s+$/, '')}\n${appended.length ? `${appended.join('\n')}\n` : ''}`;
+}
+
+/**
+ * Merge redis.conf overrides: every overridden directive replaces all generated lines of that directive
+ * @param {string} config - Generated redis.conf
+ * @param {string} content - Override content
+ * @returns {string}
+ */
+function mergeRedisConfig(config, content) {
+  const { directives } = parseRedisOverride(content);
+  if (directives.length === 0) {
+    return config;
+  }
+
+  const names = new Set(directives.map(({ name }) => name));
+  const kept = contentLines(config)
+    .filter((line) => isCommentOrBlank(line) || !names.has(line.trim().split(/\s+/)[0].toLowerCase()));
+
+  return `${kept.join('\n').replace(/\s+$/, '')}\n\n# Custom config\n${directives.map(({ line }) => line).join('\n')}\n`;
+}
+
+/**
+ * Merge nginx overrides into the generated nginx.conf. A simple directive replaces the generated one
+ * when its block has exactly one, otherwise it is added at the end of the block.
+ * @param {string} config - Generated nginx.conf
+ * @param {string} content - Override content
+ * @returns {string}
+ */
+function mergeNginxConfig(config, content) {
+  const { items } = parseNginxOverride(content);
+  if (items.length === 0) {
+    return config;
+  }
+
+  const lines = contentLines(config);
+
+  // Top-level block each line belongs to ('main' outside of blocks) and whether it is a direct child
+  const locate = () => {
+    let depth = 0;
+    let block = 'main';
+    return lines.map((rawLine) => {
+      const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+      const startDepth = depth;
+      const opening = line.match(/^([A-Za-z_][A-Za-z0-9_]*)\b.*\{$/);
+      if (depth === 0 && opening) {
+        block = opening[1];
+      }
+      depth += (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length;
+      const location = { block: startDepth === 0 && !opening ? 'main' : block, direct: startDepth <= 1, line, closes: depth === 0 && startDepth === 1 };
+      if (depth === 0) {
+        block = 'main';
+      }
+      return location;
+    });
+  };
+
+  for (const item of items) {
+    const locations = locate();
+    const indent = item.context === 'main' ? '' : '    ';
+    const text = item.text.split('\n').map((line) => `${indent}${line}`).join('\n');
+
+    if (item.name) {
+      const matches = locations
+        .map((location, index) => ({ ...location, index }))
+        .filter((location) => location.block === item.context && location.direct
+          && location.line.match(NGINX_DIRECTIVE_PATTERN)?.[1] === item.name && location.line.endsWith(';'));
+      if (matches.length === 1) {
+        lines[matches[0].index] = `${lines[matches[0].index].match(/^\s*/)[0]}${item.text}`;
+        continue;
+      }
+    }
+
+    if (item.context === 'main') {
+      const firstBlock = locations.findIndex((location) => /\{$/.test(location.line));
+      lines.splice(firstBlock === -1 ? lines.length : firstBlock, 0, text);
+      continue;
+    }
+
+    const closing = locations.findIndex((location) => location.block === item.context && location.closes);
+    if (closing === -1) {
+      lines.push(`${item.context} {`, text, '}');
+    } else {
+      lines.splice(closing, 0, text);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the `-c` arguments that apply PostgreSQL overrides on top of postgresql.conf
+ * @param {string} content - Override content
+ * @returns {string[]}
+ */
+function buildPostgresOverrideArgs(content) {
+  return parsePostgresOverride(content).settings.flatMap(({ name, value }) => ['-c', `${name}=${value}`]);
+}
+
+/**
+ * Merge an override into a generated config file
+ * @param {string} serviceName - 'mysql', 'mariadb', 'redis' or 'nginx'
+ * @param {string} config - Generated config
+ * @param {string} content - Override content
+ * @returns {string}
+ */
+function mergeServiceConfigOverride(serviceName, config, content) {
+  if (!normalizeServiceConfigOverride(content)) {
+    return config;
+  }
+
+  switch (serviceName) {
+    case 'mysql':
+    case 'mariadb':
+      return mergeIniConfig(config, content);
+    case 'redis':
+      return mergeRedisConfig(config, content);
+    case 'nginx':
+      return mergeNginxConfig(config, content);
+    default:
+      return config;
+  }
+}
+
+module.exports = {
+  SERVICE_CONFIG_OVERRIDE_SERVICES,
+  normalizeServiceConfigOverride,
+  validateServiceConfigOverride,
+  mergeServiceConfigOverride,
+  mergeIniConfig,
+  mergeRedisConfig,
+  mergeNginxConfig,
+  buildPostgresOverrideArgs,
+};
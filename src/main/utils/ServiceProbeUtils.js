@@ -0,0 +1,437 @@
+const net = require('net');
+const http = require('http');
+const crypto = require('crypto');
+
+const PROBE_TIMEOUT_MS = 2000;
+const PROBE_HOST = '127.0.0.1';
+// Matches the fallback server of nginx.conf instead of whichever project vhost comes first
+const PROBE_HTTP_HOST_HEADER = 'localhost';
+// httpd.conf answers this path itself on every vhost, since Apache has no fallback server for localhost
+const WEB_SERVER_HEALTH_PATH = '/__devbox-health';
+const HEALTH_CHECK_USER_AGENT = 'DevBoxPro-HealthCheck';
+
+// MySQL client capabilities: LONG_PASSWORD, PROTOCOL_41, SECURE_CONNECTION, PLUGIN_AUTH
+const MYSQL_CLIENT_CAPABILITIES = 0x1 | 0x200 | 0x8000 | 0x80000;
+const MYSQL_ACCESS_DENIED = 1045;
+
+const healthy = () => ({ healthy: true, reason: null });
+const unhealthy = (reason) => ({ healthy: false, reason });
+
+/**
+ * Open a TCP connection and exchange messages until `onData` returns a result
+ * @param {number} port - Port on 127.0.0.1
+ * @param {object} handlers
+ * @param {function(function(Buffer)): void} [handlers.onConnect] - Called with `send` once connected
+ * @param {function(Buffer, function(Buffer)): (object|undefined)} handlers.onData - Receives all bytes so far and `send`,
+ *   returns a probe result to finish or undefined to wait for more
+ * @returns {Promise<{healthy: boolean, reason: string|null}>}
+ */
+function exchange(port, { onConnect, onData }) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    let received = Buffer.alloc(0);
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      socket.destroy();
+      resolve(result);
+    };
+    const send = (data) => socket.write(data);
+
+    socket.setTimeout(PROBE_TIMEOUT_MS);
+    socket.on('connect', () => onConnect?.(send));
+    socket.on('data', (chunk) => {
+      received = Buffer.concat([received, chunk]);
+      try {
+        const result = onData(received, send);
+        if (result) {
+          finish(result);
+        }
+      } catch (error) {
+        finish(unhealthy(`Unexpected response: ${error.message}`));
+      }
+    });
+    socket.on('timeout', () => finish(unhealthy(`No answer on port ${port} within ${PROBE_TIMEOUT_MS}ms`)));
+    socket.on('error', (error) => finish(unhealthy(error.code === 'ECONNREFUSED' ? `Port ${port} is not accepting connections` : error.message)));
+    socket.on('close', () => finish(unhealthy(`Port ${port} closed the connection`)));
+
+    socket.connect(port, PROBE_HOST);
+  });
+}
+
+function xorBuffers(data, mask) {
+  return Buffer.from(data.map((byte, index) => byte ^ mask[index % mask.length]));
+}
+
+function hash(algorithm, ...parts) {
+  const digest = crypto.createHash(algorithm);
+  parts.forEach((part) => digest.update(part));
+  return digest.digest();
+}
+
+/**
+ * Answer to a MySQL authentication challenge, null for plugins DevBox cannot speak
+ * @param {string} plugin - Authentication plugin of the account
+ * @param {string} password - Plain password
+ * @param {Buffer} scramble - 20 byte challenge of the server
+ * @returns {Buffer|null}
+ */
+function scrambleMySqlPassword(plugin, password, scramble) {
+  if (!password) {
+    return Buffer.alloc(0);
+  }
+
+  if (plugin === 'mysql_native_password') {
+    const stage1 = hash('sha1', password);
+    return xorBuffers(stage1, hash('sha1', scramble, hash('sha1', stage1)));
+  }
+
+  if (plugin === 'caching_sha2_password') {
+    const stage1 = hash('sha256', password);
+    return xorBuffers(stage1, hash('sha256', hash('sha256', stage1), scramble));
+  }
+
+  return null;
+}
+
+function mySqlPacket(sequence, payload) {
+  const header = Buffer.alloc(4);
+  header.writeUIntLE(payload.length, 0, 3);
+  header[3] = sequence;
+  return Buffer.concat([header, payload]);
+}
+
+function readNullTerminated(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  return end === -1
+    ? { value: buffer.toString('utf8', offset), next: buffer.length }
+    : { value: buffer.toString('utf8', offset, end), next: end + 1 };
+}
+
+function parseMySqlError(payload) {
+  const code = payload.readUInt16LE(1);
+  // 4.1 errors carry "#" and a five character SQL state before the message
+  const message = payload.toString('utf8', payload[3] === 0x23 ? 9 : 3);
+  return { code, message };
+}
+
+function parseMySqlHandshake(payload) {
+  let offset = 1;
+  const serverVersion = readNullTerminated(payload, offset);
+  offset = serverVersion.next + 4;
+  const scramblePart1 = payload.subarray(offset, offset + 8);
+  offset += 8 + 1 + 2 + 1 + 2 + 2;
+  const authDataLength = payload[offset];
+  offset += 1 + 10;
+  const part2Length = Math.max(13, authDataLength - 8);
+  // The second part ends with a NUL that is not part of the scramble
+  const scramblePart2 = payload.subarray(offset, offset + part2Length - 1);
+  const plugin = readNullTerminated(payload, offset + part2Length).value || 'mysql_native_password';
+  return { scramble: Buffer.concat([scramblePart1, scramblePart2]), plugin };
+}
+
+/**
+ * Log in to MySQL or MariaDB and run SELECT 1
+ * @param {number} port - Server port
+ * @param {{user?: string, password?: string}} [credentials] - Account DevBox manages, root without password by default
+ * @returns {Promise<{healthy: boolean, reason: string|null}>}
+ */
+function probeMySql(port, { user = 'root', password = '' } = {}) {
+  let offset = 0;
+  let sequence = 0;
+  let scramble = null;
+  let state = 'handshake';
+
+  const nextPacket = (buffer) => {
+    if (buffer.length < offset + 4) {
+      return null;
+    }
+    const length = buffer.readUIntLE(offset, 3);
+    if (buffer.length < offset + 4 + length) {
+      return null;
+    }
+    sequence = buffer[offset + 3] + 1;
+    const payload = buffer.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+    return payload;
+  };
+
+  const sendQuery = (send) => {
+    state = 'query';
+    send(mySqlPacket(0, Buffer.concat([Buffer.from([0x03]), Buffer.from('SELECT 1')])));
+  };
+
+  return exchange(port, {
+    onData(buffer, send) {
+      let payload;
+      while ((payload = nextPacket(buffer))) {
+        if (payload[0] === 0xff) {
+          const { code, message } = parseMySqlError(payload);
+          // Checking the password means the server finished starting and reads its grant tables
+          return code === MYSQL_ACCESS_DENIED && state === 'auth' ? healthy() : unhealthy(`MySQL error ${code}: ${message}`);
+        }
+
+        if (state === 'handshake') {
+          const handshake = parseMySqlHandshake(payload);
+          scramble = handshake.scramble;
+          const authResponse = scrambleMySqlPassword(handshake.plugin, password, scramble) || Buffer.alloc(0);
+          const fixed = Buffer.alloc(32);
+          fixed.writeUInt32LE(MYSQL_CLIENT_CAPABILITIES, 0);
+          fixed.writeUInt32LE(0x01000000, 4);
+          fixed[8] = 33; // utf8_general_ci
+          state = 'auth';
+          send(mySqlPacket(sequence, Buffer.concat([
+            fixed,
+            Buffer.from(`${user}\0`),
+            Buffer.from([authResponse.length]),
+            authResponse,
+            Buffer.from(`${handshake.plugin}\0`),
+          ])));
+        } else if (state === 'auth' && payload[0] === 0x00) {
+          sendQuery(send);
+        } else if (state === 'auth' && payload[0] === 0xfe) {
+          // Auth switch: the account uses another plugin, answer its fresh challenge
+          const plugin = readNullTerminated(payload, 1);
+          scramble = payload.subarray(plugin.next, payload[payload.length - 1] === 0 ? payload.length - 1 : payload.length);
+          const authResponse = scrambleMySqlPassword(plugin.value, password, scramble);
+          if (!authResponse) {
+            // The server is up and asking for credentials, it is only the plugin DevBox cannot answer
+            return healthy();
+          }
+          send(mySqlPacket(sequence, authResponse));
+        } else if (state === 'auth' && payload[0] === 0x01 && payload[1] === 0x04) {
+          // caching_sha2_password without a cached entry wants the password RSA encrypted
+          state = 'public-key';
+          send(mySqlPacket(sequence, Buffer.from([0x02])));
+        } else if (state === 'public-key' && payload[0] === 0x01) {
+          const encrypted = crypto.publicEncrypt(
+            { key: payload.toString('utf8', 1), padding: crypto.constants.RSA_PKCS1_OAEP_PADDING },
+            xorBuffers(Buffer.from(`${password}\0`), scramble)
+          );
+          state = 'auth';
+          send(mySqlPacket(sequence, encrypted));
+        } else if (state === 'query') {
+          send(mySqlPacket(0, Buffer.from([0x01])));
+          return healthy();
+        }
+        // 0x01 0x03 is caching_sha2_password fast auth success, the OK packet follows
+      }
+      return undefined;
+    },
+  });
+}
+
+/**
+ * Send PING to Redis
+ * @param {number} port - Server port
+ * @returns {Promise<{healthy: boolean, reason: string|null}>}
+ */
+function probeRedis(port) {
+  return exchange(port, {
+    onConnect: (send) => send(Buffer.from('PING\r\n')),
+    onData(buffer) {
+      const line = buffer.toString('utf8');
+      if (!line.includes('\r\n')) {
+        return undefined;
+      }
+
+      const reply = line.split('\r\n')[0];
+      // A password protected server still answers, which proves it is ready
+      if (reply === '+PONG' || reply.startsWith('-NOAUTH')) {
+        return healthy();
+      }
+      return unhealthy(`Redis answered ${reply.replace(/^[-+]/, '')}`);
+    },
+  });
+}
+
+/**
+ * Send a PostgreSQL startup message, the server answers with an authentication request once it accepts sessions
+ * @param {number} port - Server port
+ * @param {{user?: string}} [options]
+ * @returns {Promise<{healthy: boolean, reason: string|null}>}
+ */
+function probePostgres(port, { user = 'postgres' } = {}) {
+  return exchange(port, {
+    onConnect(send) {
+      const parameters = Buffer.from(`user\0${user}\0database\0postgres\0\0`);
+      const header = Buffer.alloc(8);
+      header.writeInt32BE(8 + parameters.length, 0);
+      header.writeInt32BE(196608, 4); // protocol 3.0
+      send(Buffer.concat([header, parameters]));
+    },
+    onData(buffer) {
+      if (buffer.length < 5 || buffer.length < 1 + buffer.readInt32BE(1)) {
+        return undefined;
+      }
+
+      if (buffer[0] === 0x52) { // 'R'
+        return healthy();
+      }
+
+      if (buffer[0] === 0x45) { // 'E'
+        // Error fields are a type byte and a NUL terminated string each, 'M' is the message
+        const fields = buffer.toString('utf8', 5, 1 + buffer.readInt32BE(1)).split('\0');
+        const message = fields.find((field) => field.startsWith('M'))?.slice(1) || 'unknown error';
+        return unhealthy(`PostgreSQL: ${message}`);
+      }
+
+      return unhealthy(`Unexpected PostgreSQL message "${String.fromCharCode(buffer[0])}"`);
+    },
+  });
+}
+
+function bsonDocument(elements) {
+  const body = Buffer.concat([...elements, Buffer.from([0])]);
+  const size = Buffer.alloc(4);
+  size.writeInt32LE(body.length + 4, 0);
+  return Buffer.concat([size, body]);
+}
+
+function bsonInt32(name, value) {
+  const data = Buffer.alloc(4);
+  data.writeInt32LE(value, 0);
+  return Buffer.concat([Buffer.from([0x10]), Buffer.from(`${name}\0`), data]);
+}
+
+function bsonString(name, value) {
+  const text = Buffer.from(`${value}\0`);
+  const length = Buffer.alloc(4);
+  length.writeInt32LE(text.length, 0);
+  return Buffer.concat([Buffer.from([0x02]), Buffer.from(`${name}\0`), length, text]);
+}
+
+// Reads the top level fields of a BSON document that matter for a reply: numbers, booleans and strings
+function readBsonFields(buffer, start) {
+  const end = start + buffer.readInt32LE(start) - 1;
+  const fields = {};
+  const fixedSizes = { 0x01: 8, 0x07: 12, 0x08: 1, 0x09: 8, 0x0a: 0, 0x10: 4, 0x11: 8, 0x12: 8, 0x13: 16, 0x7f: 0, 0xff: 0 };
+  let offset = start + 4;
+
+  while (offset < end) {
+    const type = buffer[offset];
+    const name = readNullTerminated(buffer, offset + 1);
+    offset = name.next;
+
+    if (type === 0x01) {
+      fields[name.value] = buffer.readDoubleLE(offset);
+    } else if (type === 0x10) {
+      fields[name.value] = buffer.readInt32LE(offset);
+    } else if (type === 0x08) {
+      fields[name.value] = buffer[offset] === 1;
+    } else if (type === 0x02) {
+      fields[name.value] = buffer.toString('utf8', offset + 4, offset + 4 + buffer.readInt32LE(offset) - 1);
+    }
+
+    if (type in fixedSizes) {
+      offset += fixedSizes[type];
+    } else if (type === 0x02 || type === 0x0d || type === 0x0e) {
+      offset += 4 + buffer.readInt32LE(offset);
+    } else if (type === 0x03 || type === 0x04) {
+      offset += buffer.readInt32LE(offset);
+    } else if (type === 0x05) {
+      offset += 5 + buffer.readInt32LE(offset);
+    } else {
+      break;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Run the MongoDB hello command
+ * @param {number} port - Server port
+ * @returns {Promise<{healthy: boolean, reason: string|null}>}
+ */
+function probeMongo(port) {
+  return exchange(port, {
+    onConnect(send) {
+      const command = bsonDocument([bsonInt32('hello', 1), bsonString('$db', 'admin')]);
+      const header = Buffer.alloc(21);
+      header.writeInt32LE(21 + command.length, 0);
+      header.writeInt32LE(1, 4); // request id
+      header.writeInt32LE(0, 8);
+      header.writeInt32LE(2013, 12); // OP_MSG
+      header.writeUInt32LE(0, 16); // flags, followed by section kind 0
+      send(Buffer.concat([header, command]));
+    },
+    onData(buffer) {
+      if (buffer.length < 4 || buffer.length < buffer.readInt32LE(0)) {
+        return undefined;
+      }
+      if (buffer.readInt32LE(12) !== 2013) {
+        return unhealthy('MongoDB answered with an unexpected message');
+      }
+
+      const reply = readBsonFields(buffer, 21);
+      return reply.ok === 1 ? healthy() : unhealthy(`MongoDB: ${reply.errmsg || 'hello failed'}`);
+    },
+  });
+}
+
+/**
+ * Ask Memcached for its version
+ * @param {number} port - Server port
+ * @returns {Promise<{healthy: boolean, reason: string|null}>}
+ */
+function probeMemcached(port) {
+  return exchange(port, {
+    onConnect: (send) => send(Buffer.from('version\r\n')),
+    onData(buffer) {
+      const line = buffer.toString('utf8');
+      if (!line.includes('\r\n')) {
+        return undefined;
+      }
+
+      const reply = line.split('\r\n')[0];
+      return reply.startsWith('VERSION ') ? healthy() : unhealthy(`Memcached answered ${reply}`);
+    },
+  });
+}
+
+/**
+ * Request a page over HTTP. Any answer below 500 means the server handles requests,
+ * a 404 or 403 on the default host is normal for a web server without a matching site.
+ * The request is for localhost; web servers are asked for WEB_SERVER_HEALTH_PATH as well,
+ * so a failing or on-demand project vhost is neither hit nor woken.
+ * @param {number} port - Server port
+ * @param {string} [requestPath='/'] - Path to request
+ * @returns {Promise<{healthy: boolean, reason: string|null}>}
+ */
+function probeHttp(port, requestPath = '/') {
+  return new Promise((resolve) => {
+    const request = http.get({
+      host: PROBE_HOST,
+      port,
+      path: requestPath,
+      timeout: PROBE_TIMEOUT_MS,
+      headers: { Host: PROBE_HTTP_HOST_HEADER, 'User-Agent': HEALTH_CHECK_USER_AGENT },
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode < 500 ? healthy() : unhealthy(`HTTP ${response.statusCode} for ${requestPath}`));
+    });
+
+    request.on('timeout', () => {
+      request.destroy();
+      resolve(unhealthy(`No HTTP answer on port ${port} within ${PROBE_TIMEOUT_MS}ms`));
+    });
+    request.on('error', (error) => {
+      resolve(unhealthy(error.code === 'ECONNREFUSED' ? `Port ${port} is not accepting connections` : error.message));
+    });
+  });
+}
+
+module.exports = {
+  scrambleMySqlPassword,
+  probeMySql,
+  probeRedis,
+  probePostgres,
+  probeMongo,
+  probeMemcached,
+  probeHttp,
+  WEB_SERVER_HEALTH_PATH,
+};
@@ -0,0 +1,78 @@
+/**
+ * Path prefix every project vhost hands to DevBox's local handler.
+ * It serves the error page and the start/restart action the page posts back to.
+ */
+const DEVBOX_HANDLER_PATH = '/__devbox/';
+
+const DEVBOX_ERROR_STATUS_CODES = [502, 503, 504];
+
+function getHandlerUpstream(project, handlerPort) {
+  return `http://127.0.0.1:${handlerPort}${DEVBOX_HANDLER_PATH}${encodeURIComponent(project.id)}/`;
+}
+
+/**
+ * Render the nginx directives that show DevBox's error page when the project backend is down.
+ * Only errors nginx raises itself are replaced, error responses of the app pass through untouched.
+ * The start/restart action only answers this machine, LAN visitors of a shared vhost just see the page.
+ * @param {Object} project - Project config
+ * @param {number|null} handlerPort - Port of DevBox's local handler, null while it is not running
+ * @returns {string} - Empty string without a handler
+ */
+function formatNginxErrorPage(project, handlerPort) {
+  if (!handlerPort) {
+    return '';
+  }
+
+  return `
+
+    # DevBox error page for when the backend is not answering
+    error_page ${DEVBOX_ERROR_STATUS_CODES.join(' ')} ${DEVBOX_HANDLER_PATH}error;
+
+    location ^~ ${DEVBOX_HANDLER_PATH} {
+        proxy_pass ${getHandlerUpstream(project, handlerPort)};
+        proxy_set_header Host $host;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+    }
+
+    location = ${DEVBOX_HANDLER_PATH}start {
+        allow 127.0.0.1;
+        allow ::1;
+        deny all;
+        proxy_pass ${getHandlerUpstream(project, handlerPort)}start;
+        proxy_set_header Host $host;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+    }`;
+}
+
+/**
+ * Render the Apache directives that show DevBox's error page when the project backend is down.
+ * The ProxyPass has to come before any other ProxyPass of the VirtualHost to take precedence.
+ * mod_proxy adds X-Forwarded-For on its own, the start/restart action only answers this machine.
+ * @param {Object} project - Project config
+ * @param {number|null} handlerPort - Port of DevBox's local handler, null while it is not running
+ * @returns {string} - Empty string without a handler
+ */
+function formatApacheErrorPage(project, handlerPort) {
+  if (!handlerPort) {
+    return '';
+  }
+
+  const errorDocuments = DEVBOX_ERROR_STATUS_CODES
+    .map((statusCode) => `    ErrorDocument ${statusCode} ${DEVBOX_HANDLER_PATH}error`)
+    .join('\n');
+
+  return `
+
+    # DevBox error page for when the backend is not answering
+    ProxyPass ${DEVBOX_HANDLER_PATH} ${getHandlerUpstream(project, handlerPort)} retry=0
+    <Location "${DEVBOX_HANDLER_PATH}start">
+        Require local
+    </Location>
+${errorDocuments}`;
+}
+
+module.exports = {
+  DEVBOX_HANDLER_PATH,
+  formatNginxErrorPage,
+  formatApacheErrorPage,
+};
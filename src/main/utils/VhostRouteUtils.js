@@ -0,0 +1,236 @@
+const path = require('path');
+
+/**
+ * Targets a path route can send requests to.
+ * - proxy: an app server on a local port (Node, Python, anything speaking HTTP)
+ * - php: a PHP app folder served through the project's PHP-FPM pool
+ * - static: a folder of files, optionally with an SPA fallback to index.html
+ */
+const VHOST_ROUTE_TYPES = ['proxy', 'php', 'static'];
+
+const ROUTE_PATH_PATTERN = /^\/[A-Za-z0-9._~\-/]*$/;
+
+/**
+ * Validate and clean the ordered route rules of a project
+ * @param {Array} routes - Raw routes from the project or renderer
+ * @returns {Array} - `[{ path, type, port }|{ path, type, root, spa }]` in the given order
+ */
+function normalizeVhostRoutes(routes) {
+  if (!Array.isArray(routes)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return routes.map((route) => {
+    const routePath = typeof route?.path === 'string' ? route.path.trim().replace(/\/+$/, '') || '/' : '';
+    if (!ROUTE_PATH_PATTERN.test(routePath) || routePath.includes('//')) {
+      throw new Error(`Invalid route path "${route?.path ?? ''}". Use a path such as /api.`);
+    }
+    if (seen.has(routePath)) {
+      throw new Error(`The route ${routePath} is defined more than once.`);
+    }
+    seen.add(routePath);
+
+    if (!VHOST_ROUTE_TYPES.includes(route.type)) {
+      throw new Error(`Unknown target "${route.type}" for route ${routePath}.`);
+    }
+
+    if (route.type === 'proxy') {
+      const port = Number.parseInt(route.port, 10);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Route ${routePath} needs a port between 1 and 65535.`);
+      }
+      return { path: routePath, type: 'proxy', port };
+    }
+
+    const root = typeof route.root === 'string' ? route.root.trim() : '';
+    if (root.includes('"')) {
+      throw new Error(`The folder of route ${routePath} cannot contain quotes.`);
+    }
+
+    return route.type === 'static'
+      ? { path: routePath, type: 'static', root, spa: route.spa === true }
+      : { path: routePath, type: 'php', root };
+  });
+}
+
+/**
+ * Folder a php/static route serves, relative folders being resolved from the project path
+ * @param {Object} project - Project config
+ * @param {Object} route - Normalized route
+ * @returns {string} - Forward-slashed folder without a trailing slash
+ */
+function getRouteRoot(project, route) {
+  const isAbsolute = path.isAbsolute(route.root) || /^[A-Za-z]:[\\/]/.test(route.root);
+  const root = isAbsolute ? route.root : path.join(project.path || '', route.root || '');
+  return root.replace(/\\/g, '/').replace(/\/+$/, '');
+}
+
+function escapeRoutePath(routePath) {
+  return routePath.replace(/[.~-]/g, '\\$&');
+}
+
+// Both match the route path itself and everything below it, never /api-docs for /api
+function getRoutePattern(routePath) {
+  return routePath === '/' ? '^/' : `^${escapeRoutePath(routePath)}(?:/|$)`;
+}
+
+function getRouteCapturePattern(routePath, capture) {
+  return routePath === '/' ? `^/(${capture})$` : `^${escapeRoutePath(routePath)}(?:/(${capture}))?$`;
+}
+
+function getRouteBase(routePath) {
+  return routePath === '/' ? '/' : `${routePath}/`;
+}
+
+function describeRoute(route) {
+  return route.type === 'proxy'
+    ? `127.0.0.1:${route.port}`
+    : `${route.type === 'php' ? 'PHP' : 'static files'} (${route.root || '.'})`;
+}
+
+function formatNginxProxyLocation(route, port, options) {
+  return `    location ~ ${getRoutePattern(route.path)} {
+        proxy_pass http://127.0.0.1:${port};
+        proxy_http_version 1.1;
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto ${options.forwardedProto};
+        proxy_set_header X-Forwarded-Port ${options.forwardedPort};
+        proxy_buffering off;
+    }`;
+}
+
+/**
+ * Render a project's routes as nginx locations, ready to be appended to the end of a config line.
+ * Regex locations are matched in the order they appear, so the first matching route wins and
+ * every route takes precedence over the project's own `location /` and PHP handler.
+ * @param {Object} project - Project config
+ * @param {Object} options - Rendering context
+ * @param {number} [options.phpFpmPort] - PHP-FPM pool that serves php routes directly
+ * @param {string} [options.fastcgiParamsPath] - fastcgi_params to include for php routes
+ * @param {number} [options.phpBackendPort] - Web server that serves php routes behind a front door
+ * @param {string} [options.forwardedProto] - Value of X-Forwarded-Proto for proxied routes
+ * @param {string|number} [options.forwardedPort] - Value of X-Forwarded-Port for proxied routes
+ * @returns {string} - Empty string when the project has no routes
+ */
+function formatNginxRoutes(project, options = {}) {
+  const settings = { forwardedProto: '$scheme', forwardedPort: '$server_port', ...options };
+  const locations = [];
+
+  normalizeVhostRoutes(project?.routes).forEach((route, index) => {
+    const heading = `    # Route ${route.path} -> ${describeRoute(route)}`;
+
+    if (route.type === 'proxy') {
+      locations.push(`${heading}\n${formatNginxProxyLocation(route, route.port, settings)}`);
+      return;
+    }
+
+    if (route.type === 'php' && !settings.phpFpmPort) {
+      // Without a pool of its own the front door hands PHP paths to the project's web server
+      if (settings.phpBackendPort) {
+        locations.push(`${heading}\n${formatNginxProxyLocation(route, settings.phpBackendPort, settings)}`);
+      }
+      return;
+    }
+
+    const variable = `$devbox_route_${index}`;
+    const base = getRouteBase(route.path);
+    const fallback = route.type === 'php'
+      ? `\n        error_page 404 = ${base}index.php?$query_string;`
+      : route.spa ? `\n        error_page 404 = ${base}index.html;` : '';
+    const phpHandler = route.type === 'php'
+      ? `
+
+        location ~ \\.php$ {
+            fastcgi_pass 127.0.0.1:${settings.phpFpmPort};
+            fastcgi_index index.php;
+            include "${settings.fastcgiParamsPath}";
+            fastcgi_param SCRIPT_FILENAME $request_filename;
+            fastcgi_hide_header X-Powered-By;
+            fastcgi_read_timeout 300;
+        }`
+      : '';
+
+    locations.push(`${heading}
+    location ~ ${getRouteCapturePattern(route.path, `?<devbox_route_${index}>.*`)} {
+        alias "${getRouteRoot(project, route)}/${variable}";
+        index ${route.type === 'php' ? 'index.php index.html' : 'index.html index.htm'};${fallback}${phpHandler}
+    }`);
+  });
+
+  return locations.length > 0 ? `\n\n    # Path routes (first match wins)\n${locations.join('\n\n')}` : '';
+}
+
+/**
+ * Render a project's routes as Apache directives, ready to be appended to the end of a config line.
+ * ProxyPassMatch and AliasMatch are both evaluated in order and file routes exclude their path from
+ * proxying, so the first matching route wins like it does for nginx.
+ * @param {Object} project - Project config
+ * @param {Object} options - Rendering context
+ * @param {boolean} [options.phpHandled] - The VirtualHost has a PHP handler for php routes
+ * @param {number} [options.phpBackendPort] - Web server that serves php routes behind a front door
+ * @param {boolean} [options.preserveHost] - Emit ProxyPreserveHost for proxied routes
+ * @returns {string} - Empty string when the project has no routes
+ */
+function formatApacheRoutes(project, options = {}) {
+  const settings = { phpHandled: true, preserveHost: true, ...options };
+  const proxyLines = [];
+  const aliasLines = [];
+  const directories = [];
+  let hasProxiedRoute = false;
+
+  for (const route of normalizeVhostRoutes(project?.routes)) {
+    const pathPattern = route.path === '/' ? '/.*' : `${escapeRoutePath(route.path)}(?:/.*)?`;
+    const proxyPort = route.type === 'proxy'
+      ? route.port
+      : route.type === 'php' && !settings.phpHandled ? settings.phpBackendPort : null;
+
+    if (proxyPort) {
+      proxyLines.push(`    ProxyPassMatch "^(${pathPattern})$" "http://127.0.0.1:${proxyPort}$1" retry=0`);
+      proxyLines.push(`    ProxyPassReverse "${route.path}" "http://127.0.0.1:${proxyPort}${route.path}"`);
+      hasProxiedRoute = true;
+      continue;
+    }
+    if (route.type === 'php' && !settings.phpHandled) {
+      continue;
+    }
+
+    const root = getRouteRoot(project, route);
+    const rewriteTarget = route.type === 'php' ? 'index.php' : route.spa ? 'index.html' : null;
+    // Keeps later proxied routes and a front door's catch-all ProxyPass away from this path
+    proxyLines.push(`    ProxyPassMatch "^${pathPattern}$" !`);
+    aliasLines.push(`    AliasMatch "${getRouteCapturePattern(route.path, '.*')}" "${root}/$1"`);
+    directories.push(`    <Directory "${root}">
+        Options FollowSymLinks
+        AllowOverride ${route.type === 'php' ? 'All' : 'None'}
+        Require all granted
+        DirectoryIndex ${route.type === 'php' ? 'index.php index.html' : 'index.html index.htm'}${rewriteTarget ? `
+
+        <IfModule mod_rewrite.c>
+            RewriteEngine On
+            RewriteBase ${getRouteBase(route.path)}
+            RewriteCond %{REQUEST_FILENAME} !-f
+            RewriteCond %{REQUEST_FILENAME} !-d
+            RewriteRule ^ ${rewriteTarget} [L]
+        </IfModule>` : ''}
+    </Directory>`);
+  }
+
+  const sections = [
+    [...(hasProxiedRoute && settings.preserveHost ? ['    ProxyPreserveHost On'] : []), ...proxyLines].join('\n'),
+    aliasLines.join('\n'),
+    directories.join('\n\n'),
+  ].filter(Boolean);
+
+  return sections.length > 0 ? `\n\n    # Path routes (first match wins)\n${sections.join('\n\n')}` : '';
+}
+
+module.exports = {
+  VHOST_ROUTE_TYPES,
+  normalizeVhostRoutes,
+  getRouteRoot,
+  formatNginxRoutes,
+  formatApacheRoutes,
+};
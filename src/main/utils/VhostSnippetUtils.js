@@ -0,0 +1,58 @@
+/**
+ * Snippet slots a project can fill for each web server.
+ * - server: inside every server block / VirtualHost of the project
+ * - phpLocation: inside the PHP handler (nginx `location ~ \.php$`, Apache `<FilesMatch "\.php$">`)
+ * - sslServer: inside the HTTPS server block / VirtualHost only
+ */
+const VHOST_SNIPPET_SLOTS = ['server', 'phpLocation', 'sslServer'];
+const VHOST_SNIPPET_WEB_SERVERS = ['nginx', 'apache'];
+
+/**
+ * Keep only known web servers and slots with non-empty text
+ * @param {Object} snippets - Raw snippets from the project or renderer
+ * @returns {Object} - `{ nginx: { slot: text }, apache: { slot: text } }`
+ */
+function normalizeVhostSnippets(snippets) {
+  const normalized = {};
+
+  for (const webServer of VHOST_SNIPPET_WEB_SERVERS) {
+    const source = snippets?.[webServer];
+    normalized[webServer] = {};
+    if (!source || typeof source !== 'object') {
+      continue;
+    }
+
+    for (const slot of VHOST_SNIPPET_SLOTS) {
+      if (typeof source[slot] === 'string' && source[slot].trim()) {
+        normalized[webServer][slot] = source[slot].replace(/\r\n/g, '\n').replace(/^\n+|\s+$/g, '');
+      }
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Render a project's snippet for one slot, ready to be appended to the end of a config line
+ * @param {Object} project - Project config
+ * @param {string} webServer - 'nginx' or 'apache'
+ * @param {string} slot - One of VHOST_SNIPPET_SLOTS
+ * @param {string} indent - Indentation for every snippet line
+ * @returns {string} - Empty string when the slot is not set
+ */
+function formatVhostSnippet(project, webServer, slot, indent = '    ') {
+  const snippet = normalizeVhostSnippets(project?.vhostSnippets)[webServer][slot];
+  if (!snippet) {
+    return '';
+  }
+
+  const lines = snippet.split('\n').map((line) => (line.trim() ? `${indent}${line}` : ''));
+  return `\n\n${indent}# Custom ${slot} snippet\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  VHOST_SNIPPET_SLOTS,
+  VHOST_SNIPPET_WEB_SERVERS,
+  normalizeVhostSnippets,
+  formatVhostSnippet,
+};
@@ -23,6 +23,7 @@ function ImportProjectModal({ project, onClose, onImport }) {
         nodePort: project.nodePort || 3000,
         nodeStartCommand: project.nodeStartCommand || 'npm start',
         nodeFramework: project.nodeFramework || '',
+        pythonPort: project.pythonPort || 8000,
         services: {
             mysql: project.services?.mysql || false,
             mysqlVersion: project.services?.mysqlVersion || '',
@@ -40,7 +41,7 @@ function ImportProjectModal({ project, onClose, onImport }) {
             minio: project.services?.minio || false,
             memcached: project.services?.memcached || false,
             memcachedVersion: project.services?.memcachedVersion || '',
-            python: project.services?.python || false,
+            python: project.type === 'python' ? true : (project.services?.python || false),
             pythonVersion: project.services?.pythonVersion || '',
         },
     });
@@ -290,6 +291,7 @@ function ImportProjectModal({ project, onClose, onImport }) {
     const hasNoPhpInstalled = installedPhpVersions.length === 0;
     const hasNoWebServer = installedWebServers.nginx.length === 0 && installedWebServers.apache.length === 0;
     const isNodejs = config.type === 'nodejs';
+    const isPython = config.type === 'python';
 
     // Count available optional services
     const hasMysql = installedDatabases.mysql.length > 0;
@@ -303,7 +305,7 @@ function ImportProjectModal({ project, onClose, onImport }) {
     const hasPython = installedPython.length > 0;
     const isLaravel = config.type === 'laravel';
     const hasDatabaseOptions = hasMysql || hasMariadb || hasPostgresql || hasMongodb;
-    const hasAnyOptionalService = hasDatabaseOptions || hasRedis || hasMemcached || hasMinio || hasPython || (!isNodejs && hasNodejs) || isLaravel;
+    const hasAnyOptionalService = hasDatabaseOptions || hasRedis || hasMemcached || hasMinio || (!isPython && hasPython) || (!isNodejs && hasNodejs) || isLaravel;
 
     return (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[100] p-4">
@@ -364,6 +366,16 @@ function ImportProjectModal({ project, onClose, onImport }) {
                                                 <option value="symfony">Symfony</option>
                                                 <option value="wordpress">WordPress</option>
                                                 <option value="nodejs">Node.js</option>
+                                                <option value="python">Python</option>
+                                                <option value="drupal">Drupal</option>
+                                                <option value="magento2">Magento 2</option>
+                                                <option value="codeigniter4">CodeIgniter 4</option>
+                                                <option value="cakephp">CakePHP</option>
+                                                <option value="yii2">Yii 2</option>
+                                                <option value="craftcms">Craft CMS</option>
+                                                <option value="statamic">Statamic</option>
+                                                <option value="joomla">Joomla</option>
+                                                <option value="slim">Slim</option>
                                                 <option value="custom">Custom PHP</option>
                                             </select>
                                         </div>
@@ -385,7 +397,7 @@ function ImportProjectModal({ project, onClose, onImport }) {
                                         />
                                     </div>
 
-                                    {!isNodejs && (
+                                    {!isNodejs && !isPython && (
                                         <>
                                             <div>
                                                 <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Document Root <span className="font-normal text-gray-400">(optional)</span></label>
@@ -395,7 +407,11 @@ function ImportProjectModal({ project, onClose, onImport }) {
                                                     onChange={(e) => setConfig({ ...config, documentRoot: e.target.value })}
                                                     placeholder={
                                                         config.type === 'wordpress' ? 'Default: project root' :
-                                                        config.type === 'laravel' || config.type === 'symfony' ? 'Default: public' :
+                                                        ['laravel', 'symfony', 'codeigniter4', 'statamic', 'slim'].includes(config.type) ? 'Default: public' :
+                                                        ['drupal', 'yii2', 'craftcms'].includes(config.type) ? 'Default: web' :
+                                                        config.type === 'magento2' ? 'Default: pub' :
+                                                        config.type === 'cakephp' ? 'Default: webroot' :
+                                                        config.type === 'joomla' ? 'Default: project root' :
                                                         'Default: auto-detect'
                                                     }
                                                     className="input text-sm"
@@ -494,6 +510,25 @@ function ImportProjectModal({ project, onClose, onImport }) {
                                             </div>
                                         </>
                                     )}
+
+                                    {isPython && (
+                                        <div className="grid grid-cols-2 gap-3">
+                                            <div>
+                                                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Python Version</label>
+                                                {installedPython.length === 0 ? (
+                                                    <div className="p-2 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 rounded-lg"><p className="text-xs text-amber-700 dark:text-amber-300">No Python installed</p></div>
+                                                ) : (
+                                                    <select value={config.services.pythonVersion} onChange={(e) => setConfig(prev => ({ ...prev, services: { ...prev.services, pythonVersion: e.target.value } }))} className="select text-sm">
+                                                        {installedPython.map((v) => <option key={v} value={v}>Python {v}</option>)}
+                                                    </select>
+                                                )}
+                                            </div>
+                                            <div>
+                                                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">App Port</label>
+                                                <input type="number" value={config.pythonPort} onChange={(e) => setConfig({ ...config, pythonPort: parseInt(e.target.value) || 8000 })} className="input text-sm" min="1024" max="65535" placeholder="8000" />
+                                            </div>
+                                        </div>
+                                    )}
                                 </div>
 
                                 {/* Right: Optional Services */}
@@ -576,7 +611,7 @@ function ImportProjectModal({ project, onClose, onImport }) {
                                                 hasRedis && { id: 'redis', label: 'Redis', icon: '⚡', desc: 'Cache', versions: installedRedis, versionKey: 'redisVersion' },
                                                 hasMemcached && { id: 'memcached', label: 'Memcached', icon: '💾', desc: 'Cache', versions: installedMemcached, versionKey: 'memcachedVersion' },
                                                 hasMinio && { id: 'minio', label: 'MinIO', icon: '🪣', desc: 'Object storage', versions: [], versionKey: null },
-                                                hasPython && { id: 'python', label: 'Python', icon: '🐍', desc: 'Runtime', versions: installedPython, versionKey: 'pythonVersion' },
+                                                hasPython && !isPython && { id: 'python', label: 'Python', icon: '🐍', desc: 'Runtime', versions: installedPython, versionKey: 'pythonVersion' },
                                                 hasNodejs && !isNodejs && { id: 'nodejs', label: 'Node.js', icon: '🟩', desc: 'npm builds', versions: installedNodejs, versionKey: 'nodejsVersion' },
                                                 isLaravel && { id: 'queue', label: 'Queue Worker', icon: '📋', desc: 'Background jobs', versions: [], versionKey: null },
                                             ].filter(Boolean).map((svc) => (
@@ -620,7 +655,7 @@ function ImportProjectModal({ project, onClose, onImport }) {
                                 </button>
                                 <button
                                     type="submit"
-                                    disabled={isImporting || (!isNodejs && (hasNoPhpInstalled || hasNoWebServer)) || (isNodejs && installedNodejs.length === 0) || !config.name}
+                                    disabled={isImporting || (!isNodejs && !isPython && (hasNoPhpInstalled || hasNoWebServer)) || (isNodejs && installedNodejs.length === 0) || (isPython && installedPython.length === 0) || !config.name}
                                     className="btn-primary"
                                 >
                                     {isImporting ? (
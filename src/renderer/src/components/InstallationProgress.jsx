@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Terminal, CheckCircle, XCircle, Loader2, Wrench } from 'lucide-react';
 import clsx from 'clsx';
 
-function InstallationProgress({ isVisible, output, isComplete, hasError, onClose, onFixManually, projectName, projectType }) {
+function InstallationProgress({ isVisible, output, isComplete, hasError, onClose, onFixManually, projectName, projectType, labels = {} }) {
   const outputRef = useRef(null);
 
   // Get display name for project type
@@ -21,6 +21,17 @@ function InstallationProgress({ isVisible, output, isComplete, hasError, onClose
   };
 
   const typeLabel = getProjectTypeLabel(projectType);
+  const text = {
+    running: `Installing ${typeLabel}...`,
+    complete: 'Installation Complete',
+    error: 'Installation Issue',
+    ready: `Your ${typeLabel} project is ready`,
+    output: 'Installation Output',
+    starting: 'Starting installation...',
+    errorHint: 'You can fix this manually or retry later',
+    showErrorHelp: true,
+    ...labels,
+  };
 
   useEffect(() => {
     if (outputRef.current) {
@@ -49,15 +60,15 @@ function InstallationProgress({ isVisible, output, isComplete, hasError, onClose
               <h3 className="font-semibold text-gray-900 dark:text-white">
                 {isComplete
                   ? hasError
-                    ? 'Installation Issue'
-                    : 'Installation Complete'
-                  : `Installing ${typeLabel}...`}
+                    ? text.error
+                    : text.complete
+                  : text.running}
               </h3>
               <p className="text-sm text-gray-500 dark:text-gray-400">
                 {isComplete
                   ? hasError
-                    ? 'You can fix this manually or retry later'
-                    : `Your ${typeLabel} project is ready`
+                    ? text.errorHint
+                    : text.ready
                   : 'This may take a few minutes...'}
               </p>
             </div>
@@ -94,7 +105,7 @@ function InstallationProgress({ isVisible, output, isComplete, hasError, onClose
         </div>
 
         {/* Error Help Message */}
-        {isComplete && hasError && (
+        {isComplete && hasError && text.showErrorHelp && (
           <div className="px-6 py-3 bg-amber-50 dark:bg-amber-900/20 border-b border-amber-200 dark:border-amber-800">
             <p className="text-sm text-amber-800 dark:text-amber-200">
               <strong>Don't worry!</strong> Your project "{projectName || 'project'}" has been created. 
@@ -108,7 +119,7 @@ function InstallationProgress({ isVisible, output, isComplete, hasError, onClose
         <div className="flex-1 bg-gray-900 overflow-hidden">
           <div className="flex items-center gap-2 px-4 py-2 bg-gray-800 border-b border-gray-700">
             <Terminal className="w-4 h-4 text-green-400" />
-            <span className="text-sm text-gray-300">Installation Output</span>
+            <span className="text-sm text-gray-300">{text.output}</span>
           </div>
           <div
             ref={outputRef}
@@ -117,7 +128,7 @@ function InstallationProgress({ isVisible, output, isComplete, hasError, onClose
             {output.length === 0 ? (
               <div className="text-gray-500 flex items-center gap-2">
                 <Loader2 className="w-4 h-4 animate-spin" />
-                Starting installation...
+                {text.starting}
               </div>
             ) : (
               output.map((line, index) => (
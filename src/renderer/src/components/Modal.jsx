@@ -184,7 +184,7 @@ export function ConfirmModal({
                 <div className="px-6 py-4">
                     <p className="text-gray-600 dark:text-gray-400">{message}</p>
                     {detail && (
-                        <p className="text-sm text-gray-500 dark:text-gray-500 mt-2">{detail}</p>
+                        <p className="text-sm text-gray-500 dark:text-gray-500 mt-2 whitespace-pre-line break-words">{detail}</p>
                     )}
                 </div>
 
@@ -0,0 +1,47 @@
+import React from 'react';
+import clsx from 'clsx';
+
+const WIDTH = 120;
+const HEIGHT = 32;
+
+/**
+ * Line chart of the resource history, oldest sample on the left
+ *
+ * Usage:
+ *   <ResourceSparkline values={history.map((sample) => sample.total.cpu)} label="CPU over the last hour" />
+ */
+function ResourceSparkline({ values = [], label, minimum = 1, className }) {
+  if (values.length < 2) {
+    return null;
+  }
+
+  // A floor keeps a near idle line from being stretched into noise
+  const max = Math.max(minimum, ...values);
+  const points = values.map((value, index) => {
+    const x = (index / (values.length - 1)) * WIDTH;
+    const y = HEIGHT - (Math.max(0, value) / max) * (HEIGHT - 2) - 1;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return (
+    <svg
+      role="img"
+      aria-label={label}
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      preserveAspectRatio="none"
+      className={clsx('w-full h-8', className)}
+    >
+      <title>{label}</title>
+      <polyline
+        points={points}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        strokeLinejoin="round"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+}
+
+export default ResourceSparkline;
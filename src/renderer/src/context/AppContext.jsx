@@ -2,10 +2,13 @@ import React, { createContext, useContext, useReducer, useEffect, useCallback }
 
 const AppContext = createContext(null);
 
+const RESOURCE_HISTORY_WINDOW_MS = 60 * 60 * 1000;
+
 const initialState = {
   projects: [],
   services: {},
   resourceUsage: { total: { cpu: 0, memory: 0 }, services: {} },
+  resourceHistory: [], // samples of the last hour: { timestamp, total, services, projects }
   settings: {},
   loading: true,
   error: null,
@@ -40,8 +43,26 @@ function appReducer(state, action) {
         ...state,
         services: { ...state.services, [action.payload.name]: action.payload },
       };
-    case 'SET_RESOURCE_USAGE':
-      return { ...state, resourceUsage: action.payload };
+    case 'SET_RESOURCE_USAGE': {
+      const { timestamp, total, services = {}, projects = {} } = action.payload;
+      if (!timestamp) {
+        return { ...state, resourceUsage: action.payload };
+      }
+
+      const sample = {
+        timestamp,
+        total,
+        services,
+        projects: Object.fromEntries(Object.entries(projects).map(([id, { cpu, memory }]) => [id, { cpu, memory }])),
+      };
+      return {
+        ...state,
+        resourceUsage: action.payload,
+        resourceHistory: [...state.resourceHistory, sample].filter((entry) => entry.timestamp >= timestamp - RESOURCE_HISTORY_WINDOW_MS),
+      };
+    }
+    case 'SET_RESOURCE_HISTORY':
+      return { ...state, resourceHistory: action.payload };
     case 'SET_SETTINGS':
       return { ...state, settings: action.payload };
     case 'SET_LOADING':
@@ -115,6 +136,11 @@ export function AppProvider({ children }) {
         dispatch({ type: 'SET_PROJECTS', payload: projects });
         dispatch({ type: 'SET_SERVICES', payload: services });
         dispatch({ type: 'SET_SETTINGS', payload: settings });
+
+        const resourceHistory = await window.devbox?.services.getResourceHistory?.();
+        if (Array.isArray(resourceHistory)) {
+          dispatch({ type: 'SET_RESOURCE_HISTORY', payload: resourceHistory });
+        }
       } catch (error) {
         // Error loading initial data
         dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -28,6 +28,11 @@ import {
   Loader2,
   Plus,
   RefreshCw,
+  LayoutTemplate,
+  Upload,
+  Trash2,
+  Network,
+  FileCode,
 } from 'lucide-react';
 import clsx from 'clsx';
 
@@ -62,6 +67,12 @@ const NodeJsIcon = ({ className }) => (
   </svg>
 );
 
+const PythonIcon = ({ className }) => (
+  <svg viewBox="0 0 448 512" className={className} fill="currentColor">
+    <path d="M439.8 200.5c-7.7-30.9-22.3-54.2-53.4-54.2h-40.1v47.4c0 36.8-31.2 67.8-66.8 67.8H172.7c-29.2 0-53.4 25-53.4 54.3v101.8c0 29 25.2 46 53.4 54.3 33.8 9.9 66.3 11.7 106.8 0 26.9-7.8 53.4-23.5 53.4-54.3v-40.7H226.2v-13.6h160.2c31.1 0 42.6-21.7 53.4-54.2 11.2-33.5 10.7-65.7 0-108.6zM286.2 404c11.1 0 20.1 9.1 20.1 20.3 0 11.3-9 20.4-20.1 20.4-11 0-20.1-9.2-20.1-20.4.1-11.3 9.1-20.3 20.1-20.3zM167.8 248.1h106.8c29.7 0 53.4-24.5 53.4-54.3V91.9c0-29-24.4-50.7-53.4-55.6-35.8-5.9-74.7-5.6-106.8.1-45.2 8-53.4 24.7-53.4 55.6v40.7h106.9v13.6h-147c-31.1 0-58.3 18.7-66.8 54.2-9.8 40.7-10.2 66.1 0 108.6 7.6 31.6 25.7 54.2 56.8 54.2H101v-48.8c0-35.3 30.5-66.4 66.8-66.4zm-6.7-142.6c-11.1 0-20.1-9.1-20.1-20.3.1-11.3 9-20.4 20.1-20.4 11 0 20.1 9.2 20.1 20.4s-9 20.3-20.1 20.3z" />
+  </svg>
+);
+
 const PROJECT_TYPES = [
   {
     id: 'laravel',
@@ -95,6 +106,14 @@ const PROJECT_TYPES = [
     iconColor: 'text-green-500',
     features: ['Express', 'Next.js', 'Fastify'],
   },
+  {
+    id: 'python',
+    name: 'Python',
+    description: 'Python web application (Django, Flask, FastAPI)',
+    icon: PythonIcon,
+    iconColor: 'text-sky-500',
+    features: ['Django', 'Flask', 'FastAPI'],
+  },
   {
     id: 'custom',
     name: 'Custom PHP',
@@ -103,6 +122,22 @@ const PROJECT_TYPES = [
     iconColor: 'text-indigo-500',
     features: ['Flexible Configuration'],
   },
+  {
+    id: 'static',
+    name: 'Static Site',
+    description: 'Plain HTML or a built React, Vue or Svelte app, served without PHP',
+    icon: FileCode,
+    iconColor: 'text-amber-500',
+    features: ['SPA Fallback', 'Build Step'],
+  },
+  {
+    id: 'proxy',
+    name: 'Reverse Proxy',
+    description: 'A domain and SSL in front of an app already running on a local port',
+    icon: Network,
+    iconColor: 'text-teal-500',
+    features: ['Docker', 'Go', 'Rust', 'Java'],
+  },
 ];
 
 const WIZARD_STEPS = [
@@ -189,6 +224,17 @@ function CreateProject() {
     nodeFramework: '',
     nodePort: 3000,
     nodeStartCommand: 'npm start',
+    // Python project options
+    pythonFramework: '',
+    pythonPort: 8000,
+    pythonStartCommand: '', // Empty = derived from the framework preset
+    // Static site options
+    spaFallback: true,
+    buildCommand: '',
+    // Reverse proxy project options
+    proxyUrl: '',
+    // Saved project template the new project starts from
+    templateId: null,
   });
   const [compatibilityWarnings, setCompatibilityWarnings] = useState([]);
   const [sshKeyInfo, setSshKeyInfo] = useState({ exists: false, publicKey: '' });
@@ -198,6 +244,7 @@ function CreateProject() {
   const [sshKeyError, setSshKeyError] = useState(null);
   const [showImportModal, setShowImportModal] = useState(false);
   const [importProjectData, setImportProjectData] = useState(null);
+  const [templates, setTemplates] = useState([]);
 
   // Handle import project selection
   const handleImportProject = (projectInfo) => {
@@ -221,6 +268,20 @@ function CreateProject() {
     loadDefaultPath();
   }, []);
 
+  // Load saved project templates
+  const loadTemplates = useCallback(async () => {
+    try {
+      const savedTemplates = await window.devbox?.projects.getTemplates?.();
+      setTemplates(savedTemplates || []);
+    } catch (error) {
+      // Error loading templates
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
   // Load service configuration
   useEffect(() => {
     const loadServiceConfig = async () => {
@@ -414,6 +475,9 @@ function CreateProject() {
           if (nodejsVersions.length > 0 && !nodejsVersions.includes(formData.services.nodejsVersion)) {
             updates.services = { ...(updates.services || formData.services), nodejsVersion: nodejsVersions[0] };
           }
+          if (pythonVersions.length > 0 && !pythonVersions.includes(formData.services.pythonVersion)) {
+            updates.services = { ...(updates.services || formData.services), pythonVersion: pythonVersions[0] };
+          }
           if (nginxVersions.length > 0 && !nginxVersions.includes(formData.webServerVersion) && formData.webServer === 'nginx') {
             updates.webServerVersion = nginxVersions[0];
           }
@@ -491,6 +555,13 @@ function CreateProject() {
       // Node.js projects only need Node.js binary (and a web server to proxy)
       return binariesStatus.nodejs.length > 0 && (binariesStatus.nginx.length > 0 || binariesStatus.apache.length > 0);
     }
+    if (formData.type === 'python') {
+      return binariesStatus.python.length > 0 && (binariesStatus.nginx.length > 0 || binariesStatus.apache.length > 0);
+    }
+    if (formData.type === 'static' || formData.type === 'proxy') {
+      // Static sites and reverse proxies run nothing but the web server
+      return binariesStatus.nginx.length > 0 || binariesStatus.apache.length > 0;
+    }
     return binariesStatus.php.length > 0 && (binariesStatus.nginx.length > 0 || binariesStatus.apache.length > 0);
   };
 
@@ -498,6 +569,23 @@ function CreateProject() {
     setFormData((prev) => ({ ...prev, ...updates }));
   };
 
+  // Prefill the form from a template; settings the wizard has no fields for
+  // (environment, workers, php.ini, vhost snippets) are applied by the backend
+  const handleApplyTemplate = (template) => {
+    const { services, ...config } = template.config || {};
+    const formFields = Object.fromEntries(
+      Object.entries(config).filter(([key, value]) => key in formData && value !== undefined && value !== null)
+    );
+
+    setFormData((prev) => ({
+      ...prev,
+      ...formFields,
+      services: { ...prev.services, ...(services || {}) },
+      projectSource: 'new',
+      templateId: template.id,
+    }));
+  };
+
   const handleSelectPath = async () => {
     const path = await window.devbox?.system.selectDirectory();
     if (path) {
@@ -527,6 +615,15 @@ function CreateProject() {
         if (formData.type === 'nodejs') {
           return !!formData.name && !!formData.path && binariesStatus.nodejs.length > 0 && hasCloneConfig;
         }
+        if (formData.type === 'python') {
+          return !!formData.name && !!formData.path && binariesStatus.python.length > 0 && hasCloneConfig;
+        }
+        if (formData.type === 'static') {
+          return !!formData.name && !!formData.path;
+        }
+        if (formData.type === 'proxy') {
+          return !!formData.name && !!formData.proxyUrl.trim();
+        }
         // Require name, path, and at least one PHP version installed
         return !!formData.name && !!formData.path && binariesStatus.php.length > 0 && hasCloneConfig;
       case 2:
@@ -556,7 +653,7 @@ function CreateProject() {
 
   const handleCreate = async () => {
     // Guard: path must be set before we hit the backend
-    if (!formData.path || !formData.path.trim()) {
+    if (formData.type !== 'proxy' && (!formData.path || !formData.path.trim())) {
       setInstallOutput([{ text: 'Error: Project path is required. Please go back to the Details step and set a project path.', type: 'error' }]);
       setShowInstallProgress(true);
       setInstallComplete(true);
@@ -574,11 +671,12 @@ function CreateProject() {
 
     setIsCreating(true);
 
-    // Reset and show installation progress if installing fresh OR cloning from repository OR nodejs project
+    // Reset and show installation progress if installing fresh OR cloning from repository OR nodejs/python project
     const shouldShowProgress =
       (formData.installFresh && (formData.type === 'laravel' || formData.type === 'wordpress' || formData.type === 'symfony')) ||
       (formData.projectSource === 'clone' && formData.repositoryUrl) ||
-      formData.type === 'nodejs';
+      formData.type === 'nodejs' ||
+      formData.type === 'python';
 
     if (shouldShowProgress) {
       setInstallOutput([]); // Clear previous output
@@ -703,6 +801,15 @@ function CreateProject() {
                       <li><strong>Web Server</strong> — Nginx or Apache is required to proxy requests</li>
                     )}
                   </>
+                ) : formData.type === 'python' ? (
+                  <>
+                    {binariesStatus.python.length === 0 && (
+                      <li><strong>Python</strong> — At least one Python version is required</li>
+                    )}
+                    {binariesStatus.nginx.length === 0 && binariesStatus.apache.length === 0 && (
+                      <li><strong>Web Server</strong> — Nginx or Apache is required to proxy requests</li>
+                    )}
+                  </>
                 ) : (
                   <>
                     {binariesStatus.php.length === 0 && (
@@ -782,6 +889,9 @@ function CreateProject() {
                 formData={formData}
                 updateFormData={updateFormData}
                 onImportProject={handleImportProject}
+                templates={templates}
+                onApplyTemplate={handleApplyTemplate}
+                onTemplatesChanged={loadTemplates}
               />
             )}
             {currentStep === 1 && (
@@ -824,7 +934,12 @@ function CreateProject() {
                 defaultTld={settings?.settings?.defaultTld || 'test'}
               />
             )}
-            {currentStep === 4 && <StepReview formData={formData} />}
+            {currentStep === 4 && (
+              <StepReview
+                formData={formData}
+                template={templates.find((template) => template.id === formData.templateId)}
+              />
+            )}
           </div>
 
           {/* Navigation */}
@@ -903,9 +1018,89 @@ function CreateProject() {
   );
 }
 
-function StepProjectType({ formData, updateFormData, onImportProject }) {
+function StepProjectType({ formData, updateFormData, onImportProject, templates = [], onApplyTemplate, onTemplatesChanged }) {
   const { projects } = useApp();
-  const { showAlert } = useModal();
+  const { showAlert, showConfirm } = useModal();
+
+  // Imported hooks and processes stay out of the template until the user has read them
+  const reviewTemplateCommands = async (template) => {
+    const { hooks = [], processes = [] } = template.pendingCommands || {};
+    const commands = [
+      ...hooks.map((hook) => `${hook.event} hook: ${hook.command}`),
+      ...processes.map((proc) => `Process "${proc.name}": ${proc.command}`),
+    ];
+
+    const confirmed = await showConfirm({
+      type: 'warning',
+      title: 'Allow Template Commands?',
+      message: `"${template.name}" runs these commands on this machine when projects are created from it or started:`,
+      detail: `${commands.join('\n')}\n\nOnly allow them if you trust where the template came from. Without them the template keeps its other settings.`,
+      confirmText: 'Allow Commands',
+      cancelText: 'Leave Out',
+    });
+    if (!confirmed) return template;
+
+    const accepted = await window.devbox?.projects.acceptTemplateCommands(template.id);
+    await onTemplatesChanged?.();
+    return accepted || template;
+  };
+
+  const handleImportTemplate = async () => {
+    try {
+      const filePath = await window.devbox?.system.selectFile([
+        { name: 'DevBox Template', extensions: ['json'] },
+      ]);
+      if (!filePath) return;
+
+      let template = await window.devbox?.projects.importTemplate(filePath);
+      await onTemplatesChanged?.();
+      if (template?.pendingCommands) {
+        template = await reviewTemplateCommands(template);
+      }
+      if (template) {
+        onApplyTemplate(template);
+      }
+    } catch (error) {
+      await showAlert({ title: 'Import Failed', message: error.message, type: 'error' });
+    }
+  };
+
+  const handleExportTemplate = async (template) => {
+    try {
+      const safeName = template.name.trim().replace(/[<>:"/\\|?*\r\n]/g, '_');
+      const filePath = await window.devbox?.system.saveFile({
+        defaultPath: `${safeName}.devbox-template.json`,
+        filters: [{ name: 'DevBox Template', extensions: ['json'] }],
+      });
+      if (filePath) {
+        await window.devbox?.projects.exportTemplate(template.id, filePath);
+      }
+    } catch (error) {
+      await showAlert({ title: 'Export Failed', message: error.message, type: 'error' });
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    const confirmed = await showConfirm({
+      type: 'warning',
+      title: 'Delete Template',
+      message: `Delete the template "${template.name}"?`,
+      detail: 'Projects already created from it are not affected.',
+      confirmText: 'Delete',
+      confirmStyle: 'danger',
+    });
+    if (!confirmed) return;
+
+    try {
+      await window.devbox?.projects.deleteTemplate(template.id);
+      if (formData.templateId === template.id) {
+        updateFormData({ templateId: null });
+      }
+      await onTemplatesChanged?.();
+    } catch (error) {
+      await showAlert({ title: 'Delete Failed', message: error.message, type: 'error' });
+    }
+  };
 
   const handleImportFolder = async () => {
     try {
@@ -953,7 +1148,7 @@ function StepProjectType({ formData, updateFormData, onImportProject }) {
           return (
             <button
               key={type.id}
-              onClick={() => updateFormData({ type: type.id, projectSource: 'new' })}
+              onClick={() => updateFormData({ type: type.id, projectSource: 'new', templateId: null })}
               className={clsx(
                 'flex items-start gap-3 p-4 rounded-xl border-2 text-left transition-all',
                 isSelected
@@ -1016,6 +1211,97 @@ function StepProjectType({ formData, updateFormData, onImportProject }) {
         </button>
       </div>
 
+      {/* Saved templates */}
+      <div className="mt-5">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <LayoutTemplate className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+            Start from a Template
+          </h3>
+          <button onClick={handleImportTemplate} className="btn-secondary btn-sm">
+            <Upload className="w-3.5 h-3.5" />
+            Import Template
+          </button>
+        </div>
+        {templates.length === 0 ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Use "Save as Template" on a project to reuse its stack, workers and environment here.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {templates.map((template) => {
+              const isSelected = formData.templateId === template.id;
+              return (
+                <div
+                  key={template.id}
+                  className={clsx(
+                    'flex items-center gap-3 p-3 rounded-xl border-2 transition-all',
+                    isSelected
+                      ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+                      : 'border-gray-200 dark:border-gray-700'
+                  )}
+                >
+                  <button
+                    onClick={() => onApplyTemplate(template)}
+                    className="flex-1 min-w-0 text-left"
+                  >
+                    <p className={clsx(
+                      'text-sm font-semibold leading-tight',
+                      isSelected ? 'text-primary-700 dark:text-primary-300' : 'text-gray-900 dark:text-white'
+                    )}>
+                      {template.name}
+                      <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-[10px] font-medium bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 capitalize">
+                        {template.config?.type || 'custom'}
+                      </span>
+                    </p>
+                    {template.description && (
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5 truncate">
+                        {template.description}
+                      </p>
+                    )}
+                    {template.pendingCommands && (
+                      <p className="text-xs text-amber-600 dark:text-amber-400 mt-0.5">
+                        Imported hooks and processes are left out until you allow them
+                      </p>
+                    )}
+                  </button>
+                  {template.pendingCommands && (
+                    <button
+                      onClick={async () => {
+                        try {
+                          const reviewed = await reviewTemplateCommands(template);
+                          if (isSelected) onApplyTemplate(reviewed);
+                        } catch (error) {
+                          await showAlert({ title: 'Template Commands', message: error.message, type: 'error' });
+                        }
+                      }}
+                      className="p-1.5 rounded-lg text-amber-600 hover:bg-amber-50 dark:text-amber-400 dark:hover:bg-amber-900/20"
+                      title="Review template commands"
+                    >
+                      <AlertTriangle className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleExportTemplate(template)}
+                    className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    title="Export template"
+                  >
+                    <Download className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteTemplate(template)}
+                    className="p-1.5 rounded-lg text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                    title="Delete template"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
       {/* WordPress Version Selection */}
       {formData.type === 'wordpress' && (
         <div className="mt-5 p-4 bg-blue-50 dark:bg-blue-900/20 rounded-xl border border-blue-200 dark:border-blue-800">
@@ -1185,8 +1471,8 @@ function StepDetails({
       </p>
 
       <div className="space-y-6">
-        {/* Project Source Selection - Available for framework and Node.js projects */}
-        {(formData.type === 'laravel' || formData.type === 'custom' || formData.type === 'nodejs') && (
+        {/* Project Source Selection - Available for framework, Node.js and Python projects */}
+        {(formData.type === 'laravel' || formData.type === 'custom' || formData.type === 'nodejs' || formData.type === 'python') && (
           <div>
             <label className="label">Project Source</label>
             <div className={clsx('gap-4', gitStatus?.available || gitStatus?.checking ? 'grid grid-cols-2' : 'grid grid-cols-1')}>
@@ -1431,33 +1717,101 @@ function StepDetails({
           />
         </div>
 
-        <div>
-          <label className="label">Project Path</label>
-          <div className="flex gap-2">
+        {formData.type === 'proxy' && (
+          <div>
+            <label className="label" htmlFor="proxy-url">Upstream URL</label>
             <input
+              id="proxy-url"
               type="text"
-              value={formData.path}
-              onChange={(e) => {
-                setPathManuallySet(true);
-                updateFormData({ path: e.target.value });
-              }}
-              className="input flex-1"
-              placeholder={defaultProjectsPath ? `${defaultProjectsPath}${navigator.platform.toLowerCase().includes('win') ? '\\' : '/'}your-project-name` : '/path/to/project'}
+              value={formData.proxyUrl}
+              onChange={(e) => updateFormData({ proxyUrl: e.target.value })}
+              className="input font-mono"
+              placeholder="http://127.0.0.1:8080"
             />
-            <button onClick={onSelectPath} className="btn-secondary">
-              <Folder className="w-4 h-4" />
-              Browse
-            </button>
-          </div>
-          {!defaultProjectsPath && (
-            <p className="text-sm text-amber-600 dark:text-amber-400 mt-1">
-              Tip: Set a default projects directory in Settings to auto-generate paths. Portable installs can use the app's Projects folder.
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              The app you start yourself, such as a Docker container or a Go, Rust or Java server. DevBox Pro only serves the domain and SSL in front of it.
             </p>
-          )}
-        </div>
+          </div>
+        )}
+
+        {formData.type !== 'proxy' && (
+          <div>
+            <label className="label">Project Path</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={formData.path}
+                onChange={(e) => {
+                  setPathManuallySet(true);
+                  updateFormData({ path: e.target.value });
+                }}
+                className="input flex-1"
+                placeholder={defaultProjectsPath ? `${defaultProjectsPath}${navigator.platform.toLowerCase().includes('win') ? '\\' : '/'}your-project-name` : '/path/to/project'}
+              />
+              <button onClick={onSelectPath} className="btn-secondary">
+                <Folder className="w-4 h-4" />
+                Browse
+              </button>
+            </div>
+            {!defaultProjectsPath && (
+              <p className="text-sm text-amber-600 dark:text-amber-400 mt-1">
+                Tip: Set a default projects directory in Settings to auto-generate paths. Portable installs can use the app's Projects folder.
+              </p>
+            )}
+          </div>
+        )}
+
+        {formData.type === 'static' && (
+          <>
+            <div>
+              <label className="label" htmlFor="static-output-dir">Output Directory</label>
+              <input
+                id="static-output-dir"
+                type="text"
+                value={formData.documentRoot}
+                onChange={(e) => updateFormData({ documentRoot: e.target.value })}
+                className="input font-mono"
+                placeholder="dist"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                The folder with index.html. Leave empty to use dist, build or out when present, otherwise the project root.
+              </p>
+            </div>
+
+            <div>
+              <label className="label" htmlFor="static-build-command">Build Command (Optional)</label>
+              <input
+                id="static-build-command"
+                type="text"
+                value={formData.buildCommand}
+                onChange={(e) => updateFormData({ buildCommand: e.target.value })}
+                className="input font-mono"
+                placeholder="npm run build"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Runs with the project's Node.js version every time the site starts. The site does not start if the build fails.
+              </p>
+            </div>
+
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={formData.spaFallback}
+                onChange={(e) => updateFormData({ spaFallback: e.target.checked })}
+                className="mt-1 w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <div>
+                <span className="font-medium text-gray-900 dark:text-white">SPA fallback</span>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Serve index.html for paths without a file so client-side routes load on refresh
+                </p>
+              </div>
+            </label>
+          </>
+        )}
 
         {/* PHP Version - only for PHP-based projects */}
-        {formData.type !== 'nodejs' && (
+        {formData.type !== 'nodejs' && formData.type !== 'python' && formData.type !== 'static' && formData.type !== 'proxy' && (
           <div>
             <label className="label">PHP Version</label>
             {hasNoPhpInstalled ? (
@@ -1638,6 +1992,101 @@ function StepDetails({
           </div>
         )}
 
+        {/* Python-specific fields */}
+        {formData.type === 'python' && (
+          <div className="space-y-4 p-4 bg-sky-50 dark:bg-sky-900/20 border border-sky-200 dark:border-sky-800 rounded-xl">
+            <h4 className="text-sm font-semibold text-sky-800 dark:text-sky-200 flex items-center gap-2">
+              <PythonIcon className="w-4 h-4" />
+              Python Configuration
+            </h4>
+
+            {/* Framework selector */}
+            <div>
+              <label className="label text-sky-700 dark:text-sky-300">Framework (Optional)</label>
+              <select
+                value={formData.pythonFramework}
+                onChange={(e) => updateFormData({ pythonFramework: e.target.value })}
+                className="input w-full max-w-xs"
+              >
+                <option value="">None (plain Python)</option>
+                <option value="django">Django</option>
+                <option value="flask">Flask</option>
+                <option value="fastapi">FastAPI</option>
+              </select>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                New projects are scaffolded with the selected framework inside a <code>.venv</code> virtualenv.
+              </p>
+            </div>
+
+            {/* Python Version selector */}
+            <div>
+              <label className="label text-sky-700 dark:text-sky-300">Python Version</label>
+              {(binariesStatus.python || []).length === 0 ? (
+                <div className="p-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg">
+                  <div className="flex items-center gap-2 text-amber-700 dark:text-amber-300">
+                    <AlertTriangle className="w-4 h-4" />
+                    <span className="text-sm font-medium">No Python versions installed</span>
+                  </div>
+                  <p className="text-sm text-amber-600 dark:text-amber-400 mt-1">
+                    Please install at least one Python version from the Binary Manager.
+                  </p>
+                </div>
+              ) : (
+                <div className="grid grid-cols-6 gap-2">
+                  {(binariesStatus.python || []).map((version) => (
+                    <button
+                      key={version}
+                      onClick={() => updateFormData({ services: { ...formData.services, pythonVersion: version, python: true } })}
+                      className={clsx(
+                        'py-3 px-4 rounded-lg border-2 font-medium transition-all text-sm',
+                        formData.services.pythonVersion === version
+                          ? 'border-sky-500 bg-sky-100 dark:bg-sky-900/30 text-sky-700 dark:text-sky-300'
+                          : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600'
+                      )}
+                    >
+                      {version}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* App Port */}
+            <div>
+              <label className="label text-sky-700 dark:text-sky-300">Application Port</label>
+              <input
+                id="python-port"
+                type="number"
+                min="1024"
+                max="65535"
+                value={formData.pythonPort}
+                onChange={(e) => updateFormData({ pythonPort: parseInt(e.target.value, 10) || 8000 })}
+                className="input w-40"
+                placeholder="8000"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Internal port your Python server listens on. The web server will proxy requests to this port.
+              </p>
+            </div>
+
+            {/* Start Command */}
+            <div>
+              <label className="label text-sky-700 dark:text-sky-300">Start Command (Optional)</label>
+              <input
+                id="python-start-command"
+                type="text"
+                value={formData.pythonStartCommand}
+                onChange={(e) => updateFormData({ pythonStartCommand: e.target.value })}
+                className="input font-mono"
+                placeholder="Derived from the framework"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Leave empty to use the framework default (e.g., <code>python manage.py runserver</code> for Django). Runs inside the project virtualenv.
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Fresh Install Toggle - only for new projects */}
         {formData.projectSource === 'new' && (formData.type === 'laravel' || formData.type === 'wordpress') && (
           <div className="bg-blue-50 dark:bg-blue-900/20 rounded-xl p-4 border border-blue-200 dark:border-blue-800">
@@ -1790,6 +2239,7 @@ function StepServices({ formData, updateFormData, binariesStatus }) {
     if (service.id === 'queue') return true;
     // Hide Node.js from services when project type IS nodejs (already configured in Details step)
     if (service.id === 'nodejs' && formData.type === 'nodejs') return false;
+    if (service.id === 'python' && formData.type === 'python') return false;
     // Show service if any versions installed
     return service.versions && service.versions.length > 0;
   });
@@ -1798,6 +2248,19 @@ function StepServices({ formData, updateFormData, binariesStatus }) {
   const hasDatabaseOptions = (binariesStatus?.mysql?.length > 0) || (binariesStatus?.mariadb?.length > 0)
     || (binariesStatus?.postgresql?.length > 0) || (binariesStatus?.mongodb?.length > 0);
 
+  if (formData.type === 'proxy') {
+    return (
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+          Configure Services
+        </h2>
+        <p className="text-gray-500 dark:text-gray-400">
+          Reverse proxy projects do not run any services. Start the databases or caches your app needs alongside it yourself.
+        </p>
+      </div>
+    );
+  }
+
   return (
     <div>
       <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
@@ -2166,36 +2629,38 @@ function StepDomain({ formData, updateFormData, binariesStatus, serviceConfig, d
           </label>
         </div>
 
-        {/* Document Root */}
-        <div>
-          <label className="label">Document Root (Optional)</label>
-          <input
-            type="text"
-            value={formData.documentRoot}
-            onChange={(e) => updateFormData({ documentRoot: e.target.value })}
-            className="input"
-            placeholder={
-              formData.type === 'wordpress' ? '.' :
-                formData.type === 'laravel' || formData.type === 'symfony' ? 'public' :
-                  'public, www, web, or .'
-            }
-          />
-          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
-            The folder the web server points to.
-            {formData.type === 'laravel' || formData.type === 'symfony'
-              ? ' Default: public'
-              : formData.type === 'wordpress'
-                ? ' Default: project root'
-                : ' Leave empty for auto-detection (public, www, web) or project root'
-            }
-          </p>
-        </div>
+        {/* Document Root - set on the Details step for static sites, reverse proxies serve no files */}
+        {formData.type !== 'static' && formData.type !== 'proxy' && (
+          <div>
+            <label className="label">Document Root (Optional)</label>
+            <input
+              type="text"
+              value={formData.documentRoot}
+              onChange={(e) => updateFormData({ documentRoot: e.target.value })}
+              className="input"
+              placeholder={
+                formData.type === 'wordpress' ? '.' :
+                  formData.type === 'laravel' || formData.type === 'symfony' ? 'public' :
+                    'public, www, web, or .'
+              }
+            />
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              The folder the web server points to.
+              {formData.type === 'laravel' || formData.type === 'symfony'
+                ? ' Default: public'
+                : formData.type === 'wordpress'
+                  ? ' Default: project root'
+                  : ' Leave empty for auto-detection (public, www, web) or project root'
+              }
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
-function StepReview({ formData }) {
+function StepReview({ formData, template }) {
   return (
     <div>
       <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
@@ -2223,6 +2688,16 @@ function StepReview({ formData }) {
               {formData.type}
             </p>
           </div>
+          {template && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
+                Template
+              </h3>
+              <p className="text-lg font-semibold text-gray-900 dark:text-white">
+                {template.name}
+              </p>
+            </div>
+          )}
           {formData.type === 'nodejs' ? (
             <>
               {formData.nodeFramework && (
@@ -2265,6 +2740,67 @@ function StepReview({ formData }) {
                 </p>
               </div>
             </>
+          ) : formData.type === 'python' ? (
+            <>
+              {formData.pythonFramework && (
+                <div>
+                  <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
+                    Framework
+                  </h3>
+                  <p className="text-lg font-semibold text-gray-900 dark:text-white">
+                    {{
+                      django: 'Django',
+                      flask: 'Flask',
+                      fastapi: 'FastAPI',
+                    }[formData.pythonFramework] || formData.pythonFramework}
+                  </p>
+                </div>
+              )}
+              <div>
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
+                  Python Version
+                </h3>
+                <p className="text-lg font-semibold text-gray-900 dark:text-white">
+                  {formData.services.pythonVersion || '3.13'}
+                </p>
+              </div>
+              <div>
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
+                  App Port
+                </h3>
+                <p className="text-lg font-semibold text-gray-900 dark:text-white font-mono">
+                  {formData.pythonPort}
+                </p>
+              </div>
+            </>
+          ) : formData.type === 'static' ? (
+            <>
+              <div>
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
+                  Build Command
+                </h3>
+                <p className="text-lg font-semibold text-gray-900 dark:text-white font-mono">
+                  {formData.buildCommand || 'None'}
+                </p>
+              </div>
+              <div>
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
+                  SPA Fallback
+                </h3>
+                <p className="text-lg font-semibold text-gray-900 dark:text-white">
+                  {formData.spaFallback ? 'Enabled' : 'Disabled'}
+                </p>
+              </div>
+            </>
+          ) : formData.type === 'proxy' ? (
+            <div>
+              <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
+                Upstream URL
+              </h3>
+              <p className="text-lg font-semibold text-gray-900 dark:text-white font-mono">
+                {formData.proxyUrl}
+              </p>
+            </div>
           ) : (
             <div>
               <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
@@ -2294,14 +2830,16 @@ function StepReview({ formData }) {
           </div>
         </div>
 
-        <div>
-          <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
-            Project Path
-          </h3>
-          <p className="text-gray-900 dark:text-white font-mono text-sm bg-gray-100 dark:bg-gray-800 p-2 rounded">
-            {formData.path}
-          </p>
-        </div>
+        {formData.type !== 'proxy' && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">
+              Project Path
+            </h3>
+            <p className="text-gray-900 dark:text-white font-mono text-sm bg-gray-100 dark:bg-gray-800 p-2 rounded">
+              {formData.path}
+            </p>
+          </div>
+        )}
 
         <div>
           <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">
@@ -2322,7 +2860,7 @@ function StepReview({ formData }) {
               mailpit:   { label: 'Mailpit',    versionKey: null },
             };
             const active = Object.entries(SERVICE_LABELS).filter(
-              ([key]) => formData.services[key] === true
+              ([key]) => formData.type !== 'proxy' && formData.services[key] === true
             );
             if (active.length === 0) {
               return <span className="text-gray-500 dark:text-gray-400">None selected</span>;
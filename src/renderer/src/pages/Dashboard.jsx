@@ -20,7 +20,9 @@ import {
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import clsx from 'clsx';
+import ResourceSparkline from '../components/ResourceSparkline';
 import { formatPhpRuntimeLabel } from '../utils/phpRuntime';
+import { isProjectUnhealthy, describeProjectHealth } from '../utils/projectHealth';
 
 // Service icons mapping (ports and versions come from backend)
 const SERVICE_ICONS = {
@@ -38,7 +40,7 @@ const SERVICE_ICONS = {
 };
 
 function Dashboard() {
-  const { projects, services, resourceUsage, loading, startProject, stopProject, refreshServices, refreshProjects } = useApp();
+  const { projects, services, resourceUsage, resourceHistory = [], loading, startProject, stopProject, refreshServices, refreshProjects } = useApp();
   const [binariesStatus, setBinariesStatus] = useState({});
   const [runningVersions, setRunningVersions] = useState({});
   const [serviceConfig, setServiceConfig] = useState({
@@ -225,6 +227,8 @@ function Dashboard() {
           value={`${Math.round(resourceUsage.total?.cpu || 0)}%`}
           icon={Cpu}
           color="orange"
+          history={resourceHistory.map((sample) => sample.total?.cpu || 0)}
+          historyLabel="CPU usage over the last hour"
         />
       </div>
 
@@ -297,13 +301,19 @@ function Dashboard() {
   );
 }
 
-function StatCard({ title, value, icon: Icon, color }) {
+function StatCard({ title, value, icon: Icon, color, history = [], historyLabel }) {
   const colorClasses = {
     blue: 'bg-blue-100 text-blue-600 dark:bg-blue-900/30 dark:text-blue-400',
     green: 'bg-green-100 text-green-600 dark:bg-green-900/30 dark:text-green-400',
     purple: 'bg-purple-100 text-purple-600 dark:bg-purple-900/30 dark:text-purple-400',
     orange: 'bg-orange-100 text-orange-600 dark:bg-orange-900/30 dark:text-orange-400',
   };
+  const sparklineClasses = {
+    blue: 'text-blue-500 dark:text-blue-400',
+    green: 'text-green-500 dark:text-green-400',
+    purple: 'text-purple-500 dark:text-purple-400',
+    orange: 'text-orange-500 dark:text-orange-400',
+  };
 
   return (
     <div className="card p-6">
@@ -316,6 +326,7 @@ function StatCard({ title, value, icon: Icon, color }) {
           <Icon className="w-6 h-6" />
         </div>
       </div>
+      <ResourceSparkline values={history} label={historyLabel} className={clsx('mt-4', sparklineClasses[color])} />
     </div>
   );
 }
@@ -349,12 +360,16 @@ function ProjectRow({ project, onStart, onStop }) {
     stopped: 'status-stopped',
     error: 'status-error',
     starting: 'status-starting',
+    degraded: 'status-degraded',
   };
 
   return (
     <div className="p-4 flex items-center justify-between hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
       <div className="flex items-center gap-3">
-        <div className={statusColors[isStarting ? 'starting' : (project.isRunning ? 'running' : 'stopped')]} />
+        <div
+          className={statusColors[isStarting ? 'starting' : (project.isRunning ? (project.status === 'degraded' || isProjectUnhealthy(project) ? 'degraded' : 'running') : 'stopped')]}
+          title={project.isRunning ? (project.status === 'degraded' ? 'PHP-CGI keeps crashing — restart the project' : describeProjectHealth(project.health) || undefined) : undefined}
+        />
         <div>
           <Link
             to={`/projects/${project.id}`}
@@ -362,6 +377,11 @@ function ProjectRow({ project, onStart, onStop }) {
           >
             {project.name}
           </Link>
+          {isProjectUnhealthy(project) && (
+            <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-[10px] font-medium bg-orange-100 text-orange-700 dark:bg-orange-900/40 dark:text-orange-400" title={describeProjectHealth(project.health)}>
+              Unhealthy
+            </span>
+          )}
           <p className="text-sm text-gray-500 dark:text-gray-400">
             {project.type === 'nodejs'
               ? `Node.js v${project.services?.nodejsVersion || project.nodeVersion || '?'}${project.nodeFramework ? ` • ${{
@@ -369,7 +389,9 @@ function ProjectRow({ project, onStart, onStop }) {
                 nuxtjs: 'Nuxt.js', koa: 'Koa', hapi: 'Hapi', adonisjs: 'AdonisJS',
                 remix: 'Remix', sveltekit: 'SvelteKit', strapi: 'Strapi', elysia: 'Elysia',
               }[project.nodeFramework] || project.nodeFramework}` : ''}`
-              : [
+              : project.type === 'python'
+                ? `Python ${project.services?.pythonVersion || '?'}${project.pythonFramework ? ` • ${{ django: 'Django', flask: 'Flask', fastapi: 'FastAPI' }[project.pythonFramework] || project.pythonFramework}` : ''}`
+                : [
                 project.phpVersion ? formatPhpRuntimeLabel(project.phpVersion) : null,
                 project.type || null,
               ].filter(Boolean).join(' • ') || 'No runtime info'}
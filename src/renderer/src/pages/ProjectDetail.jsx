@@ -3,7 +3,10 @@ import { useParams, Link, useNavigate, useSearchParams } from 'react-router-dom'
 import { useApp } from '../context/AppContext';
 import { useModal } from '../context/ModalContext';
 import XTerminal from '../components/XTerminal';
+import InstallationProgress from '../components/InstallationProgress';
+import { normalizeInstallationOutput } from '../utils/terminalOutput';
 import { formatPhpRuntimeVersion } from '../utils/phpRuntime';
+import { isProjectUnhealthy, describeProjectHealth } from '../utils/projectHealth';
 import {
   ArrowLeft,
   Play,
@@ -30,6 +33,13 @@ import {
   Check,
   Share2,
   Download,
+  BookmarkPlus,
+  CopyPlus,
+  Camera,
+  ArchiveRestore,
+  GitCompare,
+  ArrowUp,
+  ArrowDown,
 } from 'lucide-react';
 import clsx from 'clsx';
 
@@ -40,7 +50,9 @@ const NodeJsIcon = ({ className }) => (
   </svg>
 );
 
-const AUTO_SAVE_SETTING_KEYS = new Set(['autoStart', 'networkAccess', 'shareOnInternet', 'tunnelProvider', 'tunnelAutoStart']);
+const AUTO_SAVE_SETTING_KEYS = new Set(['autoStart', 'onDemand', 'networkAccess', 'shareOnInternet', 'tunnelProvider', 'tunnelAutoStart']);
+// Projects served by an app server or an external upstream instead of PHP
+const NON_PHP_PROJECT_TYPES = ['nodejs', 'python', 'static', 'proxy'];
 
 function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
   const params = useParams();
@@ -51,6 +63,7 @@ function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
   const loadingState = projectLoadingStates[id];
   const isStarting = loadingState === 'starting';
   const isStopping = loadingState === 'stopping';
+  const { showAlert } = useModal();
 
   const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'overview');
   const [project, setProject] = useState(null);
@@ -62,15 +75,25 @@ function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
   const [deleteConfirmText, setDeleteConfirmText] = useState('');
   const [deleteFiles, setDeleteFiles] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [showTemplateModal, setShowTemplateModal] = useState(false);
+  const [templateName, setTemplateName] = useState('');
+  const [templateDescription, setTemplateDescription] = useState('');
+  const [templateError, setTemplateError] = useState(null);
+  const [isSavingTemplate, setIsSavingTemplate] = useState(false);
+  const [showDuplicateModal, setShowDuplicateModal] = useState(false);
+  const [duplicateForm, setDuplicateForm] = useState({ name: '', path: '', domain: '', skipDependencies: false, cloneDatabase: true });
+  const [duplicateProgress, setDuplicateProgress] = useState({ visible: false, output: [], complete: false, error: false, projectId: null });
   const [webServerPorts, setWebServerPorts] = useState({ httpPort: 80, sslPort: 443 });
   const [isEditingName, setIsEditingName] = useState(false);
   const [editedName, setEditedName] = useState('');
   const [isSavingName, setIsSavingName] = useState(false);
+  const [manifestChanged, setManifestChanged] = useState(false);
+  const [isApplyingManifest, setIsApplyingManifest] = useState(false);
 
   // Update tab from URL params
   useEffect(() => {
     const tabParam = searchParams.get('tab');
-    if (tabParam && ['overview', 'terminal', 'logs', 'workers', 'environment'].includes(tabParam)) {
+    if (tabParam && ['overview', 'terminal', 'logs', 'workers', 'environment', 'snapshots'].includes(tabParam)) {
       setActiveTab(tabParam);
     }
   }, [searchParams]);
@@ -119,6 +142,79 @@ function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
     }
   }, [id, projects, loadLogs, loadProcesses]);
 
+  // Collect duplication output while the progress dialog is open
+  useEffect(() => {
+    if (!duplicateProgress.visible) return undefined;
+
+    const handleOutput = (data) => {
+      if (data?.projectId !== 'duplication') return;
+      if (data.type === 'complete') {
+        setDuplicateProgress((prev) => ({ ...prev, complete: true }));
+        return;
+      }
+
+      const lines = data.text ? normalizeInstallationOutput(data.text) : [];
+      if (lines.length === 0) return;
+
+      setDuplicateProgress((prev) => ({
+        ...prev,
+        error: prev.error || data.type === 'error',
+        output: [...prev.output, ...lines.map((text) => ({ text, type: data.type }))],
+      }));
+    };
+
+    const cleanup = window.devbox?.terminal?.onOutput?.(handleOutput);
+    return () => {
+      if (typeof cleanup === 'function') {
+        cleanup();
+      }
+    };
+  }, [duplicateProgress.visible]);
+
+  // Offer to reapply devbox.json when it differs from what this project last applied
+  useEffect(() => {
+    let cancelled = false;
+    setManifestChanged(false);
+
+    window.devbox?.projects.getManifestStatus?.(id)
+      .then((status) => {
+        if (!cancelled) {
+          setManifestChanged(Boolean(status?.changed));
+        }
+      })
+      .catch(() => {
+        // Manifest status is informational only
+      });
+
+    const unsubscribe = window.devbox?.projects.onManifestChanged?.((data) => {
+      if (data?.projectId === id) {
+        setManifestChanged(true);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+    };
+  }, [id]);
+
+  const handleApplyManifest = async () => {
+    setIsApplyingManifest(true);
+    setActionError(null);
+    try {
+      const result = await window.devbox?.projects.applyManifest(id);
+      setManifestChanged(false);
+      await refreshProjects();
+      if (result?.warnings?.length) {
+        setActionError(result.warnings.join('; '));
+      }
+    } catch (err) {
+      setActionError(err.message || 'Failed to apply devbox.json');
+    } finally {
+      setIsApplyingManifest(false);
+    }
+  };
+
   const handleStart = async () => {
     setProjectLoading(id, 'starting');
     setActionError(null);
@@ -175,6 +271,84 @@ function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
       setActionError(err.message || 'Failed to export configuration');
     }
   };
+
+  const handleOpenTemplateModal = () => {
+    setTemplateName(`${project.name} stack`);
+    setTemplateDescription('');
+    setTemplateError(null);
+    setShowTemplateModal(true);
+  };
+
+  const handleSaveTemplate = async () => {
+    setIsSavingTemplate(true);
+    setTemplateError(null);
+    try {
+      const template = await window.devbox?.projects.saveAsTemplate(id, templateName, templateDescription);
+      setShowTemplateModal(false);
+      await showAlert({
+        title: 'Template Saved',
+        message: `"${template?.name || templateName}" is now available as a starting point when creating projects.`,
+        type: 'success',
+      });
+    } catch (err) {
+      setTemplateError(err.message || 'Failed to save template');
+    } finally {
+      setIsSavingTemplate(false);
+    }
+  };
+
+  const handleOpenDuplicateModal = () => {
+    const name = `${project.name} Copy`;
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const separator = project.path.includes('\\') ? '\\' : '/';
+    const parentPath = project.path.replace(/[\\/][^\\/]+[\\/]?$/, '');
+    const tld = project.domain?.split('.').pop() || settings?.settings?.defaultTld || 'test';
+
+    setDuplicateForm({
+      name,
+      path: `${parentPath}${separator}${slug}`,
+      domain: `${slug}.${tld}`,
+      skipDependencies: false,
+      cloneDatabase: true,
+    });
+    setShowDuplicateModal(true);
+  };
+
+  const handleSelectDuplicatePath = async () => {
+    const folder = await window.devbox?.system.selectDirectory();
+    if (folder) {
+      const slug = duplicateForm.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const separator = folder.includes('\\') ? '\\' : '/';
+      setDuplicateForm((prev) => ({ ...prev, path: `${folder.replace(/[\\/]$/, '')}${separator}${slug}` }));
+    }
+  };
+
+  const handleDuplicate = async () => {
+    setShowDuplicateModal(false);
+    setDuplicateProgress({ visible: true, output: [], complete: false, error: false, projectId: null });
+
+    try {
+      const duplicated = await window.devbox?.projects.duplicate(id, duplicateForm);
+      await refreshProjects();
+      setDuplicateProgress((prev) => ({ ...prev, complete: true, projectId: duplicated?.id || null }));
+    } catch (err) {
+      setDuplicateProgress((prev) => ({
+        ...prev,
+        complete: true,
+        error: true,
+        output: [...prev.output, { text: `Error: ${err.message}`, type: 'error' }],
+      }));
+    }
+  };
+
+  const handleDuplicateProgressClose = () => {
+    const duplicatedId = duplicateProgress.error ? null : duplicateProgress.projectId;
+    setDuplicateProgress({ visible: false, output: [], complete: false, error: false, projectId: null });
+    if (duplicatedId) {
+      navigate(`/projects/${duplicatedId}`);
+    }
+  };
+
   const handleDeleteConfirm = async () => {
     if (deleteConfirmText !== 'delete') return;
 
@@ -237,12 +411,16 @@ function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
     );
   }
 
+  const isDegraded = project.isRunning && project.status === 'degraded';
+  const isUnhealthy = isProjectUnhealthy(project);
+
   const tabs = [
     { id: 'overview', label: 'Overview', icon: Activity },
     { id: 'terminal', label: 'Terminal', icon: Terminal },
     { id: 'logs', label: 'Logs', icon: FileText },
     { id: 'workers', label: 'Workers', icon: Cpu },
     { id: 'environment', label: 'Environment', icon: Settings },
+    { id: 'snapshots', label: 'Snapshots', icon: Camera },
   ];
 
   return (
@@ -259,7 +437,10 @@ function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
 
         <div className="flex items-start justify-between">
           <div className="flex items-center gap-4">
-            <div className={project.isRunning ? 'status-running w-4 h-4' : 'status-stopped w-4 h-4'} />
+            <div
+              className={clsx('w-4 h-4', project.isRunning ? (isDegraded || isUnhealthy ? 'status-degraded' : 'status-running') : 'status-stopped')}
+              title={project.isRunning ? describeProjectHealth(project.health) || undefined : undefined}
+            />
             <div>
               {isEditingName ? (
                 <div className="flex items-center gap-2">
@@ -372,9 +553,82 @@ function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
               <Share2 className="w-4 h-4" />
               Export
             </button>
+            <button
+              onClick={handleOpenTemplateModal}
+              className="btn-secondary"
+              title="Save this project's configuration as a reusable template"
+            >
+              <BookmarkPlus className="w-4 h-4" />
+              Save as Template
+            </button>
+            <button
+              onClick={handleOpenDuplicateModal}
+              className="btn-secondary"
+              title="Copy this project's files and database into a new project"
+            >
+              <CopyPlus className="w-4 h-4" />
+              Duplicate
+            </button>
           </div>
         </div>
 
+        {isDegraded && (
+          <div className="mt-4 p-4 bg-orange-50 dark:bg-orange-900/20 border border-orange-200 dark:border-orange-800 rounded-lg">
+            <p className="text-sm text-orange-800 dark:text-orange-300 flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+              PHP-CGI kept crashing and automatic restarts were stopped. Check the Logs tab, then restart the project.
+            </p>
+          </div>
+        )}
+
+        {isUnhealthy && (
+          <div className="mt-4 p-4 bg-orange-50 dark:bg-orange-900/20 border border-orange-200 dark:border-orange-800 rounded-lg flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <p className="text-sm text-orange-800 dark:text-orange-300 flex items-center gap-2">
+                <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                The project is running but {project.health.path} {project.health.statusCode ? `returns HTTP ${project.health.statusCode}` : 'does not respond'}.
+              </p>
+              <p className="text-xs text-orange-700 dark:text-orange-400 mt-1 font-mono break-words">
+                {project.health.snippet || project.health.error || 'The response had no body.'}
+              </p>
+            </div>
+            <button
+              onClick={() => window.devbox?.projects.checkHealth(project.id)}
+              className="btn-secondary btn-sm flex-shrink-0"
+            >
+              <RefreshCw className="w-4 h-4" />
+              Check Again
+            </button>
+          </div>
+        )}
+
+        {/* devbox.json changed on disk */}
+        {manifestChanged && (
+          <div className="mt-4 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg flex items-center justify-between gap-4">
+            <p className="text-sm text-amber-800 dark:text-amber-300 flex items-center gap-2">
+              <FileText className="w-4 h-4 flex-shrink-0" />
+              devbox.json has changed since it was last applied to this project.
+            </p>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleApplyManifest}
+                disabled={isApplyingManifest}
+                className="btn-secondary btn-sm"
+              >
+                <RefreshCw className={clsx('w-4 h-4', isApplyingManifest && 'animate-spin')} />
+                {isApplyingManifest ? 'Applying...' : 'Reapply'}
+              </button>
+              <button
+                onClick={() => setManifestChanged(false)}
+                className="p-1 text-amber-700 hover:text-amber-900 dark:text-amber-400 dark:hover:text-amber-200"
+                title="Dismiss"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Error message */}
         {actionError && (
           <div className="mt-4 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
@@ -429,7 +683,16 @@ function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
           projectType={project.type}
         />
       )}
-      {activeTab === 'environment' && <EnvironmentTab project={project} onRefresh={refreshProjects} />}
+      {activeTab === 'environment' && (
+        <div className="space-y-6">
+          <EnvironmentTab project={project} onRefresh={refreshProjects} />
+          {!NON_PHP_PROJECT_TYPES.includes(project.type) && <PhpIniOverrides project={project} onRefresh={refreshProjects} />}
+          {!NON_PHP_PROJECT_TYPES.includes(project.type) && <VhostSnippets project={project} onRefresh={refreshProjects} />}
+          <PathRoutes project={project} onRefresh={refreshProjects} />
+          {project.path && <LifecycleHooks project={project} onRefresh={refreshProjects} />}
+        </div>
+      )}
+      {activeTab === 'snapshots' && <SnapshotsTab project={project} onRefresh={refreshProjects} />}
 
       {/* Danger Zone */}
       <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
@@ -450,6 +713,188 @@ function ProjectDetail({ projectId: propProjectId, onCloseTerminal }) {
       </div>
 
       {/* Delete Confirmation Modal */}
+      <InstallationProgress
+        isVisible={duplicateProgress.visible}
+        output={duplicateProgress.output}
+        isComplete={duplicateProgress.complete && (duplicateProgress.error || Boolean(duplicateProgress.projectId))}
+        hasError={duplicateProgress.error}
+        projectName={duplicateForm.name}
+        projectType={project.type}
+        onClose={handleDuplicateProgressClose}
+        labels={{
+          running: `Duplicating ${project.name}...`,
+          complete: 'Duplicate Ready',
+          error: 'Duplication Failed',
+          ready: `"${duplicateForm.name}" has been created`,
+          errorHint: 'Check the output below for details',
+          output: 'Duplication Output',
+          starting: 'Starting duplication...',
+          showErrorHelp: false,
+        }}
+      />
+
+      {showDuplicateModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-md w-full mx-4 overflow-hidden">
+            <div className="p-6">
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-3 rounded-full bg-primary-100 dark:bg-primary-900/30">
+                  <CopyPlus className="w-6 h-6 text-primary-600 dark:text-primary-400" />
+                </div>
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    Duplicate Project
+                  </h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Copies files and database into a new project with its own domain
+                  </p>
+                </div>
+              </div>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="label">Project Name</label>
+                  <input
+                    type="text"
+                    value={duplicateForm.name}
+                    onChange={(e) => setDuplicateForm((prev) => ({ ...prev, name: e.target.value }))}
+                    className="input w-full"
+                    autoFocus
+                  />
+                </div>
+                <div>
+                  <label className="label">Location</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={duplicateForm.path}
+                      onChange={(e) => setDuplicateForm((prev) => ({ ...prev, path: e.target.value }))}
+                      className="input flex-1 font-mono text-sm"
+                    />
+                    <button onClick={handleSelectDuplicatePath} className="btn-secondary" title="Choose parent folder">
+                      <Folder className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                <div>
+                  <label className="label">Domain</label>
+                  <input
+                    type="text"
+                    value={duplicateForm.domain}
+                    onChange={(e) => setDuplicateForm((prev) => ({ ...prev, domain: e.target.value }))}
+                    className="input w-full font-mono text-sm"
+                  />
+                </div>
+                {(project.services?.mysql || project.services?.mariadb || project.services?.postgresql || project.services?.mongodb) && (
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={duplicateForm.cloneDatabase}
+                      onChange={(e) => setDuplicateForm((prev) => ({ ...prev, cloneDatabase: e.target.checked }))}
+                      className="w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span className="text-sm text-gray-700 dark:text-gray-300">
+                      Clone the database under a new name
+                    </span>
+                  </label>
+                )}
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={duplicateForm.skipDependencies}
+                    onChange={(e) => setDuplicateForm((prev) => ({ ...prev, skipDependencies: e.target.checked }))}
+                    className="w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span className="text-sm text-gray-700 dark:text-gray-300">
+                    Skip node_modules and vendor (reinstall them in the copy)
+                  </span>
+                </label>
+              </div>
+            </div>
+
+            <div className="px-6 py-4 bg-gray-50 dark:bg-gray-800/50 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+              <button onClick={() => setShowDuplicateModal(false)} className="btn-secondary">
+                Cancel
+              </button>
+              <button
+                onClick={handleDuplicate}
+                disabled={!duplicateForm.name.trim() || !duplicateForm.path.trim() || !duplicateForm.domain.trim()}
+                className="btn-primary"
+              >
+                <CopyPlus className="w-4 h-4" />
+                Duplicate
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showTemplateModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-md w-full mx-4 overflow-hidden">
+            <div className="p-6">
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-3 rounded-full bg-primary-100 dark:bg-primary-900/30">
+                  <BookmarkPlus className="w-6 h-6 text-primary-600 dark:text-primary-400" />
+                </div>
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    Save as Template
+                  </h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Runtime, web server, services, workers, environment and vhost settings
+                  </p>
+                </div>
+              </div>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="label">Template Name</label>
+                  <input
+                    type="text"
+                    value={templateName}
+                    onChange={(e) => setTemplateName(e.target.value)}
+                    className="input w-full"
+                    autoFocus
+                  />
+                </div>
+                <div>
+                  <label className="label">Description (Optional)</label>
+                  <input
+                    type="text"
+                    value={templateDescription}
+                    onChange={(e) => setTemplateDescription(e.target.value)}
+                    placeholder="e.g. Laravel + MySQL + Redis client site"
+                    className="input w-full"
+                  />
+                </div>
+                {templateError && (
+                  <p className="text-sm text-red-600 dark:text-red-400">{templateError}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="px-6 py-4 bg-gray-50 dark:bg-gray-800/50 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+              <button
+                onClick={() => setShowTemplateModal(false)}
+                className="btn-secondary"
+                disabled={isSavingTemplate}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveTemplate}
+                disabled={!templateName.trim() || isSavingTemplate}
+                className="btn-primary"
+              >
+                {isSavingTemplate ? <RefreshCw className="w-4 h-4 animate-spin" /> : <BookmarkPlus className="w-4 h-4" />}
+                Save Template
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {showDeleteModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-md w-full mx-4 overflow-hidden">
@@ -569,6 +1014,7 @@ function OverviewTab({ project, processes, refreshProjects }) {
   const [tunnelAction, setTunnelAction] = useState(null);
   const [zrokAppStatus, setZrokAppStatus] = useState({ enabled: false, configuredAt: null });
   const [savingSettingKeys, setSavingSettingKeys] = useState([]);
+  const [phpFpmSupport, setPhpFpmSupport] = useState(null);
   const projectRef = useRef(project);
   const pendingChangesRef = useRef(pendingChanges);
   const autoSaveQueueRef = useRef(Promise.resolve());
@@ -636,6 +1082,17 @@ function OverviewTab({ project, processes, refreshProjects }) {
     loadBinariesData();
   }, [loadBinariesData]);
 
+  useEffect(() => {
+    if (!project?.id || NON_PHP_PROJECT_TYPES.includes(project.type)) {
+      setPhpFpmSupport(null);
+      return;
+    }
+
+    window.devbox?.projects?.getPhpFpmSupport?.(project.id)
+      .then((support) => setPhpFpmSupport(support || null))
+      .catch(() => setPhpFpmSupport(null));
+  }, [project?.id, project?.type, project?.phpVersion]);
+
   useEffect(() => {
     const loadTunnelData = async () => {
       if (!project?.id) {
@@ -726,6 +1183,19 @@ function OverviewTab({ project, processes, refreshProjects }) {
     return project[key];
   };
 
+  const effectivePhpFpm = { ...(phpFpmSupport?.pool || {}), ...(getEffectiveValue('phpFpm') || {}) };
+
+  const handlePhpFpmChange = (key, value) => {
+    const nextPool = { ...effectivePhpFpm, [key]: value };
+    const savedPool = { ...(phpFpmSupport?.pool || {}), ...(project.phpFpm || {}) };
+    if (Object.keys(nextPool).every((poolKey) => nextPool[poolKey] === savedPool[poolKey])) {
+      const { phpFpm, ...rest } = pendingChanges;
+      setPendingChanges(rest);
+    } else {
+      setPendingChanges({ ...pendingChanges, phpFpm: nextPool });
+    }
+  };
+
   const effectiveShareOnInternet = getEffectiveValue('shareOnInternet') || false;
   const effectiveTunnelProvider = getEffectiveValue('tunnelProvider') || '';
   const effectiveTunnelAutoStart = getEffectiveValue('tunnelAutoStart') || false;
@@ -1224,9 +1694,19 @@ function OverviewTab({ project, processes, refreshProjects }) {
             </div>
             <div className="bg-gray-50 dark:bg-gray-800/60 rounded-lg p-3">
               <p className="text-xs text-gray-400 dark:text-gray-500 mb-0.5">Status</p>
-              <span className={clsx('inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium', project.isRunning ? 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-400' : 'bg-gray-200 text-gray-600 dark:bg-gray-700 dark:text-gray-400')}>
-                {project.isRunning ? 'Running' : 'Stopped'}
-              </span>
+              {project.isRunning && project.status === 'degraded' ? (
+                <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-700 dark:bg-orange-900/40 dark:text-orange-400">
+                  Degraded
+                </span>
+              ) : isProjectUnhealthy(project) ? (
+                <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-700 dark:bg-orange-900/40 dark:text-orange-400" title={describeProjectHealth(project.health)}>
+                  Unhealthy
+                </span>
+              ) : (
+                <span className={clsx('inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium', project.isRunning ? 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-400' : 'bg-gray-200 text-gray-600 dark:bg-gray-700 dark:text-gray-400')}>
+                  {project.isRunning ? 'Running' : 'Stopped'}
+                </span>
+              )}
             </div>
             <div className="bg-gray-50 dark:bg-gray-800/60 rounded-lg p-3">
               <p className="text-xs text-gray-400 dark:text-gray-500 mb-0.5">Port</p>
@@ -1241,7 +1721,7 @@ function OverviewTab({ project, processes, refreshProjects }) {
           </div>
 
           {/* PHP version - PHP projects only */}
-          {project.type !== 'nodejs' && (
+          {!NON_PHP_PROJECT_TYPES.includes(project.type) && (
             <div className="flex items-center justify-between py-2 border-t border-gray-100 dark:border-gray-700/60">
               <span className="text-sm text-gray-600 dark:text-gray-400">PHP Version</span>
               <div className="flex items-center gap-1.5">
@@ -1327,6 +1807,63 @@ function OverviewTab({ project, processes, refreshProjects }) {
             </div>
           )}
 
+          {/* Python info */}
+          {project.type === 'python' && (
+            <div className="border-t border-gray-100 dark:border-gray-700/60 pt-2 space-y-2">
+              {project.pythonFramework && (
+                <div className="flex items-center justify-between py-1">
+                  <span className="text-sm text-gray-600 dark:text-gray-400">Framework</span>
+                  <span className="text-sm font-medium text-gray-900 dark:text-white">
+                    {({ django: 'Django', flask: 'Flask', fastapi: 'FastAPI' })[project.pythonFramework] || project.pythonFramework}
+                  </span>
+                </div>
+              )}
+              <div className="flex items-center justify-between py-1">
+                <span className="text-sm text-gray-600 dark:text-gray-400">Python Version</span>
+                <span className="text-sm font-medium font-mono text-gray-900 dark:text-white">{project.services?.pythonVersion || '3.13'}</span>
+              </div>
+              <div className="flex items-center justify-between py-1">
+                <span className="text-sm text-gray-600 dark:text-gray-400">App Port</span>
+                <span className="text-sm font-medium font-mono text-gray-900 dark:text-white">{project.pythonPort || 8000}</span>
+              </div>
+              {project.pythonStartCommand && (
+                <div className="flex items-center justify-between py-1">
+                  <span className="text-sm text-gray-600 dark:text-gray-400">Start Command</span>
+                  <span className="text-sm font-mono text-gray-900 dark:text-white">{project.pythonStartCommand}</span>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Static site info */}
+          {project.type === 'static' && (
+            <div className="border-t border-gray-100 dark:border-gray-700/60 pt-2 space-y-2">
+              <div className="flex items-center justify-between py-1">
+                <div>
+                  <span className="text-sm text-gray-600 dark:text-gray-400">SPA Fallback</span>
+                  <p className="text-xs text-gray-400 dark:text-gray-500">Serve index.html for unknown paths</p>
+                </div>
+                <label className="relative inline-flex items-center cursor-pointer">
+                  <input type="checkbox" checked={getEffectiveValue('spaFallback') || false}
+                    onChange={(e) => {
+                      const newValue = e.target.checked;
+                      if (newValue === (project.spaFallback || false)) {
+                        const { spaFallback, ...rest } = pendingChanges;
+                        setPendingChanges(rest);
+                      } else {
+                        setPendingChanges({ ...pendingChanges, spaFallback: newValue });
+                      }
+                    }} className="sr-only peer" />
+                  <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
+                </label>
+              </div>
+              <div className="flex items-center justify-between py-1">
+                <span className="text-sm text-gray-600 dark:text-gray-400">Build Command</span>
+                <span className="text-sm font-mono text-gray-900 dark:text-white">{project.buildCommand || 'None'}</span>
+              </div>
+            </div>
+          )}
+
           {/* Toggles */}
           <div className="border-t border-gray-100 dark:border-gray-700/60 mt-2 pt-2 space-y-1">
             <div className="flex items-center justify-between py-2">
@@ -1345,6 +1882,25 @@ function OverviewTab({ project, processes, refreshProjects }) {
                 <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
               </label>
             </div>
+            <div className="flex items-center justify-between py-2">
+              <div>
+                <span className="text-sm text-gray-600 dark:text-gray-400">Start on Demand</span>
+                <p className="text-xs text-gray-400 dark:text-gray-500">Start automatically when the site is opened while stopped</p>
+              </div>
+              <label className="relative inline-flex items-center cursor-pointer">
+                <input type="checkbox" checked={getEffectiveValue('onDemand') || false}
+                  onChange={(e) => {
+                    const newValue = e.target.checked;
+                    if (newValue === (project.onDemand || false)) {
+                      const { onDemand, ...rest } = pendingChanges;
+                      setPendingChanges(rest);
+                      return;
+                    }
+                    saveProjectChanges({ onDemand: newValue });
+                  }} className="sr-only peer" />
+                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
+              </label>
+            </div>
             <div className="flex items-center justify-between py-2">
               <div>
                 <span className="text-sm text-gray-600 dark:text-gray-400">Share on Local Network</span>
@@ -1611,19 +2167,70 @@ function OverviewTab({ project, processes, refreshProjects }) {
                 The folder web server points to. Leave empty to use default based on project type.
               </p>
             </div>
-          </div>
 
-          {/* Web Server */}
-          <div className="card p-5">
-            <h3 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3">
-              Web Server
-            </h3>
-            <div className="grid grid-cols-2 gap-4">
-              {['nginx', 'apache'].map((server) => {
-                const effectiveServer = getEffectiveValue('webServer');
-                const effectiveVersion = getEffectiveValue('webServerVersion');
-                const isSelected = effectiveServer === server;
-                const isChanged = pendingChanges.webServer && pendingChanges.webServer !== project.webServer;
+            {/* Health Check URL */}
+            <div className="mt-3 pt-3 border-t border-gray-100 dark:border-gray-700/60">
+              <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1.5">
+                Health Check URL
+              </label>
+              <input
+                type="text"
+                value={getEffectiveValue('healthCheckPath') || ''}
+                onChange={(e) => {
+                  const newValue = e.target.value;
+                  if (newValue === (project.healthCheckPath || '')) {
+                    const { healthCheckPath, ...rest } = pendingChanges;
+                    setPendingChanges(rest);
+                  } else {
+                    setPendingChanges({ ...pendingChanges, healthCheckPath: newValue });
+                  }
+                }}
+                placeholder="Default: /"
+                className="input text-sm w-full font-mono"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Requested after start and every 30 seconds while running. A 5xx response or no response marks the project unhealthy.
+              </p>
+            </div>
+
+            {/* Idle Timeout */}
+            <div className="mt-3 pt-3 border-t border-gray-100 dark:border-gray-700/60">
+              <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1.5">
+                Stop When Idle (minutes)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={getEffectiveValue('idleTimeoutMinutes') || ''}
+                onChange={(e) => {
+                  const newValue = e.target.value;
+                  if (newValue === String(project.idleTimeoutMinutes || '')) {
+                    const { idleTimeoutMinutes, ...rest } = pendingChanges;
+                    setPendingChanges(rest);
+                  } else {
+                    setPendingChanges({ ...pendingChanges, idleTimeoutMinutes: newValue });
+                  }
+                }}
+                placeholder="Never"
+                className="input text-sm w-full"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Stops the project after this many minutes without requests. With Start on Demand, the next visit starts it again.
+              </p>
+            </div>
+          </div>
+
+          {/* Web Server */}
+          <div className="card p-5">
+            <h3 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3">
+              Web Server
+            </h3>
+            <div className="grid grid-cols-2 gap-4">
+              {['nginx', 'apache'].map((server) => {
+                const effectiveServer = getEffectiveValue('webServer');
+                const effectiveVersion = getEffectiveValue('webServerVersion');
+                const isSelected = effectiveServer === server;
+                const isChanged = pendingChanges.webServer && pendingChanges.webServer !== project.webServer;
                 const versionChanged = pendingChanges.webServerVersion && pendingChanges.webServerVersion !== project.webServerVersion;
                 const serverVersions = versionOptions[server] || [];
                 const isInstalled = serverVersions.length > 0;
@@ -1692,6 +2299,71 @@ function OverviewTab({ project, processes, refreshProjects }) {
             )}
           </div>
 
+          {/* PHP-FPM Pool */}
+          {phpFpmSupport?.supported && (
+            <div className="card p-5">
+              <h3 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3">
+                PHP-FPM Pool
+              </h3>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1.5">
+                    Process Manager
+                  </label>
+                  <select
+                    value={effectivePhpFpm.pm || 'dynamic'}
+                    onChange={(e) => handlePhpFpmChange('pm', e.target.value)}
+                    className="input text-sm w-full"
+                  >
+                    <option value="dynamic">dynamic</option>
+                    <option value="static">static</option>
+                    <option value="ondemand">ondemand</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1.5">
+                    Max Children
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="256"
+                    value={effectivePhpFpm.maxChildren ?? ''}
+                    onChange={(e) => handlePhpFpmChange('maxChildren', Math.max(parseInt(e.target.value, 10) || 1, 1))}
+                    className="input text-sm w-full"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1.5">
+                    Request Timeout (s)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={effectivePhpFpm.requestTerminateTimeout ?? ''}
+                    onChange={(e) => handlePhpFpmChange('requestTerminateTimeout', Math.max(parseInt(e.target.value, 10) || 0, 0))}
+                    className="input text-sm w-full"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1.5">
+                    Slowlog After (s)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={effectivePhpFpm.slowlogTimeout ?? ''}
+                    onChange={(e) => handlePhpFpmChange('slowlogTimeout', Math.max(parseInt(e.target.value, 10) || 0, 0))}
+                    className="input text-sm w-full"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                A request timeout or slowlog of 0 disables it. Slow requests are traced to the php-fpm logs folder.
+              </p>
+            </div>
+          )}
+
         </div>{/* end middle column */}
 
         {/* Services — full width below */}
@@ -1919,6 +2591,279 @@ function LogsTab({ logs, onRefresh, projectId }) {
   );
 }
 
+function formatSnapshotSize(bytes) {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+function SnapshotsTab({ project, onRefresh }) {
+  const { showConfirm } = useModal();
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [label, setLabel] = useState('');
+  const [folders, setFolders] = useState('');
+  const [includeDatabase, setIncludeDatabase] = useState(true);
+  const [retention, setRetention] = useState(5);
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const hasDatabase = Boolean(project.services?.mysql || project.services?.mariadb || project.services?.postgresql || project.services?.mongodb);
+
+  const loadSnapshots = useCallback(async () => {
+    try {
+      const result = await window.devbox?.projects.getSnapshots(project.id);
+      setSnapshots(result?.snapshots || []);
+      setRetention(result?.retention || 5);
+      return result;
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    setLoading(true);
+    setDiff(null);
+    setMessage(null);
+    loadSnapshots().then((result) => setFolders((result?.defaultFolders || []).join(', ')));
+  }, [loadSnapshots]);
+
+  const runAction = async (action, successText, fn) => {
+    setBusy(action);
+    setMessage(null);
+    try {
+      await fn();
+      if (successText) {
+        setMessage({ type: 'success', text: successText });
+      }
+      await loadSnapshots();
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''),
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCreate = () => runAction('create', 'Snapshot created.', async () => {
+    await window.devbox?.projects.createSnapshot(project.id, {
+      label,
+      folders: folders.split(',').map((folder) => folder.trim()).filter(Boolean),
+      includeDatabase,
+    });
+    setLabel('');
+  });
+
+  const handleRestore = async (snapshot) => {
+    const confirmed = await showConfirm({
+      type: 'warning',
+      title: 'Restore Snapshot',
+      message: `Restore "${snapshot.label || new Date(snapshot.createdAt).toLocaleString()}"?`,
+      detail: `The project is stopped while its ${snapshot.database ? 'database is replaced and ' : ''}files in ${snapshot.folders.join(', ') || 'no folders'} are restored. Changes made since the snapshot will be lost.`,
+      confirmText: 'Restore',
+      confirmStyle: 'danger',
+    });
+    if (!confirmed) return;
+
+    await runAction(`restore:${snapshot.id}`, 'Snapshot restored.', async () => {
+      await window.devbox?.projects.restoreSnapshot(project.id, snapshot.id);
+      setDiff(null);
+      await onRefresh?.();
+    });
+  };
+
+  const handleDelete = async (snapshot) => {
+    const confirmed = await showConfirm({
+      type: 'warning',
+      title: 'Delete Snapshot',
+      message: `Delete the snapshot from ${new Date(snapshot.createdAt).toLocaleString()}?`,
+      confirmText: 'Delete',
+      confirmStyle: 'danger',
+    });
+    if (!confirmed) return;
+
+    await runAction(`delete:${snapshot.id}`, null, async () => {
+      await window.devbox?.projects.deleteSnapshot(project.id, snapshot.id);
+      if (diff?.snapshotId === snapshot.id) {
+        setDiff(null);
+      }
+    });
+  };
+
+  const handleDiff = (snapshot) => runAction(`diff:${snapshot.id}`, null, async () => {
+    const result = await window.devbox?.projects.diffSnapshot(project.id, snapshot.id);
+    setDiff({ snapshotId: snapshot.id, ...result });
+  });
+
+  const handleRetentionSave = () => runAction('retention', 'Retention limit saved.', async () => {
+    await window.devbox?.projects.update(project.id, { snapshotRetention: Math.max(1, Number(retention) || 1) });
+    await onRefresh?.();
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Snapshots</h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Checkpoint the database and user files before a risky migration or update, and roll back in one click.
+            </p>
+          </div>
+          <button onClick={handleCreate} disabled={Boolean(busy)} className="btn-primary shrink-0">
+            {busy === 'create' ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Camera className="w-4 h-4" />}
+            {busy === 'create' ? 'Creating...' : 'Take Snapshot'}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="label">Label (Optional)</label>
+            <input
+              type="text"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              placeholder="Before plugin update"
+              className="input w-full"
+            />
+          </div>
+          <div>
+            <label className="label">Folders</label>
+            <input
+              type="text"
+              value={folders}
+              onChange={(e) => setFolders(e.target.value)}
+              placeholder="storage, public/uploads"
+              className="input w-full font-mono text-sm"
+            />
+          </div>
+        </div>
+        <div className="flex items-center justify-between mt-4">
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={includeDatabase && hasDatabase}
+              disabled={!hasDatabase}
+              onChange={(e) => setIncludeDatabase(e.target.checked)}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            Include database
+          </label>
+          <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            Keep the latest
+            <input
+              type="number"
+              min="1"
+              value={retention}
+              onChange={(e) => setRetention(e.target.value)}
+              className="input w-20"
+              aria-label="Snapshot retention"
+            />
+            snapshots
+            <button onClick={handleRetentionSave} disabled={Boolean(busy)} className="btn-secondary btn-sm">
+              Save
+            </button>
+          </div>
+        </div>
+
+        {message && (
+          <div className={clsx(
+            'p-3 rounded-lg mt-4 text-sm',
+            message.type === 'error'
+              ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400'
+              : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400'
+          )}>
+            {message.text}
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="font-semibold text-gray-900 dark:text-white">Saved Snapshots</h3>
+        </div>
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">Loading snapshots...</p>
+        ) : snapshots.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">No snapshots yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {snapshots.map((snapshot) => (
+              <div key={snapshot.id} className="p-4">
+                <div className="flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 dark:text-white truncate">
+                      {snapshot.label || new Date(snapshot.createdAt).toLocaleString()}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                      {snapshot.label && `${new Date(snapshot.createdAt).toLocaleString()} · `}
+                      {snapshot.database
+                        ? `Database ${snapshot.database.name} (${formatSnapshotSize(snapshot.database.size)})`
+                        : 'No database'}
+                      {snapshot.folders?.length > 0 && ` · ${snapshot.fileCount} files in ${snapshot.folders.join(', ')} (${formatSnapshotSize(snapshot.archiveSize)})`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <button
+                      onClick={() => handleDiff(snapshot)}
+                      disabled={Boolean(busy) || !snapshot.folders?.length}
+                      className="btn-secondary btn-sm"
+                      title="Compare snapshot files with the project"
+                    >
+                      <GitCompare className="w-4 h-4" />
+                      Compare
+                    </button>
+                    <button
+                      onClick={() => handleRestore(snapshot)}
+                      disabled={Boolean(busy)}
+                      className="btn-secondary btn-sm"
+                    >
+                      {busy === `restore:${snapshot.id}` ? <RefreshCw className="w-4 h-4 animate-spin" /> : <ArchiveRestore className="w-4 h-4" />}
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handleDelete(snapshot)}
+                      disabled={Boolean(busy)}
+                      className="p-1.5 rounded-lg text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                      title="Delete snapshot"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {diff?.snapshotId === snapshot.id && (
+                  <div className="mt-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-800/50 text-sm">
+                    <p className="text-gray-700 dark:text-gray-300">
+                      {diff.added.length} added · {diff.modified.length} modified · {diff.removed.length} removed · {diff.unchanged} unchanged since this snapshot
+                    </p>
+                    {[
+                      ['added', '+', 'text-green-600 dark:text-green-400'],
+                      ['modified', '~', 'text-amber-600 dark:text-amber-400'],
+                      ['removed', '-', 'text-red-600 dark:text-red-400'],
+                    ].map(([key, marker, color]) => diff[key].slice(0, 50).map((file) => (
+                      <p key={`${key}:${file}`} className={clsx('font-mono text-xs truncate', color)}>
+                        {marker} {file}
+                      </p>
+                    )))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function WorkersTab({ processes, projectId, onRefresh, isRunning, projectType }) {
   const { showConfirm } = useModal();
   const getDefaultProcess = useCallback(() => {
@@ -2551,6 +3496,644 @@ function EnvironmentTab({ project, onRefresh }) {
   );
 }
 
+// Per-project php.ini overrides layered on the PHP version's php.ini
+function PhpIniOverrides({ project, onRefresh }) {
+  const [settings, setSettings] = useState([]);
+  const [overrides, setOverrides] = useState(project.phpIniOverrides || {});
+  const [newKey, setNewKey] = useState('');
+  const [newValue, setNewValue] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const result = await window.devbox?.projects?.getPhpIniSettings?.(project.id);
+      setSettings(result?.settings || []);
+    } catch (error) {
+      setSettings([]);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    setOverrides(project.phpIniOverrides || {});
+    loadSettings();
+  }, [project.id, project.phpVersion, loadSettings]);
+
+  const originalOverrides = project.phpIniOverrides || {};
+  const hasChanges = JSON.stringify(overrides) !== JSON.stringify(originalOverrides);
+  const settingsByKey = Object.fromEntries(settings.map((setting) => [setting.key, setting]));
+  const keys = [...new Set([...settings.map((setting) => setting.key), ...Object.keys(overrides)])];
+
+  const handleOverrideChange = (key, value) => {
+    setOverrides((prev) => {
+      const updated = { ...prev };
+      if (value === '') {
+        delete updated[key];
+      } else {
+        updated[key] = value;
+      }
+      return updated;
+    });
+  };
+
+  const handleAddOverride = () => {
+    const key = newKey.trim();
+    if (!key || !newValue.trim()) return;
+    handleOverrideChange(key, newValue.trim());
+    setNewKey('');
+    setNewValue('');
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setSaveMessage(null);
+    try {
+      await window.devbox?.projects.update(project.id, { phpIniOverrides: overrides });
+      setSaveMessage({
+        type: 'success',
+        text: project.isRunning ? 'PHP settings saved. The project was restarted to apply them.' : 'PHP settings saved!',
+      });
+      await onRefresh?.();
+      await loadSettings();
+    } catch (error) {
+      setSaveMessage({ type: 'error', text: `Failed to save: ${error.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const getSource = (key) => {
+    const setting = settingsByKey[key];
+    if (overrides[key] !== undefined && overrides[key] !== '') {
+      return { label: 'Project', value: overrides[key], className: 'badge-info' };
+    }
+    if (setting?.versionValue !== null && setting?.versionValue !== undefined) {
+      return { label: `PHP ${project.phpVersion}`, value: setting.versionValue, className: 'badge-success' };
+    }
+    return { label: 'Default', value: setting?.defaultValue ?? '', className: 'badge-neutral' };
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            PHP Settings
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Overrides apply to this project's PHP workers and to <span className="font-mono">php</span> run inside its folder
+          </p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={!hasChanges || isSaving}
+          className={clsx('btn-primary', (!hasChanges || isSaving) && 'opacity-50 cursor-not-allowed')}
+        >
+          {isSaving ? (
+            <>
+              <RefreshCw className="w-4 h-4 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            'Save Changes'
+          )}
+        </button>
+      </div>
+
+      {saveMessage && (
+        <div className={clsx(
+          'p-3 rounded-lg mb-4',
+          saveMessage.type === 'error'
+            ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400'
+            : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400'
+        )}>
+          {saveMessage.text}
+        </div>
+      )}
+
+      <div className="space-y-3 mb-6">
+        {keys.map((key) => {
+          const source = getSource(key);
+          return (
+            <div key={key} className="flex items-center gap-3 p-3 bg-gray-50 dark:bg-gray-800 rounded-lg">
+              <span className="font-mono text-sm font-medium text-gray-700 dark:text-gray-300 min-w-[220px]">
+                {key}
+              </span>
+              <input
+                type="text"
+                value={overrides[key] ?? ''}
+                onChange={(e) => handleOverrideChange(key, e.target.value)}
+                className="input flex-1 font-mono text-sm"
+                placeholder={source.value || '(unset)'}
+              />
+              <span className={clsx(source.className, 'w-24 justify-center')} title={`Effective value: ${source.value || '(unset)'}`}>
+                {source.label}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+        <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
+          Add Custom Setting
+        </h4>
+        <div className="flex items-center gap-3">
+          <input
+            type="text"
+            value={newKey}
+            onChange={(e) => setNewKey(e.target.value)}
+            placeholder="xdebug.mode"
+            className="input font-mono text-sm w-48"
+          />
+          <input
+            type="text"
+            value={newValue}
+            onChange={(e) => setNewValue(e.target.value)}
+            placeholder="value"
+            className="input font-mono text-sm flex-1"
+          />
+          <button
+            onClick={handleAddOverride}
+            disabled={!newKey.trim() || !newValue.trim()}
+            className="btn-secondary"
+          >
+            <Plus className="w-4 h-4" />
+            Add
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const VHOST_SNIPPET_FIELDS = [
+  { slot: 'server', label: 'Server block', hint: 'Added to every server block of this project' },
+  { slot: 'phpLocation', label: 'PHP handler', hint: 'Added inside the PHP location / handler' },
+  { slot: 'sslServer', label: 'SSL server block', hint: 'Added to the HTTPS server block only' },
+];
+
+function VhostSnippets({ project, onRefresh }) {
+  const webServer = project.webServer || 'nginx';
+  const originalSnippets = project.vhostSnippets?.[webServer] || {};
+  const [snippets, setSnippets] = useState(originalSnippets);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  useEffect(() => {
+    setSnippets(project.vhostSnippets?.[webServer] || {});
+    setSaveMessage(null);
+  }, [project.id, webServer, project.vhostSnippets]);
+
+  const hasChanges = VHOST_SNIPPET_FIELDS.some(({ slot }) => (snippets[slot] || '') !== (originalSnippets[slot] || ''));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setSaveMessage(null);
+    try {
+      await window.devbox?.projects.saveVhostSnippets(project.id, {
+        ...project.vhostSnippets,
+        [webServer]: snippets,
+      });
+      setSaveMessage({ type: 'success', text: 'Snippets saved and applied to the virtual host.' });
+      await onRefresh?.();
+    } catch (error) {
+      setSaveMessage({
+        type: 'error',
+        text: error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''),
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            {webServer === 'apache' ? 'Apache' : 'Nginx'} Snippets
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Custom directives kept across virtual host regeneration. They are tested before the web server reloads.
+          </p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={!hasChanges || isSaving}
+          className={clsx('btn-primary', (!hasChanges || isSaving) && 'opacity-50 cursor-not-allowed')}
+        >
+          {isSaving ? (
+            <>
+              <RefreshCw className="w-4 h-4 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            'Save Snippets'
+          )}
+        </button>
+      </div>
+
+      {saveMessage && (
+        <div className={clsx(
+          'p-3 rounded-lg mb-4 whitespace-pre-wrap font-mono text-xs',
+          saveMessage.type === 'error'
+            ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400'
+            : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400'
+        )}>
+          {saveMessage.text}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {VHOST_SNIPPET_FIELDS.map(({ slot, label, hint }) => (
+          <div key={slot}>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              {label}
+            </label>
+            <textarea
+              value={snippets[slot] || ''}
+              onChange={(e) => setSnippets((prev) => ({ ...prev, [slot]: e.target.value }))}
+              rows={4}
+              spellCheck={false}
+              className="input w-full font-mono text-sm"
+              placeholder={webServer === 'apache' ? 'Header set X-Debug "1"' : 'add_header X-Debug "1";'}
+              aria-label={`${label} snippet`}
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{hint}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const ROUTE_TARGETS = [
+  { type: 'proxy', label: 'App server (port)' },
+  { type: 'php', label: 'PHP app (folder)' },
+  { type: 'static', label: 'Static files (folder)' },
+];
+
+function toEditableRoutes(routes) {
+  return (routes || []).map((route) => ({
+    path: route.path,
+    type: route.type,
+    port: route.port ? String(route.port) : '',
+    root: route.root || '',
+    spa: !!route.spa,
+  }));
+}
+
+function PathRoutes({ project, onRefresh }) {
+  const targets = NON_PHP_PROJECT_TYPES.includes(project.type) ? ROUTE_TARGETS.filter((target) => target.type !== 'php') : ROUTE_TARGETS;
+  const [routes, setRoutes] = useState(() => toEditableRoutes(project.routes));
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  useEffect(() => {
+    setRoutes(toEditableRoutes(project.routes));
+    setSaveMessage(null);
+  }, [project.id, project.routes]);
+
+  const hasChanges = JSON.stringify(routes) !== JSON.stringify(toEditableRoutes(project.routes));
+
+  const updateRoute = (index, changes) => {
+    setRoutes((prev) => prev.map((route, routeIndex) => (routeIndex === index ? { ...route, ...changes } : route)));
+  };
+
+  const moveRoute = (index, offset) => {
+    setRoutes((prev) => {
+      const next = [...prev];
+      const [route] = next.splice(index, 1);
+      next.splice(index + offset, 0, route);
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setSaveMessage(null);
+    try {
+      await window.devbox?.projects.saveRoutes(project.id, routes.map((route) => (route.type === 'proxy'
+        ? { path: route.path, type: route.type, port: route.port }
+        : { path: route.path, type: route.type, root: route.root, spa: route.type === 'static' && route.spa })));
+      setSaveMessage({ type: 'success', text: 'Routes saved and applied to the virtual host.' });
+      await onRefresh?.();
+    } catch (error) {
+      setSaveMessage({
+        type: 'error',
+        text: error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''),
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Path Routes</h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Send paths of {project.domain} to other backends. The first matching route wins; other paths are served by the project.
+          </p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={!hasChanges || isSaving}
+          className={clsx('btn-primary', (!hasChanges || isSaving) && 'opacity-50 cursor-not-allowed')}
+        >
+          {isSaving ? (
+            <>
+              <RefreshCw className="w-4 h-4 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            'Save Routes'
+          )}
+        </button>
+      </div>
+
+      {saveMessage && (
+        <div className={clsx(
+          'p-3 rounded-lg mb-4 whitespace-pre-wrap font-mono text-xs',
+          saveMessage.type === 'error'
+            ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400'
+            : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400'
+        )}>
+          {saveMessage.text}
+        </div>
+      )}
+
+      {routes.length > 0 ? (
+        <ul className="space-y-2 mb-3">
+          {routes.map((route, index) => (
+            <li key={index} className="flex flex-wrap items-center gap-2 p-2 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+              <span className="text-xs text-gray-400 w-4">{index + 1}</span>
+              <input
+                type="text"
+                value={route.path}
+                onChange={(e) => updateRoute(index, { path: e.target.value })}
+                placeholder="/api"
+                className="input w-32 font-mono text-sm"
+                aria-label="Route path"
+              />
+              <select
+                value={route.type}
+                onChange={(e) => updateRoute(index, { type: e.target.value })}
+                className="select w-48"
+                aria-label="Route target"
+              >
+                {targets.map((target) => (
+                  <option key={target.type} value={target.type}>{target.label}</option>
+                ))}
+              </select>
+              {route.type === 'proxy' ? (
+                <input
+                  type="number"
+                  min="1"
+                  max="65535"
+                  value={route.port}
+                  onChange={(e) => updateRoute(index, { port: e.target.value })}
+                  placeholder="3000"
+                  className="input w-28 text-sm"
+                  aria-label="Route port"
+                />
+              ) : (
+                <input
+                  type="text"
+                  value={route.root}
+                  onChange={(e) => updateRoute(index, { root: e.target.value })}
+                  placeholder={route.type === 'php' ? 'admin/public' : 'frontend/dist'}
+                  className="input flex-1 min-w-[10rem] font-mono text-sm"
+                  aria-label="Route folder"
+                />
+              )}
+              {route.type === 'static' && (
+                <label className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400" title="Serve index.html for paths that are not files">
+                  <input
+                    type="checkbox"
+                    checked={route.spa}
+                    onChange={(e) => updateRoute(index, { spa: e.target.checked })}
+                    className="rounded"
+                  />
+                  SPA fallback
+                </label>
+              )}
+              <button
+                onClick={() => moveRoute(index, -1)}
+                disabled={index === 0}
+                className="btn-ghost btn-icon"
+                title="Move up"
+              >
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => moveRoute(index, 1)}
+                disabled={index === routes.length - 1}
+                className="btn-ghost btn-icon"
+                title="Move down"
+              >
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setRoutes((prev) => prev.filter((_, routeIndex) => routeIndex !== index))}
+                className="btn-ghost btn-icon text-red-500"
+                title="Remove route"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">No routes. Every path is served by the project.</p>
+      )}
+
+      <button
+        onClick={() => setRoutes((prev) => [...prev, { path: '', type: 'proxy', port: '', root: '', spa: false }])}
+        className="btn-secondary btn-sm"
+      >
+        <Plus className="w-4 h-4" />
+        Add Route
+      </button>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+        Folders are relative to {project.path}. Put more specific paths such as /api/admin before /api.
+      </p>
+    </div>
+  );
+}
+
+const HOOK_EVENTS = [
+  { event: 'post-create', label: 'After create' },
+  { event: 'pre-start', label: 'Before start' },
+  { event: 'post-start', label: 'After start' },
+  { event: 'pre-stop', label: 'Before stop' },
+];
+
+function toEditableHooks(hooks) {
+  return (hooks || []).map((hook) => ({
+    event: hook.event,
+    command: hook.command || '',
+    failOnError: !!hook.failOnError,
+  }));
+}
+
+function LifecycleHooks({ project, onRefresh }) {
+  const [hooks, setHooks] = useState(() => toEditableHooks(project.hooks));
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  useEffect(() => {
+    setHooks(toEditableHooks(project.hooks));
+    setSaveMessage(null);
+  }, [project.id, project.hooks]);
+
+  const hasChanges = JSON.stringify(hooks) !== JSON.stringify(toEditableHooks(project.hooks));
+
+  const updateHook = (index, changes) => {
+    setHooks((prev) => prev.map((hook, hookIndex) => (hookIndex === index ? { ...hook, ...changes } : hook)));
+  };
+
+  const moveHook = (index, offset) => {
+    setHooks((prev) => {
+      const next = [...prev];
+      const [hook] = next.splice(index, 1);
+      next.splice(index + offset, 0, hook);
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setSaveMessage(null);
+    try {
+      await window.devbox?.projects.saveHooks(project.id, hooks);
+      setSaveMessage({ type: 'success', text: 'Hooks saved.' });
+      await onRefresh?.();
+    } catch (error) {
+      setSaveMessage({
+        type: 'error',
+        text: error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''),
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Lifecycle Hooks</h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Shell commands run in {project.path} with the project's PHP and Node.js versions. Output goes to the project log.
+          </p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={!hasChanges || isSaving}
+          className={clsx('btn-primary', (!hasChanges || isSaving) && 'opacity-50 cursor-not-allowed')}
+        >
+          {isSaving ? (
+            <>
+              <RefreshCw className="w-4 h-4 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            'Save Hooks'
+          )}
+        </button>
+      </div>
+
+      {saveMessage && (
+        <div className={clsx(
+          'p-3 rounded-lg mb-4 whitespace-pre-wrap font-mono text-xs',
+          saveMessage.type === 'error'
+            ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400'
+            : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400'
+        )}>
+          {saveMessage.text}
+        </div>
+      )}
+
+      {hooks.length > 0 ? (
+        <ul className="space-y-2 mb-3">
+          {hooks.map((hook, index) => (
+            <li key={index} className="flex flex-wrap items-center gap-2 p-2 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+              <select
+                value={hook.event}
+                onChange={(e) => updateHook(index, { event: e.target.value })}
+                className="select w-36"
+                aria-label="Hook event"
+              >
+                {HOOK_EVENTS.map((option) => (
+                  <option key={option.event} value={option.event}>{option.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={hook.command}
+                onChange={(e) => updateHook(index, { command: e.target.value })}
+                placeholder="php artisan migrate --force"
+                className="input flex-1 min-w-[12rem] font-mono text-sm"
+                aria-label="Hook command"
+              />
+              {(hook.event === 'pre-start' || hook.event === 'post-start' || hook.event === 'post-create') && (
+                <label className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400" title={hook.event === 'post-create' ? 'Mark the installation as failed when this command fails' : 'Do not start the project when this command fails'}>
+                  <input
+                    type="checkbox"
+                    checked={hook.failOnError}
+                    onChange={(e) => updateHook(index, { failOnError: e.target.checked })}
+                    className="rounded"
+                  />
+                  {hook.event === 'post-create' ? 'Fail setup on error' : 'Fail start on error'}
+                </label>
+              )}
+              <button
+                onClick={() => moveHook(index, -1)}
+                disabled={index === 0}
+                className="btn-ghost btn-icon"
+                title="Move up"
+              >
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => moveHook(index, 1)}
+                disabled={index === hooks.length - 1}
+                className="btn-ghost btn-icon"
+                title="Move down"
+              >
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setHooks((prev) => prev.filter((_, hookIndex) => hookIndex !== index))}
+                className="btn-ghost btn-icon text-red-500"
+                title="Remove hook"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">No hooks.</p>
+      )}
+
+      <button
+        onClick={() => setHooks((prev) => [...prev, { event: 'pre-start', command: '', failOnError: false }])}
+        className="btn-secondary btn-sm"
+      >
+        <Plus className="w-4 h-4" />
+        Add Hook
+      </button>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+        Hooks of the same moment run top to bottom. Before-stop hooks never prevent a stop.
+      </p>
+    </div>
+  );
+}
+
 // Domain management sub-component
 function DomainManager({ domains, onChange, localAccessPorts, webServerPorts, ssl }) {
   const httpPort = localAccessPorts?.httpPort || 80;
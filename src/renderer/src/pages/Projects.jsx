@@ -30,13 +30,37 @@ import {
   Cpu,
   Globe,
   GripVertical,
+  Layers,
+  ArrowUp,
+  ArrowDown,
+  Pencil,
+  HeartPulse,
+  ParkingSquare,
+  SlidersHorizontal,
 } from 'lucide-react';
 import clsx from 'clsx';
 import ImportProjectModal from '../components/ImportProjectModal';
 import { formatPhpRuntimeLabel } from '../utils/phpRuntime';
+import { isProjectUnhealthy, describeProjectHealth } from '../utils/projectHealth';
 
 const VIEW_MODE_KEY = 'devbox_projects_view_mode';
 
+function getProjectStatusClass(project) {
+  if (!project.isRunning) {
+    return 'status-stopped';
+  }
+
+  return project.status === 'degraded' || isProjectUnhealthy(project) ? 'status-degraded' : 'status-running';
+}
+
+function getProjectStatusTitle(project) {
+  if (!project.isRunning) {
+    return undefined;
+  }
+
+  return project.status === 'degraded' ? 'PHP-CGI keeps crashing — restart the project' : describeProjectHealth(project.health) || undefined;
+}
+
 function ServiceBadges({ project, compact = false }) {
   const badges = [];
   const formatBadgeLabel = (label, version) => (version ? `${label} ${version}` : label);
@@ -197,7 +221,7 @@ function ReorderHandle({
 function Projects() {
   const { projects, loading, startProject, stopProject, deleteProject, refreshProjects, settings, reorderProjects } = useApp();
 
-  const { showAlert } = useModal();
+  const { showAlert, showConfirm } = useModal();
   const [searchQuery, setSearchQuery] = useState('');
   const [filterType, setFilterType] = useState('all');
   const [filterStatus, setFilterStatus] = useState('all');
@@ -212,6 +236,12 @@ function Projects() {
   const [isDeleting, setIsDeleting] = useState(false);
   const [moveModal, setMoveModal] = useState({ open: false, project: null });
   const [isMoving, setIsMoving] = useState(false);
+  const [groups, setGroups] = useState([]);
+  const [groupModal, setGroupModal] = useState({ open: false, group: null });
+  const [groupBusy, setGroupBusy] = useState({});
+  const [parkedDirectories, setParkedDirectories] = useState([]);
+  const [parkedSites, setParkedSites] = useState([]);
+  const [parkedBusy, setParkedBusy] = useState({});
 
   const [draggedItemId, setDraggedItemId] = useState(null);
   const [dragOverItemId, setDragOverItemId] = useState(null);
@@ -262,6 +292,146 @@ function Projects() {
     setDragOverItemId(null);
   };
 
+  const loadGroups = async () => {
+    try {
+      const result = await window.devbox?.projects.getGroups?.();
+      setGroups(result || []);
+    } catch (error) {
+      // Failed to load project groups
+    }
+  };
+
+  const loadParkedSites = async () => {
+    try {
+      const [directories, sites] = await Promise.all([
+        window.devbox?.projects.getParkedDirectories?.(),
+        window.devbox?.projects.getParkedSites?.(),
+      ]);
+      setParkedDirectories(directories || []);
+      setParkedSites(sites || []);
+    } catch (error) {
+      // Failed to load parked sites
+    }
+  };
+
+  useEffect(() => {
+    loadGroups();
+    loadParkedSites();
+
+    const unsubscribe = window.devbox?.projects.onParkedSitesChanged?.((sites) => {
+      setParkedSites(sites || []);
+    });
+    return () => unsubscribe?.();
+  }, []);
+
+  const handleParkDirectory = async () => {
+    try {
+      const directory = await window.devbox?.system.selectDirectory();
+      if (!directory) return;
+
+      await window.devbox?.projects.parkDirectory(directory);
+      await loadParkedSites();
+    } catch (error) {
+      await showAlert({ title: 'Could Not Park Directory', message: error.message, type: 'error' });
+    }
+  };
+
+  const handleUnparkDirectory = async (directory) => {
+    const confirmed = await showConfirm({
+      title: 'Unpark Directory',
+      message: `Stop serving the folders in ${directory}?`,
+      detail: 'Running parked sites in this directory are stopped. Registered projects are not affected.',
+      confirmText: 'Unpark',
+      confirmStyle: 'warning',
+      type: 'warning',
+    });
+    if (!confirmed) return;
+
+    try {
+      await window.devbox?.projects.unparkDirectory(directory);
+      await loadParkedSites();
+    } catch (error) {
+      await showAlert({ title: 'Error', message: 'Failed to unpark directory: ' + error.message, type: 'error' });
+    }
+  };
+
+  const handleParkedSiteAction = async (site, action) => {
+    setParkedBusy((prev) => ({ ...prev, [site.id]: action === 'start' ? 'starting' : 'stopping' }));
+    try {
+      if (action === 'start') {
+        await window.devbox?.projects.start(site.id);
+      } else {
+        await window.devbox?.projects.stop(site.id);
+      }
+    } catch (error) {
+      await showAlert({
+        title: action === 'start' ? 'Failed to Start Site' : 'Failed to Stop Site',
+        message: error.message,
+        type: 'error',
+      });
+    } finally {
+      setParkedBusy((prev) => {
+        const next = { ...prev };
+        delete next[site.id];
+        return next;
+      });
+      await loadParkedSites();
+    }
+  };
+
+  const handleSaveGroup = async (groupConfig) => {
+    if (groupModal.group) {
+      await window.devbox?.projects.updateGroup(groupModal.group.id, groupConfig);
+    } else {
+      await window.devbox?.projects.createGroup(groupConfig);
+    }
+    setGroupModal({ open: false, group: null });
+    await loadGroups();
+  };
+
+  const handleDeleteGroup = async (group) => {
+    const confirmed = await showConfirm({
+      title: 'Delete Group',
+      message: `Delete the group "${group.name}"?`,
+      detail: 'The projects in this group are not affected.',
+      confirmText: 'Delete Group',
+      confirmStyle: 'danger',
+      type: 'warning',
+    });
+    if (!confirmed) return;
+
+    try {
+      await window.devbox?.projects.deleteGroup(group.id);
+      await loadGroups();
+    } catch (error) {
+      await showAlert({ title: 'Error', message: 'Failed to delete group: ' + error.message, type: 'error' });
+    }
+  };
+
+  const handleGroupAction = async (group, action) => {
+    setGroupBusy((prev) => ({ ...prev, [group.id]: action === 'start' ? 'starting' : 'stopping' }));
+    try {
+      if (action === 'start') {
+        await window.devbox?.projects.startGroup(group.id);
+      } else {
+        await window.devbox?.projects.stopGroup(group.id);
+      }
+    } catch (error) {
+      await showAlert({
+        title: action === 'start' ? 'Group Start Failed' : 'Group Stop Failed',
+        message: error.message,
+        type: 'error',
+      });
+    } finally {
+      setGroupBusy((prev) => {
+        const next = { ...prev };
+        delete next[group.id];
+        return next;
+      });
+      refreshProjects?.();
+    }
+  };
+
   const handleSetViewMode = (mode) => {
     setViewMode(mode);
     localStorage.setItem(VIEW_MODE_KEY, mode);
@@ -406,6 +576,7 @@ function Projects() {
       setImportModal({ open: false, project: null });
       // Refresh projects list
       refreshProjects?.();
+      loadParkedSites();
     } catch (error) {
       await showAlert({
         title: error?.message?.includes('already registered') ? 'Already Registered' : 'Import Failed',
@@ -434,6 +605,23 @@ function Projects() {
           </p>
         </div>
         <div className="flex items-center gap-3">
+          <button
+            onClick={() => setGroupModal({ open: true, group: null })}
+            className="btn-secondary"
+            title="Create a group of projects that start and stop together"
+            disabled={projects.length === 0}
+          >
+            <Layers className="w-4 h-4" />
+            New Group
+          </button>
+          <button
+            onClick={handleParkDirectory}
+            className="btn-secondary"
+            title="Serve every folder in a directory automatically"
+          >
+            <ParkingSquare className="w-4 h-4" />
+            Park Directory
+          </button>
           <button
             onClick={handleImportFolder}
             className="btn-secondary"
@@ -532,6 +720,116 @@ function Projects() {
         </div>
       )}
 
+      {/* Project Groups */}
+      {groups.length > 0 && (
+        <div className="card p-4 mb-6">
+          <div className="flex items-center gap-2 mb-3">
+            <Layers className="w-5 h-5 text-primary-500" />
+            <h2 className="font-semibold text-gray-900 dark:text-white">Project Groups</h2>
+          </div>
+          <div className="space-y-3">
+            {groups.map((group) => (
+              <ProjectGroupRow
+                key={group.id}
+                group={group}
+                projects={projects}
+                busy={groupBusy[group.id]}
+                onStart={() => handleGroupAction(group, 'start')}
+                onStop={() => handleGroupAction(group, 'stop')}
+                onEdit={() => setGroupModal({ open: true, group })}
+                onDelete={() => handleDeleteGroup(group)}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Parked Sites */}
+      {parkedDirectories.length > 0 && (
+        <div className="card p-4 mb-6">
+          <div className="flex items-center gap-2 mb-1">
+            <ParkingSquare className="w-5 h-5 text-primary-500" />
+            <h2 className="font-semibold text-gray-900 dark:text-white">Parked Sites</h2>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+            Every folder in a parked directory is served at its folder name with the default PHP version. Customize a site to register it as a full project.
+          </p>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {parkedDirectories.map((directory) => (
+              <span
+                key={directory}
+                className="inline-flex items-center gap-1 rounded px-2 py-1 text-xs font-mono bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+              >
+                <Folder className="w-3 h-3" />
+                {directory}
+                <button
+                  onClick={() => handleUnparkDirectory(directory)}
+                  className="ml-1 text-gray-400 hover:text-red-500"
+                  title="Unpark directory"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+          {parkedSites.length > 0 ? (
+            <div className="divide-y divide-gray-100 dark:divide-gray-700/60">
+              {parkedSites.map((site) => (
+                <div key={site.id} className="flex items-center justify-between gap-4 py-2">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <div className={getProjectStatusClass(site)} />
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{site.name}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        {site.domain} · {site.type} · PHP {site.phpVersion}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    {parkedBusy[site.id] ? (
+                      <button className="btn-secondary btn-sm" disabled>
+                        <RefreshCw className="w-4 h-4 animate-spin" />
+                        {parkedBusy[site.id] === 'starting' ? 'Starting...' : 'Stopping...'}
+                      </button>
+                    ) : site.isRunning ? (
+                      <>
+                        <button
+                          onClick={() => window.devbox?.projects.openInBrowser(site.id)}
+                          className="btn-ghost btn-icon btn-sm"
+                          title="Open in browser"
+                        >
+                          <ExternalLink className="w-3.5 h-3.5" />
+                        </button>
+                        <button onClick={() => handleParkedSiteAction(site, 'stop')} className="btn-secondary btn-sm">
+                          <Square className="w-4 h-4" />
+                          Stop
+                        </button>
+                      </>
+                    ) : (
+                      <button onClick={() => handleParkedSiteAction(site, 'start')} className="btn-success btn-sm">
+                        <Play className="w-4 h-4" />
+                        Start
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setImportModal({ open: true, project: { name: site.name, path: site.path, type: site.type } })}
+                      className="btn-ghost btn-sm"
+                      title="Register this site to change its settings"
+                      disabled={!!parkedBusy[site.id]}
+                    >
+                      <SlidersHorizontal className="w-4 h-4" />
+                      Customize
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No servable folders found in the parked directories.</p>
+          )}
+        </div>
+      )}
+
       {/* Filters */}
       <div className="card p-4 mb-6">
         <div className="flex flex-col md:flex-row gap-4">
@@ -558,6 +856,16 @@ function Projects() {
             <option value="symfony">Symfony</option>
             <option value="wordpress">WordPress</option>
             <option value="nodejs">Node.js</option>
+            <option value="python">Python</option>
+            <option value="drupal">Drupal</option>
+            <option value="magento2">Magento 2</option>
+            <option value="codeigniter4">CodeIgniter 4</option>
+            <option value="cakephp">CakePHP</option>
+            <option value="yii2">Yii 2</option>
+            <option value="craftcms">Craft CMS</option>
+            <option value="statamic">Statamic</option>
+            <option value="joomla">Joomla</option>
+            <option value="slim">Slim</option>
             <option value="custom">Custom PHP</option>
           </select>
 
@@ -676,6 +984,16 @@ function Projects() {
         />
       )}
 
+      {/* Project Group Modal */}
+      {groupModal.open && (
+        <ProjectGroupModal
+          group={groupModal.group}
+          projects={projects}
+          onClose={() => setGroupModal({ open: false, group: null })}
+          onSave={handleSaveGroup}
+        />
+      )}
+
       {/* Delete Project Modal */}
       {deleteModal.open && deleteModal.project && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
@@ -836,12 +1154,255 @@ function Projects() {
   );
 }
 
+function ProjectGroupRow({ group, projects, busy, onStart, onStop, onEdit, onDelete }) {
+  const members = group.members
+    .map((member) => ({ ...member, project: projects.find((project) => project.id === member.projectId) }))
+    .filter((member) => member.project);
+  const runningCount = members.filter((member) => member.project.isRunning).length;
+  const allRunning = members.length > 0 && runningCount === members.length;
+
+  return (
+    <div className="flex items-center justify-between gap-4 p-3 rounded-lg border border-gray-200 dark:border-gray-700">
+      <div className="min-w-0">
+        <div className="flex items-center gap-2">
+          <span className="font-medium text-gray-900 dark:text-white">{group.name}</span>
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {runningCount}/{members.length} running
+          </span>
+        </div>
+        <div className="flex flex-wrap items-center gap-1 mt-1 text-xs text-gray-500 dark:text-gray-400">
+          {members.map((member, index) => (
+            <React.Fragment key={member.projectId}>
+              {index > 0 && <ChevronRight className="w-3 h-3" />}
+              <span className="inline-flex items-center gap-1">
+                <span className={getProjectStatusClass(member.project)} />
+                {member.project.name}
+                {member.waitUntilHealthy && index < members.length - 1 && (
+                  <span title="Waits until healthy before starting the next project">
+                    <HeartPulse className="w-3 h-3 text-green-500" />
+                  </span>
+                )}
+              </span>
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-center gap-2 flex-shrink-0">
+        {busy ? (
+          <button className="btn-secondary btn-sm" disabled>
+            <RefreshCw className="w-4 h-4 animate-spin" />
+            {busy === 'starting' ? 'Starting...' : 'Stopping...'}
+          </button>
+        ) : (
+          <>
+            {!allRunning && (
+              <button onClick={onStart} className="btn-success btn-sm" title="Start all projects in order">
+                <Play className="w-4 h-4" />
+                Start
+              </button>
+            )}
+            {runningCount > 0 && (
+              <button onClick={onStop} className="btn-secondary btn-sm" title="Stop all projects in reverse order">
+                <Square className="w-4 h-4" />
+                Stop
+              </button>
+            )}
+          </>
+        )}
+        <button onClick={onEdit} className="btn-ghost btn-icon" title="Edit group" disabled={!!busy}>
+          <Pencil className="w-4 h-4" />
+        </button>
+        <button onClick={onDelete} className="btn-ghost btn-icon text-red-500" title="Delete group" disabled={!!busy}>
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ProjectGroupModal({ group, projects, onClose, onSave }) {
+  const [name, setName] = useState(group?.name || '');
+  const [members, setMembers] = useState(group?.members || []);
+  const [healthTimeout, setHealthTimeout] = useState(group?.healthTimeout || 60);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const availableProjects = projects.filter((project) => !members.some((member) => member.projectId === project.id));
+  const getProjectName = (projectId) => projects.find((project) => project.id === projectId)?.name || projectId;
+
+  const moveMember = (index, offset) => {
+    setMembers((prev) => {
+      const next = [...prev];
+      const [member] = next.splice(index, 1);
+      next.splice(index + offset, 0, member);
+      return next;
+    });
+  };
+
+  const updateMember = (index, updates) => {
+    setMembers((prev) => prev.map((member, memberIndex) => (memberIndex === index ? { ...member, ...updates } : member)));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSave({ name, members, healthTimeout });
+    } catch (saveError) {
+      setError(saveError.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-lg w-full mx-4 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <Layers className="w-5 h-5 text-primary-500" />
+            {group ? 'Edit Group' : 'New Group'}
+          </h3>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Group name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="My Product"
+              className="input w-full"
+              autoFocus
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Projects (started top to bottom, stopped in reverse)
+            </label>
+            {members.length > 0 ? (
+              <ul className="space-y-2 mb-2">
+                {members.map((member, index) => (
+                  <li
+                    key={member.projectId}
+                    className="flex items-center gap-2 p-2 rounded-lg bg-gray-50 dark:bg-gray-700/50"
+                  >
+                    <span className="text-xs text-gray-400 w-4">{index + 1}</span>
+                    <span className="flex-1 text-sm text-gray-900 dark:text-white truncate">{getProjectName(member.projectId)}</span>
+                    {index < members.length - 1 && (
+                      <label className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400" title="Wait until this project responds before starting the next one">
+                        <input
+                          type="checkbox"
+                          checked={!!member.waitUntilHealthy}
+                          onChange={(e) => updateMember(index, { waitUntilHealthy: e.target.checked })}
+                          className="rounded"
+                        />
+                        Wait until healthy
+                      </label>
+                    )}
+                    <button
+                      onClick={() => moveMember(index, -1)}
+                      disabled={index === 0}
+                      className="btn-ghost btn-icon"
+                      title="Move up"
+                    >
+                      <ArrowUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => moveMember(index, 1)}
+                      disabled={index === members.length - 1}
+                      className="btn-ghost btn-icon"
+                      title="Move down"
+                    >
+                      <ArrowDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setMembers((prev) => prev.filter((_, memberIndex) => memberIndex !== index))}
+                      className="btn-ghost btn-icon text-red-500"
+                      title="Remove from group"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">No projects added yet.</p>
+            )}
+            {availableProjects.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => {
+                  if (e.target.value) {
+                    setMembers((prev) => [...prev, { projectId: e.target.value, waitUntilHealthy: false }]);
+                  }
+                }}
+                className="select w-full"
+                aria-label="Add project"
+              >
+                <option value="">Add a project...</option>
+                {availableProjects.map((project) => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {members.some((member, index) => member.waitUntilHealthy && index < members.length - 1) && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Health check timeout (seconds)
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={healthTimeout}
+                onChange={(e) => setHealthTimeout(e.target.value)}
+                className="input w-32"
+              />
+            </div>
+          )}
+
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+        </div>
+
+        <div className="px-6 py-4 bg-gray-50 dark:bg-gray-800/50 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+          <button onClick={onClose} className="btn-secondary" disabled={isSaving}>
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving || !name.trim() || members.length === 0}
+            className="btn-primary"
+          >
+            {isSaving ? (
+              <>
+                <RefreshCw className="w-4 h-4 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              <>
+                <Layers className="w-4 h-4" />
+                {group ? 'Save Group' : 'Create Group'}
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function DiscoveredProjectCard({ project, onImport }) {
   const typeColors = {
     laravel: 'bg-orange-100 text-orange-700 dark:bg-orange-900/30 dark:text-orange-400',
     symfony: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400',
     wordpress: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
     nodejs: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+    python: 'bg-sky-100 text-sky-700 dark:bg-sky-900/30 dark:text-sky-400',
     custom: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
   };
 
@@ -925,6 +1486,7 @@ function ProjectCard({ project, onStart, onStop, onDelete, onMove, defaultEditor
     symfony: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400',
     wordpress: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
     nodejs: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+    python: 'bg-sky-100 text-sky-700 dark:bg-sky-900/30 dark:text-sky-400',
     custom: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
   };
 
@@ -967,10 +1529,15 @@ function ProjectCard({ project, onStart, onStop, onDelete, onMove, defaultEditor
           <div className="flex items-start gap-3 min-w-0 pl-3">
             <div className="min-w-0">
               <div className="flex items-center gap-3">
-                <div className={project.isRunning ? 'status-running' : 'status-stopped'} />
+                <div className={getProjectStatusClass(project)} title={getProjectStatusTitle(project)} />
                 <span className="text-lg font-semibold text-gray-900 dark:text-white truncate">
                   {project.name}
                 </span>
+                {isProjectUnhealthy(project) && (
+                  <span className="inline-flex items-center px-1.5 py-0.5 rounded text-[10px] font-medium bg-orange-100 text-orange-700 dark:bg-orange-900/40 dark:text-orange-400" title={describeProjectHealth(project.health)}>
+                    Unhealthy
+                  </span>
+                )}
               </div>
             </div>
           </div>
@@ -1065,7 +1632,13 @@ function ProjectCard({ project, onStart, onStop, onDelete, onMove, defaultEditor
                   nuxtjs: 'Nuxt.js', koa: 'Koa', hapi: 'Hapi', adonisjs: 'AdonisJS',
                   remix: 'Remix', sveltekit: 'SvelteKit', strapi: 'Strapi', elysia: 'Elysia',
                 }[project.nodeFramework] || project.nodeFramework})` : ''}`
-                : project.phpVersion ? formatPhpRuntimeLabel(project.phpVersion) : 'No runtime'}
+                : project.type === 'python'
+                  ? `Python ${project.services?.pythonVersion || '?'}${project.pythonFramework ? ` (${{ django: 'Django', flask: 'Flask', fastapi: 'FastAPI' }[project.pythonFramework] || project.pythonFramework})` : ''}`
+                  : project.type === 'static'
+                    ? 'Static site'
+                    : project.type === 'proxy'
+                      ? `Proxy to ${project.proxyUrl}`
+                      : project.phpVersion ? formatPhpRuntimeLabel(project.phpVersion) : 'No runtime'}
             </span>
           </div>
           <p className="text-sm text-gray-500 dark:text-gray-400 truncate" title={project.path}>
@@ -1188,6 +1761,7 @@ function ProjectTableRow({ project, onStart, onStop, onDelete, onMove, defaultEd
     symfony: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400',
     wordpress: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
     nodejs: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+    python: 'bg-sky-100 text-sky-700 dark:bg-sky-900/30 dark:text-sky-400',
     custom: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
   };
 
@@ -1212,7 +1786,7 @@ function ProjectTableRow({ project, onStart, onStop, onDelete, onMove, defaultEd
             onDragStart={onDragStart}
             onDragEnd={onDragEnd}
           />
-          <div className={project.isRunning ? 'status-running' : 'status-stopped'} />
+          <div className={getProjectStatusClass(project)} title={getProjectStatusTitle(project)} />
         </div>
       </td>
 
@@ -1242,7 +1816,13 @@ function ProjectTableRow({ project, onStart, onStop, onDelete, onMove, defaultEd
               nuxtjs: 'Nuxt.js', koa: 'Koa', hapi: 'Hapi', adonisjs: 'AdonisJS',
               remix: 'Remix', sveltekit: 'SvelteKit', strapi: 'Strapi', elysia: 'Elysia',
             }[project.nodeFramework] || project.nodeFramework})` : ''}`
-            : project.phpVersion ? formatPhpRuntimeLabel(project.phpVersion) : '—'}
+            : project.type === 'python'
+              ? `Python ${project.services?.pythonVersion || '?'}${project.pythonFramework ? ` (${{ django: 'Django', flask: 'Flask', fastapi: 'FastAPI' }[project.pythonFramework] || project.pythonFramework})` : ''}`
+              : project.type === 'static'
+                ? 'Static site'
+                : project.type === 'proxy'
+                  ? `Proxy to ${project.proxyUrl}`
+                  : project.phpVersion ? formatPhpRuntimeLabel(project.phpVersion) : '—'}
         </span>
       </td>
 
@@ -19,14 +19,17 @@ import {
   ChevronDown,
   Layers,
   Download,
+  SlidersHorizontal,
 } from 'lucide-react';
 import clsx from 'clsx';
+import ResourceSparkline from '../components/ResourceSparkline';
 
 function Services() {
-  const { services, resourceUsage, startService, stopService, refreshServices, refreshProjects, projects } = useApp();
+  const { services, settings, resourceUsage, resourceHistory = [], startService, stopService, refreshServices, refreshProjects, projects } = useApp();
   const [loadingServices, setLoadingServices] = useState(new Set());
   const [binariesStatus, setBinariesStatus] = useState({});
   const [runningVersions, setRunningVersions] = useState({});
+  const [runningPorts, setRunningPorts] = useState({});
   const [tunnelStatuses, setTunnelStatuses] = useState({});
   const [zrokStatus, setZrokStatus] = useState({ enabled: false, configuredAt: null });
   const [serviceConfig, setServiceConfig] = useState({
@@ -102,6 +105,17 @@ function Services() {
       try {
         const running = await window.devbox?.services.getRunningVersions();
         setRunningVersions(running || {});
+
+        // Ports the running versions actually listen on, to spot ones still on a port changed in Settings
+        const ports = {};
+        for (const [name, versions] of Object.entries(running || {})) {
+          if (versions.length === 0) continue;
+          const details = await window.devbox?.services.getRunningVersions(name);
+          for (const [version, info] of Object.entries(details || {})) {
+            if (info?.port) ports[`${name}-${version}`] = info.port;
+          }
+        }
+        setRunningPorts(ports);
       } catch (err) {
         // Failed to get running versions
       }
@@ -360,10 +374,13 @@ function Services() {
     const info = serviceInfo[serviceName];
     if (!info) return null;
 
+    const customPort = settings?.settings?.servicePorts?.[serviceName]?.[version];
+    if (customPort) return customPort;
+
     const basePort = info.defaultPort;
     const offset = serviceConfig.portOffsets[serviceName]?.[version] || 0;
     return basePort + offset;
-  }, [serviceInfo, serviceConfig.portOffsets]);
+  }, [serviceInfo, serviceConfig.portOffsets, settings]);
 
   // Build list of service cards to display (including individual version cards)
   const serviceCards = useMemo(() => {
@@ -406,6 +423,8 @@ function Services() {
               info,
               isRunning,
               port: getServicePort(name, version),
+              runningPort: runningPorts[`${name}-${version}`] || null,
+              error: services[name]?.status === 'error' && services[name]?.version === version ? services[name].error : null,
             });
           }
         }
@@ -436,7 +455,7 @@ function Services() {
     }
 
     return cards;
-  }, [services, runningProjects, requiredServices, getInstalledVersions, runningVersions, runningProjectVersions, getServicePort, binariesStatus]);
+  }, [services, runningProjects, requiredServices, getInstalledVersions, runningVersions, runningPorts, runningProjectVersions, getServicePort, binariesStatus]);
 
   const handleStartAll = async () => {
     // Mark all services as loading
@@ -534,12 +553,16 @@ function Services() {
           label="CPU Usage"
           value={`${Math.round(resourceUsage.total?.cpu || 0)}%`}
           color="blue"
+          history={resourceHistory.map((sample) => sample.total?.cpu || 0)}
+          historyLabel="CPU usage over the last hour"
         />
         <ResourceCard
           icon={MemoryStick}
           label="Memory Usage"
           value={formatBytes(resourceUsage.total?.memory || 0)}
           color="green"
+          history={resourceHistory.map((sample) => sample.total?.memory || 0)}
+          historyLabel="Memory usage over the last hour"
         />
         <ResourceCard
           icon={Gauge}
@@ -570,9 +593,12 @@ function Services() {
                 info={card.info}
                 isRunning={card.isRunning}
                 port={card.port}
+                runningPort={card.runningPort}
+                error={card.error}
                 loading={isServiceLoading(card.serviceName, card.version)}
                 onToggle={() => handleToggleService(card.serviceName, card.isRunning, card.version)}
                 resourceUsage={resourceUsage.services?.[`${card.serviceName}-${card.version}`]}
+                memoryHistory={resourceHistory.map((sample) => sample.services?.[`${card.serviceName}-${card.version}`]?.memory || 0)}
               />
             );
           } else {
@@ -583,9 +609,11 @@ function Services() {
                 info={card.info}
                 service={card.service}
                 isRunning={card.isRunning}
+                error={card.service.status === 'error' ? card.service.error : null}
                 loading={isServiceLoading(card.serviceName)}
                 onToggle={() => handleToggleService(card.serviceName, card.isRunning)}
                 resourceUsage={resourceUsage.services?.[card.serviceName]}
+                memoryHistory={resourceHistory.map((sample) => sample.services?.[card.serviceName]?.memory || 0)}
               />
             );
           }
@@ -655,12 +683,17 @@ function Services() {
   );
 }
 
-function ResourceCard({ icon: Icon, label, value, color }) {
+function ResourceCard({ icon: Icon, label, value, color, history = [], historyLabel }) {
   const colorClasses = {
     blue: 'bg-blue-100 text-blue-600 dark:bg-blue-900/30 dark:text-blue-400',
     green: 'bg-green-100 text-green-600 dark:bg-green-900/30 dark:text-green-400',
     purple: 'bg-purple-100 text-purple-600 dark:bg-purple-900/30 dark:text-purple-400',
   };
+  const sparklineClasses = {
+    blue: 'text-blue-500 dark:text-blue-400',
+    green: 'text-green-500 dark:text-green-400',
+    purple: 'text-purple-500 dark:text-purple-400',
+  };
 
   return (
     <div className="card p-6">
@@ -673,22 +706,36 @@ function ResourceCard({ icon: Icon, label, value, color }) {
           <p className="text-2xl font-bold text-gray-900 dark:text-white">{value}</p>
         </div>
       </div>
+      <ResourceSparkline values={history} label={historyLabel} className={clsx('mt-4', sparklineClasses[color])} />
     </div>
   );
 }
 
 // Card for versioned service with specific version
+// Services whose generated config accepts extra directives, with an example for the editor
+const CONFIG_OVERRIDE_PLACEHOLDERS = {
+  mysql: 'max_allowed_packet=256M\nsql_mode=STRICT_TRANS_TABLES\ninnodb_buffer_pool_size=512M',
+  mariadb: 'max_allowed_packet=256M\nsql_mode=STRICT_TRANS_TABLES\ninnodb_buffer_pool_size=512M',
+  redis: 'notify-keyspace-events Ex\nmaxmemory 256mb',
+  postgresql: "shared_buffers = '256MB'\nwork_mem = '16MB'",
+  nginx: 'worker_processes 4;\nevents {\n    worker_connections 4096;\n}',
+};
+
 function VersionServiceCard({
   serviceName,
   version,
   info,
   isRunning,
   port,
+  runningPort = null,
   loading,
   onToggle,
-  resourceUsage
+  resourceUsage,
+  memoryHistory = [],
+  error = null
 }) {
   const Icon = info.icon;
+  const [showConfig, setShowConfig] = useState(false);
 
   const colorClasses = {
     blue: 'bg-blue-100 text-blue-600 dark:bg-blue-900/30 dark:text-blue-400',
@@ -734,16 +781,40 @@ function VersionServiceCard({
             <span className="font-medium text-gray-900 dark:text-white">{port}</span>
           </div>
           {isRunning && resourceUsage && (
-            <div>
-              <span className="text-gray-500 dark:text-gray-400">Memory: </span>
-              <span className="font-medium text-gray-900 dark:text-white">
-                {formatBytes(resourceUsage.memory)}
-              </span>
-            </div>
+            <>
+              <div>
+                <span className="text-gray-500 dark:text-gray-400">CPU: </span>
+                <span className="font-medium text-gray-900 dark:text-white">
+                  {`${Math.round(resourceUsage.cpu)}%`}
+                </span>
+              </div>
+              <div>
+                <span className="text-gray-500 dark:text-gray-400">Memory: </span>
+                <span className="font-medium text-gray-900 dark:text-white">
+                  {formatBytes(resourceUsage.memory)}
+                </span>
+              </div>
+            </>
           )}
         </div>
+        {!isRunning && error && (
+          <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+        )}
+        {isRunning && runningPort && runningPort !== port && (
+          <p className="text-xs text-amber-600 dark:text-amber-400 flex items-center gap-1 mb-2">
+            <AlertTriangle className="w-3.5 h-3.5 shrink-0" />
+            Still listening on port {runningPort}. Restart this version to move it to port {port}.
+          </p>
+        )}
+        {isRunning && (
+          <ResourceSparkline values={memoryHistory} label={`${info.name} memory over the last hour`} className="text-gray-400 dark:text-gray-500" />
+        )}
       </div>
 
+      {showConfig && (
+        <ServiceConfigEditor serviceName={serviceName} version={version} name={info.name} isRunning={isRunning} />
+      )}
+
       {/* Actions */}
       <div className="px-5 py-3 bg-gray-50 dark:bg-gray-800/50 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between">
         <button
@@ -778,6 +849,114 @@ function VersionServiceCard({
             Open
           </button>
         )}
+
+        {CONFIG_OVERRIDE_PLACEHOLDERS[serviceName] && (
+          <button
+            onClick={() => setShowConfig((shown) => !shown)}
+            className="btn-ghost btn-sm"
+            aria-expanded={showConfig}
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+            Config
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ServiceConfigEditor({ serviceName, version, name, isRunning }) {
+  const [override, setOverride] = useState(null);
+  const [content, setContent] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    window.devbox?.services.getConfigOverride(serviceName, version).then((current) => {
+      if (!cancelled) {
+        setOverride(current);
+        setContent(current?.content || '');
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [serviceName, version]);
+
+  const hasChanges = override !== null && content !== (override.content || '');
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setSaveMessage(null);
+    try {
+      const result = await window.devbox?.services.saveConfigOverride(serviceName, version, content);
+      const current = await window.devbox?.services.getConfigOverride(serviceName, version);
+      setOverride(current);
+      setContent(current?.content || '');
+      if (result?.rolledBack) {
+        setSaveMessage({ type: 'error', text: `${name} ${version} did not start with this config and was restarted with the previous one:\n${result.error}` });
+      } else {
+        setSaveMessage({
+          type: 'success',
+          text: result?.applied ? `Saved and ${name} ${version} restarted.` : `Saved. Applied when ${name} ${version} starts.`,
+        });
+      }
+    } catch (error) {
+      setSaveMessage({
+        type: 'error',
+        text: error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''),
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="px-5 pb-5 space-y-3">
+      {override?.rejected && !saveMessage && (
+        <div className="p-3 rounded-lg whitespace-pre-wrap font-mono text-xs bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400">
+          {`The last change was rolled back because ${name} ${version} failed to start:\n${override.rejected.error}`}
+        </div>
+      )}
+      {saveMessage && (
+        <div className={clsx(
+          'p-3 rounded-lg whitespace-pre-wrap font-mono text-xs',
+          saveMessage.type === 'error'
+            ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400'
+            : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400'
+        )}>
+          {saveMessage.text}
+        </div>
+      )}
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        rows={5}
+        spellCheck={false}
+        disabled={override === null}
+        className="input w-full font-mono text-sm"
+        placeholder={CONFIG_OVERRIDE_PLACEHOLDERS[serviceName]}
+        aria-label={`${name} ${version} extra config`}
+      />
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Merged into the generated config on every start.{isRunning ? ' Saving restarts the service.' : ''}
+        </p>
+        <button
+          onClick={handleSave}
+          disabled={!hasChanges || isSaving}
+          className={clsx('btn-primary btn-sm', (!hasChanges || isSaving) && 'opacity-50 cursor-not-allowed')}
+        >
+          {isSaving ? (
+            <>
+              <RefreshCw className="w-4 h-4 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            'Save Config'
+          )}
+        </button>
       </div>
     </div>
   );
@@ -791,7 +970,9 @@ function SimpleServiceCard({
   isRunning,
   loading,
   onToggle,
-  resourceUsage
+  resourceUsage,
+  memoryHistory = [],
+  error = null
 }) {
   const Icon = info.icon;
 
@@ -838,14 +1019,28 @@ function SimpleServiceCard({
             </span>
           </div>
           {isRunning && resourceUsage && (
-            <div>
-              <span className="text-gray-500 dark:text-gray-400">Memory: </span>
-              <span className="font-medium text-gray-900 dark:text-white">
-                {formatBytes(resourceUsage.memory)}
-              </span>
-            </div>
+            <>
+              <div>
+                <span className="text-gray-500 dark:text-gray-400">CPU: </span>
+                <span className="font-medium text-gray-900 dark:text-white">
+                  {`${Math.round(resourceUsage.cpu)}%`}
+                </span>
+              </div>
+              <div>
+                <span className="text-gray-500 dark:text-gray-400">Memory: </span>
+                <span className="font-medium text-gray-900 dark:text-white">
+                  {formatBytes(resourceUsage.memory)}
+                </span>
+              </div>
+            </>
           )}
         </div>
+        {!isRunning && error && (
+          <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+        )}
+        {isRunning && (
+          <ResourceSparkline values={memoryHistory} label={`${info.name} memory over the last hour`} className="text-gray-400 dark:text-gray-500" />
+        )}
       </div>
 
       {/* Actions */}
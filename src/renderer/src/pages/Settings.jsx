@@ -938,6 +938,52 @@ function NetworkSettings({ settings, updateSetting }) {
             </div>
           </div>
         </div>
+
+        <ServiceVersionPorts servicePorts={settings.servicePorts} updateSetting={updateSetting} />
+      </div>
+
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+          Crash Recovery
+        </h3>
+        <div className="space-y-4">
+          <label className="flex items-center justify-between">
+            <div>
+              <p className="font-medium text-gray-900 dark:text-white">
+                Restart crashed services
+              </p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Bring back services like MySQL, Redis or Nginx when they exit unexpectedly
+              </p>
+            </div>
+            <input
+              type="checkbox"
+              checked={settings.serviceWatchdog ?? false}
+              onChange={(e) => updateSetting('serviceWatchdog', e.target.checked)}
+              className="w-5 h-5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+          </label>
+          <div className="flex items-center justify-between">
+            <div>
+              <label htmlFor="service-watchdog-max-attempts" className="font-medium text-gray-900 dark:text-white">
+                Restart attempts
+              </label>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Give up after this many crashes in a row
+              </p>
+            </div>
+            <input
+              id="service-watchdog-max-attempts"
+              type="number"
+              min="1"
+              max="10"
+              value={settings.serviceWatchdogMaxAttempts || 3}
+              onChange={(e) => updateSetting('serviceWatchdogMaxAttempts', parseInt(e.target.value))}
+              disabled={!settings.serviceWatchdog}
+              className="input w-28"
+            />
+          </div>
+        </div>
       </div>
 
       <div className="card p-6">
@@ -991,6 +1037,131 @@ const THEME_ICONS = {
   ),
 };
 
+const VERSION_PORT_SERVICES = [
+  { id: 'mysql', name: 'MySQL' },
+  { id: 'mariadb', name: 'MariaDB' },
+  { id: 'postgresql', name: 'PostgreSQL' },
+  { id: 'mongodb', name: 'MongoDB' },
+  { id: 'redis', name: 'Redis' },
+  { id: 'memcached', name: 'Memcached' },
+];
+
+function ServiceVersionPorts({ servicePorts, updateSetting }) {
+  const [serviceConfig, setServiceConfig] = useState({ versions: {}, portOffsets: {}, defaultPorts: {} });
+  const [portChecks, setPortChecks] = useState({});
+
+  useEffect(() => {
+    const loadConfig = async () => {
+      try {
+        const config = await window.devbox?.binaries.getServiceConfig();
+        if (config) {
+          setServiceConfig((prev) => ({ ...prev, ...config }));
+        }
+      } catch (err) {
+        // Error loading service config
+      }
+    };
+    loadConfig();
+  }, []);
+
+  // Re-check every custom port on each edit so two versions set to the same port are flagged as well
+  useEffect(() => {
+    const entries = Object.entries(servicePorts || {}).flatMap(([service, versions]) => (
+      Object.entries(versions || {}).map(([version, port]) => [service, version, port])
+    ));
+    if (entries.length === 0) {
+      setPortChecks({});
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const results = {};
+      for (const [service, version, port] of entries) {
+        try {
+          results[`${service}-${version}`] = await window.devbox?.services.checkPort(port, service, version, servicePorts);
+        } catch (err) {
+          // Leave the port unchecked
+        }
+      }
+      if (!cancelled) {
+        setPortChecks(results);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [servicePorts]);
+
+  const setVersionPort = (service, version, value) => {
+    const port = parseInt(value, 10);
+    const versions = { ...(servicePorts?.[service] || {}) };
+    if (Number.isNaN(port)) {
+      delete versions[version];
+    } else {
+      versions[version] = port;
+    }
+
+    const next = { ...(servicePorts || {}), [service]: versions };
+    if (Object.keys(versions).length === 0) {
+      delete next[service];
+    }
+    updateSetting('servicePorts', next);
+  };
+
+  const services = VERSION_PORT_SERVICES.filter(
+    ({ id }) => serviceConfig.versions?.[id]?.length > 0 && serviceConfig.defaultPorts?.[id]
+  );
+  if (services.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-5">
+      <p className="text-xs font-semibold uppercase tracking-wide text-gray-400 dark:text-gray-500 mb-1">Per-Version Ports</p>
+      <p className="text-xs text-gray-400 dark:text-gray-500 mb-3">
+        Leave empty to use the default port shown. Running versions restart on save to move to the new port.
+      </p>
+      <div className="space-y-4">
+        {services.map(({ id, name }) => (
+          <div key={id} className="grid grid-cols-2 gap-x-6 gap-y-3">
+            {serviceConfig.versions[id].map((version) => {
+              const defaultPort = serviceConfig.defaultPorts[id] + (serviceConfig.portOffsets?.[id]?.[version] || 0);
+              const check = servicePorts?.[id]?.[version] ? portChecks[`${id}-${version}`] : null;
+              return (
+                <div key={version}>
+                  <div className="flex items-center gap-3">
+                    <label htmlFor={`port-${id}-${version}`} className="text-sm text-gray-700 dark:text-gray-300 w-36 shrink-0">
+                      {name} {version}
+                    </label>
+                    <input
+                      id={`port-${id}-${version}`}
+                      type="number"
+                      value={servicePorts?.[id]?.[version] ?? ''}
+                      placeholder={String(defaultPort)}
+                      onChange={(e) => setVersionPort(id, version, e.target.value)}
+                      className="input w-28"
+                      min="1"
+                      max="65535"
+                    />
+                  </div>
+                  {check && (
+                    <p className={clsx('text-xs mt-1', check.available ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400')}>
+                      {check.available ? 'Available' : check.reason}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function AppearanceSettings({ settings, updateSetting }) {
   const handleThemeChange = (theme) => {
     updateSetting('theme', theme);
@@ -0,0 +1,16 @@
+export function isProjectUnhealthy(project) {
+  return Boolean(project?.isRunning && project.health?.status === 'unhealthy');
+}
+
+export function describeProjectHealth(health) {
+  if (!health) {
+    return '';
+  }
+
+  if (health.status === 'healthy') {
+    return `Healthy: ${health.path} returned HTTP ${health.statusCode} in ${health.latencyMs}ms`;
+  }
+
+  const detail = health.statusCode ? `HTTP ${health.statusCode}` : health.error || 'no response';
+  return `Unhealthy: ${health.path} returned ${detail}${health.snippet ? ` - ${health.snippet}` : ''}`;
+}
@@ -69,6 +69,10 @@ if (typeof window !== 'undefined') {
             startAll: async () => ({}),
             stopAll: async () => ({}),
             getResourceUsage: async () => ({ total: { cpu: 0, memory: 0 }, services: {} }),
+            getResourceHistory: async () => [],
+            getConfigOverride: async () => ({ content: '', lastWorkingContent: '', rejected: null }),
+            saveConfigOverride: async () => ({ success: true, applied: false, rolledBack: false }),
+            checkPort: async () => ({ available: true, reason: null, usedBy: null, owner: null }),
             getRunningVersions: async () => [],
             isVersionRunning: async () => false,
             getWebServerPorts: async () => ({}),
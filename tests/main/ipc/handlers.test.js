@@ -222,7 +222,7 @@ describe('IPC Handlers', () => {
             const serviceChannels = [
                 'services:getStatus', 'services:start', 'services:stop',
                 'services:restart', 'services:startAll', 'services:stopAll',
-                'services:getResourceUsage', 'services:getWebServerPorts',
+                'services:getResourceUsage', 'services:getResourceHistory', 'services:getConfigOverride', 'services:saveConfigOverride', 'services:checkPort', 'services:getWebServerPorts',
                 'services:getProjectLocalAccessPorts', 'services:getProjectNetworkPort', 'services:getRunningVersions',
                 'services:isVersionRunning',
             ];
@@ -263,6 +263,17 @@ describe('ProjectManager', () => {
             expect(updated.phpVersion).toBe('8.3');
         });
 
+        it('syncs .env changes for framework types that use one, with dotted keys matched literally', async () => {
+            const project = { id: 'abc1234', name: 'Ci', type: 'codeigniter4', phpVersion: '8.3', path: '/foo/ci', services: {}, environment: {} };
+            configStore.set('projects', [project]);
+            mgr.createVirtualHost = vi.fn().mockResolvedValue();
+            fs.readFile.mockResolvedValueOnce('app.baseURL=http://old/\nappXbaseURL=keep\n');
+
+            await mgr.updateProject('abc1234', { environment: { 'app.baseURL': 'http://ci.test/' } });
+
+            expect(fs.writeFile).toHaveBeenCalledWith(path.join('/foo/ci', '.env'), 'app.baseURL=http://ci.test/\nappXbaseURL=keep\n');
+        });
+
         it('rejects updating a project to a domain already reserved by another project', async () => {
             const project = { id: 'abc1234', name: 'OldName', type: 'static', phpVersion: '8.2', path: '/foo/old', domain: 'old.test', domains: ['old.test'], services: {} };
             const otherProject = { id: 'other', name: 'OtherProj', type: 'static', phpVersion: '8.2', path: '/foo/other', domain: 'dupe.test', domains: ['dupe.test'], services: {} };
@@ -315,6 +326,31 @@ describe('ProjectManager', () => {
             expect(mgr.startProject).not.toHaveBeenCalled();
         });
 
+        it('parks a stopped project behind on-demand activation when it is turned on', async () => {
+            const project = {
+                id: 'abc1234',
+                name: 'OldName',
+                type: 'laravel',
+                phpVersion: '8.2',
+                path: '/foo/old',
+                domain: 'example.test',
+                webServer: 'nginx',
+                webServerVersion: '1.28',
+                services: {},
+            };
+            configStore.set('projects', [project]);
+            mgr.stopProject = vi.fn().mockResolvedValue({ success: true });
+            mgr.parkOnDemandProject = vi.fn().mockResolvedValue();
+            mgr.ensureOnDemandWebServer = vi.fn().mockResolvedValue();
+
+            const updated = await mgr.updateProject('abc1234', { onDemand: true, idleTimeoutMinutes: '20' });
+
+            expect(updated).toEqual(expect.objectContaining({ onDemand: true, idleTimeoutMinutes: 20 }));
+            expect(mgr.stopProject).not.toHaveBeenCalled();
+            expect(mgr.parkOnDemandProject).toHaveBeenCalledWith(expect.objectContaining({ id: 'abc1234', onDemand: true }));
+            expect(mgr.ensureOnDemandWebServer).toHaveBeenCalled();
+        });
+
         it('can defer restart for restart-worthy project updates', async () => {
             const project = {
                 id: 'abc1234',
@@ -399,7 +435,7 @@ describe('ProjectManager', () => {
             const project = {
                 id: 'proj1',
                 name: 'Proj1',
-                type: 'static',
+                type: 'custom',
                 path: '/foo/proj',
                 domain: 'proj1.test',
                 services: {},
@@ -419,6 +455,30 @@ describe('ProjectManager', () => {
             expect(mgr.createVirtualHost).toHaveBeenCalled();
         });
 
+        it('starts a static site without a PHP worker after its build step', async () => {
+            const project = {
+                id: 'site1',
+                name: 'Site1',
+                type: 'static',
+                path: '/foo/site',
+                domain: 'site1.test',
+                buildCommand: 'npm run build',
+                services: {},
+                supervisor: { processes: [] }
+            };
+            configStore.set('projects', [project]);
+
+            mgr.startPhpCgi = vi.fn();
+            mgr.runProjectCommand = vi.fn().mockResolvedValue();
+            mgr.validateProjectBinaries = vi.fn().mockResolvedValue([]);
+
+            await mgr.startProject('site1');
+
+            expect(mgr.runProjectCommand).toHaveBeenCalledWith(expect.objectContaining({ id: 'site1' }), 'npm run build', { name: 'build' });
+            expect(mgr.startPhpCgi).not.toHaveBeenCalled();
+            expect(mgr.runningProjects.get('site1')).toEqual(expect.objectContaining({ phpCgiProcess: null }));
+        });
+
         it('stops a project and cleans up resources', async () => {
             const project = {
                 id: 'proj1',
@@ -548,6 +608,7 @@ describe('ProjectManager', () => {
             mgr.regenerateAllApacheVhosts = vi.fn().mockResolvedValue();
             mgr.syncProjectLocalProxy = vi.fn().mockResolvedValue(false);
             mgr.startProjectServices = vi.fn().mockResolvedValue({ success: true, started: ['apache:2.4'], failed: [], criticalFailures: [], errors: [] });
+            mgr.getPhpFpmBinaryPath = vi.fn().mockResolvedValue(null);
             mgr.addToHostsFile = vi.fn().mockResolvedValue();
 
             await mgr.startProject('proj-apache-lan');
@@ -1291,4 +1352,81 @@ describe('ProjectManager', () => {
         });
     });
 
+    // ═══════════════════════════════════════════════════════════════
+    // Reverse proxy project creation
+    // ═══════════════════════════════════════════════════════════════
+
+    describe('Reverse proxy project creation', () => {
+        beforeEach(() => {
+            vi.clearAllMocks();
+
+            // No PHP, Node.js or Python binaries are needed for a reverse proxy
+            vi.spyOn(fs, 'pathExists').mockResolvedValue(false);
+            vi.spyOn(fs, 'pathExistsSync').mockReturnValue(false);
+            vi.spyOn(fs, 'ensureDir').mockResolvedValue();
+            vi.spyOn(fs, 'readdir').mockResolvedValue([]);
+            vi.spyOn(fs, 'writeFile').mockResolvedValue();
+
+            mgr.createVirtualHost = vi.fn().mockResolvedValue();
+            mgr.runInstallation = vi.fn().mockResolvedValue();
+        });
+
+        it('creates a folderless project that only forwards to its upstream', async () => {
+            const created = await mgr.createProject({
+                name: 'Grafana',
+                type: 'proxy',
+                proxyUrl: 'http://127.0.0.1:3000/',
+                services: { mysql: true, redis: true },
+            });
+
+            expect(created).toEqual(expect.objectContaining({ path: '', proxyUrl: 'http://127.0.0.1:3000', domain: 'grafana.test' }));
+            expect(created.services.mysql).toBe(false);
+            expect(created.services.redis).toBe(false);
+            expect(created.supervisor.processes).toEqual([]);
+            expect(created.installing).toBeUndefined();
+            expect(mgr.createVirtualHost).toHaveBeenCalledWith(created);
+            expect(mgr.runInstallation).not.toHaveBeenCalled();
+        });
+
+        it('rejects reverse proxies without a valid upstream URL', async () => {
+            await expect(mgr.createProject({ name: 'NoUpstream', type: 'proxy' })).rejects.toThrow('Upstream URL is required');
+            await expect(mgr.createProject({ name: 'BadUpstream', type: 'proxy', proxyUrl: 'ftp://127.0.0.1' })).rejects.toThrow('must start with http://');
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════════
+    // Static site project creation
+    // ═══════════════════════════════════════════════════════════════
+
+    describe('Static site project creation', () => {
+        beforeEach(() => {
+            vi.clearAllMocks();
+
+            // No PHP binaries are needed for a static site
+            vi.spyOn(fs, 'pathExists').mockResolvedValue(false);
+            vi.spyOn(fs, 'pathExistsSync').mockReturnValue(false);
+            vi.spyOn(fs, 'ensureDir').mockResolvedValue();
+            vi.spyOn(fs, 'readdir').mockResolvedValue([]);
+            vi.spyOn(fs, 'writeFile').mockResolvedValue();
+
+            mgr.createVirtualHost = vi.fn().mockResolvedValue();
+            mgr.runInstallation = vi.fn().mockResolvedValue();
+        });
+
+        it('stores the SPA fallback and build command without installing anything', async () => {
+            const created = await mgr.createProject({
+                name: 'Landing',
+                type: 'static',
+                path: '/projects/landing',
+                spaFallback: true,
+                buildCommand: '  npm run build  ',
+            });
+
+            expect(created).toEqual(expect.objectContaining({ type: 'static', spaFallback: true, buildCommand: 'npm run build' }));
+            expect(created.supervisor.processes).toEqual([]);
+            expect(created.installing).toBeUndefined();
+            expect(mgr.runInstallation).not.toHaveBeenCalled();
+        });
+    });
+
 });
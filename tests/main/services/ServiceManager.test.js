@@ -242,6 +242,28 @@ describe('ServiceManager', () => {
             expect(cleanupSpy).not.toHaveBeenCalled();
         });
 
+        it('rolls back an untried custom config and starts once more when the service fails', async () => {
+            configStore.set('serviceConfigOverrides', {
+                redis: { '7.4': { content: 'maxmemory lots', lastWorkingContent: 'maxmemory 256mb', rejected: null } },
+            });
+            mgr.startRedis.mockRejectedValueOnce(new Error('Redis 7.4 exited before becoming ready'));
+            const cleanupSpy = vi.spyOn(mgr, 'cleanupFailedStart').mockResolvedValue();
+
+            const result = await mgr.startService('redis', '7.4');
+
+            expect(mgr.startRedis).toHaveBeenCalledTimes(2);
+            expect(cleanupSpy).toHaveBeenCalledWith('redis', '7.4');
+            expect(result).toMatchObject({
+                success: true,
+                configRolledBack: true,
+                configError: 'Redis 7.4 exited before becoming ready',
+            });
+            expect(mgr.getServiceConfigOverride('redis', '7.4')).toMatchObject({
+                content: 'maxmemory 256mb',
+                rejected: { content: 'maxmemory lots' },
+            });
+        });
+
         it('dispatches to Nginx', async () => {
             await mgr.startService('nginx', '1.26');
             expect(mgr.startNginx).toHaveBeenCalledWith('1.26');
@@ -343,6 +365,7 @@ describe('ServiceManager', () => {
             portUtils.isPortAvailable.mockResolvedValueOnce(false);
             portUtils.getProcessOnPort.mockResolvedValue({ pid: 6140, address: '127.0.0.1:3310' });
             vi.spyOn(mgr, 'checkPortOpen').mockResolvedValue(true);
+            vi.spyOn(mgr, 'checkMariaDbHealth').mockResolvedValue({ healthy: true, reason: null });
             vi.spyOn(mgr, 'ensureWindowsRuntimeDlls').mockResolvedValue();
 
             vi.spyOn(require('../../../src/main/utils/SpawnUtils'), 'getProcessDetailsByPid').mockResolvedValue({
@@ -892,6 +915,10 @@ describe('ServiceManager', () => {
             expect(config).toContain('Listen 0.0.0.0:8005');
             expect(config).not.toContain('Listen 0.0.0.0:8003');
             expect(config).not.toContain('Listen 0.0.0.0:8004');
+            // Health checks get their own path; unmatched hosts keep landing on the first project vhost
+            expect(config).not.toContain('<VirtualHost *:8084>');
+            expect(config).toContain('ProxyPass "/__devbox-health" "!"\nRedirect gone "/__devbox-health"\n');
+            expect(config.indexOf('Redirect gone')).toBeLessThan(config.indexOf('IncludeOptional'));
         });
     });
 
@@ -87,6 +87,30 @@ describe('cli/binaries', () => {
     process.env.PATH = originalPath;
   });
 
+  it('appends the project php.ini dir to PHP_INI_SCAN_DIR instead of replacing it', () => {
+    const originalScanDir = process.env.PHP_INI_SCAN_DIR;
+    const ctx = makeContext({
+      getPhpPath: vi.fn(() => null),
+      getComposerPath: vi.fn(() => null),
+      getActiveMysqlInfo: vi.fn(() => ({ dbType: 'mysql', version: '8.4' })),
+      getMysqlClientPath: vi.fn(() => null),
+      hasProjectPhpIniOverrides: vi.fn(() => true),
+      getProjectPhpIniDir: vi.fn(() => '/cli/php-ini/proj-1'),
+    });
+
+    delete process.env.PHP_INI_SCAN_DIR;
+    expect(ctx.buildProjectEnv({ id: 'proj-1' }).PHP_INI_SCAN_DIR).toBe(`${path.delimiter}/cli/php-ini/proj-1`);
+
+    process.env.PHP_INI_SCAN_DIR = '/etc/php/conf.d';
+    expect(ctx.buildProjectEnv({ id: 'proj-1' }).PHP_INI_SCAN_DIR).toBe(`/etc/php/conf.d${path.delimiter}/cli/php-ini/proj-1`);
+
+    if (originalScanDir === undefined) {
+      delete process.env.PHP_INI_SCAN_DIR;
+    } else {
+      process.env.PHP_INI_SCAN_DIR = originalScanDir;
+    }
+  });
+
   it('falls back to sqlite3 on non-Windows platforms', () => {
     const originalPlatform = process.platform;
     Object.defineProperty(process, 'platform', { value: 'darwin' });
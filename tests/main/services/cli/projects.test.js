@@ -76,6 +76,59 @@ describe('cli/projects', () => {
     );
   });
 
+  it('writes the port of the project database version for the mysql shims', async () => {
+    const ctx = makeContext({
+      managers: {
+        service: {
+          serviceConfigs: { mariadb: { defaultPort: 3310 } },
+          runningVersions: new Map(),
+          getVersionPort: vi.fn(() => 3420),
+        },
+      },
+    });
+    vi.spyOn(fs, 'ensureDir').mockResolvedValue(undefined);
+    const writeJsonSpy = vi.spyOn(fs, 'writeJson').mockResolvedValue(undefined);
+
+    await ctx.syncProjectsFile();
+
+    expect(ctx.managers.service.getVersionPort).toHaveBeenCalledWith('mariadb', '11.4', 3310);
+    expect(writeJsonSpy.mock.calls[0][1][path.normalize('C:/Sites/project-one')].mysqlPort).toBe(3420);
+  });
+
+  it('writes php.ini override scan dirs and removes stale ones', async () => {
+    const ctx = makeContext({
+      configStore: {
+        get: vi.fn((key, fallback) => (key === 'projects'
+          ? [
+            { id: 'proj-1', name: 'One', path: '/sites/one', phpIniOverrides: { memory_limit: '1G' } },
+            { id: 'proj-2', name: 'Two', path: '/sites/two', phpIniOverrides: {} },
+          ]
+          : fallback)),
+      },
+    });
+    vi.spyOn(fs, 'ensureDir').mockResolvedValue(undefined);
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    vi.spyOn(fs, 'readdir').mockResolvedValue(['proj-1', 'deleted-project']);
+    const removeSpy = vi.spyOn(fs, 'remove').mockResolvedValue(undefined);
+    const writeFileSpy = vi.spyOn(fs, 'writeFile').mockResolvedValue(undefined);
+    const writeJsonSpy = vi.spyOn(fs, 'writeJson').mockResolvedValue(undefined);
+
+    await ctx.syncProjectsFile();
+
+    expect(writeFileSpy).toHaveBeenCalledWith(
+      path.join('/cli', 'php-ini', 'proj-1', 'devbox-project.ini'),
+      expect.stringContaining('memory_limit = 1G'),
+      'utf8'
+    );
+    expect(writeFileSpy).toHaveBeenCalledTimes(1);
+    expect(removeSpy).toHaveBeenCalledWith(path.join('/cli', 'php-ini', 'deleted-project'));
+    expect(removeSpy).toHaveBeenCalledTimes(1);
+
+    const mappings = writeJsonSpy.mock.calls[0][1];
+    expect(mappings[path.normalize('/sites/one')].phpIniScanDir).toBe(path.join('/cli', 'php-ini', 'proj-1'));
+    expect(mappings[path.normalize('/sites/two')].phpIniScanDir).toBeNull();
+  });
+
   it('derives per-project mysql info before falling back to the active database setting', () => {
     const ctx = makeContext();
 
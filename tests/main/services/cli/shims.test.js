@@ -117,6 +117,13 @@ describe('cli/shims', () => {
       expect.stringContaining('set "COMPOSER_PATH=%DEVBOX_RESOURCES%\\composer\\composer.phar"'),
       'utf8'
     );
+    for (const shim of ['php.cmd', 'composer.cmd']) {
+      expect(writeFileSpy).toHaveBeenCalledWith(
+        path.join('C:/DevBox/cli', shim),
+        expect.stringContaining('set "PHP_INI_SCAN_DIR=%PHP_INI_SCAN_DIR%;%PROJECT_PHP_INI_DIR%"'),
+        'utf8'
+      );
+    }
     expect(writeFileSpy).toHaveBeenCalledWith(
       path.join('C:/DevBox/cli', 'pip.cmd'),
       expect.stringContaining('set "DEFAULT_PYTHON=3.13"'),
@@ -148,6 +155,11 @@ describe('cli/shims', () => {
       expect.stringContaining('if [ "$candidate_dir" != "$SCRIPT_DIR" ]; then'),
       'utf8'
     );
+    expect(writeFileSpy).toHaveBeenCalledWith(
+      path.join('/opt/devbox/cli', 'php'),
+      expect.stringContaining('export PHP_INI_SCAN_DIR="$PHP_INI_SCAN_DIR:$PROJECT_PHP_INI_DIR"'),
+      'utf8'
+    );
     expect(chmodSpy).toHaveBeenCalledWith(path.join('/opt/devbox/cli', 'php'), 0o755);
   });
 });
\ No newline at end of file
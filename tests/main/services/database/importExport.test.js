@@ -1,5 +1,7 @@
 import { describe, it, expect, vi } from 'vitest';
 
+const fs = require('fs-extra');
+
 require('../../../helpers/mockElectronCjs');
 const databaseImportExport = require('../../../../src/main/services/database/importExport');
 
@@ -86,4 +88,40 @@ describe('database/importExport', () => {
     expect(processed).not.toContain('GENERATED ALWAYS');
     expect(processed).toContain('PRIMARY KEY');
   });
-});
\ No newline at end of file
+
+  it('clones a database through a temporary dump and cleans it up', async () => {
+    const removeSpy = vi.spyOn(fs, 'remove').mockResolvedValue(undefined);
+    const context = {
+      ...makeContext(),
+      sanitizeName: (name) => name,
+      exportDatabase: vi.fn(async (name, outputPath) => ({ success: true, path: outputPath })),
+      createDatabase: vi.fn().mockResolvedValue({ success: true }),
+      importDatabase: vi.fn().mockResolvedValue({ success: true }),
+    };
+
+    const result = await databaseImportExport.cloneDatabase.call(context, 'shop', 'shop_copy');
+
+    const dumpPath = context.exportDatabase.mock.calls[0][1];
+    expect(dumpPath).toMatch(/devbox-clone-.+\.sql\.gz$/);
+    expect(context.createDatabase).toHaveBeenCalledWith('shop_copy');
+    expect(context.importDatabase).toHaveBeenCalledWith('shop_copy', dumpPath, null, 'clean');
+    expect(removeSpy).toHaveBeenCalledWith(dumpPath);
+    expect(result).toEqual({ success: true, name: 'shop_copy' });
+    removeSpy.mockRestore();
+  });
+
+  it('does not create the target database when the export is cancelled', async () => {
+    const removeSpy = vi.spyOn(fs, 'remove').mockResolvedValue(undefined);
+    const context = {
+      ...makeContext(),
+      exportDatabase: vi.fn().mockResolvedValue({ success: false, cancelled: true }),
+      createDatabase: vi.fn(),
+      importDatabase: vi.fn(),
+    };
+
+    await expect(databaseImportExport.cloneDatabase.call(context, 'shop', 'shop_copy')).rejects.toThrow("Export of 'shop' was cancelled");
+    expect(context.createDatabase).not.toHaveBeenCalled();
+    expect(removeSpy).toHaveBeenCalledOnce();
+    removeSpy.mockRestore();
+  });
+});
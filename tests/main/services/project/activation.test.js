@@ -0,0 +1,182 @@
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const fs = require('fs-extra');
+const activation = require('../../../../src/main/services/project/activation');
+
+function makeContext(projects, overrides = {}) {
+  return {
+    ...activation,
+    configStore: { get: vi.fn((key, fallback) => (key === 'projects' ? projects : fallback)) },
+    managers: { log: { project: vi.fn(), systemWarn: vi.fn() } },
+    runningProjects: new Map(),
+    startingProjects: new Set(),
+    activationServer: null,
+    activationPort: null,
+    activatingProjects: new Map(),
+    activationFailures: new Map(),
+    getProject: vi.fn((id) => projects.find((project) => project.id === id)),
+    getEffectiveWebServer: vi.fn(() => 'nginx'),
+    getEffectiveWebServerVersion: vi.fn(() => '1.28'),
+    startProject: vi.fn().mockResolvedValue({ success: true }),
+    stopProject: vi.fn().mockResolvedValue({ success: true }),
+    createVirtualHost: vi.fn().mockResolvedValue(undefined),
+    ...overrides,
+  };
+}
+
+function request(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        body += chunk;
+      });
+      response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('project/activation', () => {
+  const project = { id: 'shop', name: 'Shop', domain: 'shop.test', onDemand: true };
+  let ctx;
+
+  afterEach(async () => {
+    await ctx?.stopActivationServer();
+  });
+
+  it('starts a requested project once and serves a page that reloads into the site', async () => {
+    let finishStart;
+    ctx = makeContext([project], {
+      startProject: vi.fn(() => new Promise((resolve) => {
+        finishStart = resolve;
+      })),
+    });
+    const port = await ctx.ensureActivationServer();
+
+    const first = await request(port, '/shop/cart?item=1');
+    const second = await request(port, '/shop/cart?item=1');
+
+    expect(first.statusCode).toBe(503);
+    expect(first.headers['retry-after']).toBe('2');
+    expect(first.body).toContain('<meta http-equiv="refresh" content="2">');
+    expect(first.body).toContain('Starting Shop…');
+    expect(second.statusCode).toBe(503);
+    expect(ctx.startProject).toHaveBeenCalledTimes(1);
+    expect(ctx.startProject).toHaveBeenCalledWith('shop');
+    finishStart({ success: true });
+  });
+
+  it('shows why a project could not be started and retries on the next request', async () => {
+    ctx = makeContext([project], { startProject: vi.fn().mockRejectedValue(new Error('Missing required binaries: PHP 8.3')) });
+    const port = await ctx.ensureActivationServer();
+
+    await request(port, '/shop/');
+    await vi.waitFor(() => expect(ctx.activationFailures.has('shop')).toBe(true));
+    const failed = await request(port, '/shop/');
+    const retried = await request(port, '/shop/');
+
+    expect(failed.statusCode).toBe(502);
+    expect(failed.body).toContain('Missing required binaries: PHP 8.3');
+    expect(failed.body).not.toContain('http-equiv="refresh"');
+    expect(retried.statusCode).toBe(503);
+    expect(ctx.startProject).toHaveBeenCalledTimes(2);
+  });
+
+  it('answers a malformed request path instead of leaving it hanging', async () => {
+    ctx = makeContext([project]);
+    const port = await ctx.ensureActivationServer();
+
+    const response = await request(port, '/%E0%A4%A/cart');
+
+    expect(response.statusCode).toBe(400);
+    expect(ctx.startProject).not.toHaveBeenCalled();
+  });
+
+  it('does not start projects that are not on demand', async () => {
+    ctx = makeContext([{ ...project, onDemand: false }]);
+    const port = await ctx.ensureActivationServer();
+
+    const response = await request(port, '/shop/');
+
+    expect(response.statusCode).toBe(404);
+    expect(ctx.startProject).not.toHaveBeenCalled();
+  });
+
+  it('points the vhost of a stopped project at its activation URL', async () => {
+    ctx = makeContext([project]);
+
+    await ctx.parkOnDemandProject({ ...project, type: 'laravel', routes: [{ path: '/api', type: 'php' }] });
+
+    expect(ctx.createVirtualHost).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'shop',
+      type: 'proxy',
+      proxyUrl: `http://127.0.0.1:${ctx.activationPort}/shop`,
+      routes: [],
+    }), null, '1.28');
+  });
+
+  it('keeps the web server of on-demand projects running', () => {
+    ctx = makeContext([project, { id: 'blog', webServer: 'apache' }]);
+
+    expect(ctx.isServiceNeededForActivation({ name: 'nginx', version: '1.28' })).toBe(true);
+    expect(ctx.isServiceNeededForActivation({ name: 'mysql', version: '8.4' })).toBe(false);
+  });
+
+  it('validates idle timeouts', () => {
+    ctx = makeContext([]);
+
+    expect(ctx.normalizeIdleTimeoutMinutes('15')).toBe(15);
+    expect(ctx.normalizeIdleTimeoutMinutes('')).toBe(0);
+    expect(() => ctx.normalizeIdleTimeoutMinutes('1.5')).toThrow('Invalid idle timeout "1.5"');
+  });
+
+  describe('idle timeout', () => {
+    let dataPath;
+    let accessLog;
+
+    beforeEach(async () => {
+      dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'devbox-idle-'));
+      accessLog = path.join(dataPath, 'nginx', 'logs', 'shop-access.log');
+      await fs.outputFile(accessLog, '127.0.0.1 - - "GET / HTTP/1.1" 200 12 "-" "Mozilla/5.0"\n');
+    });
+
+    afterEach(async () => {
+      await fs.remove(dataPath);
+    });
+
+    it('stops a project once only health checks reached it for the idle timeout', async () => {
+      const running = {};
+      ctx = makeContext([{ ...project, idleTimeoutMinutes: 10 }], {
+        runningProjects: new Map([['shop', running]]),
+        getDataPath: vi.fn(() => dataPath),
+      });
+
+      await ctx.hasProjectTraffic(ctx.getProject('shop'), running);
+      running.lastRequestAt = Date.now() - 11 * 60000;
+      await fs.appendFile(accessLog, '127.0.0.1 - - "GET / HTTP/1.1" 200 2 "-" "DevBoxPro-HealthCheck"\n');
+
+      await expect(ctx.checkProjectIdle('shop')).resolves.toBe(true);
+      expect(ctx.stopProject).toHaveBeenCalledWith('shop');
+    });
+
+    it('keeps a project running while it receives requests', async () => {
+      const running = {};
+      ctx = makeContext([{ ...project, idleTimeoutMinutes: 10 }], {
+        runningProjects: new Map([['shop', running]]),
+        getDataPath: vi.fn(() => dataPath),
+      });
+
+      await ctx.hasProjectTraffic(ctx.getProject('shop'), running);
+      running.lastRequestAt = Date.now() - 11 * 60000;
+      await fs.appendFile(accessLog, '127.0.0.1 - - "GET /cart HTTP/1.1" 200 40 "-" "Mozilla/5.0"\n');
+
+      await expect(ctx.checkProjectIdle('shop')).resolves.toBe(false);
+      expect(running.lastRequestAt).toBeGreaterThan(Date.now() - 1000);
+      expect(ctx.stopProject).not.toHaveBeenCalled();
+    });
+  });
+});
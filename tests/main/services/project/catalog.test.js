@@ -5,6 +5,8 @@ require('../../../helpers/mockElectronCjs');
 
 const fs = require('fs-extra');
 const catalog = require('../../../../src/main/services/project/catalog');
+const manifest = require('../../../../src/main/services/project/manifest');
+const phpCgiSupervisor = require('../../../../src/main/services/project/phpCgiSupervisor');
 
 function makeContext(overrides = {}) {
   return {
@@ -25,6 +27,10 @@ function makeContext(overrides = {}) {
     },
     runningProjects: new Map(),
     ...catalog,
+    ...manifest,
+    isProjectDegraded: phpCgiSupervisor.isProjectDegraded,
+    getProjectDomains: vi.fn((project) => project.domains || [project.domain]),
+    updateProjectInStore: vi.fn(),
     ...overrides,
   };
 }
@@ -48,6 +54,19 @@ describe('project/catalog', () => {
     ]);
   });
 
+  it('flags running projects whose PHP-CGI restarts are exhausted as degraded', () => {
+    const ctx = makeContext({
+      configStore: {
+        get: vi.fn(() => [{ id: 'proj-1', name: 'One' }]),
+      },
+      runningProjects: new Map([['proj-1', { startedAt: new Date(), phpCgiStatus: 'degraded' }]]),
+    });
+
+    expect(ctx.getAllProjects()).toEqual([
+      { id: 'proj-1', name: 'One', isRunning: true, status: 'degraded' },
+    ]);
+  });
+
   it('exports project configuration with enabled PHP extensions only', async () => {
     const ctx = makeContext({
       getProject: vi.fn(() => ({
@@ -76,6 +95,10 @@ describe('project/catalog', () => {
       }),
       { spaces: 2 }
     );
+    expect(ctx.updateProjectInStore).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'proj-1',
+      manifestHash: expect.any(String),
+    }));
   });
 
   it('detects Symfony projects from composer.json', async () => {
@@ -86,6 +109,28 @@ describe('project/catalog', () => {
     await expect(ctx.detectProjectType('/symfony-app')).resolves.toBe('symfony');
   });
 
+  it('detects framework presets before the Laravel check', async () => {
+    const ctx = makeContext();
+    vi.spyOn(fs, 'pathExists').mockImplementation(async (targetPath) => targetPath.endsWith('composer.json'));
+    vi.spyOn(fs, 'readJson').mockResolvedValue({ require: { 'laravel/framework': '^11.0', 'statamic/cms': '^5.0' } });
+
+    await expect(ctx.detectProjectType('/statamic-app')).resolves.toBe('statamic');
+  });
+
+  it('detects framework presets from marker files without composer.json', async () => {
+    const ctx = makeContext();
+    vi.spyOn(fs, 'pathExists').mockImplementation(async (targetPath) => targetPath.endsWith(path.join('administrator', 'manifests', 'files', 'joomla.xml')));
+
+    await expect(ctx.detectProjectType('/joomla-site')).resolves.toBe('joomla');
+  });
+
+  it('detects plain HTML folders as static sites', async () => {
+    const ctx = makeContext({ looksLikePhpProject: vi.fn().mockResolvedValue(false) });
+    vi.spyOn(fs, 'pathExists').mockImplementation(async (targetPath) => targetPath.endsWith('index.html'));
+
+    await expect(ctx.detectProjectType('/landing')).resolves.toBe('static');
+  });
+
   it('merges devbox.json overrides during path detection', async () => {
     const ctx = makeContext();
     vi.spyOn(fs, 'pathExists').mockImplementation(async (targetPath) => targetPath.endsWith('devbox.json'));
@@ -0,0 +1,75 @@
+import os from 'os';
+import { EventEmitter } from 'events';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const commands = require('../../../../src/main/services/project/commands');
+
+function makeProcess() {
+  const proc = new EventEmitter();
+  proc.pid = 4321;
+  proc.stdout = new EventEmitter();
+  proc.stderr = new EventEmitter();
+  return proc;
+}
+
+function makeContext(proc) {
+  return {
+    ...commands,
+    managers: {
+      supervisor: {
+        resolveProcessCommand: vi.fn().mockResolvedValue({ command: '/node/20/npm', args: ['run', 'build'], env: { PATH: '/node/20' } }),
+        spawnHidden: vi.fn(() => proc),
+      },
+      log: { project: vi.fn() },
+    },
+  };
+}
+
+describe('project/commands', () => {
+  const project = { id: 'site', path: '/projects/site', services: { nodejsVersion: '20' } };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('runs the command with the managed runtime in the project folder and logs its output', async () => {
+    const proc = makeProcess();
+    const ctx = makeContext(proc);
+
+    const run = ctx.runProjectCommand(project, 'npm run build', { name: 'build' });
+    await vi.waitFor(() => expect(ctx.managers.supervisor.spawnHidden).toHaveBeenCalled());
+    proc.stdout.emit('data', Buffer.from('built in 1.2s'));
+    proc.emit('exit', 0);
+    await run;
+
+    expect(ctx.managers.supervisor.resolveProcessCommand).toHaveBeenCalledWith(project, { name: 'build', command: 'npm run build' });
+    expect(ctx.managers.supervisor.spawnHidden).toHaveBeenCalledWith('/node/20/npm', ['run', 'build'], expect.objectContaining({
+      cwd: '/projects/site',
+      env: { PATH: '/node/20' },
+    }));
+    expect(ctx.managers.log.project).toHaveBeenCalledWith('site', '[build] built in 1.2s');
+  });
+
+  it('rejects when the command fails', async () => {
+    const proc = makeProcess();
+    const ctx = makeContext(proc);
+
+    const run = ctx.runProjectCommand(project, 'npm run build', { name: 'build' });
+    await vi.waitFor(() => expect(ctx.managers.supervisor.spawnHidden).toHaveBeenCalled());
+    proc.emit('exit', 1);
+
+    await expect(run).rejects.toThrow('"npm run build" exited with code 1');
+  });
+
+  it('runs shell commands with the project environment of the CLI', async () => {
+    const ctx = makeContext(makeProcess());
+    ctx.managers.cli = { buildProjectEnv: vi.fn(() => ({ ...process.env, DEVBOX_HOOK: 'ok' })) };
+    const shellProject = { id: 'site', path: os.tmpdir() };
+
+    await ctx.runProjectShellCommand(shellProject, `"${process.execPath}" -e "console.log(process.env.DEVBOX_HOOK)" && echo done`, { name: 'pre-start' });
+
+    expect(ctx.managers.cli.buildProjectEnv).toHaveBeenCalledWith(shellProject);
+    expect(ctx.managers.log.project).toHaveBeenCalledWith('site', expect.stringMatching(/^\[pre-start\] ok/));
+    await expect(ctx.runProjectShellCommand(shellProject, 'exit 3')).rejects.toThrow('"exit 3" exited with code 3');
+  });
+});
@@ -5,6 +5,7 @@ require('../../../helpers/mockElectronCjs');
 
 const fs = require('fs-extra');
 const discovery = require('../../../../src/main/services/project/discovery');
+const manifest = require('../../../../src/main/services/project/manifest');
 
 function makeContext(overrides = {}) {
   return {
@@ -18,6 +19,7 @@ function makeContext(overrides = {}) {
     },
     managers: {
       log: {
+        project: vi.fn(),
         systemError: vi.fn(),
         systemWarn: vi.fn(),
       },
@@ -42,6 +44,14 @@ function makeContext(overrides = {}) {
     updateHostsFile: vi.fn().mockResolvedValue({ success: true }),
     ensureCliInstalled: vi.fn().mockResolvedValue(undefined),
     getResourcesPath: vi.fn(() => '/resources'),
+    readProjectManifest: vi.fn().mockResolvedValue(null),
+    getManifestHash: manifest.getManifestHash,
+    getProjectDomains: vi.fn((project) => project.domains || [project.domain]),
+    getProjectUpdatesFromManifest: manifest.getProjectUpdatesFromManifest,
+    mergeManifestSupervisorProcesses: manifest.mergeManifestSupervisorProcesses,
+    applyManifestPhpExtensions: vi.fn().mockResolvedValue([]),
+    createManifestDatabases: vi.fn().mockResolvedValue([]),
+    watchProjectManifest: vi.fn(),
     ...overrides,
   };
 }
@@ -136,6 +146,135 @@ describe('project/discovery', () => {
     ]));
   });
 
+  it('registers python projects with a python-app process and sets up the virtualenv', async () => {
+    const ctx = makeContext({
+      configStore: {
+        get: vi.fn((key) => {
+          if (key === 'settings') return { defaultTld: 'test', webServer: 'nginx', portRangeStart: 8000 };
+          if (key === 'projects') return [{ id: 'p-1', name: 'Api', path: '/projects/api', type: 'python', pythonPort: 8000 }];
+          return undefined;
+        }),
+        set: vi.fn(),
+      },
+      detectProjectType: vi.fn().mockResolvedValue('python'),
+      detectPythonFramework: vi.fn().mockResolvedValue('django'),
+      getPythonStartCommand: vi.fn((framework, port) => `${framework} on ${port}`),
+      installPythonFramework: vi.fn().mockResolvedValue(undefined),
+    });
+
+    const result = await ctx.registerExistingProject({
+      name: 'Shop',
+      path: '/projects/shop',
+      services: {},
+    });
+
+    expect(result.type).toBe('python');
+    expect(result.pythonPort).toBe(8001);
+    expect(result.pythonFramework).toBe('django');
+    expect(result.services.python).toBe(true);
+    expect(result.supervisor.processes).toEqual([
+      expect.objectContaining({
+        name: 'python-app',
+        command: 'django on 8001',
+        environment: { PORT: '8001' },
+      }),
+    ]);
+    expect(ctx.installPythonFramework).toHaveBeenCalledWith(result, null, { scaffold: false });
+  });
+
+  it('waits for the virtualenv of an imported python project and reports when it fails', async () => {
+    const ctx = makeContext({
+      configStore: {
+        get: vi.fn((key) => (key === 'settings' ? { defaultTld: 'test', webServer: 'nginx', portRangeStart: 8000 } : key === 'projects' ? [] : undefined)),
+        set: vi.fn(),
+      },
+      detectProjectType: vi.fn().mockResolvedValue('python'),
+      detectPythonFramework: vi.fn().mockResolvedValue(''),
+      getPythonStartCommand: vi.fn(() => 'python app.py'),
+      installPythonFramework: vi.fn().mockRejectedValue(new Error('Python 3.13 is not installed.')),
+    });
+    const mainWindow = { isDestroyed: () => false, webContents: { send: vi.fn() } };
+
+    await expect(ctx.registerExistingProject({ name: 'Api', path: '/projects/api', services: {} }, mainWindow))
+      .rejects.toThrow('Api was imported, but its Python virtualenv could not be set up: Python 3.13 is not installed.');
+    expect(ctx.installPythonFramework).toHaveBeenCalledWith(expect.objectContaining({ name: 'Api' }), mainWindow, { scaffold: false });
+  });
+
+  it('applies devbox.json domains, supervisor processes, extensions and databases on import', async () => {
+    const existingProjects = [];
+    const devboxManifest = {
+      name: 'Team App',
+      domains: ['team-app.test', 'api.team-app.test'],
+      supervisor: {
+        processes: [{ name: 'scheduler', command: 'php artisan schedule:work', autostart: true }],
+      },
+      phpExtensions: ['redis'],
+      databases: ['team_app', 'team_app_testing'],
+    };
+    const ctx = makeContext({
+      configStore: {
+        get: vi.fn((key) => {
+          if (key === 'settings') return { defaultTld: 'test', webServer: 'nginx', portRangeStart: 8000 };
+          if (key === 'projects') return existingProjects;
+          return undefined;
+        }),
+        set: vi.fn(),
+      },
+      readProjectManifest: vi.fn().mockResolvedValue(devboxManifest),
+    });
+
+    const result = await ctx.registerExistingProject({
+      name: 'Team App',
+      path: '/projects/team-app',
+      phpVersion: '8.4',
+      ssl: true,
+    });
+
+    expect(result.domains).toEqual(['team-app.test', 'api.team-app.test']);
+    expect(result.supervisor.processes).toEqual([
+      expect.objectContaining({ name: 'scheduler', command: 'php artisan schedule:work' }),
+    ]);
+    expect(result.manifestHash).toBe(manifest.getManifestHash(devboxManifest));
+    expect(ctx.managers.ssl.createCertificate).toHaveBeenCalledWith(['team-app.test', 'api.team-app.test']);
+    expect(ctx.applyManifestPhpExtensions).toHaveBeenCalledWith('8.4', ['redis']);
+    expect(ctx.createManifestDatabases).toHaveBeenCalledWith(result, ['team_app', 'team_app_testing']);
+    expect(ctx.watchProjectManifest).toHaveBeenCalledWith(result);
+  });
+
+  it('takes PHP version, web server and services from devbox.json on import', async () => {
+    const existingProjects = [];
+    const ctx = makeContext({
+      configStore: {
+        get: vi.fn((key) => {
+          if (key === 'settings') return { defaultTld: 'test', webServer: 'nginx', portRangeStart: 8000 };
+          if (key === 'projects') return existingProjects;
+          return undefined;
+        }),
+        set: vi.fn(),
+      },
+      getDefaultWebServerVersion: vi.fn((webServer) => (webServer === 'apache' ? '2.4' : '1.28')),
+      readProjectManifest: vi.fn().mockResolvedValue({
+        phpVersion: '8.2',
+        webServer: 'apache',
+        services: { redis: true, redisVersion: '7.2', mariadb: true, mariadbVersion: '10.11' },
+      }),
+    });
+
+    const result = await ctx.registerExistingProject({
+      name: 'Team App',
+      path: '/projects/team-app',
+      phpVersion: '8.4',
+    });
+
+    expect(result).toMatchObject({ phpVersion: '8.2', webServer: 'apache', webServerVersion: '2.4' });
+    expect(result.services).toMatchObject({ redis: true, redisVersion: '7.2', mariadb: true, mariadbVersion: '10.11', mysql: false });
+    expect(ctx.getDefaultEnvironment).toHaveBeenCalledWith('laravel', 'Team App', 8000, expect.objectContaining({
+      services: expect.objectContaining({ mariadb: true, mariadbVersion: '10.11', redisVersion: '7.2' }),
+    }));
+    expect(ctx.managers.database.createDatabase).toHaveBeenCalledWith('team_app', '10.11');
+    expect(ctx.applyManifestPhpExtensions).toHaveBeenCalledWith('8.2', undefined);
+  });
+
   it('disables SSL for imported projects after certificate retry failure', async () => {
     vi.useFakeTimers();
 
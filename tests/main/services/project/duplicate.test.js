@@ -0,0 +1,257 @@
+import path from 'path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const fs = require('fs-extra');
+const duplicate = require('../../../../src/main/services/project/duplicate');
+const catalog = require('../../../../src/main/services/project/catalog');
+const hosts = require('../../../../src/main/services/project/hosts');
+
+function makeSource(overrides = {}) {
+  return {
+    id: 'proj-1',
+    name: 'Shop',
+    path: path.join('/projects', 'shop'),
+    type: 'laravel',
+    port: 8000,
+    sslPort: 443,
+    domain: 'shop.test',
+    domains: ['shop.test', 'www.shop.test'],
+    ssl: true,
+    autoStart: true,
+    shareOnInternet: true,
+    services: { mysql: true, mysqlVersion: '8.4' },
+    environment: {
+      APP_NAME: 'Shop',
+      APP_URL: 'http://localhost:8000',
+      SESSION_DOMAIN: 'shop.test',
+      ASSET_URL: 'https://cdn.myshop.test',
+      DB_DATABASE: 'shop',
+      DB_PORT: '3306',
+    },
+    supervisor: { workers: 1, processes: [] },
+    ...overrides,
+  };
+}
+
+function makeContext(source, otherProjects = []) {
+  const store = { projects: [source, ...otherProjects], settings: {} };
+
+  return {
+    ...duplicate,
+    findProjectByName: catalog.findProjectByName,
+    findProjectByPath: catalog.findProjectByPath,
+    sanitizeDatabaseName: catalog.sanitizeDatabaseName,
+    validateDomainName: hosts.validateDomainName,
+    store,
+    configStore: {
+      get: vi.fn((key, fallback) => (key in store ? store[key] : fallback)),
+      set: vi.fn((key, value) => {
+        store[key] = value;
+      }),
+    },
+    managers: {
+      database: {
+        getActiveDatabaseType: vi.fn(() => 'postgresql'),
+        getActiveDatabaseVersion: vi.fn(() => '17'),
+        setActiveDatabaseType: vi.fn().mockResolvedValue(undefined),
+        deleteDatabase: vi.fn().mockResolvedValue({ success: true }),
+        cloneDatabase: vi.fn().mockResolvedValue({ success: true }),
+        runQuery: vi.fn().mockResolvedValue([]),
+      },
+      ssl: { createCertificate: vi.fn().mockResolvedValue(undefined) },
+      log: { project: vi.fn(), systemWarn: vi.fn(), systemError: vi.fn() },
+    },
+    getProject: vi.fn((id) => store.projects.find((project) => project.id === id)),
+    assertProjectDomainsAvailable: vi.fn(),
+    syncEnvFile: vi.fn().mockResolvedValue(undefined),
+    updateHostsFile: vi.fn().mockResolvedValue({ success: true }),
+    createVirtualHost: vi.fn().mockResolvedValue(undefined),
+    watchProjectManifest: vi.fn(),
+    syncCliProjectsFile: vi.fn().mockResolvedValue(undefined),
+  };
+}
+
+function mockSourceFiles(files = {}) {
+  vi.spyOn(fs, 'pathExists').mockImplementation(async (filePath) => filePath.startsWith(path.join('/projects', 'shop'))
+    && (filePath === path.join('/projects', 'shop') || filePath in files));
+  vi.spyOn(fs, 'ensureDir').mockResolvedValue(undefined);
+  vi.spyOn(fs, 'copy').mockResolvedValue(undefined);
+  vi.spyOn(fs, 'readFile').mockImplementation(async (filePath) => files[filePath.replace(path.join('/projects', 'shop-copy'), path.join('/projects', 'shop'))] ?? '');
+  vi.spyOn(fs, 'writeFile').mockResolvedValue(undefined);
+}
+
+describe('project/duplicate', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('copies files, clones the database and registers the copy under a new domain', async () => {
+    const source = makeSource();
+    const ctx = makeContext(source);
+    mockSourceFiles({ [path.join('/projects', 'shop', '.env')]: 'APP_NAME=Shop\n' });
+    fs.pathExists.mockImplementation(async (filePath) => filePath === source.path || filePath === path.join('/projects', 'shop-copy', '.env'));
+
+    const project = await ctx.duplicateProject('proj-1', {
+      name: 'Shop Copy',
+      path: path.join('/projects', 'shop-copy'),
+      domain: 'shop-copy.test',
+    });
+
+    expect(fs.copy).toHaveBeenCalledWith(source.path, path.join('/projects', 'shop-copy'), expect.objectContaining({ errorOnExist: true }));
+    expect(ctx.managers.database.setActiveDatabaseType.mock.calls).toEqual([['mysql', '8.4'], ['postgresql', '17']]);
+    expect(ctx.managers.database.cloneDatabase).toHaveBeenCalledWith('shop', 'shop_copy', expect.any(Function));
+    expect(project).toEqual(expect.objectContaining({
+      name: 'Shop Copy',
+      port: 8001,
+      domain: 'shop-copy.test',
+      domains: ['shop-copy.test'],
+      autoStart: false,
+      duplicatedFrom: 'proj-1',
+    }));
+    expect(project.id).not.toBe('proj-1');
+    expect(project).not.toHaveProperty('shareOnInternet');
+    expect(project.environment).toEqual({
+      APP_NAME: 'Shop Copy',
+      APP_URL: 'http://localhost:8001',
+      SESSION_DOMAIN: 'shop-copy.test',
+      ASSET_URL: 'https://cdn.myshop.test',
+      DB_DATABASE: 'shop_copy',
+      DB_PORT: '3306',
+    });
+    expect(ctx.syncEnvFile).toHaveBeenCalledWith(project);
+    expect(ctx.managers.ssl.createCertificate).toHaveBeenCalledWith(['shop-copy.test']);
+    expect(ctx.createVirtualHost).toHaveBeenCalledWith(project);
+    expect(ctx.store.projects).toHaveLength(2);
+    // The source project is left untouched
+    expect(source.environment.DB_DATABASE).toBe('shop');
+  });
+
+  it('skips top-level dependency folders when asked', async () => {
+    const source = makeSource({ services: {} });
+    const ctx = makeContext(source);
+    mockSourceFiles();
+
+    await ctx.duplicateProject('proj-1', {
+      name: 'Shop Copy',
+      path: path.join('/projects', 'shop-copy'),
+      skipDependencies: true,
+    });
+
+    const { filter } = fs.copy.mock.calls[0][2];
+    expect(filter(path.join(source.path, 'vendor'))).toBe(false);
+    expect(filter(path.join(source.path, 'node_modules'))).toBe(false);
+    expect(filter(path.join(source.path, 'public', 'vendor'))).toBe(true);
+    expect(filter(path.join(source.path, 'app'))).toBe(true);
+    expect(ctx.managers.database.cloneDatabase).not.toHaveBeenCalled();
+    expect(ctx.store.projects[1].domain).toBe('shop-copy.test');
+  });
+
+  it('moves backend apps to a free port and rewrites their start commands', async () => {
+    const source = makeSource({
+      type: 'python',
+      services: { python: true },
+      environment: {},
+      pythonPort: 8000,
+      pythonStartCommand: 'python manage.py runserver 127.0.0.1:8000',
+      supervisor: {
+        workers: 1,
+        processes: [{ name: 'python-app', command: 'python manage.py runserver 127.0.0.1:8000', environment: { PORT: '8000' } }],
+      },
+    });
+    const ctx = makeContext(source, [{ id: 'proj-2', name: 'Api', path: '/projects/api', port: 8002, nodePort: 8001 }]);
+    mockSourceFiles();
+
+    const project = await ctx.duplicateProject('proj-1', { name: 'Shop Copy', path: path.join('/projects', 'shop-copy') });
+
+    expect(project.pythonPort).toBe(8002);
+    expect(project.pythonStartCommand).toBe('python manage.py runserver 127.0.0.1:8002');
+    expect(project.supervisor.processes[0]).toEqual(expect.objectContaining({
+      command: 'python manage.py runserver 127.0.0.1:8002',
+      environment: { PORT: '8002' },
+    }));
+    expect(source.supervisor.processes[0].command).toBe('python manage.py runserver 127.0.0.1:8000');
+  });
+
+  it('points a WordPress copy at its cloned database and domain', async () => {
+    const wpConfig = "<?php\ndefine( 'DB_NAME', 'shop_wp' );\ndefine( 'WP_HOME', 'https://shop.test' );\n$table_prefix = 'shop_';\n";
+    const source = makeSource({ type: 'wordpress', environment: {} });
+    const ctx = makeContext(source);
+    mockSourceFiles({ [path.join('/projects', 'shop', 'wp-config.php')]: wpConfig });
+    fs.pathExists.mockImplementation(async (filePath) => [source.path, path.join('/projects', 'shop-copy', 'wp-config.php')].includes(filePath));
+
+    await ctx.duplicateProject('proj-1', { name: 'Shop Copy', path: path.join('/projects', 'shop-copy') });
+
+    expect(ctx.managers.database.cloneDatabase).toHaveBeenCalledWith('shop_wp', 'shop_copy', expect.any(Function));
+    expect(fs.writeFile).toHaveBeenCalledWith(
+      path.join('/projects', 'shop-copy', 'wp-config.php'),
+      "<?php\ndefine( 'DB_NAME', 'shop_copy' );\ndefine( 'WP_HOME', 'https://shop-copy.test' );\n$table_prefix = 'shop_';\n"
+    );
+    expect(ctx.managers.database.runQuery).toHaveBeenCalledWith(
+      'shop_copy',
+      "UPDATE `shop_options` SET option_value = REPLACE(option_value, 'shop.test', 'shop-copy.test') WHERE option_name IN ('siteurl', 'home')"
+    );
+    expect(ctx.syncEnvFile).not.toHaveBeenCalled();
+  });
+
+  it('keeps the copy when the database cannot be cloned', async () => {
+    const source = makeSource();
+    const ctx = makeContext(source);
+    mockSourceFiles();
+    ctx.managers.database.cloneDatabase.mockRejectedValue(new Error('mysqldump not found'));
+
+    const project = await ctx.duplicateProject('proj-1', { name: 'Shop Copy', path: path.join('/projects', 'shop-copy') });
+
+    expect(project.environment.DB_DATABASE).toBe('shop_copy');
+    expect(ctx.managers.log.systemWarn).toHaveBeenCalledWith('Could not clone database while duplicating project', expect.objectContaining({
+      error: 'mysqldump not found',
+    }));
+    expect(ctx.store.projects).toHaveLength(2);
+  });
+
+  it('rejects duplicate names and existing destinations', async () => {
+    const source = makeSource();
+    const ctx = makeContext(source);
+    mockSourceFiles();
+
+    await expect(ctx.duplicateProject('proj-1', { name: 'shop', path: path.join('/projects', 'other') }))
+      .rejects.toThrow('A project with the name "shop" already exists.');
+    await expect(ctx.duplicateProject('proj-1', { name: 'Shop Copy', path: source.path }))
+      .rejects.toThrow('Destination path already exists');
+    await expect(ctx.duplicateProject('proj-1', { name: 'Shop Copy', path: path.join('/projects', 'x'), domain: 'bad domain' }))
+      .rejects.toThrow('Invalid domain name');
+    expect(fs.copy).not.toHaveBeenCalled();
+  });
+
+  it('removes a partial copy when copying files fails', async () => {
+    const ctx = makeContext(makeSource());
+    mockSourceFiles();
+    fs.copy.mockRejectedValue(new Error('ENOSPC'));
+    const removeSpy = vi.spyOn(fs, 'remove').mockResolvedValue(undefined);
+
+    await expect(ctx.duplicateProject('proj-1', { name: 'Shop Copy', path: path.join('/projects', 'shop-copy') }))
+      .rejects.toThrow('Failed to copy project files: ENOSPC');
+    expect(removeSpy).toHaveBeenCalledWith(path.join('/projects', 'shop-copy'));
+    expect(ctx.store.projects).toHaveLength(1);
+  });
+
+  it('removes the copied folder and the cloned database when a later step fails', async () => {
+    const source = makeSource();
+    const ctx = makeContext(source);
+    mockSourceFiles();
+    fs.pathExists.mockImplementation(async (filePath) => filePath === source.path || filePath === path.join('/projects', 'shop-copy', '.env'));
+    ctx.syncEnvFile.mockRejectedValue(new Error('EACCES'));
+    const removeSpy = vi.spyOn(fs, 'remove').mockResolvedValue(undefined);
+
+    await expect(ctx.duplicateProject('proj-1', { name: 'Shop Copy', path: path.join('/projects', 'shop-copy') }))
+      .rejects.toThrow('EACCES');
+
+    expect(removeSpy).toHaveBeenCalledWith(path.join('/projects', 'shop-copy'));
+    expect(ctx.managers.database.deleteDatabase).toHaveBeenCalledWith('shop_copy');
+    expect(ctx.managers.database.setActiveDatabaseType).toHaveBeenLastCalledWith('postgresql', '17');
+    expect(ctx.store.projects).toHaveLength(1);
+  });
+});
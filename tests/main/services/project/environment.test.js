@@ -64,6 +64,9 @@ describe('project/environment', () => {
         set: vi.fn(),
       },
       cleanupOrphanedConfigs: vi.fn().mockResolvedValue(undefined),
+      watchAllProjectManifests: vi.fn(),
+      initializeParkedSites: vi.fn().mockResolvedValue(undefined),
+      ensureActivationServer: vi.fn().mockResolvedValue(49152),
     });
 
     await ctx.initialize();
@@ -71,6 +74,9 @@ describe('project/environment', () => {
     expect(ctx.configStore.set).toHaveBeenCalledWith('projects', []);
     expect(ctx.compatibilityManager.initialize).toHaveBeenCalled();
     expect(ctx.cleanupOrphanedConfigs).toHaveBeenCalled();
+    expect(ctx.watchAllProjectManifests).toHaveBeenCalled();
+    expect(ctx.initializeParkedSites).toHaveBeenCalled();
+    expect(ctx.ensureActivationServer).toHaveBeenCalled();
   });
 
   it('syncs environment values into an existing .env file', async () => {
@@ -90,6 +96,45 @@ describe('project/environment', () => {
     expect(fs.writeFile).toHaveBeenCalledWith(expect.stringContaining('.env'), 'APP_NAME=NewName\nAPP_ENV=local\nDB_PORT=3306\n');
   });
 
+  it('moves database and Redis ports still pointing at the previous port of a changed version', async () => {
+    const projects = [
+      {
+        name: 'Shop',
+        type: 'laravel',
+        path: '/shop',
+        services: { mysql: true, mysqlVersion: '8.0', redisVersion: '7.4' },
+        environment: { DB_PORT: '3307', REDIS_PORT: '6379', APP_NAME: 'Shop' },
+      },
+      {
+        name: 'Blog',
+        type: 'cakephp',
+        path: '/blog',
+        services: { mysql: true, mysqlVersion: '8.0' },
+        environment: { DATABASE_URL: 'mysql://root:@127.0.0.1:3307/blog' },
+      },
+      { name: 'Custom', type: 'laravel', path: '/custom', services: { mysql: true, mysqlVersion: '8.0' }, environment: { DB_PORT: '3310' } },
+      { name: 'Legacy', type: 'laravel', path: '/legacy', services: { mysql: true, mysqlVersion: '5.7' }, environment: { DB_PORT: '3308' } },
+    ];
+    const ctx = makeContext();
+    ctx.configStore.get.mockImplementation((key) => (key === 'projects' ? projects : undefined));
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    vi.spyOn(fs, 'readFile').mockResolvedValue('APP_NAME=Edited\nDB_PORT=3307\n');
+    vi.spyOn(fs, 'writeFile').mockResolvedValue(undefined);
+
+    const updated = await ctx.syncProjectServicePorts([
+      { service: 'mysql', version: '8.0', previousPort: 3307, port: 3399 },
+      { service: 'redis', version: '7.4', previousPort: 6379, port: 6400 },
+    ]);
+
+    expect(updated).toEqual(['Shop', 'Blog']);
+    expect(projects[0].environment).toEqual({ DB_PORT: '3399', REDIS_PORT: '6400', APP_NAME: 'Shop' });
+    expect(projects[1].environment.DATABASE_URL).toBe('mysql://root:@127.0.0.1:3399/blog');
+    expect(projects[2].environment.DB_PORT).toBe('3310');
+    expect(projects[3].environment.DB_PORT).toBe('3308');
+    expect(fs.writeFile).toHaveBeenCalledWith(expect.stringContaining('shop'), 'APP_NAME=Edited\nDB_PORT=3399\nREDIS_PORT=6400\n');
+    expect(ctx.configStore.set).toHaveBeenCalledWith('projects', projects);
+  });
+
   it('reads multiline quoted values from .env files', async () => {
     const ctx = makeContext({
       getProject: vi.fn(() => ({ id: 'proj-1', path: '/project' })),
@@ -158,6 +203,41 @@ describe('project/environment', () => {
     });
   });
 
+  it('points laravel at the port of the project Redis version', () => {
+    const getVersionPort = vi.fn((serviceName, version, defaultPort) => (serviceName === 'redis' ? 6390 : defaultPort));
+    const ctx = makeContext();
+    ctx.managers.service = { runningVersions: new Map(), serviceConfigs: {}, getVersionPort };
+
+    const result = ctx.getDefaultEnvironment('laravel', 'My App', 8080, { services: { redisVersion: '7.2' } });
+
+    expect(getVersionPort).toHaveBeenCalledWith('redis', '7.2', 6379);
+    expect(result.REDIS_PORT).toBe('6390');
+  });
+
+  it('builds framework preset defaults from the project database', () => {
+    const ctx = makeContext();
+
+    expect(ctx.getDefaultEnvironment('codeigniter4', 'Ci App', 8080)).toMatchObject({
+      CI_ENVIRONMENT: 'development',
+      'app.baseURL': 'http://localhost:8080/',
+      'database.default.database': 'ci_app',
+      'database.default.port': '3306',
+    });
+    expect(ctx.getDefaultEnvironment('craftcms', 'Craft Site', 8080)).toMatchObject({
+      CRAFT_DB_DATABASE: 'craft_site',
+      CRAFT_DB_SERVER: '127.0.0.1',
+      PRIMARY_SITE_URL: 'http://localhost:8080',
+    });
+    expect(ctx.getDefaultEnvironment('statamic', 'Blog', 8080)).toMatchObject({
+      APP_NAME: 'Blog',
+      DB_DATABASE: 'blog',
+    });
+    expect(ctx.getDefaultEnvironment('joomla', 'Portal', 8080)).toEqual({
+      APP_ENV: 'local',
+      APP_DEBUG: 'true',
+    });
+  });
+
   it('syncs CLI projects and auto-installs direct shims when enabled', async () => {
     const ctx = makeContext({
       managers: {
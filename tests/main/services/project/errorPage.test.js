@@ -0,0 +1,153 @@
+import http from 'http';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const activation = require('../../../../src/main/services/project/activation');
+const errorPage = require('../../../../src/main/services/project/errorPage');
+
+const project = { id: 'shop', name: 'Shop <dev>', domain: 'shop.test' };
+
+function makeContext(overrides = {}) {
+  return {
+    ...activation,
+    ...errorPage,
+    managers: {
+      log: {
+        project: vi.fn(),
+        getProjectLogs: vi.fn().mockResolvedValue(['[10:00:01] Starting project: Shop', '[10:00:02] PHP-CGI exited unexpectedly (exit code 255)']),
+      },
+    },
+    runningProjects: new Map(),
+    startingProjects: new Set(),
+    activationServer: null,
+    activationPort: null,
+    activatingProjects: new Map(),
+    activationFailures: new Map(),
+    getProject: vi.fn((id) => (id === project.id ? project : null)),
+    getProjectDomains: (target) => [target.domain],
+    startProject: vi.fn().mockResolvedValue({ success: true }),
+    stopProject: vi.fn().mockResolvedValue({ success: true }),
+    ...overrides,
+  };
+}
+
+function request(port, urlPath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: urlPath, ...options }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        body += chunk;
+      });
+      response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body }));
+    });
+    req.on('error', reject);
+    req.end(options.body);
+  });
+}
+
+describe('project/errorPage', () => {
+  let ctx;
+
+  afterEach(async () => {
+    await ctx?.stopActivationServer();
+  });
+
+  it('explains that a stopped project is stopped and shows its recent log', async () => {
+    ctx = makeContext();
+    const port = await ctx.ensureActivationServer();
+
+    const response = await request(port, '/__devbox/shop/error');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toContain('Shop &lt;dev&gt; is stopped.');
+    expect(response.body).toContain('PHP-CGI exited unexpectedly (exit code 255)');
+    expect(response.body).toContain(`<form method="post" action="/__devbox/start"><input type="hidden" name="token" value="${ctx.getErrorPageToken()}"><button type="submit">Start Shop &lt;dev&gt;</button></form>`);
+    expect(response.body).not.toContain('http-equiv="refresh"');
+    expect(ctx.managers.log.getProjectLogs).toHaveBeenCalledWith('shop', 20);
+  });
+
+  it('reports a running project whose backend does not answer as crashed', async () => {
+    ctx = makeContext({ runningProjects: new Map([['shop', { phpCgiProcess: null }]]) });
+
+    expect(ctx.getProjectBackendState('shop')).toBe('crashed');
+    await expect(ctx.renderProjectErrorPage(project)).resolves.toContain('Restart Shop &lt;dev&gt;');
+  });
+
+  it('restarts the project from the button and sends the visitor back to their page', async () => {
+    let finishStart;
+    ctx = makeContext({
+      runningProjects: new Map([['shop', {}]]),
+      startProject: vi.fn(() => new Promise((resolve) => {
+        finishStart = resolve;
+      })),
+    });
+    const port = await ctx.ensureActivationServer();
+
+    const response = await request(port, '/__devbox/shop/start', {
+      method: 'POST',
+      headers: {
+        Origin: 'http://shop.test',
+        Referer: 'http://shop.test/cart?item=1',
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: `token=${ctx.getErrorPageToken()}`,
+    });
+
+    expect(response.statusCode).toBe(303);
+    expect(response.headers.location).toBe('/cart?item=1');
+    await vi.waitFor(() => expect(ctx.startProject).toHaveBeenCalledWith('shop'));
+    expect(ctx.stopProject).toHaveBeenCalledWith('shop');
+
+    const starting = await request(port, '/__devbox/shop/error');
+    expect(starting.body).toContain('Starting Shop &lt;dev&gt;…');
+    expect(starting.body).toContain('<meta http-equiv="refresh" content="3">');
+    expect(starting.body).not.toContain('<form');
+
+    finishStart({ success: true });
+    await vi.waitFor(() => expect(ctx.activatingProjects.has('shop')).toBe(false));
+  });
+
+  it('refuses to start the project without the page token or from another site', async () => {
+    ctx = makeContext();
+    const port = await ctx.ensureActivationServer();
+    const post = (headers, body) => request(port, '/__devbox/shop/start', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+      body,
+    });
+
+    const withoutToken = await post({ Origin: 'http://shop.test' }, 'token=guess');
+    const crossSite = await post({ Origin: 'http://evil.example' }, `token=${ctx.getErrorPageToken()}`);
+    const forwarded = await post({ Origin: 'http://shop.test', 'X-Forwarded-For': '192.168.1.20' }, `token=${ctx.getErrorPageToken()}`);
+
+    expect([withoutToken.statusCode, crossSite.statusCode, forwarded.statusCode]).toEqual([403, 403, 403]);
+    expect(ctx.startProject).not.toHaveBeenCalled();
+  });
+
+  it('leaves out the log and the button for visitors on the LAN or through a tunnel', async () => {
+    ctx = makeContext();
+    const port = await ctx.ensureActivationServer();
+
+    const lan = await request(port, '/__devbox/shop/error', { headers: { 'X-Forwarded-For': '127.0.0.1, 192.168.1.20' } });
+    const tunnel = await request(port, '/__devbox/shop/error', { headers: { 'X-Forwarded-Host': 'shop.trycloudflare.com' } });
+
+    for (const response of [lan, tunnel]) {
+      expect(response.body).toContain('Shop &lt;dev&gt; is stopped.');
+      expect(response.body).not.toContain('PHP-CGI exited');
+      expect(response.body).not.toContain('<form');
+      expect(response.body).not.toContain(ctx.getErrorPageToken());
+    }
+    expect(ctx.managers.log.getProjectLogs).not.toHaveBeenCalled();
+  });
+
+  it('does not serve pages for unknown projects', async () => {
+    ctx = makeContext();
+    const port = await ctx.ensureActivationServer();
+
+    const response = await request(port, '/__devbox/other/error');
+    const malformed = await request(port, '/__devbox/%E0%A4%A/error');
+
+    expect(response.statusCode).toBe(404);
+    expect(malformed.statusCode).toBe(404);
+  });
+});
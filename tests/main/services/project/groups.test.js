@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const groups = require('../../../../src/main/services/project/groups');
+const serviceDeps = require('../../../../src/main/services/project/serviceDeps');
+
+const projects = [
+  { id: 'api', name: 'Api', type: 'laravel', webServer: 'nginx', services: { mysql: true, mysqlVersion: '8.4', redis: true } },
+  { id: 'web', name: 'Web', type: 'nodejs', webServer: 'nginx', services: {} },
+  { id: 'blog', name: 'Blog', type: 'wordpress', webServer: 'nginx', services: { mysql: true, mysqlVersion: '8.4' } },
+];
+
+function makeContext(initialGroups = []) {
+  const store = { projectGroups: initialGroups };
+  const calls = [];
+
+  const ctx = {
+    ...serviceDeps,
+    ...groups,
+    store,
+    calls,
+    configStore: {
+      get: vi.fn((key, fallback) => (key in store ? store[key] : fallback)),
+      set: vi.fn((key, value) => {
+        store[key] = value;
+      }),
+    },
+    managers: {
+      service: { stopService: vi.fn().mockResolvedValue(undefined) },
+      log: { project: vi.fn(), systemInfo: vi.fn(), systemError: vi.fn() },
+    },
+    runningProjects: new Map(),
+    startingProjects: new Set(),
+    pendingServiceStops: new Map(),
+    getProject: vi.fn((id) => projects.find((project) => project.id === id)),
+    getEffectiveWebServerVersion: () => '1.28',
+    emitProjectStatus: vi.fn(),
+    checkProjectHealth: vi.fn().mockResolvedValue(true),
+  };
+
+  ctx.startProject = vi.fn(async (id) => {
+    calls.push(`start:${id}`);
+    for (const service of ctx.getProjectServiceDependencies(ctx.getProject(id))) {
+      ctx.cancelPendingServiceStop(service);
+    }
+    ctx.runningProjects.set(id, {});
+    return { success: true };
+  });
+  ctx.stopProject = vi.fn(async (id) => {
+    calls.push(`stop:${id}`);
+    ctx.runningProjects.delete(id);
+    for (const service of ctx.getProjectServiceDependencies(ctx.getProject(id))) {
+      if (!ctx.isServiceNeededByRunningProjects(service)) {
+        ctx.scheduleServiceStop(id, service);
+      }
+    }
+    return { success: true, wasRunning: true };
+  });
+
+  return ctx;
+}
+
+const productGroup = {
+  id: 'group-1',
+  name: 'Product',
+  healthTimeout: 5,
+  members: [
+    { projectId: 'api', waitUntilHealthy: true },
+    { projectId: 'web', waitUntilHealthy: false },
+    { projectId: 'blog', waitUntilHealthy: false },
+  ],
+};
+
+describe('project/groups', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('creates groups with ordered, de-duplicated members and notifies listeners', () => {
+    const ctx = makeContext();
+    const listener = vi.fn();
+    ctx.setProjectGroupsChangeEmitter(listener);
+
+    const group = ctx.createProjectGroup({
+      name: '  Product  ',
+      members: [{ projectId: 'web' }, { projectId: 'api', waitUntilHealthy: true }, 'web'],
+    });
+
+    expect(group).toEqual(expect.objectContaining({
+      name: 'Product',
+      healthTimeout: 60,
+      members: [
+        { projectId: 'web', waitUntilHealthy: false },
+        { projectId: 'api', waitUntilHealthy: true },
+      ],
+    }));
+    expect(ctx.store.projectGroups).toEqual([group]);
+    expect(listener).toHaveBeenCalledWith([group]);
+  });
+
+  it('rejects invalid groups', () => {
+    const ctx = makeContext([productGroup]);
+
+    expect(() => ctx.createProjectGroup({ name: ' ', members: ['api'] })).toThrow('Group name is required.');
+    expect(() => ctx.createProjectGroup({ name: 'product', members: ['api'] })).toThrow('already exists');
+    expect(() => ctx.createProjectGroup({ name: 'Other', members: [] })).toThrow('at least one project');
+    expect(() => ctx.createProjectGroup({ name: 'Other', members: ['missing'] })).toThrow('Project not found: missing');
+    expect(() => ctx.updateProjectGroup('missing', { name: 'Other' })).toThrow('Group not found');
+    expect(ctx.configStore.set).not.toHaveBeenCalled();
+  });
+
+  it('starts members in order and waits for healthy members before continuing', async () => {
+    const ctx = makeContext([productGroup]);
+    ctx.checkProjectHealth.mockImplementation(async () => {
+      ctx.calls.push('health:api');
+      return true;
+    });
+
+    await expect(ctx.startProjectGroup('group-1')).resolves.toEqual(expect.objectContaining({ success: true }));
+
+    expect(ctx.calls).toEqual(['start:api', 'health:api', 'start:web', 'start:blog']);
+    expect(ctx.emitProjectStatus).toHaveBeenCalledWith({ id: 'blog', status: 'running', isRunning: true });
+  });
+
+  it('does not start later members when a member never becomes healthy', async () => {
+    vi.useFakeTimers();
+    const ctx = makeContext([productGroup]);
+    ctx.checkProjectHealth.mockResolvedValue(false);
+
+    const result = ctx.startProjectGroup('group-1');
+    const assertion = expect(result).rejects.toThrow('"Api" did not become healthy within 5s');
+    await vi.advanceTimersByTimeAsync(6000);
+    await assertion;
+
+    expect(ctx.startProject).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops members in reverse order and keeps shared services warm for a quick restart', async () => {
+    vi.useFakeTimers();
+    const ctx = makeContext([productGroup]);
+    ctx.runningProjects.set('other', {});
+    ctx.getProject.mockImplementation((id) => (id === 'other'
+      ? { id: 'other', name: 'Other', webServer: 'nginx', services: { redis: true } }
+      : projects.find((project) => project.id === id)));
+    await ctx.startProjectGroup('group-1');
+
+    await ctx.stopProjectGroup('group-1');
+
+    expect(ctx.calls.filter((call) => call.startsWith('stop:'))).toEqual(['stop:blog', 'stop:web', 'stop:api']);
+    // nginx and redis are still used by a project outside the group
+    expect([...ctx.pendingServiceStops.keys()]).toEqual(['mysql:8.4']);
+
+    await ctx.startProjectGroup('group-1');
+    await vi.advanceTimersByTimeAsync(20000);
+
+    expect(ctx.managers.service.stopService).not.toHaveBeenCalled();
+  });
+
+  it('removes deleted projects from groups and drops empty groups', () => {
+    const ctx = makeContext([
+      productGroup,
+      { id: 'group-2', name: 'Solo', healthTimeout: 60, members: [{ projectId: 'blog', waitUntilHealthy: false }] },
+    ]);
+
+    ctx.removeProjectFromGroups('blog');
+
+    expect(ctx.store.projectGroups).toHaveLength(1);
+    expect(ctx.store.projectGroups[0].members.map((member) => member.projectId)).toEqual(['api', 'web']);
+  });
+});
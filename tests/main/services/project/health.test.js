@@ -0,0 +1,92 @@
+import http from 'http';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const health = require('../../../../src/main/services/project/health');
+
+let server;
+let port;
+let respond;
+
+function makeContext(project) {
+  return {
+    ...health,
+    managers: { log: { project: vi.fn() } },
+    runningProjects: new Map([[project.id, {}]]),
+    getProject: vi.fn(() => project),
+    getProjectLocalAccessPorts: vi.fn(() => ({ httpPort: port })),
+    getProjectPrimaryDomain: vi.fn(() => project.domain),
+    emitProjectStatus: vi.fn(),
+  };
+}
+
+describe('project/health', () => {
+  beforeEach(async () => {
+    respond = (request, response) => response.end('ok');
+    server = http.createServer((request, response) => respond(request, response));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('requests the health URL through the web server with the project domain', async () => {
+    const project = { id: 'app', domain: 'app.test', healthCheckPath: '/up' };
+    const ctx = makeContext(project);
+    let received;
+    respond = (request, response) => {
+      received = { url: request.url, host: request.headers.host };
+      response.writeHead(204).end();
+    };
+
+    const result = await ctx.probeProjectHealth(project);
+
+    expect(received).toEqual({ url: '/up', host: 'app.test' });
+    expect(result).toEqual(expect.objectContaining({ status: 'healthy', statusCode: 204, path: '/up' }));
+    expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+    await expect(ctx.checkProjectHealth(project)).resolves.toBe(true);
+  });
+
+  it('reports server errors with a text snippet of the response', async () => {
+    const project = { id: 'app', domain: 'app.test' };
+    const ctx = makeContext(project);
+    respond = (request, response) => {
+      response.writeHead(500, { 'Content-Type': 'text/html' });
+      response.end('<html><style>body{}</style><h1>Server Error</h1>\n<p>SQLSTATE[HY000] Connection refused</p></html>');
+    };
+
+    await expect(ctx.probeProjectHealth(project)).resolves.toEqual(expect.objectContaining({
+      status: 'unhealthy',
+      statusCode: 500,
+      path: '/',
+      snippet: 'Server Error SQLSTATE[HY000] Connection refused',
+    }));
+  });
+
+  it('logs status changes once and publishes every result', async () => {
+    const project = { id: 'app', domain: 'app.test' };
+    const ctx = makeContext(project);
+    respond = (request, response) => response.writeHead(503).end('Down for maintenance');
+
+    await ctx.runProjectHealthCheck('app');
+    await ctx.runProjectHealthCheck('app');
+    respond = (request, response) => response.end('ok');
+    await ctx.runProjectHealthCheck('app');
+
+    expect(ctx.managers.log.project.mock.calls).toEqual([
+      ['app', 'Health check / failed: HTTP 503 - Down for maintenance', 'error'],
+      ['app', expect.stringMatching(/^Health check \/ passed: HTTP 200 in \d+ms$/)],
+    ]);
+    expect(ctx.emitProjectStatus).toHaveBeenCalledTimes(3);
+    expect(ctx.getProjectHealth('app')).toEqual(expect.objectContaining({ status: 'healthy', statusCode: 200 }));
+  });
+
+  it('validates health check paths', () => {
+    const ctx = makeContext({ id: 'app' });
+
+    expect(ctx.normalizeHealthCheckPath(' /health ')).toBe('/health');
+    expect(ctx.normalizeHealthCheckPath('')).toBe('/');
+    expect(() => ctx.normalizeHealthCheckPath('health')).toThrow('Invalid health check URL "health"');
+  });
+});
@@ -82,4 +82,20 @@ describe('project/helpers', () => {
 
     expect(ctx.getDocumentRoot({ path: '/project', type: 'custom' })).toBe(path.join('/project', 'www'));
   });
+
+  it('uses the framework preset document root', () => {
+    const ctx = makeContext();
+    vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+
+    expect(ctx.getDocumentRoot({ path: '/project', type: 'magento2' })).toBe(path.join('/project', 'pub'));
+    expect(ctx.getDocumentRoot({ path: '/project', type: 'cakephp' })).toBe(path.join('/project', 'webroot'));
+    expect(ctx.getDocumentRoot({ path: '/project', type: 'joomla' })).toBe(path.normalize('/project'));
+  });
+
+  it('serves tarball installs from the project root when the preset root is missing', () => {
+    const ctx = makeContext();
+    vi.spyOn(fs, 'existsSync').mockImplementation((targetPath) => targetPath === path.join('/project', 'index.php'));
+
+    expect(ctx.getDocumentRoot({ path: '/project', type: 'drupal' })).toBe('/project');
+  });
 });
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const hooks = require('../../../../src/main/services/project/hooks');
+
+const project = {
+  id: 'app',
+  path: '/projects/app',
+  hooks: [
+    { event: 'pre-start', command: 'composer install' },
+    { event: 'pre-start', command: 'php artisan migrate --force', failOnError: true },
+    { event: 'pre-start', command: 'npm run build' },
+    { event: 'pre-stop', command: 'php artisan cache:clear' },
+  ],
+};
+
+function makeContext() {
+  return {
+    ...hooks,
+    managers: { log: { project: vi.fn() } },
+    getProject: vi.fn((id) => (id === project.id ? project : null)),
+    updateProject: vi.fn(async (id, updates) => ({ ...project, ...updates })),
+    runProjectShellCommand: vi.fn().mockResolvedValue(undefined),
+  };
+}
+
+describe('project/hooks', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('runs the hooks of an event in order with the event as log prefix', async () => {
+    const ctx = makeContext();
+
+    await ctx.runProjectHooks(project, 'pre-start');
+
+    expect(ctx.runProjectShellCommand.mock.calls.map(([, command]) => command)).toEqual([
+      'composer install',
+      'php artisan migrate --force',
+      'npm run build',
+    ]);
+    expect(ctx.runProjectShellCommand).toHaveBeenCalledWith(project, 'composer install', { name: 'pre-start' });
+  });
+
+  it('continues past failing hooks unless they fail on error', async () => {
+    const ctx = makeContext();
+    ctx.runProjectShellCommand.mockRejectedValueOnce(new Error('"composer install" exited with code 1'));
+
+    await ctx.runProjectHooks(project, 'pre-start');
+    expect(ctx.runProjectShellCommand).toHaveBeenCalledTimes(3);
+
+    ctx.runProjectShellCommand.mockClear();
+    ctx.runProjectShellCommand
+      .mockResolvedValueOnce(undefined)
+      .mockRejectedValueOnce(new Error('"php artisan migrate --force" exited with code 1'));
+
+    await expect(ctx.runProjectHooks(project, 'pre-start')).rejects.toThrow('pre-start hook failed: "php artisan migrate --force" exited with code 1');
+    expect(ctx.runProjectShellCommand).toHaveBeenCalledTimes(2);
+  });
+
+  it('validates hooks before saving them', async () => {
+    const ctx = makeContext();
+
+    await ctx.saveProjectHooks('app', [{ event: 'post-start', command: ' php artisan queue:restart ' }]);
+
+    expect(ctx.updateProject).toHaveBeenCalledWith('app', {
+      hooks: [{ event: 'post-start', command: 'php artisan queue:restart', failOnError: false }],
+    });
+    await expect(ctx.saveProjectHooks('app', [{ event: 'pre-start', command: '' }])).rejects.toThrow('needs a command');
+    await expect(ctx.saveProjectHooks('missing', [])).rejects.toThrow('Project not found');
+  });
+});
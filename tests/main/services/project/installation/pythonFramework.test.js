@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+
+const path = require('path');
+const fs = require('fs-extra');
+const childProcess = require('child_process');
+const originalPlatform = process.platform;
+
+function setTestPlatform(platform) {
+  Object.defineProperty(process, 'platform', {
+    value: platform,
+  });
+}
+
+function makeProcess(exitCode = 0) {
+  const proc = new EventEmitter();
+  proc.stdout = new EventEmitter();
+  proc.stderr = new EventEmitter();
+  setTimeout(() => proc.emit('close', exitCode), 0);
+  return proc;
+}
+
+function makeContext(pythonFramework, overrides = {}) {
+  return {
+    managers: {
+      log: {
+        systemError: vi.fn(),
+      },
+    },
+    getResourcesPath: vi.fn(() => '/mock/resources'),
+    ...pythonFramework,
+    ...overrides,
+  };
+}
+
+function mockExistingFiles(files) {
+  vi.spyOn(fs, 'pathExists').mockImplementation(async (filePath) => files.some((file) => filePath.endsWith(file)));
+}
+
+describe('project/installation/pythonFramework', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    setTestPlatform('linux');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    setTestPlatform(originalPlatform);
+  });
+
+  it('builds framework start commands bound to the project port', () => {
+    const pythonFramework = require('../../../../../src/main/services/project/installation/pythonFramework');
+
+    expect(pythonFramework.getPythonStartCommand('django', 8001)).toBe('python manage.py runserver 127.0.0.1:8001');
+    expect(pythonFramework.getPythonStartCommand('fastapi', 8001)).toBe('python -m uvicorn main:app --host 127.0.0.1 --port 8001 --reload');
+    expect(pythonFramework.getPythonStartCommand('flask', 8001)).toBe('python -m gunicorn --bind 127.0.0.1:8001 --reload app:app');
+    expect(pythonFramework.getPythonStartCommand('', 8001)).toBe('python app.py');
+
+    setTestPlatform('win32');
+    expect(pythonFramework.getPythonStartCommand('flask', 8001)).toBe('python -m flask --app app run --host 127.0.0.1 --port 8001 --debug');
+    expect(pythonFramework.getPythonFrameworkPreset('flask').packages).toEqual(['flask']);
+  });
+
+  it('detects the framework from manage.py and dependency files', async () => {
+    const pythonFramework = require('../../../../../src/main/services/project/installation/pythonFramework');
+
+    mockExistingFiles(['manage.py']);
+    await expect(pythonFramework.detectPythonFramework('/project')).resolves.toBe('django');
+
+    mockExistingFiles(['requirements.txt']);
+    vi.spyOn(fs, 'readFile').mockResolvedValue('fastapi==0.115.0\nuvicorn[standard]\n');
+    await expect(pythonFramework.detectPythonFramework('/project')).resolves.toBe('fastapi');
+
+    vi.spyOn(fs, 'readFile').mockResolvedValue('flask-cors\nrequests\n');
+    await expect(pythonFramework.detectPythonFramework('/project')).resolves.toBe('');
+
+    mockExistingFiles([]);
+    await expect(pythonFramework.detectPythonFramework('/project')).resolves.toBe('');
+  });
+
+  it('creates a virtualenv, installs the preset and scaffolds a FastAPI app', async () => {
+    const spawnSpy = vi.spyOn(childProcess, 'spawn').mockImplementation(() => makeProcess(0));
+    const pythonFramework = require('../../../../../src/main/services/project/installation/pythonFramework');
+    const ctx = makeContext(pythonFramework);
+    mockExistingFiles([path.join('python', '3.13', 'linux', 'bin', 'python3')]);
+    vi.spyOn(fs, 'ensureDir').mockResolvedValue(undefined);
+    vi.spyOn(fs, 'writeFile').mockResolvedValue(undefined);
+
+    await ctx.installPythonFramework({
+      path: '/project',
+      services: { pythonVersion: '3.13' },
+      pythonFramework: 'fastapi',
+    });
+
+    expect(spawnSpy).toHaveBeenCalledTimes(2);
+    expect(spawnSpy.mock.calls[0][0]).toBe(path.join('/mock/resources', 'python', '3.13', 'linux', 'bin', 'python3'));
+    expect(spawnSpy.mock.calls[0][1]).toEqual(['-m', 'venv', path.join('/project', '.venv')]);
+    expect(spawnSpy.mock.calls[1][0]).toBe(path.join('/project', '.venv', 'bin', 'python'));
+    expect(spawnSpy.mock.calls[1][1]).toEqual(['-m', 'pip', 'install', '-r', 'requirements.txt']);
+    expect(spawnSpy.mock.calls[1][2]).toEqual(expect.objectContaining({ cwd: '/project', windowsHide: true }));
+    expect(fs.writeFile).toHaveBeenCalledWith(path.join('/project', 'requirements.txt'), 'fastapi\nuvicorn[standard]\n');
+    expect(fs.writeFile).toHaveBeenCalledWith(path.join('/project', 'main.py'), expect.stringContaining('FastAPI()'));
+    expect(ctx.managers.log.systemError).not.toHaveBeenCalled();
+  });
+
+  it('falls back to virtualenv when the venv module is unavailable', async () => {
+    const exitCodes = [1, 0, 0, 0];
+    const spawnSpy = vi.spyOn(childProcess, 'spawn').mockImplementation(() => makeProcess(exitCodes.shift()));
+    const pythonFramework = require('../../../../../src/main/services/project/installation/pythonFramework');
+    const ctx = makeContext(pythonFramework);
+    mockExistingFiles([path.join('python', '3.13', 'linux', 'bin', 'python3'), 'requirements.txt', 'app.py']);
+    vi.spyOn(fs, 'ensureDir').mockResolvedValue(undefined);
+    vi.spyOn(fs, 'writeFile').mockResolvedValue(undefined);
+
+    await ctx.installPythonFramework({
+      path: '/project',
+      services: { pythonVersion: '3.13' },
+      pythonFramework: 'flask',
+    });
+
+    expect(spawnSpy.mock.calls.map((call) => call[1])).toEqual([
+      ['-m', 'venv', path.join('/project', '.venv')],
+      ['-m', 'pip', 'install', 'virtualenv'],
+      ['-m', 'virtualenv', path.join('/project', '.venv')],
+      ['-m', 'pip', 'install', '-r', 'requirements.txt'],
+    ]);
+    // Existing projects keep their own files
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  it('only creates the virtualenv of an imported folder without dependency files', async () => {
+    const spawnSpy = vi.spyOn(childProcess, 'spawn').mockImplementation(() => makeProcess(0));
+    const pythonFramework = require('../../../../../src/main/services/project/installation/pythonFramework');
+    const ctx = makeContext(pythonFramework);
+    mockExistingFiles([path.join('python', '3.13', 'linux', 'bin', 'python3')]);
+    vi.spyOn(fs, 'ensureDir').mockResolvedValue(undefined);
+    vi.spyOn(fs, 'writeFile').mockResolvedValue(undefined);
+
+    await ctx.installPythonFramework({
+      path: '/project',
+      services: { pythonVersion: '3.13' },
+      pythonFramework: 'flask',
+    }, null, { scaffold: false });
+
+    expect(spawnSpy.mock.calls.map((call) => call[1])).toEqual([['-m', 'venv', path.join('/project', '.venv')]]);
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  it('throws when the selected Python version is not installed', async () => {
+    const spawnSpy = vi.spyOn(childProcess, 'spawn').mockImplementation(() => makeProcess(0));
+    const pythonFramework = require('../../../../../src/main/services/project/installation/pythonFramework');
+    const ctx = makeContext(pythonFramework);
+    mockExistingFiles([]);
+
+    await expect(ctx.installPythonFramework({
+      path: '/project',
+      services: { pythonVersion: '3.12' },
+      pythonFramework: 'django',
+    })).rejects.toThrow('Python 3.12 is not installed');
+    expect(spawnSpy).not.toHaveBeenCalled();
+  });
+
+  it('adopts the detected framework of a cloned project', async () => {
+    const pythonFramework = require('../../../../../src/main/services/project/installation/pythonFramework');
+    mockExistingFiles(['manage.py']);
+    const project = {
+      path: '/project',
+      pythonPort: 8002,
+      pythonFramework: '',
+      pythonStartCommand: 'python app.py',
+      supervisor: { processes: [{ name: 'python-app', command: 'python app.py' }] },
+    };
+
+    await pythonFramework.applyDetectedPythonFramework.call(pythonFramework, project);
+
+    expect(project.pythonFramework).toBe('django');
+    expect(project.pythonStartCommand).toBe('python manage.py runserver 127.0.0.1:8002');
+    expect(project.supervisor.processes[0].command).toBe('python manage.py runserver 127.0.0.1:8002');
+  });
+});
@@ -3,7 +3,13 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 const { EventEmitter } = require('events');
 
 const fs = require('fs-extra');
+const activation = require('../../../../src/main/services/project/activation');
+const health = require('../../../../src/main/services/project/health');
+const hooks = require('../../../../src/main/services/project/hooks');
 const lifecycle = require('../../../../src/main/services/project/lifecycle');
+const phpCgiSupervisor = require('../../../../src/main/services/project/phpCgiSupervisor');
+const phpFpm = require('../../../../src/main/services/project/phpFpm');
+const phpIni = require('../../../../src/main/services/project/phpIni');
 
 function makeConfigStore(initialProjects = []) {
   let projects = [...initialProjects];
@@ -28,6 +34,12 @@ function makeConfigStore(initialProjects = []) {
 function makeContext(overrides = {}) {
   return {
     ...lifecycle,
+    ...activation,
+    ...health,
+    ...hooks,
+    ...phpCgiSupervisor,
+    ...phpFpm,
+    ...phpIni,
     configStore: makeConfigStore(),
     managers: {
       service: {
@@ -65,6 +77,7 @@ function makeContext(overrides = {}) {
     getProjectServiceDependencies: vi.fn(() => []),
     getEffectiveWebServerVersion: vi.fn((project, webServer) => project.webServerVersion || (webServer === 'apache' ? '2.4' : '1.28')),
     getResourcesPath: vi.fn(() => '/mock/resources'),
+    startProjectHealthMonitor: vi.fn(),
     ...overrides,
   };
 }
@@ -195,6 +208,61 @@ describe('project/lifecycle', () => {
     );
   });
 
+  it('starts PostgreSQL, MongoDB, Memcached and MinIO selected by the project', async () => {
+    const startService = vi.fn().mockResolvedValue({ success: true });
+
+    const ctx = makeContext({
+      managers: {
+        service: {
+          serviceStatus: new Map([['nginx', { status: 'running', version: '1.28' }]]),
+          serviceConfigs: {
+            nginx: { versioned: true },
+            postgresql: { versioned: true },
+            mongodb: { versioned: true },
+            memcached: { versioned: true },
+            minio: { versioned: false },
+          },
+          getServicePorts: vi.fn(() => ({ httpPort: 80, sslPort: 443 })),
+          isVersionRunning: vi.fn((serviceName, version) => serviceName === 'nginx' && version === '1.28'),
+          startService,
+          restartService: vi.fn().mockResolvedValue({ success: true }),
+          stopService: vi.fn().mockResolvedValue(undefined),
+          standardPortOwner: null,
+        },
+        log: {
+          project: vi.fn(),
+          systemWarn: vi.fn(),
+          systemError: vi.fn(),
+          systemInfo: vi.fn(),
+        },
+      },
+    });
+
+    const result = await ctx.startProjectServices({
+      id: 'proj-extra-services',
+      name: 'Extra Services',
+      webServer: 'nginx',
+      webServerVersion: '1.28',
+      services: {
+        postgresql: true,
+        postgresqlVersion: '16',
+        mongodb: true,
+        mongodbVersion: '7.0',
+        memcached: true,
+        minio: true,
+      },
+    });
+
+    expect(result.success).toBe(true);
+    expect(startService.mock.calls).toEqual([
+      ['postgresql', '16'],
+      ['mongodb', '7.0'],
+      ['memcached', '1.6'],
+      ['minio', undefined],
+    ]);
+    expect(result.started).toEqual(['nginx:1.28', 'postgresql:16', 'mongodb:7.0', 'memcached:1.6', 'minio']);
+  });
+
   it('does not mark the project as running when required project services fail during startProject', async () => {
     const project = {
       id: 'proj-required-service-failure',
@@ -228,6 +296,41 @@ describe('project/lifecycle', () => {
     expect(ctx.runningProjects.has(project.id)).toBe(false);
   });
 
+  it('does not start the project when a required pre-start hook fails', async () => {
+    const project = {
+      id: 'proj-hook-failure',
+      name: 'Hook Failure',
+      type: 'laravel',
+      phpVersion: '8.3',
+      webServer: 'nginx',
+      webServerVersion: '1.28',
+      domain: 'hook-failure.test',
+      path: '/projects/hook-failure',
+      services: {},
+      supervisor: { processes: [] },
+      environment: {},
+      hooks: [
+        { event: 'pre-start', command: 'php artisan cache:clear' },
+        { event: 'pre-start', command: 'php artisan migrate --force', failOnError: true },
+      ],
+    };
+
+    const ctx = makeContext({
+      configStore: makeConfigStore([project]),
+      getProject: vi.fn(() => project),
+      validateProjectBinaries: vi.fn().mockResolvedValue([]),
+      runProjectShellCommand: vi.fn()
+        .mockRejectedValueOnce(new Error('"php artisan cache:clear" exited with code 1'))
+        .mockRejectedValueOnce(new Error('"php artisan migrate --force" exited with code 1')),
+      startProjectServices: vi.fn(),
+    });
+
+    await expect(ctx.startProject(project.id)).rejects.toThrow('pre-start hook failed: "php artisan migrate --force" exited with code 1');
+    expect(ctx.runProjectShellCommand).toHaveBeenCalledTimes(2);
+    expect(ctx.startProjectServices).not.toHaveBeenCalled();
+    expect(ctx.runningProjects.has(project.id)).toBe(false);
+  });
+
   it('auto-updates the project web server version when a fallback binary exists', async () => {
     const project = {
       id: 'proj-3',
@@ -685,6 +788,44 @@ describe('project/lifecycle', () => {
     expect(startProjectServices).toHaveBeenCalledWith(project);
   });
 
+  it('starts a PHP-FPM pool for apache projects when php-fpm is available', async () => {
+    const project = {
+      id: 'proj-apache-fpm',
+      name: 'Apache FPM',
+      type: 'php',
+      phpVersion: '8.3',
+      webServer: 'apache',
+      webServerVersion: '2.4',
+      domain: 'apache-fpm.test',
+      path: '/projects/apache-fpm',
+      services: {},
+      supervisor: { processes: [] },
+      environment: {},
+    };
+    const startPhpCgi = vi.fn().mockResolvedValue({ process: { pid: 4321 }, port: 9100 });
+
+    const ctx = makeContext({
+      configStore: makeConfigStore([project]),
+      getProject: vi.fn(() => project),
+      validateProjectBinaries: vi.fn().mockResolvedValue([]),
+      getPhpFpmPort: vi.fn(() => 9100),
+      getPhpFpmBinaryPath: vi.fn().mockResolvedValue('/mock/resources/php/8.3/linux/sbin/php-fpm'),
+      createApacheVhost: vi.fn().mockResolvedValue({ httpPort: 80, sslPort: 443 }),
+      regenerateAllApacheVhosts: vi.fn().mockResolvedValue(undefined),
+      syncProjectLocalProxy: vi.fn().mockResolvedValue(false),
+      startProjectServices: vi.fn().mockResolvedValue({ success: true, errors: [], criticalFailures: [] }),
+      startPhpCgi,
+      updateHostsFile: vi.fn().mockResolvedValue(undefined),
+    });
+    ctx.managers.service.reloadApache = vi.fn().mockResolvedValue(undefined);
+
+    const result = await ctx.startProject(project.id);
+
+    expect(startPhpCgi).toHaveBeenCalledWith(project, 9100);
+    expect(result.phpFpmPort).toBe(9100);
+    expect(ctx.runningProjects.get(project.id).phpCgiProcess).toEqual({ pid: 4321 });
+  });
+
   it('does not schedule shared services to stop while another project is still starting', async () => {
     const stoppingProject = {
       id: 'proj-stop-services',
@@ -739,6 +880,34 @@ describe('project/lifecycle', () => {
     expect(ctx.scheduleServiceStop).toHaveBeenCalledWith('proj-stop-services', { name: 'nginx', version: '1.28' });
   });
 
+  it('parks a stopped on-demand project behind the activation handler and keeps its web server', async () => {
+    const project = {
+      id: 'proj-on-demand',
+      name: 'On Demand',
+      webServer: 'nginx',
+      webServerVersion: '1.28',
+      onDemand: true,
+      services: {},
+      supervisor: { processes: [] },
+    };
+    const ctx = makeContext({
+      configStore: makeConfigStore([project]),
+      getProject: vi.fn(() => project),
+      getEffectiveWebServer: vi.fn(() => 'nginx'),
+      getProjectServiceDependencies: vi.fn(() => [{ name: 'nginx', version: '1.28' }]),
+      runningProjects: new Map([['proj-on-demand', { phpCgiProcess: null }]]),
+      parkOnDemandProject: vi.fn().mockResolvedValue(undefined),
+      scheduleServiceStop: vi.fn(),
+    });
+
+    await ctx.stopProject('proj-on-demand');
+
+    expect(ctx.parkOnDemandProject).toHaveBeenCalledWith(project);
+    expect(ctx.runningProjects.has('proj-on-demand')).toBe(false);
+    expect(ctx.managers.service.stopService).not.toHaveBeenCalled();
+    expect(ctx.scheduleServiceStop).not.toHaveBeenCalled();
+  });
+
   it('keeps restart-sensitive services warm when the last active project stops', async () => {
     const stoppingProject = {
       id: 'proj-last-stop',
@@ -0,0 +1,237 @@
+import path from 'path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const fs = require('fs-extra');
+const manifest = require('../../../../src/main/services/project/manifest');
+
+function makeProject(overrides = {}) {
+  return {
+    id: 'proj-1',
+    name: 'Team App',
+    path: '/projects/team-app',
+    phpVersion: '8.3',
+    webServer: 'nginx',
+    webServerVersion: '1.28',
+    domain: 'team-app.test',
+    domains: ['team-app.test'],
+    ssl: true,
+    services: { mysql: true, mysqlVersion: '8.4' },
+    supervisor: {
+      workers: 1,
+      processes: [{ name: 'queue-worker', command: 'php artisan queue:work', autostart: true }],
+    },
+    ...overrides,
+  };
+}
+
+function makeContext(overrides = {}) {
+  const project = makeProject();
+
+  return {
+    ...manifest,
+    configStore: {
+      get: vi.fn((key, fallback) => (key === 'projects' ? [project] : fallback)),
+    },
+    managers: {
+      php: {
+        getExtensions: vi.fn().mockResolvedValue({ redis: true, intl: false }),
+        toggleExtension: vi.fn().mockResolvedValue({ success: true }),
+      },
+      database: {
+        createDatabase: vi.fn().mockResolvedValue({ success: true }),
+      },
+      log: {
+        project: vi.fn(),
+        systemWarn: vi.fn(),
+      },
+    },
+    manifestWatchers: new Map(),
+    manifestChangeEmitter: null,
+    getProject: vi.fn(() => project),
+    getProjectDomains: vi.fn((entry) => entry.domains || [entry.domain]),
+    getProjectDatabaseSelection: vi.fn(() => ({ type: 'mysql', version: '8.4' })),
+    updateProject: vi.fn(async (id, updates) => ({ ...project, ...updates })),
+    ...overrides,
+  };
+}
+
+describe('project/manifest', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('ignores export metadata when hashing a manifest', () => {
+    const ctx = makeContext();
+
+    const first = ctx.getManifestHash({ name: 'App', exportedAt: '2026-01-01T00:00:00.000Z', devboxVersion: '1.0.0' });
+    const second = ctx.getManifestHash({ devboxVersion: '2.0.0', name: 'App', exportedAt: '2026-02-01T00:00:00.000Z' });
+
+    expect(first).toBe(second);
+    expect(ctx.getManifestHash({ name: 'Other' })).not.toBe(first);
+  });
+
+  it('derives only the project fields that differ from the manifest', () => {
+    const ctx = makeContext();
+
+    const updates = ctx.getProjectUpdatesFromManifest(makeProject(), {
+      phpVersion: '8.4',
+      webServer: 'nginx',
+      webServerVersion: '1.26',
+      ssl: true,
+      domains: ['Team-App.test', 'api.team-app.test', 'team-app.test'],
+      services: { redis: true, redisVersion: '7.4' },
+      supervisor: {
+        processes: [
+          { name: 'queue-worker', command: 'php artisan queue:work --tries=3' },
+          { name: 'scheduler', command: 'php artisan schedule:work' },
+          { name: 'missing-command' },
+        ],
+      },
+    });
+
+    expect(updates).toEqual({
+      phpVersion: '8.4',
+      webServerVersion: '1.26',
+      domains: ['team-app.test', 'api.team-app.test'],
+      services: { mysql: true, mysqlVersion: '8.4', redis: true, redisVersion: '7.4' },
+      supervisor: {
+        workers: 1,
+        processes: [
+          { name: 'queue-worker', command: 'php artisan queue:work --tries=3', autostart: true },
+          { name: 'scheduler', command: 'php artisan schedule:work' },
+        ],
+      },
+    });
+  });
+
+  it('round-trips the PHP and Node.js versions through an exported manifest', () => {
+    const ctx = makeContext();
+    const source = makeProject({
+      type: 'nodejs',
+      phpVersion: '8.4',
+      services: { nodejs: true, nodejsVersion: '22' },
+    });
+
+    const exported = ctx.buildProjectManifest(source);
+    const updates = ctx.getProjectUpdatesFromManifest(makeProject({ services: { nodejs: true, nodejsVersion: '20' } }), exported);
+
+    expect(exported.nodeVersion).toBe('22');
+    expect(updates.phpVersion).toBe('8.4');
+    expect(updates.services).toEqual({ nodejs: true, nodejsVersion: '22' });
+  });
+
+  it('applies a manifest nodeVersion even without a services block', () => {
+    const ctx = makeContext();
+
+    const updates = ctx.getProjectUpdatesFromManifest(makeProject(), { nodeVersion: '22' });
+
+    expect(updates).toEqual({ services: { mysql: true, mysqlVersion: '8.4', nodejsVersion: '22' } });
+  });
+
+  it('applies devbox.json to a registered project and records its hash', async () => {
+    const devboxManifest = {
+      phpVersion: '8.4',
+      ssl: false,
+      phpExtensions: ['redis', 'intl'],
+      databases: ['team_app', 'team_app_testing'],
+      exportedAt: '2026-01-01T00:00:00.000Z',
+    };
+    const ctx = makeContext();
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    vi.spyOn(fs, 'readJson').mockResolvedValue(devboxManifest);
+
+    const result = await ctx.applyProjectManifest('proj-1');
+
+    expect(ctx.updateProject).toHaveBeenCalledWith('proj-1', {
+      phpVersion: '8.4',
+      ssl: false,
+      manifestHash: ctx.getManifestHash(devboxManifest),
+    });
+    expect(ctx.managers.php.getExtensions).toHaveBeenCalledWith('8.4');
+    expect(ctx.managers.php.toggleExtension).toHaveBeenCalledTimes(1);
+    expect(ctx.managers.php.toggleExtension).toHaveBeenCalledWith('8.4', 'intl', true);
+    expect(ctx.managers.database.createDatabase).toHaveBeenCalledWith('team_app', '8.4');
+    expect(ctx.managers.database.createDatabase).toHaveBeenCalledWith('team_app_testing', '8.4');
+    expect(result).toEqual(expect.objectContaining({ success: true, applied: ['phpVersion', 'ssl'], warnings: [] }));
+  });
+
+  it('reports extension and database failures as warnings instead of aborting', async () => {
+    const ctx = makeContext();
+    ctx.managers.php.toggleExtension.mockRejectedValue(new Error('PHP 8.3 is not available'));
+    ctx.managers.database.createDatabase.mockRejectedValue(new Error('mysql 8.4 failed to start'));
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    vi.spyOn(fs, 'readJson').mockResolvedValue({ phpExtensions: ['intl'], databases: ['team_app'] });
+
+    const result = await ctx.applyProjectManifest('proj-1');
+
+    expect(result.warnings).toEqual([
+      'Could not enable PHP extension intl: PHP 8.3 is not available',
+      'Could not create database team_app: mysql 8.4 failed to start',
+    ]);
+    expect(ctx.managers.log.project).toHaveBeenCalledWith('proj-1', 'Could not enable PHP extension intl: PHP 8.3 is not available', 'warning');
+  });
+
+  it('rejects applying when the project has no readable devbox.json', async () => {
+    const ctx = makeContext();
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(false);
+
+    await expect(ctx.applyProjectManifest('proj-1')).rejects.toThrow('No valid devbox.json found in /projects/team-app');
+    expect(ctx.updateProject).not.toHaveBeenCalled();
+  });
+
+  it('reports the manifest as changed until its hash has been applied', async () => {
+    const devboxManifest = { phpVersion: '8.4' };
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    vi.spyOn(fs, 'readJson').mockResolvedValue(devboxManifest);
+
+    const changedCtx = makeContext();
+    await expect(changedCtx.getProjectManifestStatus('proj-1')).resolves.toEqual({
+      exists: true,
+      path: path.join('/projects/team-app', 'devbox.json'),
+      changed: true,
+    });
+
+    const appliedCtx = makeContext({
+      getProject: vi.fn(() => makeProject({ manifestHash: manifest.getManifestHash(devboxManifest) })),
+    });
+    await expect(appliedCtx.getProjectManifestStatus('proj-1')).resolves.toEqual(expect.objectContaining({ changed: false }));
+  });
+
+  it('debounces devbox.json change events before notifying the renderer', async () => {
+    vi.useFakeTimers();
+    let onChange;
+    const watcher = { on: vi.fn(), close: vi.fn() };
+    vi.spyOn(fs, 'watch').mockImplementation((target, listener) => {
+      onChange = listener;
+      return watcher;
+    });
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    vi.spyOn(fs, 'readJson').mockResolvedValue({ phpVersion: '8.4' });
+
+    const emitter = vi.fn();
+    const ctx = makeContext();
+    ctx.setManifestChangeEmitter(emitter);
+    ctx.watchProjectManifest(makeProject());
+
+    onChange('change', 'composer.json');
+    onChange('rename', 'devbox.json');
+    onChange('change', 'devbox.json');
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(fs.watch).toHaveBeenCalledWith('/projects/team-app', expect.any(Function));
+    expect(emitter).toHaveBeenCalledTimes(1);
+    expect(emitter).toHaveBeenCalledWith({
+      projectId: 'proj-1',
+      projectName: 'Team App',
+      path: path.join('/projects/team-app', 'devbox.json'),
+    });
+
+    ctx.unwatchProjectManifest('proj-1');
+    expect(watcher.close).toHaveBeenCalled();
+    expect(ctx.manifestWatchers.size).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const fs = require('fs-extra');
+const parked = require('../../../../src/main/services/project/parked');
+const catalog = require('../../../../src/main/services/project/catalog');
+const discovery = require('../../../../src/main/services/project/discovery');
+const helpers = require('../../../../src/main/services/project/helpers');
+
+let tempDir;
+
+function makeContext(store = {}) {
+  const state = {
+    settings: { defaultPhpVersion: '8.2', defaultTld: 'test', portRangeStart: 8000 },
+    projects: [],
+    parkedDirectories: [],
+    ...store,
+  };
+
+  return {
+    ...helpers,
+    ...catalog,
+    ...discovery,
+    ...parked,
+    state,
+    configStore: {
+      get: vi.fn((key, fallback) => (key in state ? state[key] : fallback)),
+      set: vi.fn((key, value) => {
+        state[key] = value;
+      }),
+    },
+    managers: { log: { systemWarn: vi.fn() } },
+    runningProjects: new Map(),
+    parkedSites: new Map(),
+    parkedWatchers: new Map(),
+    isProjectDegraded: () => false,
+    getDefaultWebServerVersion: () => '1.28',
+    stopProject: vi.fn(async function stopProject(id) {
+      this.runningProjects.delete(id);
+      return { success: true };
+    }),
+    removeVirtualHost: vi.fn().mockResolvedValue(undefined),
+  };
+}
+
+async function makeSite(name, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(tempDir, 'sites', name, file), content);
+  }
+}
+
+describe('project/parked', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    process.env.PLAYWRIGHT_TEST = 'true';
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'devbox-parked-'));
+    await makeSite('Blog', { 'artisan': '', 'composer.json': JSON.stringify({ require: { 'laravel/framework': '^11.0' } }) });
+    await makeSite('landing', { 'index.html': '<h1>Hi</h1>' });
+    await makeSite('frontend', { 'package.json': '{}' });
+    await makeSite('api', { 'manage.py': '' });
+  });
+
+  afterEach(async () => {
+    delete process.env.PLAYWRIGHT_TEST;
+    vi.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  it('serves every servable folder of a parked directory with defaults', async () => {
+    const ctx = makeContext();
+
+    const sites = await ctx.addParkedDirectory(path.join(tempDir, 'sites'));
+
+    expect(ctx.state.parkedDirectories).toEqual([path.join(tempDir, 'sites')]);
+    expect(sites.map((site) => site.name).sort()).toEqual(['Blog', 'landing']);
+    const blog = sites.find((site) => site.name === 'Blog');
+    expect(blog).toEqual(expect.objectContaining({
+      type: 'laravel',
+      domain: 'blog.test',
+      phpVersion: '8.2',
+      parked: true,
+      ssl: false,
+      isRunning: false,
+    }));
+    expect(blog.id).toMatch(/^parked-[0-9a-f]{12}$/);
+    // Lifecycle methods resolve parked sites like registered projects
+    expect(ctx.getProject(blog.id)).toEqual(expect.objectContaining({ path: path.join(tempDir, 'sites', 'Blog') }));
+    await expect(ctx.addParkedDirectory(path.join(tempDir, 'sites'))).rejects.toThrow('already parked');
+  });
+
+  it('skips registered folders and domains and keeps ports unique', async () => {
+    const ctx = makeContext({
+      projects: [
+        { id: 'p1', name: 'Blog', path: path.join(tempDir, 'sites', 'Blog'), domain: 'blog.test', port: 8000 },
+        { id: 'p2', name: 'Landing', path: '/elsewhere/landing', domain: 'landing.test', port: 8001 },
+      ],
+    });
+    await makeSite('shop', { 'index.php': '<?php' });
+
+    await ctx.addParkedDirectory(path.join(tempDir, 'sites'));
+
+    expect(ctx.getParkedSites()).toEqual([expect.objectContaining({ name: 'shop', domain: 'shop.test', port: 8002 })]);
+  });
+
+  it('stops running sites whose folder disappears and when the directory is unparked', async () => {
+    const ctx = makeContext();
+    const [site] = (await ctx.addParkedDirectory(path.join(tempDir, 'sites'))).filter((entry) => entry.name === 'Blog');
+    ctx.runningProjects.set(site.id, {});
+
+    await fs.remove(path.join(tempDir, 'sites', 'Blog'));
+    await ctx.refreshParkedSites();
+
+    expect(ctx.stopProject).toHaveBeenCalledWith(site.id);
+    expect(ctx.removeVirtualHost).toHaveBeenCalledWith(expect.objectContaining({ id: site.id }), { reloadIfRunning: true });
+
+    await expect(ctx.removeParkedDirectory(path.join(tempDir, 'sites'))).resolves.toEqual([]);
+    expect(ctx.state.parkedDirectories).toEqual([]);
+  });
+
+  it('closes every directory watcher and pending refresh on shutdown', () => {
+    const ctx = makeContext();
+    const watcher = { close: vi.fn() };
+    const timer = setTimeout(() => {}, 60000);
+    ctx.parkedWatchers.set(path.normalize('/sites/a').toLowerCase(), { watcher, timer });
+    ctx.parkedWatchers.set(path.normalize('/sites/b').toLowerCase(), { watcher, timer: null });
+
+    ctx.unwatchAllParkedDirectories();
+
+    expect(watcher.close).toHaveBeenCalledTimes(2);
+    expect(ctx.parkedWatchers.size).toBe(0);
+    clearTimeout(timer);
+  });
+
+  it('releases a parked site before it is registered', async () => {
+    const ctx = makeContext();
+    const sites = await ctx.addParkedDirectory(path.join(tempDir, 'sites'));
+    const landing = sites.find((site) => site.name === 'landing');
+    ctx.runningProjects.set(landing.id, {});
+
+    await expect(ctx.releaseParkedSite(landing.path)).resolves.toBe(true);
+
+    expect(ctx.stopProject).toHaveBeenCalledWith(landing.id);
+    expect(ctx.parkedSites.has(landing.id)).toBe(false);
+    await expect(ctx.releaseParkedSite('/not/parked')).resolves.toBe(false);
+  });
+});
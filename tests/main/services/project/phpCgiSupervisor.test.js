@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const { EventEmitter } = require('events');
+
+const phpCgiSupervisor = require('../../../../src/main/services/project/phpCgiSupervisor');
+
+function makeWorker(pid) {
+  const worker = new EventEmitter();
+  worker.pid = pid;
+  return worker;
+}
+
+function makeContext(running, overrides = {}, projectOverrides = {}) {
+  const project = { id: 'proj-1', name: 'Crashy App', webServer: 'nginx', webServerVersion: '1.28', ...projectOverrides };
+
+  return {
+    ...phpCgiSupervisor,
+    managers: {
+      log: {
+        project: vi.fn(),
+        systemError: vi.fn(),
+      },
+    },
+    runningProjects: new Map([['proj-1', running]]),
+    projectStatusEmitter: null,
+    getProject: vi.fn(() => project),
+    startPhpCgi: vi.fn(async () => ({ process: makeWorker(2000), port: running.phpFpmPort })),
+    getEffectiveWebServer: vi.fn((target) => target.webServer || 'nginx'),
+    getEffectiveWebServerVersion: vi.fn((target) => target.webServerVersion),
+    createVirtualHost: vi.fn().mockResolvedValue(undefined),
+    reloadWebServerConfigIfRunning: vi.fn().mockResolvedValue(undefined),
+    ...overrides,
+  };
+}
+
+describe('project/phpCgiSupervisor', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('grows the restart delay exponentially up to the cap', () => {
+    const ctx = makeContext({ phpFpmPort: 9001 });
+
+    expect([1, 2, 3, 4, 5, 6, 7].map((attempt) => ctx.getPhpCgiRestartDelay(attempt)))
+      .toEqual([1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+  });
+
+  it('logs the exit code and restarts a crashed worker after the backoff delay', async () => {
+    const worker = makeWorker(1000);
+    const running = { phpCgiProcess: worker, phpFpmPort: 9001, startedAt: new Date() };
+    const ctx = makeContext(running);
+
+    ctx.handlePhpCgiExit('proj-1', worker, 255, null);
+
+    expect(ctx.managers.log.project).toHaveBeenCalledWith('proj-1', 'PHP-CGI exited unexpectedly (exit code 255)', 'error');
+    expect(running.phpCgiStatus).toBe('restarting');
+    expect(running.phpCgiProcess).toBeNull();
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(ctx.startPhpCgi).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(ctx.startPhpCgi).toHaveBeenCalledWith(expect.objectContaining({ id: 'proj-1' }), 9001);
+    expect(running.phpCgiStatus).toBe('running');
+    expect(running.phpCgiProcess.pid).toBe(2000);
+    expect(running.phpCgiRestarts).toBe(1);
+    expect(ctx.createVirtualHost).not.toHaveBeenCalled();
+  });
+
+  it('regenerates the vhost when the restarted worker lands on a different port', async () => {
+    const worker = makeWorker(1000);
+    const running = { phpCgiProcess: worker, phpFpmPort: 9001, startedAt: new Date() };
+    const ctx = makeContext(running, {
+      startPhpCgi: vi.fn(async () => ({ process: makeWorker(2000), port: 9002 })),
+    });
+
+    ctx.handlePhpCgiExit('proj-1', worker, null, 'SIGSEGV');
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(ctx.managers.log.project).toHaveBeenCalledWith('proj-1', 'PHP-CGI exited unexpectedly (signal SIGSEGV)', 'error');
+    expect(running.phpFpmPort).toBe(9002);
+    expect(ctx.createVirtualHost).toHaveBeenCalledWith(expect.objectContaining({ id: 'proj-1' }), 9002, '1.28');
+    expect(ctx.reloadWebServerConfigIfRunning).toHaveBeenCalledWith('nginx', '1.28');
+  });
+
+  it('points an Apache vhost at the new worker port and reloads Apache', async () => {
+    const worker = makeWorker(1000);
+    const running = { phpCgiProcess: worker, phpFpmPort: 9001, startedAt: new Date() };
+    const ctx = makeContext(running, {
+      startPhpCgi: vi.fn(async () => ({ process: makeWorker(2000), port: 9002 })),
+    }, { webServer: 'apache', webServerVersion: '2.4' });
+
+    ctx.handlePhpCgiExit('proj-1', worker, 255, null);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(ctx.getEffectiveWebServerVersion).toHaveBeenCalledWith(expect.objectContaining({ id: 'proj-1' }), 'apache');
+    expect(ctx.createVirtualHost).toHaveBeenCalledWith(expect.objectContaining({ webServer: 'apache' }), 9002, '2.4');
+    expect(ctx.reloadWebServerConfigIfRunning).toHaveBeenCalledWith('apache', '2.4');
+  });
+
+  it('ignores exits from a project that is stopping', () => {
+    const worker = makeWorker(1000);
+    const running = { phpCgiProcess: worker, phpFpmPort: 9001, stopping: true };
+    const ctx = makeContext(running);
+
+    ctx.handlePhpCgiExit('proj-1', worker, 0, null);
+
+    expect(ctx.managers.log.project).not.toHaveBeenCalled();
+    expect(running.phpCgiRestartTimer).toBeUndefined();
+  });
+
+  it('marks the project degraded once restarts per minute are exhausted', async () => {
+    const emitter = vi.fn();
+    const running = { phpCgiProcess: null, phpFpmPort: 9001, phpCgiCrashes: [] };
+    const ctx = makeContext(running);
+    ctx.setProjectStatusEmitter(emitter);
+
+    for (let crash = 0; crash < 5; crash += 1) {
+      ctx.recordPhpCgiCrash('proj-1', 139);
+      ctx.clearPhpCgiRestart(running);
+    }
+    expect(running.phpCgiStatus).toBe('restarting');
+
+    ctx.recordPhpCgiCrash('proj-1', 139);
+
+    expect(running.phpCgiStatus).toBe('degraded');
+    expect(ctx.isProjectDegraded('proj-1')).toBe(true);
+    expect(running.phpCgiRestartTimer).toBeNull();
+    expect(emitter).toHaveBeenCalledWith({ id: 'proj-1', status: 'degraded' });
+    expect(ctx.managers.log.systemError).toHaveBeenCalledWith('PHP-CGI restarts exhausted for Crashy App', { exitCode: 139 });
+  });
+
+  it('forgets crashes older than one minute', () => {
+    const running = { phpCgiProcess: null, phpFpmPort: 9001, phpCgiCrashes: [Date.now() - 61000, Date.now() - 60500] };
+    const ctx = makeContext(running);
+
+    ctx.recordPhpCgiCrash('proj-1', 1);
+
+    expect(running.phpCgiCrashes).toHaveLength(1);
+    ctx.clearPhpCgiRestart(running);
+  });
+
+  it('counts a failed restart as another crash', async () => {
+    const worker = makeWorker(1000);
+    const running = { phpCgiProcess: worker, phpFpmPort: 9001 };
+    const ctx = makeContext(running, {
+      startPhpCgi: vi.fn().mockRejectedValue(new Error('PHP 8.3 is not installed')),
+    });
+
+    ctx.handlePhpCgiExit('proj-1', worker, 1, null);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(ctx.managers.log.project).toHaveBeenCalledWith('proj-1', 'PHP-CGI restart failed: PHP 8.3 is not installed', 'error');
+    expect(running.phpCgiCrashes).toHaveLength(2);
+    expect(running.phpCgiStatus).toBe('restarting');
+    ctx.clearPhpCgiRestart(running);
+  });
+});
@@ -0,0 +1,115 @@
+import path from 'path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const fs = require('fs-extra');
+const phpFpm = require('../../../../src/main/services/project/phpFpm');
+
+const originalPlatform = process.platform;
+
+function setPlatform(platform) {
+  Object.defineProperty(process, 'platform', { value: platform, configurable: true });
+}
+
+function makeContext(overrides = {}) {
+  return {
+    ...phpFpm,
+    getDataPath: vi.fn(() => '/data'),
+    getResourcesPath: vi.fn(() => '/resources'),
+    getProject: vi.fn(),
+    ...overrides,
+  };
+}
+
+describe('project/phpFpm', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterEach(() => {
+    setPlatform(originalPlatform);
+  });
+
+  it('normalizes pool settings and falls back to defaults', () => {
+    const ctx = makeContext();
+
+    expect(ctx.getPhpFpmPoolSettings({})).toEqual({
+      pm: 'dynamic',
+      maxChildren: 5,
+      requestTerminateTimeout: 300,
+      slowlogTimeout: 0,
+    });
+    expect(ctx.getPhpFpmPoolSettings({
+      phpFpm: { pm: 'forking', maxChildren: '9999', requestTerminateTimeout: -4, slowlogTimeout: '3' },
+    })).toEqual({
+      pm: 'dynamic',
+      maxChildren: 256,
+      requestTerminateTimeout: 0,
+      slowlogTimeout: 3,
+    });
+  });
+
+  it('writes a dynamic pool listening on the project FastCGI port', () => {
+    const ctx = makeContext();
+
+    const config = ctx.buildPhpFpmConfig({
+      id: 'proj-1',
+      name: 'Shop',
+      phpFpm: { pm: 'dynamic', maxChildren: 8, requestTerminateTimeout: 120, slowlogTimeout: 5 },
+      environment: { APP_ENV: 'local', APP_NAME: 'My "Shop"', 'BAD-KEY': 'x' },
+    }, 9123);
+
+    expect(config).toContain('daemonize = no');
+    expect(config).toContain('[proj-1]');
+    expect(config).toContain('listen = 127.0.0.1:9123');
+    expect(config).toContain('pm = dynamic');
+    expect(config).toContain('pm.max_children = 8');
+    expect(config).toContain('pm.start_servers = 2');
+    expect(config).toContain('pm.max_spare_servers = 4');
+    expect(config).toContain('request_terminate_timeout = 120s');
+    expect(config).toContain(`slowlog = ${path.join('/data', 'php-fpm', 'logs', 'proj-1-slow.log')}`);
+    expect(config).toContain('request_slowlog_timeout = 5s');
+    expect(config).toContain('env[APP_ENV] = "local"');
+    expect(config).toContain('env[APP_NAME] = "My \\"Shop\\""');
+    expect(config).not.toContain('BAD-KEY');
+  });
+
+  it('omits spare server settings for ondemand pools', () => {
+    const ctx = makeContext();
+
+    const config = ctx.buildPhpFpmConfig({ id: 'proj-1', name: 'Shop', phpFpm: { pm: 'ondemand', maxChildren: 3 } }, 9000);
+
+    expect(config).toContain('pm = ondemand');
+    expect(config).toContain('pm.process_idle_timeout = 10s');
+    expect(config).not.toContain('pm.start_servers');
+  });
+
+  it('only uses php-fpm outside Windows when the PHP build ships it', async () => {
+    const ctx = makeContext();
+    const pathExists = vi.spyOn(fs, 'pathExists').mockImplementation(async (target) => target.endsWith(path.join('sbin', 'php-fpm')));
+
+    setPlatform('linux');
+    await expect(ctx.getPhpFpmBinaryPath('8.3')).resolves.toBe(path.join('/resources', 'php', '8.3', 'linux', 'sbin', 'php-fpm'));
+
+    setPlatform('win32');
+    pathExists.mockClear();
+    await expect(ctx.getPhpFpmBinaryPath('8.3')).resolves.toBeNull();
+    expect(pathExists).not.toHaveBeenCalled();
+  });
+
+  it('reports pool support for PHP projects only', async () => {
+    setPlatform('darwin');
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    const projects = {
+      php: { id: 'php', type: 'laravel', phpVersion: '8.3', phpFpm: { maxChildren: 12 } },
+      node: { id: 'node', type: 'nodejs' },
+    };
+    const ctx = makeContext({ getProject: vi.fn((id) => projects[id]) });
+
+    await expect(ctx.getPhpFpmSupport('php')).resolves.toEqual({
+      supported: true,
+      pool: expect.objectContaining({ maxChildren: 12 }),
+    });
+    await expect(ctx.getPhpFpmSupport('node')).resolves.toEqual(expect.objectContaining({ supported: false }));
+    await expect(ctx.getPhpFpmSupport('missing')).rejects.toThrow('Project not found');
+  });
+});
@@ -0,0 +1,70 @@
+import path from 'path';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const fs = require('fs-extra');
+const phpIni = require('../../../../src/main/services/project/phpIni');
+
+function makeContext(project, overrides = {}) {
+  return {
+    ...phpIni,
+    managers: { log: { systemWarn: vi.fn() } },
+    getResourcesPath: vi.fn(() => '/resources'),
+    getProject: vi.fn(() => project),
+    ...overrides,
+  };
+}
+
+describe('project/phpIni', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('builds -d arguments from project overrides', () => {
+    const ctx = makeContext(null);
+
+    expect(ctx.getPhpIniOverrideArgs({ phpIniOverrides: { memory_limit: '2G' } })).toEqual(['-d', 'memory_limit=2G']);
+    expect(ctx.getPhpIniOverrideArgs({})).toEqual([]);
+  });
+
+  it('reports whether each setting comes from the project, the PHP version, or PHP defaults', async () => {
+    const ctx = makeContext({
+      id: 'proj-1',
+      phpVersion: '8.2',
+      phpIniOverrides: { memory_limit: '2G', 'xdebug.mode': 'debug' },
+    });
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    const readFile = vi.spyOn(fs, 'readFile').mockResolvedValue('memory_limit = 512M\nupload_max_filesize = 64M\n');
+
+    const result = await ctx.getProjectPhpIniSettings('proj-1');
+    const byKey = Object.fromEntries(result.settings.map((setting) => [setting.key, setting]));
+
+    expect(readFile.mock.calls[0][0]).toContain(path.join('/resources', 'php', '8.2'));
+    expect(result.phpVersion).toBe('8.2');
+    expect(byKey.memory_limit).toEqual({
+      key: 'memory_limit',
+      value: '2G',
+      source: 'project',
+      projectValue: '2G',
+      versionValue: '512M',
+      defaultValue: '128M',
+    });
+    expect(byKey.upload_max_filesize).toEqual(expect.objectContaining({ value: '64M', source: 'version' }));
+    expect(byKey.post_max_size).toEqual(expect.objectContaining({ value: '8M', source: 'default' }));
+    expect(byKey['xdebug.mode']).toEqual(expect.objectContaining({ value: 'debug', source: 'project', defaultValue: null }));
+  });
+
+  it('falls back to defaults when the version php.ini is missing', async () => {
+    const ctx = makeContext({ id: 'proj-1', phpVersion: '8.3' });
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(false);
+
+    const result = await ctx.getProjectPhpIniSettings('proj-1');
+
+    expect(result.settings.every((setting) => setting.source === 'default')).toBe(true);
+  });
+
+  it('rejects unknown projects', async () => {
+    const ctx = makeContext(null);
+
+    await expect(ctx.getProjectPhpIniSettings('missing')).rejects.toThrow('Project not found');
+  });
+});
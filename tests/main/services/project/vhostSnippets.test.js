@@ -0,0 +1,127 @@
+import path from 'path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const fs = require('fs-extra');
+const vhostSnippets = require('../../../../src/main/services/project/vhostSnippets');
+
+const dataPath = '/data';
+const vhostPath = path.join(dataPath, 'nginx', '1.28', 'sites', 'proj-1.conf');
+
+function makeContext(project, files, overrides = {}) {
+  return {
+    ...vhostSnippets,
+    managers: {
+      log: { project: vi.fn() },
+      service: {
+        testNginxConfig: vi.fn().mockResolvedValue({ success: true }),
+        testApacheConfig: vi.fn().mockResolvedValue({ success: true }),
+      },
+    },
+    runningProjects: new Map([['proj-1', { phpFpmPort: 9005 }]]),
+    getProject: vi.fn(() => project),
+    getDataPath: vi.fn(() => dataPath),
+    getEffectiveWebServer: vi.fn((target) => target.webServer || 'nginx'),
+    getEffectiveWebServerVersion: vi.fn(() => '1.28'),
+    createNginxVhost: vi.fn(async () => {
+      files.set(vhostPath, 'candidate');
+    }),
+    createApacheVhost: vi.fn(),
+    createProxyNginxVhost: vi.fn(async () => {
+      files.set(vhostPath, 'proxy candidate');
+    }),
+    createProxyApacheVhost: vi.fn(),
+    updateProject: vi.fn(async (id, updates) => ({ ...project, ...updates })),
+    ...overrides,
+  };
+}
+
+describe('project/vhostSnippets', () => {
+  let files;
+
+  beforeEach(() => {
+    files = new Map([[path.join(dataPath, 'nginx', '1.28', 'nginx.conf'), 'main']]);
+    vi.spyOn(fs, 'pathExists').mockImplementation(async (filePath) => files.has(filePath));
+    vi.spyOn(fs, 'readFile').mockImplementation(async (filePath) => files.get(filePath));
+    vi.spyOn(fs, 'writeFile').mockImplementation(async (filePath, content) => {
+      files.set(filePath, content);
+    });
+    vi.spyOn(fs, 'remove').mockImplementation(async (filePath) => {
+      files.delete(filePath);
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('rejects snippets that fail the nginx config test and restores the previous vhost', async () => {
+    files.set(vhostPath, 'previous');
+    const project = { id: 'proj-1', type: 'laravel', webServer: 'nginx' };
+    const ctx = makeContext(project, files);
+    ctx.managers.service.testNginxConfig.mockResolvedValue({
+      success: false,
+      error: 'nginx: [emerg] unknown directive "gzipp" in /data/nginx/1.28/sites/proj-1.conf:42',
+    });
+
+    await expect(ctx.saveProjectVhostSnippets('proj-1', { nginx: { server: 'gzipp on;' } }))
+      .rejects.toThrow('Nginx rejected the vhost snippets:\nnginx: [emerg] unknown directive "gzipp"');
+
+    expect(ctx.createNginxVhost).toHaveBeenCalledWith(
+      expect.objectContaining({ vhostSnippets: { nginx: { server: 'gzipp on;' }, apache: {} } }),
+      9005,
+      '1.28'
+    );
+    expect(files.get(vhostPath)).toBe('previous');
+    expect(ctx.updateProject).not.toHaveBeenCalled();
+  });
+
+  it('persists snippets that pass the config test and leaves regeneration to updateProject', async () => {
+    const project = { id: 'proj-1', type: 'laravel', webServer: 'nginx' };
+    const ctx = makeContext(project, files);
+
+    await ctx.saveProjectVhostSnippets('proj-1', { nginx: { phpLocation: 'fastcgi_buffers 16 16k;' } });
+
+    expect(ctx.managers.service.testNginxConfig).toHaveBeenCalledWith('1.28');
+    expect(files.has(vhostPath)).toBe(false);
+    expect(ctx.updateProject).toHaveBeenCalledWith('proj-1', {
+      vhostSnippets: { nginx: { phpLocation: 'fastcgi_buffers 16 16k;' }, apache: {} },
+    });
+  });
+
+  it('tests the proxy vhost of app server projects so their routes are checked too', async () => {
+    files.set(vhostPath, 'previous');
+    const routes = [{ path: '/api', type: 'proxy', port: 4000 }];
+    const project = { id: 'proj-1', type: 'nodejs', nodePort: 3000, webServer: 'nginx', routes };
+    const ctx = makeContext(project, files);
+    ctx.managers.service.testNginxConfig.mockResolvedValue({ success: false, error: 'nginx: [emerg] invalid URL prefix' });
+
+    await expect(ctx.testProjectVhostConfig(project)).resolves.toEqual({ success: false, error: 'nginx: [emerg] invalid URL prefix' });
+
+    expect(ctx.createProxyNginxVhost).toHaveBeenCalledWith(project, 3000, '1.28');
+    expect(ctx.createNginxVhost).not.toHaveBeenCalled();
+    expect(files.get(vhostPath)).toBe('previous');
+  });
+
+  it('refuses snippets for app server projects instead of dropping them', async () => {
+    const project = { id: 'proj-1', type: 'python', webServer: 'nginx' };
+    const ctx = makeContext(project, files);
+
+    await expect(ctx.saveProjectVhostSnippets('proj-1', { nginx: { server: 'gzip on;' } }))
+      .rejects.toThrow('Vhost snippets need a PHP or static site project.');
+    expect(ctx.updateProject).not.toHaveBeenCalled();
+
+    await ctx.saveProjectVhostSnippets('proj-1', { nginx: { server: '  ' } });
+    expect(ctx.updateProject).toHaveBeenCalledWith('proj-1', { vhostSnippets: { nginx: {}, apache: {} } });
+  });
+
+  it('skips the config test until the web server config has been generated', async () => {
+    files.clear();
+    const project = { id: 'proj-1', type: 'laravel', webServer: 'nginx' };
+    const ctx = makeContext(project, files);
+
+    await ctx.saveProjectVhostSnippets('proj-1', { nginx: { server: 'gzip on;' } });
+
+    expect(ctx.createNginxVhost).not.toHaveBeenCalled();
+    expect(ctx.updateProject).toHaveBeenCalled();
+  });
+});
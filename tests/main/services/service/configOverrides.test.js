@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+
+const configOverrides = require('../../../../src/main/services/service/configOverrides');
+
+function makeContext() {
+  const store = {};
+  return {
+    ...configOverrides,
+    managers: { log: { service: vi.fn() } },
+    configStore: {
+      get: vi.fn((key, defaultValue) => store[key] ?? defaultValue),
+      set: vi.fn((key, value) => { store[key] = value; }),
+    },
+    serviceConfigs: { redis: { name: 'Redis' } },
+    runningVersions: new Map([['redis', new Map()]]),
+    restartService: vi.fn(),
+  };
+}
+
+describe('service/configOverrides', () => {
+  it('rejects invalid config without storing it', async () => {
+    const ctx = makeContext();
+
+    await expect(ctx.saveServiceConfigOverride('redis', '7.4', 'port 6380')).rejects.toThrow(
+      'Invalid Redis 7.4 config:\n"port" is managed by DevBox Pro and cannot be overridden'
+    );
+    expect(ctx.configStore.set).not.toHaveBeenCalled();
+  });
+
+  it('applies saved config on the next start and keeps it once the service started', async () => {
+    const ctx = makeContext();
+
+    await expect(ctx.saveServiceConfigOverride('redis', '7.4', 'notify-keyspace-events Ex\n')).resolves.toEqual({
+      success: true,
+      applied: false,
+      rolledBack: false,
+    });
+    expect(ctx.restartService).not.toHaveBeenCalled();
+    expect(ctx.applyServiceConfigOverride('redis', '7.4', 'port 6379\n')).toBe('port 6379\n\n# Custom config\nnotify-keyspace-events Ex\n');
+    expect(ctx.applyServiceConfigOverride('redis', '6.2', 'port 6379\n')).toBe('port 6379\n');
+
+    ctx.markServiceConfigOverrideWorking('redis', '7.4');
+    expect(ctx.rollbackServiceConfigOverride('redis', '7.4', 'exited')).toBe(false);
+  });
+
+  it('rolls an untried config back to the last one the service started with', async () => {
+    const ctx = makeContext();
+    ctx.storeServiceConfigOverride('redis', '7.4', { content: 'maxmemory 256mb', lastWorkingContent: 'maxmemory 256mb', rejected: null });
+    ctx.runningVersions.get('redis').set('7.4', { port: 6379 });
+    ctx.restartService.mockImplementation(async () => {
+      ctx.rollbackServiceConfigOverride('redis', '7.4', 'Redis 7.4 exited before becoming ready');
+      return { success: true, configRolledBack: true, configError: 'Redis 7.4 exited before becoming ready' };
+    });
+
+    await expect(ctx.saveServiceConfigOverride('redis', '7.4', 'maxmemory lots')).resolves.toEqual({
+      success: false,
+      applied: true,
+      rolledBack: true,
+      error: 'Redis 7.4 exited before becoming ready',
+    });
+    expect(ctx.restartService).toHaveBeenCalledWith('redis', '7.4');
+    expect(ctx.getServiceConfigOverride('redis', '7.4')).toEqual({
+      content: 'maxmemory 256mb',
+      lastWorkingContent: 'maxmemory 256mb',
+      rejected: { content: 'maxmemory lots', error: 'Redis 7.4 exited before becoming ready' },
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import net from 'net';
+import http from 'http';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const health = require('../../../../src/main/services/service/health');
+
+function makeContext(overrides = {}) {
+  const ctx = {
+    ...health,
+    managers: { log: { systemWarn: vi.fn() } },
+    configStore: { get: vi.fn(() => ({})) },
+    processes: new Map(),
+    runningVersions: new Map([['redis', new Map()]]),
+    serviceConfigs: {
+      redis: { name: 'Redis', defaultPort: 6379, actualPort: 6379 },
+    },
+    getProcessKey: (serviceName, version) => (version ? `${serviceName}-${version}` : serviceName),
+    ...overrides,
+  };
+  ctx.serviceConfigs.redis.healthCheck = (version) => ctx.checkRedisHealth(version);
+  return ctx;
+}
+
+describe('service/health', () => {
+  let server;
+
+  afterEach(async () => {
+    await new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+    server = null;
+  });
+
+  it('probes Apache on its health path so the first project vhost is not hit', async () => {
+    // httpd.conf answers the health path on every vhost, everything else reaches the first project
+    server = http.createServer((request, response) => {
+      response.writeHead(request.url === '/__devbox-health' ? 410 : 502).end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const ctx = makeContext({
+      runningVersions: new Map([['apache', new Map([['2.4', { port: server.address().port }]])]]),
+      serviceConfigs: { redis: {}, apache: { name: 'Apache', defaultPort: 8081 } },
+    });
+
+    await expect(ctx.checkApacheHealth('2.4')).resolves.toEqual({ healthy: true, reason: null });
+  });
+
+  it('reports nginx healthy while a project vhost answers 502', async () => {
+    // The first project vhost answers any unknown host, only the fallback server is named localhost
+    server = http.createServer((request, response) => {
+      response.writeHead(request.headers.host === 'localhost' ? 404 : 502).end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const ctx = makeContext({
+      runningVersions: new Map([['nginx', new Map([['1.28', { port: server.address().port }]])]]),
+      serviceConfigs: { redis: {}, nginx: { name: 'Nginx', defaultPort: 80 } },
+    });
+
+    await expect(ctx.checkNginxHealth('1.28')).resolves.toEqual({ healthy: true, reason: null });
+  });
+
+  it('probes the port of the requested running version', async () => {
+    server = net.createServer((socket) => socket.on('data', () => socket.write('+PONG\r\n')));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const ctx = makeContext();
+    ctx.runningVersions.get('redis').set('7.4', { port: server.address().port });
+
+    await expect(ctx.checkRedisHealth('7.4')).resolves.toEqual({ healthy: true, reason: null });
+    expect(ctx.getHealthCheckPort('redis', '6.2')).toBe(6379);
+  });
+
+  it('fails with the reason of the last check', async () => {
+    server = net.createServer((socket) => socket.on('data', () => socket.write('-LOADING Redis is loading the dataset in memory\r\n')));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const ctx = makeContext();
+    ctx.runningVersions.get('redis').set('7.4', { port: server.address().port });
+
+    await expect(ctx.waitForService('redis', 300, '7.4'))
+      .rejects.toThrow('Redis 7.4 failed to start within 300ms: Redis answered LOADING Redis is loading the dataset in memory');
+  });
+
+  it('logs the reason when it extends the wait for a live process', async () => {
+    const ctx = makeContext({ processes: new Map([['redis-7.4', { killed: false, exitCode: null }]]) });
+    ctx.waitForService = vi.fn()
+      .mockRejectedValueOnce(new Error('Redis 7.4 failed to start within 100ms: Port 6379 is not accepting connections'))
+      .mockResolvedValueOnce(true);
+
+    await expect(ctx.waitForServiceWithRetry('redis', 100, { version: '7.4' })).resolves.toBe(true);
+    expect(ctx.waitForService).toHaveBeenCalledWith('redis', 100, '7.4');
+    expect(ctx.managers.log.systemWarn).toHaveBeenCalledWith(
+      expect.stringContaining('Redis 7.4 not ready after 100ms'),
+      { reason: 'Redis 7.4 failed to start within 100ms: Port 6379 is not accepting connections' }
+    );
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+require('../../../helpers/mockElectronCjs');
+
+const path = require('path');
+const fs = require('fs-extra');
+const PortUtils = require('../../../../src/main/utils/PortUtils');
+const SpawnUtils = require('../../../../src/main/utils/SpawnUtils');
+const ports = require('../../../../src/main/services/service/ports');
+const processes = require('../../../../src/main/services/service/processes');
+
+function makeContext(servicePorts = {}) {
+  return {
+    ...processes,
+    ...ports,
+    resourcePath: '/resources',
+    managers: {
+      cli: { syncProjectsFile: vi.fn().mockResolvedValue('/cli/projects.json') },
+      log: { systemWarn: vi.fn() },
+    },
+    configStore: { get: vi.fn(() => ({ servicePorts })) },
+    serviceConfigs: {
+      mysql: { name: 'MySQL', defaultPort: 3306, versioned: true },
+      redis: { name: 'Redis', defaultPort: 6379, versioned: true },
+      nginx: { name: 'Nginx', defaultPort: 80, versioned: true },
+      mailpit: { name: 'Mailpit', defaultPort: 8025, versioned: false },
+    },
+    versionPortOffsets: { mysql: { '8.4': 0, '8.0': 1, '5.7': 2 }, redis: { '7.4': 0, '7.2': 1, '6.2': 2 } },
+    runningVersions: new Map(),
+    updatePhpMyAdminConfig: vi.fn().mockResolvedValue(undefined),
+  };
+}
+
+describe('service/ports', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.spyOn(PortUtils, 'isPortAvailable').mockResolvedValue(true);
+    vi.spyOn(PortUtils, 'getProcessOnPort').mockResolvedValue(null);
+  });
+
+  it('reads valid per-version ports from settings and ignores the rest', () => {
+    const ctx = makeContext({ mysql: { '8.0': 3399, '5.7': 'abc' }, nginx: { '1.28': 8088 } });
+
+    expect(ctx.getCustomServicePort('mysql', '8.0')).toBe(3399);
+    expect(ctx.getCustomServicePort('mysql', '5.7')).toBeNull();
+    expect(ctx.getCustomServicePort('nginx', '1.28')).toBeNull();
+    expect(ctx.getVersionPort('mysql', '8.0', 3306)).toBe(3399);
+    expect(ctx.getVersionPort('mysql', '5.7', 3306)).toBe(3308);
+  });
+
+  it('flags ports that another DevBox service version would use, including unsaved edits', async () => {
+    const ctx = makeContext();
+
+    await expect(ctx.checkServicePort(6380, 'mysql', '8.0')).resolves.toMatchObject({
+      available: false,
+      reason: 'Port 6380 is assigned to Redis 7.2',
+      usedBy: { service: 'redis', version: '7.2' },
+    });
+    await expect(ctx.checkServicePort(3399, 'mysql', '8.0', { mysql: { '8.0': 3399, '5.7': 3399 } })).resolves.toMatchObject({
+      available: false,
+      reason: 'Port 3399 is assigned to MySQL 5.7',
+    });
+    await expect(ctx.checkServicePort(8025, 'redis', '7.4')).resolves.toMatchObject({ available: false, usedBy: { service: 'mailpit', version: null } });
+    await expect(ctx.checkServicePort(3399, 'mysql', '8.0', { mysql: { '8.0': 3399 } })).resolves.toEqual({
+      available: true,
+      reason: null,
+      usedBy: null,
+      owner: null,
+    });
+    await expect(ctx.checkServicePort(70000, 'mysql', '8.0')).resolves.toMatchObject({ available: false });
+  });
+
+  it('reports which process owns a taken port unless it is the version itself', async () => {
+    const ctx = makeContext();
+    PortUtils.isPortAvailable.mockResolvedValue(false);
+    PortUtils.getProcessOnPort.mockResolvedValue({ pid: 4242 });
+    vi.spyOn(SpawnUtils, 'spawnAsync').mockResolvedValue({ code: 0, stdout: '/usr/lib/postgresql/bin/postgres\n', stderr: '' });
+    vi.spyOn(SpawnUtils, 'getProcessDetailsByPid').mockResolvedValue({ pid: 4242, name: 'postgres' });
+
+    await expect(ctx.checkServicePort(3399, 'mysql', '8.0')).resolves.toEqual({
+      available: false,
+      reason: 'Port 3399 is in use by postgres (PID 4242)',
+      usedBy: null,
+      owner: { pid: 4242, name: 'postgres' },
+    });
+
+    ctx.runningVersions.set('mysql', new Map([['8.0', { port: 3399 }]]));
+    await expect(ctx.checkServicePort(3399, 'mysql', '8.0')).resolves.toMatchObject({ available: true });
+  });
+
+  it('rewrites the phpMyAdmin config and CLI projects file after ports change', async () => {
+    const ctx = makeContext();
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(true);
+
+    await ctx.applyServicePortChanges();
+
+    expect(ctx.updatePhpMyAdminConfig).toHaveBeenCalledWith(path.join('/resources', 'phpmyadmin'));
+    expect(ctx.managers.cli.syncProjectsFile).toHaveBeenCalled();
+  });
+
+  it('hands the versions that moved to the project manager so project environments follow', async () => {
+    const ctx = makeContext({ mysql: { '8.0': 3399 }, redis: { '7.4': 6400 } });
+    ctx.managers.project = { syncProjectServicePorts: vi.fn().mockResolvedValue(['Shop']) };
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(false);
+
+    await ctx.applyServicePortChanges({ mysql: { '8.0': 3390 } });
+
+    expect(ctx.managers.project.syncProjectServicePorts).toHaveBeenCalledWith([
+      { service: 'mysql', version: '8.0', previousPort: 3390, port: 3399 },
+      { service: 'redis', version: '7.4', previousPort: 6379, port: 6400 },
+    ]);
+  });
+
+  it('restarts running versions onto their new port before syncing project environments', async () => {
+    const ctx = makeContext({ mysql: { '8.0': 3399 }, redis: { '7.4': 6400 } });
+    const order = [];
+    ctx.runningVersions.set('mysql', new Map([['8.0', { port: 3390 }]]));
+    ctx.runningVersions.set('redis', new Map([['7.4', { port: 6379 }]]));
+    ctx.restartService = vi.fn(async (service) => {
+      order.push(`restart:${service}`);
+      return service === 'redis' ? { success: false } : { success: true };
+    });
+    ctx.managers.project = { syncProjectServicePorts: vi.fn(async () => { order.push('sync'); }) };
+    vi.spyOn(fs, 'pathExists').mockResolvedValue(false);
+
+    const result = await ctx.applyServicePortChanges({ mysql: { '8.0': 3390 } });
+
+    expect(order).toEqual(['restart:mysql', 'restart:redis', 'sync']);
+    expect(ctx.restartService).toHaveBeenCalledWith('mysql', '8.0');
+    expect(result).toEqual({
+      restarted: [{ service: 'mysql', version: '8.0', previousPort: 3390, port: 3399 }],
+      failed: [{ service: 'redis', version: '7.4', previousPort: 6379, port: 6400 }],
+    });
+    expect(ctx.managers.log.systemWarn).toHaveBeenCalledWith(
+      'Could not restart Redis 7.4 on port 6400; restart it to move it',
+      { error: 'Redis 7.4 did not come back up' }
+    );
+  });
+});
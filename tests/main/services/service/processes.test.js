@@ -99,4 +99,60 @@ describe('service/processes', () => {
 
     expect(ctx.getVersionPort('redis', '7.4', 6379)).toBe(6389);
   });
+
+  it('prefers ports set per version in settings, also for stopped versions', () => {
+    const ctx = makeContext({
+      getCustomServicePort: (service, version) => (service === 'redis' && version === '7.2' ? 6400 : null),
+    });
+
+    expect(ctx.getVersionPort('redis', '7.2', 6379)).toBe(6400);
+    expect(ctx.getVersionPort('redis', '7.4', 6379)).toBe(6389);
+    expect(ctx.getServicePorts('redis', '7.2')).toEqual({ httpPort: 6400, sslPort: null });
+  });
+
+  it('measures real memory and CPU of services, PHP workers and supervisor workers', async () => {
+    const ctx = makeContext({
+      processes: new Map([['redis-7.4', { pid: process.pid }]]),
+      processCpuSamples: new Map(),
+      resourceHistory: [],
+      managers: {
+        project: { runningProjects: new Map([['app', { phpCgiProcess: { pid: process.pid } }]]) },
+        supervisor: {
+          processes: new Map([['app', new Map([['queue', { instances: [{ name: 'queue_0', pid: process.pid }] }]])]]),
+        },
+      },
+    });
+
+    await ctx.getResourceUsage();
+    const busyUntil = Date.now() + 50;
+    while (Date.now() < busyUntil) {
+      // Spend CPU time so the second sample has something to measure
+    }
+    const usage = await ctx.getResourceUsage();
+
+    expect(usage.services['redis-7.4'].memory).toBeGreaterThan(0);
+    expect(usage.services['redis-7.4'].cpu).toBeGreaterThanOrEqual(0);
+    expect(Object.keys(usage.projects.app.processes)).toEqual(['php-cgi', 'queue']);
+    expect(usage.projects.app.memory).toBe(usage.projects.app.processes['php-cgi'].memory + usage.projects.app.processes.queue.memory);
+    expect(usage.total.memory).toBe(usage.services['redis-7.4'].memory + usage.projects.app.memory);
+  });
+
+  it('keeps only the last hour of resource samples', async () => {
+    const ctx = makeContext({
+      processes: new Map(),
+      processCpuSamples: new Map(),
+      resourceHistory: [
+        { timestamp: Date.now() - 61 * 60000, total: { cpu: 1, memory: 1 }, services: {}, projects: {} },
+        { timestamp: Date.now() - 30 * 60000, total: { cpu: 2, memory: 2 }, services: {}, projects: {} },
+      ],
+      managers: {},
+    });
+
+    await ctx.recordResourceUsage();
+
+    const history = ctx.getResourceHistory();
+    expect(history).toHaveLength(2);
+    expect(history[0].total.cpu).toBe(2);
+    expect(history[1].total).toEqual({ cpu: 0, memory: 0 });
+  });
 });
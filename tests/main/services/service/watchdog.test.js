@@ -0,0 +1,127 @@
+import { EventEmitter } from 'events';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+require('../../../helpers/mockElectronCjs');
+
+const watchdog = require('../../../../src/main/services/service/watchdog');
+const helpers = require('../../../../src/main/services/service/helpers');
+
+function makeProc(pid = 1000) {
+  const proc = new EventEmitter();
+  proc.pid = pid;
+  return proc;
+}
+
+function makeContext(settings = { serviceWatchdog: true, serviceWatchdogMaxAttempts: 2 }) {
+  const ctx = Object.assign(new EventEmitter(), watchdog, {
+    extractMySqlStartupFailureLine: helpers.extractMySqlStartupFailureLine,
+    extractMariaDbStartupFailureLine: helpers.extractMariaDbStartupFailureLine,
+    managers: { log: { service: vi.fn(), systemError: vi.fn() } },
+    configStore: { get: vi.fn(() => settings) },
+    processes: new Map(),
+    serviceStatus: new Map([
+      ['redis', { status: 'running', version: '7.4' }],
+      ['mysql', { status: 'running', version: '8.4' }],
+    ]),
+    runningVersions: new Map([['redis', new Map()], ['mysql', new Map()]]),
+    serviceConfigs: {
+      redis: { name: 'Redis', versioned: true },
+      mysql: { name: 'MySQL', versioned: true },
+    },
+    serviceCrashes: new Map(),
+    watchedServiceProcesses: new WeakSet(),
+    stoppedServiceProcesses: new WeakSet(),
+    getProcessKey: (serviceName, version) => (version ? `${serviceName}-${version}` : serviceName),
+    getDataPath: () => '/data',
+    getMySQLErrorLogTail: vi.fn(async () => ''),
+  });
+  ctx.startService = vi.fn(async (serviceName, version) => {
+    ctx.processes.set(ctx.getProcessKey(serviceName, version), makeProc());
+    ctx.watchServiceProcess(serviceName, version);
+    return { success: true };
+  });
+  return ctx;
+}
+
+function crash(ctx, key, code = 1) {
+  ctx.processes.get(key).emit('exit', code, null);
+}
+
+describe('service/watchdog', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('restarts a crashed service with a growing delay and gives up after the last attempt', async () => {
+    const ctx = makeContext();
+    const crashes = [];
+    ctx.on('serviceCrashed', (event) => crashes.push(event));
+    await ctx.startService('redis', '7.4');
+
+    crash(ctx, 'redis-7.4');
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(ctx.startService).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(ctx.startService).toHaveBeenCalledTimes(2);
+
+    crash(ctx, 'redis-7.4');
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(ctx.startService).toHaveBeenCalledTimes(3);
+
+    crash(ctx, 'redis-7.4');
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(ctx.startService).toHaveBeenCalledTimes(3);
+
+    expect(crashes.map(({ willRestart, delayMs }) => [willRestart, delayMs])).toEqual([
+      [true, 2000],
+      [true, 4000],
+      [false, undefined],
+    ]);
+    expect(crashes[0].message).toBe('Redis 7.4 exited unexpectedly (exit code 1)');
+    expect(ctx.serviceStatus.get('redis')).toMatchObject({ status: 'stopped', error: 'Redis 7.4 exited unexpectedly (exit code 1)' });
+    expect(ctx.managers.log.service).toHaveBeenCalledWith(
+      'redis',
+      'Redis 7.4 crashed 3 times in a row; automatic restarts stopped. Start it again to recover.',
+      'error'
+    );
+  });
+
+  it('ignores processes that were stopped on purpose', async () => {
+    const ctx = makeContext();
+    const crashed = vi.fn();
+    ctx.on('serviceCrashed', crashed);
+    await ctx.startService('redis', '7.4');
+
+    const proc = ctx.processes.get('redis-7.4');
+    ctx.stoppedServiceProcesses.add(proc);
+    proc.emit('exit', null, 'SIGTERM');
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(crashed).not.toHaveBeenCalled();
+    expect(ctx.startService).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs the reason of a MySQL crash and only reports it while the watchdog is off', async () => {
+    const ctx = makeContext({});
+    ctx.getMySQLErrorLogTail.mockResolvedValue([
+      '2026-01-01T00:00:00.000000Z 0 [System] [MY-010116] [Server] starting as process 4242',
+      '2026-01-01T00:00:05.000000Z 0 [ERROR] [MY-012592] [InnoDB] Operating system error number 28 in a file operation.',
+    ].join('\n'));
+    const crashed = vi.fn();
+    ctx.on('serviceCrashed', crashed);
+    await ctx.startService('mysql', '8.4');
+
+    crash(ctx, 'mysql-8.4', 2);
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(ctx.getMySQLErrorLogTail).toHaveBeenCalledWith(expect.stringMatching(/mysql[\\/]8\.4[\\/]data$/), 80);
+    const message = ctx.managers.log.service.mock.calls[0][1];
+    expect(message).toMatch(/^MySQL 8\.4 exited unexpectedly \(exit code 2\): .*Operating system error number 28/);
+    expect(crashed).toHaveBeenCalledWith({ service: 'mysql', version: '8.4', message, willRestart: false });
+    expect(ctx.startService).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+
+const { escapeHtml, renderDevBoxPage } = require('../../../src/main/utils/DevBoxPageUtils');
+
+describe('escapeHtml()', () => {
+  it('escapes markup and attribute quotes', () => {
+    expect(escapeHtml('<a href="x">Tom & Jerry</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;');
+  });
+});
+
+describe('renderDevBoxPage()', () => {
+  it('escapes the title and only reloads when asked to', () => {
+    const page = renderDevBoxPage({ title: 'Shop <dev>', body: '    <p>Down</p>' });
+
+    expect(page).toContain('<title>Shop &lt;dev&gt;</title>');
+    expect(page).toContain('<h1>Shop &lt;dev&gt;</h1>\n    <p>Down</p>');
+    expect(page).not.toContain('http-equiv="refresh"');
+    expect(renderDevBoxPage({ title: 'Starting', body: '', refreshSeconds: 3 })).toContain('<meta http-equiv="refresh" content="3">');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  detectPhpFrameworkFromComposer,
+  getNginxFrameworkRules,
+  getApacheFrameworkRules,
+} = require('../../../src/main/utils/PhpFrameworkPresets');
+
+describe('detectPhpFrameworkFromComposer()', () => {
+  it('maps composer packages to project types', () => {
+    expect(detectPhpFrameworkFromComposer({ require: { 'drupal/core-recommended': '^10' } })).toBe('drupal');
+    expect(detectPhpFrameworkFromComposer({ require: { 'magento/product-community-edition': '2.4.7' } })).toBe('magento2');
+    expect(detectPhpFrameworkFromComposer({ require: { 'codeigniter4/framework': '^4.5' } })).toBe('codeigniter4');
+    expect(detectPhpFrameworkFromComposer({ require: { 'cakephp/cakephp': '^5.0' } })).toBe('cakephp');
+    expect(detectPhpFrameworkFromComposer({ require: { 'yiisoft/yii2': '~2.0.45' } })).toBe('yii2');
+    expect(detectPhpFrameworkFromComposer({ require: { 'craftcms/cms': '^5.0' } })).toBe('craftcms');
+    expect(detectPhpFrameworkFromComposer({ require: { 'slim/slim': '^4.0' } })).toBe('slim');
+  });
+
+  it('prefers Statamic over the Laravel framework it is built on', () => {
+    expect(detectPhpFrameworkFromComposer({ require: { 'laravel/framework': '^11.0', 'statamic/cms': '^5.0' } })).toBe('statamic');
+  });
+
+  it('returns null for composer files without a preset package', () => {
+    expect(detectPhpFrameworkFromComposer({ require: { 'laravel/framework': '^11.0' } })).toBeNull();
+    expect(detectPhpFrameworkFromComposer({})).toBeNull();
+  });
+});
+
+describe('getNginxFrameworkRules()', () => {
+  it('keeps the default front controller for projects without a preset', () => {
+    expect(getNginxFrameworkRules({ type: 'laravel' })).toEqual({
+      tryFiles: '$uri $uri/ /index.php?$query_string',
+      rules: '',
+    });
+  });
+
+  it('renders preset try_files and locations', () => {
+    const { tryFiles, rules } = getNginxFrameworkRules({ type: 'magento2' });
+
+    expect(tryFiles).toBe('$uri $uri/ /index.php?$query_string');
+    expect(rules).toContain('\n\n    # Magento 2 rules\n    location /static/ {');
+    expect(rules).toContain('try_files $uri $uri/ /get.php$is_args$args;');
+  });
+});
+
+describe('getApacheFrameworkRules()', () => {
+  it('returns an empty string for projects without rewrite rules', () => {
+    expect(getApacheFrameworkRules({ type: 'slim' })).toBe('');
+    expect(getApacheFrameworkRules({ type: 'custom' })).toBe('');
+  });
+
+  it('indents preset rules for the Directory rewrite block', () => {
+    expect(getApacheFrameworkRules({ type: 'yii2' })).toBe(
+      '            # Yii 2 rules\n            RewriteRule ^assets/.*\\.php$ - [F]\n'
+    );
+  });
+});
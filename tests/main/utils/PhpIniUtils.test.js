@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  normalizePhpIniOverrides,
+  parsePhpIniValues,
+  buildPhpIniOverrideArgs,
+  buildPhpIniOverrideContent,
+} = require('../../../src/main/utils/PhpIniUtils');
+
+describe('normalizePhpIniOverrides()', () => {
+  it('keeps valid directives and drops unsafe keys or values', () => {
+    expect(normalizePhpIniOverrides({
+      memory_limit: ' 1G ',
+      'opcache.enable': 0,
+      'bad key': 'x',
+      display_errors: '',
+      error_log: 'a\nb',
+      max_execution_time: null,
+    })).toEqual({
+      memory_limit: '1G',
+      'opcache.enable': '0',
+    });
+  });
+
+  it('returns an empty object for non-object input', () => {
+    expect(normalizePhpIniOverrides(null)).toEqual({});
+    expect(normalizePhpIniOverrides(['memory_limit'])).toEqual({});
+  });
+});
+
+describe('parsePhpIniValues()', () => {
+  it('reads active directives and ignores comments, sections, and extensions', () => {
+    const values = parsePhpIniValues([
+      '[PHP]',
+      '; memory_limit = 64M',
+      'memory_limit = 256M',
+      'extension=redis',
+      'error_log = "C:/logs/php error.log"',
+      'memory_limit = 512M ; later wins',
+    ].join('\r\n'));
+
+    expect(values).toEqual({
+      memory_limit: '512M',
+      error_log: 'C:/logs/php error.log',
+    });
+  });
+});
+
+describe('buildPhpIniOverrideArgs()', () => {
+  it('expands overrides into -d flags', () => {
+    expect(buildPhpIniOverrideArgs({ memory_limit: '1G', 'opcache.enable': '0' }))
+      .toEqual(['-d', 'memory_limit=1G', '-d', 'opcache.enable=0']);
+  });
+});
+
+describe('buildPhpIniOverrideContent()', () => {
+  it('quotes values that are not plain tokens', () => {
+    expect(buildPhpIniOverrideContent({ memory_limit: '1G', error_log: '/tmp/php errors.log' }))
+      .toBe('; DevBox Pro project php.ini overrides\nmemory_limit = 1G\nerror_log = "/tmp/php errors.log"\n');
+  });
+});
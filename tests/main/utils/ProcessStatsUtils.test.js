@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const SpawnUtils = require('../../../src/main/utils/SpawnUtils');
+
+const {
+  parseLinuxProcStat,
+  parseLinuxRss,
+  parseCpuTime,
+  parsePsOutput,
+  parseWindowsProcessCsv,
+  listProcesses,
+  getProcessTreePids,
+  calculateCpuPercent,
+} = require('../../../src/main/utils/ProcessStatsUtils');
+
+describe('parseLinuxProcStat()', () => {
+  it('reads the parent and CPU time even when the process name has spaces and parentheses', () => {
+    const stat = '4242 (php-fpm: pool (www)) S 4200 4200 4200 0 -1 4194560 1500 0 0 0 250 130 0 0 20 0 1 0 12345 250000000 5000 18446744073709551615';
+
+    expect(parseLinuxProcStat(stat)).toEqual({ pid: 4242, ppid: 4200, cpuSeconds: 3.8 });
+  });
+
+  it('reads resident memory from the status file', () => {
+    expect(parseLinuxRss('Name:\tnginx\nVmRSS:\t   10240 kB\nThreads:\t1\n')).toBe(10485760);
+    expect(parseLinuxRss('Name:\tkthreadd\n')).toBe(0);
+  });
+});
+
+describe('parsePsOutput()', () => {
+  it('parses process rows with CPU times in every ps format', () => {
+    const processes = parsePsOutput('  101     1   2048   0:01.50\n  102   101   1024 01:02:03\n  103   101    512 2-00:00:01\n');
+
+    expect(processes.get(101)).toEqual({ pid: 101, ppid: 1, cpuSeconds: 1.5, memory: 2097152 });
+    expect(processes.get(102).cpuSeconds).toBe(3723);
+    expect(processes.get(103).cpuSeconds).toBe(172801);
+    expect(parseCpuTime('0:00.00')).toBe(0);
+  });
+});
+
+describe('parseWindowsProcessCsv()', () => {
+  it('converts CPU times from 100ns units', () => {
+    const csv = '"ProcessId","ParentProcessId","WorkingSetSize","KernelModeTime","UserModeTime"\r\n"5000","4","20971520","10000000","15000000"\r\n';
+
+    expect(parseWindowsProcessCsv(csv).get(5000)).toEqual({ pid: 5000, ppid: 4, cpuSeconds: 2.5, memory: 20971520 });
+  });
+
+  it('reads wmic output with its node column and doubled carriage returns', () => {
+    const csv = '\r\r\nNode,KernelModeTime,ParentProcessId,ProcessId,UserModeTime,WorkingSetSize\r\r\nDEV-PC,10000000,4,5000,15000000,20971520\r\r\n';
+
+    expect(parseWindowsProcessCsv(csv).get(5000)).toEqual({ pid: 5000, ppid: 4, cpuSeconds: 2.5, memory: 20971520 });
+  });
+});
+
+describe('listProcesses() on Windows', () => {
+  const platform = process.platform;
+
+  afterEach(() => {
+    Object.defineProperty(process, 'platform', { value: platform });
+    vi.restoreAllMocks();
+  });
+
+  it('lists processes with wmic and only falls back to PowerShell once wmic is missing', async () => {
+    Object.defineProperty(process, 'platform', { value: 'win32' });
+    const spawn = vi.spyOn(SpawnUtils, 'spawnAsync')
+      .mockResolvedValueOnce({ code: 0, stdout: 'Node,KernelModeTime,ParentProcessId,ProcessId,UserModeTime,WorkingSetSize\r\nDEV-PC,0,4,5000,0,1024\r\n' })
+      .mockResolvedValueOnce({ code: -1, stdout: '', error: new Error('spawn wmic ENOENT') })
+      .mockResolvedValue({ code: 0, stdout: '"ProcessId","ParentProcessId","WorkingSetSize","KernelModeTime","UserModeTime"\r\n"6000","4","2048","0","0"\r\n' });
+
+    expect((await listProcesses()).has(5000)).toBe(true);
+    expect((await listProcesses()).has(6000)).toBe(true);
+    expect((await listProcesses()).has(6000)).toBe(true);
+
+    expect(spawn.mock.calls.map(([command]) => command)).toEqual(['wmic', 'wmic', 'powershell', 'powershell']);
+  });
+});
+
+describe('getProcessTreePids()', () => {
+  it('collects a process and all of its descendants', () => {
+    const processes = new Map([
+      [10, { pid: 10, ppid: 1 }],
+      [11, { pid: 11, ppid: 10 }],
+      [12, { pid: 12, ppid: 11 }],
+      [20, { pid: 20, ppid: 1 }],
+    ]);
+
+    expect(getProcessTreePids(processes, 10)).toEqual([10, 11, 12]);
+    expect(getProcessTreePids(processes, 99)).toEqual([]);
+  });
+
+  it('finds the current process in the real process list', async () => {
+    const processes = await listProcesses();
+
+    expect(getProcessTreePids(processes, process.pid)).toContain(process.pid);
+  });
+});
+
+describe('calculateCpuPercent()', () => {
+  it('measures CPU time used between two samples, 100% being one core', () => {
+    expect(calculateCpuPercent({ cpuSeconds: 10, sampledAt: 0 }, { cpuSeconds: 11, sampledAt: 5000 })).toBe(20);
+    expect(calculateCpuPercent(undefined, { cpuSeconds: 11, sampledAt: 5000 })).toBe(0);
+    expect(calculateCpuPercent({ cpuSeconds: 12, sampledAt: 0 }, { cpuSeconds: 11, sampledAt: 5000 })).toBe(0);
+  });
+});
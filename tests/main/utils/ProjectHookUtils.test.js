@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+
+const { normalizeProjectHooks, getProjectHooksForEvent } = require('../../../src/main/utils/ProjectHookUtils');
+
+describe('normalizeProjectHooks()', () => {
+  it('keeps the hook order and trims commands', () => {
+    expect(normalizeProjectHooks([
+      { event: 'pre-start', command: '  composer install  ', failOnError: true },
+      { event: 'pre-stop', command: 'php artisan cache:clear', failOnError: 'yes' },
+    ])).toEqual([
+      { event: 'pre-start', command: 'composer install', failOnError: true },
+      { event: 'pre-stop', command: 'php artisan cache:clear', failOnError: false },
+    ]);
+    expect(normalizeProjectHooks(undefined)).toEqual([]);
+  });
+
+  it('rejects unknown events and empty commands', () => {
+    expect(() => normalizeProjectHooks([{ event: 'on-boot', command: 'ls' }])).toThrow('Unknown event "on-boot" for hook 1.');
+    expect(() => normalizeProjectHooks([{ event: 'post-start', command: ' ' }])).toThrow('Hook 1 (post-start) needs a command.');
+  });
+});
+
+describe('getProjectHooksForEvent()', () => {
+  it('returns only the hooks of the event', () => {
+    const project = {
+      hooks: [
+        { event: 'pre-start', command: 'composer install' },
+        { event: 'post-start', command: 'php artisan migrate' },
+        { event: 'pre-start', command: 'npm run build' },
+      ],
+    };
+
+    expect(getProjectHooksForEvent(project, 'pre-start').map((hook) => hook.command)).toEqual(['composer install', 'npm run build']);
+    expect(getProjectHooksForEvent({}, 'pre-stop')).toEqual([]);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  validateServiceConfigOverride,
+  mergeIniConfig,
+  mergeRedisConfig,
+  mergeNginxConfig,
+  buildPostgresOverrideArgs,
+} = require('../../../src/main/utils/ServiceConfigOverrideUtils');
+
+const MY_CNF = `[mysqld]
+    datadir="/data/mysql/8.4/data"
+port=3306
+innodb_buffer_pool_size=128M
+
+[client]
+port=3306
+`;
+
+const NGINX_CONF = `worker_processes 1;
+  pid "/data/nginx/1.28/nginx.pid";
+
+events {
+    worker_connections 1024;
+}
+
+http {
+    include       "/nginx/conf/mime.types";
+    keepalive_timeout 65;
+    include "/data/nginx/1.28/sites/*.conf";
+
+    server {
+        listen 80;
+        keepalive_timeout 10;
+    }
+}
+`;
+
+describe('mergeIniConfig()', () => {
+  it('replaces generated options whatever their spelling and appends new sections', () => {
+    const merged = mergeIniConfig(MY_CNF, 'max_allowed_packet=256M\ninnodb-buffer-pool-size=1G\n\n[mysqldump]\nquick');
+
+    expect(merged).toBe(`[mysqld]
+    datadir="/data/mysql/8.4/data"
+port=3306
+# Custom config
+max_allowed_packet=256M
+innodb-buffer-pool-size=1G
+
+[client]
+port=3306
+
+[mysqldump]
+# Custom config
+quick
+`);
+  });
+});
+
+describe('mergeRedisConfig()', () => {
+  it('replaces generated directives and keeps the rest', () => {
+    const merged = mergeRedisConfig('\nport 6379\nappendonly yes\n', 'notify-keyspace-events Ex\nappendonly no');
+
+    expect(merged).toBe('\nport 6379\n\n# Custom config\nnotify-keyspace-events Ex\nappendonly no\n');
+  });
+});
+
+describe('mergeNginxConfig()', () => {
+  it('merges directives into their block and adds everything else at its end', () => {
+    const merged = mergeNginxConfig(NGINX_CONF, [
+      'worker_processes 4;',
+      'events {',
+      '    worker_connections 4096;',
+      '    multi_accept on;',
+      '}',
+      'http {',
+      '    keepalive_timeout 30;',
+      '    include extra/*.conf;',
+      '}',
+    ].join('\n'));
+
+    expect(merged).toContain('worker_processes 4;\n  pid');
+    expect(merged).toContain('events {\n    worker_connections 4096;\n    multi_accept on;\n}');
+    expect(merged).toContain('    keepalive_timeout 30;\n    include "/data/nginx/1.28/sites/*.conf";');
+    expect(merged).toContain('        keepalive_timeout 10;');
+    expect(merged).toContain('    include extra/*.conf;\n}');
+  });
+});
+
+describe('validateServiceConfigOverride()', () => {
+  it('reports malformed lines and settings DevBox manages itself', () => {
+    expect(validateServiceConfigOverride('mysql', 'sql_mode=STRICT_TRANS_TABLES\nskip-name-resolve')).toEqual([]);
+    expect(validateServiceConfigOverride('mariadb', 'port=3310\n!oops')).toEqual([
+      'Line 2: expected "option=value" or a [section], got "!oops"',
+      '"port" is managed by DevBox Pro and cannot be overridden',
+    ]);
+    expect(validateServiceConfigOverride('redis', 'maxmemory')).toEqual(['Line 1: expected "directive value", got "maxmemory"']);
+    expect(validateServiceConfigOverride('nginx', 'events {\n    worker_connections 4096\n')).toEqual([
+      'Line 2: directives must end with ";", got "worker_connections 4096"',
+      'Missing "}" at the end of the config',
+    ]);
+    expect(validateServiceConfigOverride('postgresql', "data_directory = '/tmp'")).toEqual([
+      '"data_directory" is managed by DevBox Pro and cannot be overridden',
+    ]);
+  });
+});
+
+describe('buildPostgresOverrideArgs()', () => {
+  it('passes every setting as a -c argument', () => {
+    expect(buildPostgresOverrideArgs("shared_buffers = '256MB'\n# comment\nwork_mem 16MB")).toEqual([
+      '-c', 'shared_buffers=256MB',
+      '-c', 'work_mem=16MB',
+    ]);
+  });
+});
@@ -0,0 +1,218 @@
+import net from 'net';
+import http from 'http';
+import crypto from 'crypto';
+import { describe, it, expect, afterEach } from 'vitest';
+
+const {
+  scrambleMySqlPassword,
+  probeMySql,
+  probeRedis,
+  probePostgres,
+  probeMongo,
+  probeMemcached,
+  probeHttp,
+} = require('../../../src/main/utils/ServiceProbeUtils');
+
+let server;
+
+async function listen(createdServer) {
+  server = createdServer;
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server.address().port;
+}
+
+function tcpServer(onConnection) {
+  return listen(net.createServer(onConnection));
+}
+
+function mySqlPacket(sequence, payload) {
+  const header = Buffer.alloc(4);
+  header.writeUIntLE(payload.length, 0, 3);
+  header[3] = sequence;
+  return Buffer.concat([header, payload]);
+}
+
+function mySqlHandshake(scramble) {
+  const fixed = Buffer.alloc(2 + 1 + 2 + 2 + 1 + 10);
+  fixed.writeUInt16LE(0xffff, 0);
+  fixed[2] = 33;
+  fixed.writeUInt16LE(0x000f, 5);
+  fixed[7] = 21;
+  return Buffer.concat([
+    Buffer.from([10]),
+    Buffer.from('8.4.0\0'),
+    Buffer.alloc(4),
+    scramble.subarray(0, 8),
+    Buffer.from([0]),
+    fixed.subarray(0, 3),
+    fixed.subarray(3, 5),
+    fixed.subarray(5, 7),
+    fixed.subarray(7),
+    scramble.subarray(8),
+    Buffer.from([0]),
+    Buffer.from('mysql_native_password\0'),
+  ]);
+}
+
+function mySqlError(code, message) {
+  const payload = Buffer.alloc(3);
+  payload[0] = 0xff;
+  payload.writeUInt16LE(code, 1);
+  return Buffer.concat([payload, Buffer.from(`#HY000${message}`)]);
+}
+
+afterEach(async () => {
+  await new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  server = null;
+});
+
+describe('probeMySql()', () => {
+  it('logs in with the DevBox credentials and runs SELECT 1', async () => {
+    const scramble = crypto.randomBytes(20);
+    const received = [];
+    const port = await tcpServer((socket) => {
+      socket.write(mySqlPacket(0, mySqlHandshake(scramble)));
+      socket.on('data', (data) => {
+        const payload = data.subarray(4);
+        received.push(payload);
+        if (received.length === 1) {
+          const user = payload.toString('utf8', 32, payload.indexOf(0, 32));
+          const authStart = payload.indexOf(0, 32) + 1;
+          const authResponse = payload.subarray(authStart + 1, authStart + 1 + payload[authStart]);
+          const expected = scrambleMySqlPassword('mysql_native_password', 'secret', scramble);
+          socket.write(mySqlPacket(2, user === 'devbox' && authResponse.equals(expected)
+            ? Buffer.from([0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00])
+            : mySqlError(1045, 'Access denied')));
+        } else if (payload[0] === 0x03) {
+          socket.write(mySqlPacket(1, Buffer.from([0x01])));
+        }
+      });
+    });
+
+    await expect(probeMySql(port, { user: 'devbox', password: 'secret' })).resolves.toEqual({ healthy: true, reason: null });
+    expect(received[1].toString('utf8', 1)).toBe('SELECT 1');
+  });
+
+  it('reports errors of a server that is still starting', async () => {
+    const port = await tcpServer((socket) => {
+      socket.write(mySqlPacket(0, mySqlError(1053, 'Server shutdown in progress')));
+    });
+
+    await expect(probeMySql(port)).resolves.toEqual({
+      healthy: false,
+      reason: 'MySQL error 1053: Server shutdown in progress',
+    });
+  });
+});
+
+describe('probeRedis()', () => {
+  it('passes on PONG and reports a server that is loading its data', async () => {
+    let reply = '+PONG\r\n';
+    const port = await tcpServer((socket) => {
+      socket.on('data', () => socket.write(reply));
+    });
+
+    await expect(probeRedis(port)).resolves.toEqual({ healthy: true, reason: null });
+    reply = '-LOADING Redis is loading the dataset in memory\r\n';
+    await expect(probeRedis(port)).resolves.toEqual({
+      healthy: false,
+      reason: 'Redis answered LOADING Redis is loading the dataset in memory',
+    });
+  });
+});
+
+describe('probePostgres()', () => {
+  it('passes once the server asks for authentication', async () => {
+    let startup;
+    const port = await tcpServer((socket) => {
+      socket.on('data', (data) => {
+        startup = data;
+        socket.write(Buffer.from([0x52, 0, 0, 0, 8, 0, 0, 0, 0]));
+      });
+    });
+
+    await expect(probePostgres(port, { user: 'devbox' })).resolves.toEqual({ healthy: true, reason: null });
+    expect(startup.readInt32BE(4)).toBe(196608);
+    expect(startup.toString('utf8', 8)).toContain('user\0devbox\0');
+  });
+
+  it('reports the error of a server that is starting up', async () => {
+    const port = await tcpServer((socket) => {
+      socket.on('data', () => {
+        const fields = Buffer.from('SFATAL\0C57P03\0Mthe database system is starting up\0\0');
+        const length = Buffer.alloc(4);
+        length.writeInt32BE(fields.length + 4, 0);
+        socket.write(Buffer.concat([Buffer.from([0x45]), length, fields]));
+      });
+    });
+
+    await expect(probePostgres(port)).resolves.toEqual({
+      healthy: false,
+      reason: 'PostgreSQL: the database system is starting up',
+    });
+  });
+});
+
+describe('probeMongo()', () => {
+  it('sends hello and passes on ok: 1', async () => {
+    let command;
+    const port = await tcpServer((socket) => {
+      socket.on('data', (data) => {
+        command = data;
+        const ok = Buffer.alloc(8);
+        ok.writeDoubleLE(1, 0);
+        const element = Buffer.concat([Buffer.from([0x01]), Buffer.from('ok\0'), ok, Buffer.from([0])]);
+        const document = Buffer.concat([Buffer.alloc(4), element]);
+        document.writeInt32LE(document.length, 0);
+        const header = Buffer.alloc(21);
+        header.writeInt32LE(21 + document.length, 0);
+        header.writeInt32LE(2, 4);
+        header.writeInt32LE(1, 8);
+        header.writeInt32LE(2013, 12);
+        socket.write(Buffer.concat([header, document]));
+      });
+    });
+
+    await expect(probeMongo(port)).resolves.toEqual({ healthy: true, reason: null });
+    expect(command.readInt32LE(12)).toBe(2013);
+    expect(command.toString('utf8', 21)).toContain('hello');
+  });
+});
+
+describe('probeMemcached()', () => {
+  it('asks for the version', async () => {
+    const port = await tcpServer((socket) => {
+      socket.on('data', (data) => socket.write(data.toString() === 'version\r\n' ? 'VERSION 1.6.29\r\n' : 'ERROR\r\n'));
+    });
+
+    await expect(probeMemcached(port)).resolves.toEqual({ healthy: true, reason: null });
+  });
+});
+
+describe('probeHttp()', () => {
+  it('passes on any answer below 500 and reports server errors', async () => {
+    let hostHeader;
+    const port = await listen(http.createServer((request, response) => {
+      hostHeader = request.headers.host;
+      response.writeHead(request.url === '/minio/health/live' ? 503 : 404).end();
+    }));
+
+    await expect(probeHttp(port)).resolves.toEqual({ healthy: true, reason: null });
+    expect(hostHeader).toBe('localhost');
+    await expect(probeHttp(port, '/minio/health/live')).resolves.toEqual({
+      healthy: false,
+      reason: 'HTTP 503 for /minio/health/live',
+    });
+  });
+
+  it('explains that nothing listens on the port', async () => {
+    const port = await listen(http.createServer());
+    await new Promise((resolve) => server.close(resolve));
+    server = null;
+
+    await expect(probeHttp(port)).resolves.toEqual({
+      healthy: false,
+      reason: `Port ${port} is not accepting connections`,
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+
+const { formatNginxErrorPage, formatApacheErrorPage } = require('../../../src/main/utils/VhostErrorPageUtils');
+
+describe('formatNginxErrorPage()', () => {
+  it('routes gateway errors and the handler path to the DevBox handler of the project', () => {
+    const rules = formatNginxErrorPage({ id: 'my app' }, 49152);
+
+    expect(rules).toContain('error_page 502 503 504 /__devbox/error;');
+    expect(rules).toContain('location ^~ /__devbox/ {');
+    expect(rules).toContain('proxy_pass http://127.0.0.1:49152/__devbox/my%20app/;');
+    expect(rules).toContain('proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;');
+    expect(rules).toMatch(/location = \/__devbox\/start \{\n        allow 127\.0\.0\.1;\n        allow ::1;\n        deny all;\n        proxy_pass http:\/\/127\.0\.0\.1:49152\/__devbox\/my%20app\/start;/);
+  });
+
+  it('renders nothing while the handler is not running', () => {
+    expect(formatNginxErrorPage({ id: 'app' }, null)).toBe('');
+  });
+});
+
+describe('formatApacheErrorPage()', () => {
+  it('proxies the handler path and points every gateway error at it', () => {
+    const rules = formatApacheErrorPage({ id: 'app' }, 49152);
+
+    expect(rules).toContain('ProxyPass /__devbox/ http://127.0.0.1:49152/__devbox/app/ retry=0');
+    expect(rules).toContain('<Location "/__devbox/start">\n        Require local\n    </Location>');
+    expect(rules.match(/ErrorDocument (\d+) \/__devbox\/error/g)).toEqual([
+      'ErrorDocument 502 /__devbox/error',
+      'ErrorDocument 503 /__devbox/error',
+      'ErrorDocument 504 /__devbox/error',
+    ]);
+  });
+
+  it('renders nothing while the handler is not running', () => {
+    expect(formatApacheErrorPage({ id: 'app' }, undefined)).toBe('');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+
+const { normalizeVhostRoutes, formatNginxRoutes, formatApacheRoutes } = require('../../../src/main/utils/VhostRouteUtils');
+
+const project = {
+  path: 'C:/laragon/www/shop',
+  routes: [
+    { path: '/api/', type: 'proxy', port: '3000' },
+    { path: '/admin', type: 'php', root: 'admin/public' },
+    { path: '/', type: 'static', root: 'frontend/dist', spa: true },
+  ],
+};
+
+describe('normalizeVhostRoutes()', () => {
+  it('keeps the route order and cleans paths, ports and folders', () => {
+    expect(normalizeVhostRoutes(project.routes)).toEqual([
+      { path: '/api', type: 'proxy', port: 3000 },
+      { path: '/admin', type: 'php', root: 'admin/public' },
+      { path: '/', type: 'static', root: 'frontend/dist', spa: true },
+    ]);
+    expect(normalizeVhostRoutes(undefined)).toEqual([]);
+  });
+
+  it('rejects invalid routes', () => {
+    expect(() => normalizeVhostRoutes([{ path: 'api', type: 'proxy', port: 3000 }])).toThrow('Invalid route path "api"');
+    expect(() => normalizeVhostRoutes([{ path: '/a b', type: 'proxy', port: 3000 }])).toThrow('Invalid route path');
+    expect(() => normalizeVhostRoutes([
+      { path: '/api', type: 'proxy', port: 3000 },
+      { path: '/api/', type: 'static' },
+    ])).toThrow('The route /api is defined more than once.');
+    expect(() => normalizeVhostRoutes([{ path: '/api', type: 'proxy' }])).toThrow('needs a port');
+    expect(() => normalizeVhostRoutes([{ path: '/api', type: 'ftp' }])).toThrow('Unknown target "ftp"');
+  });
+});
+
+describe('formatNginxRoutes()', () => {
+  it('renders ordered regex locations for each target', () => {
+    const config = formatNginxRoutes(project, { phpFpmPort: 9005, fastcgiParamsPath: 'C:/nginx/conf/fastcgi_params' });
+
+    const apiIndex = config.indexOf('location ~ ^/api(?:/|$) {');
+    const adminIndex = config.indexOf('location ~ ^/admin(?:/(?<devbox_route_1>.*))?$ {');
+    const rootIndex = config.indexOf('location ~ ^/(?<devbox_route_2>.*)$ {');
+    expect(apiIndex).toBeGreaterThan(-1);
+    expect(adminIndex).toBeGreaterThan(apiIndex);
+    expect(rootIndex).toBeGreaterThan(adminIndex);
+    expect(config).toContain('proxy_pass http://127.0.0.1:3000;');
+    expect(config).toContain('alias "C:/laragon/www/shop/admin/public/$devbox_route_1";');
+    expect(config).toContain('error_page 404 = /admin/index.php?$query_string;');
+    expect(config).toContain('fastcgi_pass 127.0.0.1:9005;');
+    expect(config).toContain('alias "C:/laragon/www/shop/frontend/dist/$devbox_route_2";');
+    expect(config).toContain('error_page 404 = /index.html;');
+  });
+
+  it('proxies PHP routes to the backend web server behind a front door', () => {
+    const config = formatNginxRoutes(project, { phpBackendPort: 8081, forwardedProto: 'https', forwardedPort: 443 });
+
+    expect(config).toContain('    location ~ ^/admin(?:/|$) {\n        proxy_pass http://127.0.0.1:8081;');
+    expect(config).toContain('proxy_set_header X-Forwarded-Proto https;');
+    expect(config).not.toContain('fastcgi_pass');
+    expect(formatNginxRoutes({ ...project, routes: [] })).toBe('');
+  });
+});
+
+describe('formatApacheRoutes()', () => {
+  it('excludes file routes from proxying and aliases them in order', () => {
+    const config = formatApacheRoutes(project);
+
+    expect(config).toContain([
+      '    ProxyPreserveHost On',
+      '    ProxyPassMatch "^(/api(?:/.*)?)$" "http://127.0.0.1:3000$1" retry=0',
+      '    ProxyPassReverse "/api" "http://127.0.0.1:3000/api"',
+      '    ProxyPassMatch "^/admin(?:/.*)?$" !',
+      '    ProxyPassMatch "^/.*$" !',
+    ].join('\n'));
+    expect(config).toContain([
+      '    AliasMatch "^/admin(?:/(.*))?$" "C:/laragon/www/shop/admin/public/$1"',
+      '    AliasMatch "^/(.*)$" "C:/laragon/www/shop/frontend/dist/$1"',
+    ].join('\n'));
+    expect(config).toContain('RewriteBase /admin/');
+    expect(config).toContain('RewriteRule ^ index.html [L]');
+  });
+
+  it('proxies PHP routes when the VirtualHost has no PHP handler', () => {
+    const config = formatApacheRoutes(project, { phpHandled: false, phpBackendPort: 8080, preserveHost: false });
+
+    expect(config).toContain('ProxyPassMatch "^(/admin(?:/.*)?)$" "http://127.0.0.1:8080$1" retry=0');
+    expect(config).not.toContain('ProxyPreserveHost');
+    expect(config).not.toContain('admin/public');
+  });
+});
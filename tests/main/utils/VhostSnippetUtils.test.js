@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+
+const { normalizeVhostSnippets, formatVhostSnippet } = require('../../../src/main/utils/VhostSnippetUtils');
+
+describe('normalizeVhostSnippets()', () => {
+  it('keeps known slots with text and drops everything else', () => {
+    expect(normalizeVhostSnippets({
+      nginx: { server: 'gzip on;\r\n\r\n', phpLocation: '   ', extra: 'x' },
+      caddy: { server: 'nope' },
+    })).toEqual({
+      nginx: { server: 'gzip on;' },
+      apache: {},
+    });
+  });
+
+  it('returns empty slots for missing input', () => {
+    expect(normalizeVhostSnippets(undefined)).toEqual({ nginx: {}, apache: {} });
+  });
+});
+
+describe('formatVhostSnippet()', () => {
+  it('indents every line under a slot comment', () => {
+    const project = { vhostSnippets: { nginx: { server: 'location /a {\n    return 204;\n}' } } };
+
+    expect(formatVhostSnippet(project, 'nginx', 'server')).toBe(
+      '\n\n    # Custom server snippet\n    location /a {\n        return 204;\n    }'
+    );
+  });
+
+  it('returns an empty string for unset slots', () => {
+    expect(formatVhostSnippet({}, 'apache', 'sslServer')).toBe('');
+  });
+});
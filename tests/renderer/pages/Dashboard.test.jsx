@@ -151,6 +151,73 @@ describe('Dashboard', () => {
         await act(async () => { });
     });
 
+    it('charts CPU usage of the last hour', async () => {
+        AppContextModule.useApp.mockReturnValue({
+            projects: [],
+            services: {},
+            resourceUsage: { total: { cpu: 12, memory: 0 }, services: {} },
+            resourceHistory: [
+                { timestamp: 1000, total: { cpu: 4, memory: 0 }, services: {}, projects: {} },
+                { timestamp: 6000, total: { cpu: 12, memory: 0 }, services: {}, projects: {} },
+            ],
+            loading: false,
+            projectLoadingStates: {},
+            setProjectLoading: vi.fn(),
+            startProject: mockStartProject,
+            stopProject: mockStopProject,
+            refreshServices: mockRefreshServices,
+            refreshProjects: mockRefreshProjects,
+        });
+
+        render(
+            <MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+                <Dashboard />
+            </MemoryRouter>
+        );
+
+        const chart = screen.getByRole('img', { name: 'CPU usage over the last hour' });
+        expect(chart.querySelector('polyline').getAttribute('points')).toBe('0.0,21.0 120.0,1.0');
+
+        await act(async () => { });
+    });
+
+    it('marks running projects whose health check fails as unhealthy', async () => {
+        AppContextModule.useApp.mockReturnValue({
+            projects: [
+                {
+                    id: 'p1',
+                    name: 'App One',
+                    type: 'laravel',
+                    phpVersion: '8.2',
+                    isRunning: true,
+                    health: { status: 'unhealthy', path: '/', statusCode: 500, latencyMs: 12, snippet: 'Server Error' },
+                },
+                { id: 'p2', name: 'App Two', type: 'wordpress', phpVersion: '8.1', isRunning: true, health: { status: 'healthy', path: '/', statusCode: 200, latencyMs: 8 } },
+            ],
+            services: {},
+            resourceUsage: { total: { cpu: 0, memory: 0 }, services: {} },
+            loading: false,
+            projectLoadingStates: {},
+            setProjectLoading: vi.fn(),
+            startProject: mockStartProject,
+            stopProject: mockStopProject,
+            refreshServices: mockRefreshServices,
+            refreshProjects: mockRefreshProjects,
+        });
+
+        render(
+            <MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+                <Dashboard />
+            </MemoryRouter>
+        );
+
+        const badges = screen.getAllByText('Unhealthy');
+        expect(badges).toHaveLength(1);
+        expect(badges[0]).toHaveAttribute('title', 'Unhealthy: / returned HTTP 500 - Server Error');
+
+        await act(async () => { });
+    });
+
     it('calls startProject and stopProject actions', async () => {
         AppContextModule.useApp.mockReturnValue({
             projects: [
@@ -81,6 +81,18 @@ const mockDevbox = {
         importFolder: vi.fn().mockResolvedValue(null),
         import: vi.fn().mockResolvedValue({}),
         moveToProjectsDir: vi.fn().mockResolvedValue({}),
+        getGroups: vi.fn().mockResolvedValue([]),
+        createGroup: vi.fn().mockResolvedValue({}),
+        startGroup: vi.fn().mockResolvedValue({ success: true }),
+        stopGroup: vi.fn().mockResolvedValue({ success: true }),
+        getParkedDirectories: vi.fn().mockResolvedValue([]),
+        getParkedSites: vi.fn().mockResolvedValue([]),
+        parkDirectory: vi.fn().mockResolvedValue([]),
+        onParkedSitesChanged: vi.fn(() => vi.fn()),
+        openInBrowser: vi.fn(),
+    },
+    system: {
+        selectDirectory: vi.fn().mockResolvedValue('/sites'),
     },
     settings: {
         get: vi.fn().mockResolvedValue({}),
@@ -207,4 +219,90 @@ describe('Projects', () => {
             expect(row).not.toHaveAttribute('draggable', 'true');
         });
     });
+
+    // ─────────────────────────────────────────────────────────────────
+    // Project Groups
+    // ─────────────────────────────────────────────────────────────────
+
+    describe('Project Groups', () => {
+        const group = {
+            id: 'g1',
+            name: 'Product',
+            healthTimeout: 60,
+            members: [
+                { projectId: 'p1', waitUntilHealthy: true },
+                { projectId: 'p2', waitUntilHealthy: false },
+            ],
+        };
+
+        it('lists groups with their running members and starts the whole group', async () => {
+            mockDevbox.projects.getGroups.mockResolvedValue([group]);
+            renderProjects();
+
+            await waitFor(() => expect(screen.getByText('Product')).toBeInTheDocument());
+            expect(screen.getByText('1/2 running')).toBeInTheDocument();
+
+            fireEvent.click(screen.getByTitle('Start all projects in order'));
+
+            await waitFor(() => expect(mockDevbox.projects.startGroup).toHaveBeenCalledWith('g1'));
+            expect(mockRefreshProjects).toHaveBeenCalled();
+        });
+
+        it('creates a group from the selected projects in order', async () => {
+            mockDevbox.projects.getGroups.mockResolvedValue([]);
+            renderProjects();
+            await waitFor(() => screen.getByText('Laravel Blog'));
+
+            fireEvent.click(screen.getByText('New Group'));
+            fireEvent.change(screen.getByPlaceholderText('My Product'), { target: { value: 'Stack' } });
+            fireEvent.change(screen.getByLabelText('Add project'), { target: { value: 'p2' } });
+            fireEvent.change(screen.getByLabelText('Add project'), { target: { value: 'p1' } });
+            fireEvent.click(screen.getByLabelText('Wait until healthy'));
+            fireEvent.click(screen.getByText('Create Group'));
+
+            await waitFor(() => expect(mockDevbox.projects.createGroup).toHaveBeenCalledWith({
+                name: 'Stack',
+                members: [
+                    { projectId: 'p2', waitUntilHealthy: true },
+                    { projectId: 'p1', waitUntilHealthy: false },
+                ],
+                healthTimeout: 60,
+            }));
+        });
+    });
+
+    // ─────────────────────────────────────────────────────────────────
+    // Parked Sites
+    // ─────────────────────────────────────────────────────────────────
+
+    describe('Parked Sites', () => {
+        afterEach(() => {
+            mockDevbox.projects.getParkedDirectories.mockResolvedValue([]);
+            mockDevbox.projects.getParkedSites.mockResolvedValue([]);
+        });
+
+        it('parks a chosen directory', async () => {
+            renderProjects();
+            await waitFor(() => screen.getByText('Laravel Blog'));
+
+            fireEvent.click(screen.getByText('Park Directory'));
+
+            await waitFor(() => expect(mockDevbox.projects.parkDirectory).toHaveBeenCalledWith('/sites'));
+        });
+
+        it('lists parked sites and starts them by id', async () => {
+            mockDevbox.projects.getParkedDirectories.mockResolvedValue(['/sites']);
+            mockDevbox.projects.getParkedSites.mockResolvedValue([
+                { id: 'parked-abc', name: 'landing', domain: 'landing.test', type: 'custom', phpVersion: '8.3', isRunning: false },
+            ]);
+            renderProjects();
+
+            await waitFor(() => expect(screen.getByText('Parked Sites')).toBeInTheDocument());
+            expect(screen.getByText('landing.test · custom · PHP 8.3')).toBeInTheDocument();
+
+            fireEvent.click(screen.getByText('landing').closest('.justify-between').querySelector('button'));
+
+            await waitFor(() => expect(mockDevbox.projects.start).toHaveBeenCalledWith('parked-abc'));
+        });
+    });
 });
@@ -20,6 +20,8 @@ const mockDevbox = {
         start: vi.fn().mockResolvedValue({}),
         stop: vi.fn().mockResolvedValue({}),
         stopAll: vi.fn().mockResolvedValue({}),
+        getConfigOverride: vi.fn().mockResolvedValue({ content: '', lastWorkingContent: '', rejected: null }),
+        saveConfigOverride: vi.fn().mockResolvedValue({ success: true, applied: false, rolledBack: false }),
     },
     binaries: {
         getStatus: vi.fn().mockResolvedValue({}),
@@ -161,6 +163,84 @@ describe('Services', () => {
         expect(screen.getByRole('button', { name: /^Stop$/i })).toBeInTheDocument();
     });
 
+    it('asks for a restart when a running version is still on its previous port', async () => {
+        mockDevbox.binaries.getStatus.mockResolvedValue({
+            mysql: { '8.0': { installed: true } },
+        });
+        mockDevbox.binaries.getServiceConfig.mockResolvedValue({
+            versions: { mysql: ['8.0'] },
+            defaultPorts: { mysql: 3306 },
+            portOffsets: { mysql: { '8.0': 1 } },
+        });
+        mockDevbox.services.getRunningVersions.mockImplementation(async (service) => (
+            service === 'mysql' ? { '8.0': { port: 3307 } } : { mysql: ['8.0'] }
+        ));
+        mockAppContext.settings = { settings: { servicePorts: { mysql: { '8.0': 3399 } } } };
+
+        try {
+            render(
+                <MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+                    <Services />
+                </MemoryRouter>
+            );
+
+            await waitFor(() => {
+                expect(screen.getByText('3399')).toBeInTheDocument();
+                expect(screen.getByText(/Still listening on port 3307\. Restart this version to move it to port 3399\./)).toBeInTheDocument();
+            });
+        } finally {
+            delete mockAppContext.settings;
+            mockDevbox.services.getRunningVersions.mockResolvedValue({});
+        }
+    });
+
+    it('saves extra config for a service version and reports a rollback', async () => {
+        mockDevbox.binaries.getStatus.mockResolvedValue({
+            mysql: { '8.0': { installed: true } },
+        });
+        mockDevbox.binaries.getServiceConfig.mockResolvedValue({
+            versions: { mysql: ['8.0'] },
+            defaultPorts: { mysql: 3306 },
+            portOffsets: { mysql: { '8.0': 1 } },
+        });
+        mockDevbox.services.getConfigOverride
+            .mockResolvedValueOnce({ content: 'max_allowed_packet=64M', lastWorkingContent: 'max_allowed_packet=64M', rejected: null })
+            .mockResolvedValueOnce({
+                content: 'max_allowed_packet=64M',
+                lastWorkingContent: 'max_allowed_packet=64M',
+                rejected: { content: 'innodb_buffer_pool_size=lots', error: 'MySQL 8.0 exited before becoming ready' },
+            });
+        mockDevbox.services.saveConfigOverride.mockResolvedValue({
+            success: false,
+            applied: true,
+            rolledBack: true,
+            error: 'MySQL 8.0 exited before becoming ready',
+        });
+        mockAppContext.projects = [{
+            id: 'proj-1',
+            isRunning: true,
+            webServer: 'nginx',
+            services: { mysql: true, mysqlVersion: '8.0' },
+        }];
+
+        render(
+            <MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+                <Services />
+            </MemoryRouter>
+        );
+
+        fireEvent.click(await screen.findByRole('button', { name: /Config/i }));
+        const editor = await screen.findByLabelText('MySQL 8.0 extra config');
+        await waitFor(() => expect(editor).toHaveValue('max_allowed_packet=64M'));
+
+        fireEvent.change(editor, { target: { value: 'innodb_buffer_pool_size=lots' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Save Config' }));
+
+        expect(await screen.findByText(/did not start with this config and was restarted with the previous one/)).toBeInTheDocument();
+        expect(mockDevbox.services.saveConfigOverride).toHaveBeenCalledWith('mysql', '8.0', 'innodb_buffer_pool_size=lots');
+        expect(editor).toHaveValue('max_allowed_packet=64M');
+    });
+
     it('shows active public tunnels and allows stopping them', async () => {
         mockDevbox.binaries.getStatus.mockResolvedValue({
             cloudflared: { installed: true },
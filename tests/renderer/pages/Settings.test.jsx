@@ -95,6 +95,38 @@ describe('Settings', () => {
         expect(screen.getByDisplayValue('root')).toBeInTheDocument(); // dbUser
     });
 
+    it('checks a per-version port as it is typed and saves it with the settings', async () => {
+        window.devbox.binaries = {
+            getServiceConfig: vi.fn().mockResolvedValue({
+                versions: { mysql: ['8.4', '8.0'], redis: ['7.4'] },
+                portOffsets: { mysql: { '8.4': 0, '8.0': 1 }, redis: { '7.4': 0 } },
+                defaultPorts: { mysql: 3306, redis: 6379 },
+            }),
+        };
+        window.devbox.services = {
+            checkPort: vi.fn().mockResolvedValue({
+                available: false,
+                reason: 'Port 3399 is in use by postgres (PID 4242)',
+                usedBy: null,
+                owner: { pid: 4242, name: 'postgres' },
+            }),
+        };
+        render(<Settings />);
+        fireEvent.click(screen.getByRole('button', { name: 'Network' }));
+
+        const input = await screen.findByLabelText('MySQL 8.0');
+        expect(input).toHaveAttribute('placeholder', '3307');
+        fireEvent.change(input, { target: { value: '3399' } });
+
+        expect(await screen.findByText('Port 3399 is in use by postgres (PID 4242)')).toBeInTheDocument();
+        expect(window.devbox.services.checkPort).toHaveBeenCalledWith(3399, 'mysql', '8.0', { mysql: { '8.0': 3399 } });
+
+        fireEvent.click(screen.getByRole('button', { name: /Save Changes/i }));
+        await waitFor(() => {
+            expect(window.devbox.settings.set).toHaveBeenCalledWith('settings.servicePorts', { mysql: { '8.0': 3399 } });
+        });
+    });
+
     it('calls save API when Save Changes is clicked', async () => {
         render(<Settings />);
 